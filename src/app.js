@@ -61,6 +61,24 @@ connectDatabase();
 const OrderService = require("./services/order/order.service");
 OrderService.startExpirationChecker();
 OrderService.startAutoReceiveChecker();
+const SellerProductImportService = require("./services/seller/seller-product-import.service");
+SellerProductImportService.startImportWorker();
+const ProductPublishService = require("./services/seller/product-publish.service");
+ProductPublishService.startPublishScheduler();
+const ProductPricingService = require("./services/seller/product-pricing.service");
+ProductPricingService.startSaleScheduler();
+const WishlistService = require("./services/user/wishlist.service");
+WishlistService.startWishlistAlertScheduler();
+const SavedSearchService = require("./services/user/saved-search.service");
+SavedSearchService.startSavedSearchAlertScheduler();
+const ProductRecommendationService = require("./services/product-recommendation.service");
+ProductRecommendationService.startAssociationScheduler();
+const ProductSearchService = require("./services/product-search.service");
+ProductSearchService.prepareSearchIndex().catch(error => logger.error("Search index migration failed:", error));
+const AdminProductService = require("./services/admin/admin-product.service");
+AdminProductService.prepareModerationStatus().catch(error =>
+  logger.error("Moderation status migration failed:", error)
+);
 // Initialize Cache System
 initializeCache();
 
@@ -2,8 +2,12 @@
 const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   BAD_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
   NOT_FOUND: 404,
+  CONFLICT: 409,
   INTERNAL_SERVER_ERROR: 500
 };
 
@@ -37,6 +41,24 @@ const MESSAGES = {
     STATUS_UPDATED: "Product status updated successfully",
     DELETED: "Product deleted successfully",
     IMAGE_UPLOADED: "Product image uploaded successfully",
+    GALLERY_UPDATED: "Product gallery updated successfully",
+    PUBLICATION_UPDATED: "Product publication updated successfully",
+    PRICING_RETRIEVED: "Product pricing retrieved successfully",
+    PRICING_UPDATED: "Product pricing updated successfully",
+    PRICE_HISTORY_RETRIEVED: "Price history retrieved successfully",
+    COMPARED: "Product comparison retrieved successfully",
+    UNDER_MODERATION: "Product is awaiting moderation review or was rejected and cannot be activated",
+    MODERATED: "Product moderation updated successfully",
+    MODERATION_QUEUE_RETRIEVED: "Moderation queue retrieved successfully",
+    REPORTS_RETRIEVED: "Product reports retrieved successfully",
+    REJECTION_REASON_REQUIRED: "A reason is required when rejecting a product",
+    BUNDLE_STOCK_DERIVED: "Bundle stock is derived from its components and bundles cannot have variants",
+    COMPARE_IDS_REQUIRED: "Query parameter ids is required (comma-separated product IDs)",
+    STOCK_RETRIEVED: "Product stock retrieved successfully",
+    SALE_SCHEDULED: "Sale scheduled successfully",
+    SALE_CANCELLED: "Sale cancelled successfully",
+    IMPORT_QUEUED: "Product import queued, check the job for the per-row report",
+    IMPORT_NOT_FOUND: "Import job not found",
     NOT_FOUND: "Product not found",
     CREATE_FAILED: "Failed to create product",
     UPDATE_FAILED: "Failed to update product",
@@ -70,18 +92,23 @@ const MESSAGES = {
     GET_FAILED: "Failed to get category",
     GET_ALL_FAILED: "Failed to get categories",
     GET_PRODUCTS_FAILED: "Failed to get category products",
-    VALIDATION_ERROR: "Validation error"
+    VALIDATION_ERROR: "Validation error",
+    ATTRIBUTES_RETRIEVED: "Category attributes retrieved successfully",
+    ATTRIBUTES_UPDATED: "Category attributes updated successfully"
   },
   CART: {
     ITEM_ADDED: "Item added to cart",
     ITEM_UPDATED: "Item quantity updated",
     ITEM_REMOVED: "Item removed from cart",
     CLEARED: "Cart cleared successfully",
+    RECOMMENDATIONS_RETRIEVED: "Cart recommendations retrieved successfully",
     COUPON_APPLIED: "Coupon applied successfully",
     COUPON_REMOVED: "Coupon removed successfully",
     NOT_FOUND: "Cart not found",
     EMPTY: "Cart is empty",
     ITEM_NOT_FOUND: "Product not found in cart",
+    VARIANT_REQUIRED: "Pilih varian produk terlebih dahulu",
+    VARIANT_NOT_FOUND: "Product variant not found or inactive",
     STOCK_UNAVAILABLE: "Stock tidak tersedia",
     INSUFFICIENT_STOCK: "Stock kurang. Stock tersedia:",
     INVALID_QUANTITY: "Quantity harus integer",
@@ -103,11 +130,123 @@ const MESSAGES = {
     COUPONS_GET_FAILED: "Error retrieving available coupons",
     COUPONS_RETRIEVED: "Available coupons retrieved successfully"
   },
+  NOTIFICATION: {
+    RETRIEVED: "Notifications retrieved successfully",
+    MARKED_READ: "Notification marked as read",
+    ALL_MARKED_READ: "All notifications marked as read",
+    NOT_FOUND: "Notification not found",
+    INVALID_ID: "Invalid notification ID"
+  },
+  STOCK_SUBSCRIPTION: {
+    CREATED: "You will be notified when this product is back in stock",
+    RETRIEVED: "Stock subscriptions retrieved successfully",
+    CANCELLED: "Stock subscription cancelled successfully",
+    NOT_FOUND: "Stock subscription not found",
+    INVALID_ID: "Invalid subscription ID",
+    PRODUCT_REQUIRED: "Valid productId is required",
+    INVALID_VARIANT: "Invalid variantId",
+    CHANNEL_REQUIRED: "At least one notification channel (email or inApp) must be enabled"
+  },
+  INVENTORY: {
+    HISTORY_RETRIEVED: "Stock history retrieved successfully",
+    ADJUSTED: "Stock adjusted successfully",
+    VARIANT_REQUIRED: "variantId is required for products with variants",
+    VARIANT_NOT_FOUND: "Product variant not found",
+    INSUFFICIENT_AVAILABLE_STOCK: "Adjustment would make available stock negative"
+  },
+  SEARCH: {
+    TRENDING_RETRIEVED: "Trending searches retrieved successfully",
+    CLICK_RECORDED: "Search click recorded",
+    TOP_QUERIES_RETRIEVED: "Top search queries retrieved successfully",
+    ZERO_RESULTS_RETRIEVED: "Zero-result search queries retrieved successfully",
+    CLICK_THROUGH_RETRIEVED: "Search click-through stats retrieved successfully",
+    NOT_FOUND: "Search not found or too old to record clicks",
+    INVALID_SEARCH_ID: "Invalid searchId",
+    PRODUCT_REQUIRED: "Valid productId is required",
+    INVALID_POSITION: "position must be a positive integer"
+  },
+  SEARCH_DICTIONARY: {
+    SYNONYMS_RETRIEVED: "Search synonyms retrieved successfully",
+    SYNONYM_CREATED: "Search synonym group created successfully",
+    SYNONYM_UPDATED: "Search synonym group updated successfully",
+    SYNONYM_DELETED: "Search synonym group deleted successfully",
+    SYNONYM_NOT_FOUND: "Search synonym group not found",
+    TERMS_REQUIRED: "terms must be an array of words or phrases",
+    TERM_IN_USE: "Terms already belong to another active synonym group",
+    INVALID_STATUS: "isActive must be a boolean",
+    STOP_WORDS_RETRIEVED: "Search stop words retrieved successfully",
+    STOP_WORD_CREATED: "Search stop word added successfully",
+    STOP_WORD_DELETED: "Search stop word deleted successfully",
+    STOP_WORD_NOT_FOUND: "Search stop word not found",
+    STOP_WORD_EXISTS: "Stop word already exists",
+    INVALID_STOP_WORD: "word must be a single word of at most 50 letters or numbers"
+  },
+  SAVED_SEARCH: {
+    RETRIEVED: "Saved searches retrieved successfully",
+    CREATED: "Search saved successfully",
+    UPDATED: "Saved search updated successfully",
+    DELETED: "Saved search deleted successfully",
+    NOT_FOUND: "Saved search not found",
+    ALREADY_EXISTS: "You already saved this search",
+    LIMIT_REACHED: "Saved search limit reached. Delete a saved search first",
+    QUERY_REQUIRED: "Search term must be at least 2 characters long",
+    INVALID_NAME: "Saved search name must be at most 50 characters",
+    INVALID_ALERTS: "alerts must be an object { enabled?, channels?: { email, inApp } } with boolean values"
+  },
+  QUESTION: {
+    CREATED: "Question submitted successfully",
+    RETRIEVED: "Questions retrieved successfully",
+    DELETED: "Question deleted successfully",
+    ANSWERED: "Question answered successfully",
+    ANSWER_UPDATED: "Answer updated successfully",
+    UPVOTED: "Answer marked as helpful",
+    UPVOTE_REMOVED: "Helpful vote removed",
+    MODERATED: "Question moderation updated successfully",
+    ANSWER_MODERATED: "Answer moderation updated successfully",
+    NOT_FOUND: "Question not found",
+    ANSWER_NOT_FOUND: "Answer not found",
+    INVALID_BODY: "Question must be between 10 and 500 characters",
+    INVALID_ANSWER: "Answer must be between 2 and 1000 characters",
+    DUPLICATE: "You have already asked this question",
+    CANNOT_UPVOTE_OWN: "You cannot upvote your own answer"
+  },
+  WISHLIST: {
+    RETRIEVED: "Wishlist retrieved successfully",
+    LISTS_RETRIEVED: "Wishlists retrieved successfully",
+    LIST_CREATED: "Wishlist created successfully",
+    LIST_UPDATED: "Wishlist updated successfully",
+    LIST_DELETED: "Wishlist deleted successfully",
+    ITEM_ADDED: "Product added to wishlist",
+    ITEM_REMOVED: "Product removed from wishlist",
+    ITEM_NOT_FOUND: "Wishlist item not found",
+    LIST_NOT_FOUND: "Wishlist not found",
+    INVALID_NAME: "Wishlist name must be between 1 and 50 characters",
+    NAME_EXISTS: "You already have a wishlist with this name",
+    CANNOT_DELETE_DEFAULT: "The default wishlist cannot be deleted",
+    PRODUCT_REQUIRED: "Valid productId is required",
+    ALREADY_EXISTS: "Product is already in this wishlist"
+  },
+  PRODUCT_REPORT: {
+    CREATED: "Product reported successfully. Our team will review it",
+    DETAILS_REQUIRED: "Please describe the problem when choosing reason 'other'",
+    CANNOT_REPORT_OWN: "You cannot report your own product",
+    ALREADY_REPORTED: "You have already reported this product"
+  },
+  FEED: {
+    RETRIEVED: "Feed retrieved successfully",
+    RECENTLY_VIEWED_RETRIEVED: "Recently viewed products retrieved successfully",
+    RECENTLY_VIEWED_CLEARED: "Recently viewed history cleared"
+  },
   STORE: {
     NOT_FOUND: "Store not found",
     GET_INFO_FAILED: "Failed to get store information",
     GET_ALL_FAILED: "Failed to get stores",
-    GET_PRODUCTS_FAILED: "Failed to get store products"
+    GET_PRODUCTS_FAILED: "Failed to get store products",
+    FOLLOWED: "Store followed successfully",
+    UNFOLLOWED: "Store unfollowed successfully",
+    NOT_FOLLOWING: "You are not following this store",
+    CANNOT_FOLLOW_OWN: "You cannot follow your own store",
+    FOLLOWING_RETRIEVED: "Followed stores retrieved successfully"
   },
   USER: {
     CREATED: "User created successfully",
@@ -0,0 +1,55 @@
+// admin-category.controller.js - ADMIN ONLY CATEGORY OPERATIONS
+const AdminCategoryService = require("../../services/admin/admin-category.service");
+const asyncHandler = require("../../middlewares/asyncHandler");
+const ResponseHelper = require("../../utils/response.helper");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+const logger = require("../../utils/logger");
+
+class AdminCategoryController {
+  /**
+   * POST /api/admin/categories - Create category
+   * Body: { name, description?, parent?, isActive? }
+   */
+  static createCategory = asyncHandler(async (req, res) => {
+    logger.info(`👑 Admin ${req.user.username} creating category ${req.body?.name}`);
+
+    const result = await AdminCategoryService.createCategory(req.body);
+
+    return ResponseHelper.success(res, HTTP_STATUS.CREATED, MESSAGES.CATEGORY.CREATED, result);
+  });
+
+  /**
+   * PUT /api/admin/categories/:categoryId - Update / move category
+   * Body: { name?, description?, parent?, isActive? } (parent null = root)
+   */
+  static updateCategory = asyncHandler(async (req, res) => {
+    logger.info(`👑 Admin ${req.user.username} updating category ${req.params.categoryId}`);
+
+    const result = await AdminCategoryService.updateCategory(req.params.categoryId, req.body);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.CATEGORY.UPDATED, result);
+  });
+
+  /**
+   * GET /api/admin/categories/:categoryId/attributes - Get category attribute schema
+   */
+  static getAttributeSchema = asyncHandler(async (req, res) => {
+    const result = await AdminCategoryService.getAttributeSchema(req.params.categoryId);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.CATEGORY.ATTRIBUTES_RETRIEVED, result);
+  });
+
+  /**
+   * PUT /api/admin/categories/:categoryId/attributes - Replace category attribute schema
+   * Body: { attributes: [{ key, label, type, options, unit, required, filterable }] }
+   */
+  static updateAttributeSchema = asyncHandler(async (req, res) => {
+    logger.info(`👑 Admin ${req.user.username} updating attributes of category ${req.params.categoryId}`);
+
+    const result = await AdminCategoryService.updateAttributeSchema(req.params.categoryId, req.body.attributes);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.CATEGORY.ATTRIBUTES_UPDATED, result);
+  });
+}
+
+module.exports = AdminCategoryController;
@@ -0,0 +1,42 @@
+// admin-product.controller.js - ADMIN ONLY PRODUCT MODERATION
+const AdminProductService = require("../../services/admin/admin-product.service");
+const asyncHandler = require("../../middlewares/asyncHandler");
+const ResponseHelper = require("../../utils/response.helper");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+const logger = require("../../utils/logger");
+
+class AdminProductController {
+  /**
+   * GET /api/admin/products - Moderation queue
+   * Query: status (pending_review|approved|rejected|reported|all), sellerId, page, limit
+   */
+  static getModerationQueue = asyncHandler(async (req, res) => {
+    const result = await AdminProductService.getModerationQueue(req.query);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.PRODUCT.MODERATION_QUEUE_RETRIEVED, result);
+  });
+
+  /**
+   * GET /api/admin/products/:productId/reports - Buyer reports of a product
+   * Query: status (open|resolved|dismissed|all), page, limit
+   */
+  static getProductReports = asyncHandler(async (req, res) => {
+    const result = await AdminProductService.getProductReports(req.params.productId, req.query);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.PRODUCT.REPORTS_RETRIEVED, result);
+  });
+
+  /**
+   * PATCH /api/admin/products/:productId/moderation - Approve / reject a product
+   * Body: { status: "approved" | "rejected" | "pending_review", reason? }
+   */
+  static moderateProduct = asyncHandler(async (req, res) => {
+    logger.info(`👑 Admin ${req.user.username} moderating product ${req.params.productId}`);
+
+    const result = await AdminProductService.moderateProduct(req.user._id, req.params.productId, req.body);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.PRODUCT.MODERATED, result);
+  });
+}
+
+module.exports = AdminProductController;
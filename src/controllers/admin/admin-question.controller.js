@@ -0,0 +1,60 @@
+// admin-question.controller.js - ADMIN ONLY PRODUCT Q&A MODERATION
+const AdminQuestionService = require("../../services/admin/admin-question.service");
+const asyncHandler = require("../../middlewares/asyncHandler");
+const ResponseHelper = require("../../utils/response.helper");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+const logger = require("../../utils/logger");
+
+class AdminQuestionController {
+  /**
+   * GET /api/admin/questions - List questions for moderation
+   * Query: status (published|hidden|all), productId, sellerId, hasHiddenAnswers, page, limit
+   */
+  static getQuestions = asyncHandler(async (req, res) => {
+    const result = await AdminQuestionService.getQuestions(req.query);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.QUESTION.RETRIEVED, result);
+  });
+
+  /**
+   * PATCH /api/admin/questions/:questionId/moderation - Hide / restore a question
+   * Body: { status: "published" | "hidden", reason? }
+   */
+  static moderateQuestion = asyncHandler(async (req, res) => {
+    logger.info(`👑 Admin ${req.user.username} moderating question ${req.params.questionId}`);
+
+    const result = await AdminQuestionService.moderateQuestion(req.user._id, req.params.questionId, req.body);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.QUESTION.MODERATED, result);
+  });
+
+  /**
+   * PATCH /api/admin/questions/:questionId/answers/:answerId/moderation - Hide / restore an answer
+   * Body: { status: "published" | "hidden", reason? }
+   */
+  static moderateAnswer = asyncHandler(async (req, res) => {
+    const { questionId, answerId } = req.params;
+
+    logger.info(`👑 Admin ${req.user.username} moderating answer ${answerId} of question ${questionId}`);
+
+    const result = await AdminQuestionService.moderateAnswer(req.user._id, questionId, answerId, req.body);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.QUESTION.ANSWER_MODERATED, result);
+  });
+
+  /**
+   * DELETE /api/admin/questions/:questionId - Permanently delete a question
+   */
+  static deleteQuestion = asyncHandler(async (req, res) => {
+    const deleted = await AdminQuestionService.deleteQuestion(req.params.questionId);
+    if (!deleted) {
+      return ResponseHelper.notFound(res, MESSAGES.QUESTION.NOT_FOUND);
+    }
+
+    logger.info(`👑 Admin ${req.user.username} deleted question ${req.params.questionId}`);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.QUESTION.DELETED);
+  });
+}
+
+module.exports = AdminQuestionController;
@@ -0,0 +1,39 @@
+// admin-search-analytics.controller.js - ADMIN ONLY SEARCH ANALYTICS
+const AdminSearchAnalyticsService = require("../../services/admin/admin-search-analytics.service");
+const asyncHandler = require("../../middlewares/asyncHandler");
+const ResponseHelper = require("../../utils/response.helper");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+
+class AdminSearchAnalyticsController {
+  /**
+   * GET /api/admin/search-analytics/top-queries - Most searched queries
+   * Query: days (default 7), type (search|suggestion), limit
+   */
+  static getTopQueries = asyncHandler(async (req, res) => {
+    const result = await AdminSearchAnalyticsService.getTopQueries(req.query);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.SEARCH.TOP_QUERIES_RETRIEVED, result);
+  });
+
+  /**
+   * GET /api/admin/search-analytics/zero-results - Queries without results
+   * Query: days (default 7), type (search|suggestion), limit
+   */
+  static getZeroResultQueries = asyncHandler(async (req, res) => {
+    const result = await AdminSearchAnalyticsService.getZeroResultQueries(req.query);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.SEARCH.ZERO_RESULTS_RETRIEVED, result);
+  });
+
+  /**
+   * GET /api/admin/search-analytics/click-through - Click-through rate summary, per matchType & per day
+   * Query: days (default 7), type (search|suggestion)
+   */
+  static getClickThroughStats = asyncHandler(async (req, res) => {
+    const result = await AdminSearchAnalyticsService.getClickThroughStats(req.query);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.SEARCH.CLICK_THROUGH_RETRIEVED, result);
+  });
+}
+
+module.exports = AdminSearchAnalyticsController;
@@ -0,0 +1,88 @@
+// admin-search-dictionary.controller.js - ADMIN ONLY SEARCH SYNONYMS & STOP WORDS
+const AdminSearchDictionaryService = require("../../services/admin/admin-search-dictionary.service");
+const asyncHandler = require("../../middlewares/asyncHandler");
+const ResponseHelper = require("../../utils/response.helper");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+const logger = require("../../utils/logger");
+
+class AdminSearchDictionaryController {
+  /**
+   * GET /api/admin/search-dictionary/synonyms - List synonym groups
+   * Query: search, isActive, page, limit
+   */
+  static getSynonyms = asyncHandler(async (req, res) => {
+    const result = await AdminSearchDictionaryService.getSynonyms(req.query);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.SEARCH_DICTIONARY.SYNONYMS_RETRIEVED, result);
+  });
+
+  /**
+   * POST /api/admin/search-dictionary/synonyms - Create a synonym group
+   * Body: { terms: ["sepatu", "shoes"], isActive? }
+   */
+  static createSynonym = asyncHandler(async (req, res) => {
+    const synonym = await AdminSearchDictionaryService.createSynonym(req.user._id, req.body);
+
+    logger.info(`👑 Admin ${req.user.username} created search synonyms: ${synonym.terms.join(", ")}`);
+
+    return ResponseHelper.created(res, MESSAGES.SEARCH_DICTIONARY.SYNONYM_CREATED, synonym);
+  });
+
+  /**
+   * PUT /api/admin/search-dictionary/synonyms/:synonymId - Update a synonym group
+   * Body: { terms?, isActive? }
+   */
+  static updateSynonym = asyncHandler(async (req, res) => {
+    const synonym = await AdminSearchDictionaryService.updateSynonym(req.user._id, req.params.synonymId, req.body);
+
+    logger.info(`👑 Admin ${req.user.username} updated search synonym group ${req.params.synonymId}`);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.SEARCH_DICTIONARY.SYNONYM_UPDATED, synonym);
+  });
+
+  /**
+   * DELETE /api/admin/search-dictionary/synonyms/:synonymId - Delete a synonym group
+   */
+  static deleteSynonym = asyncHandler(async (req, res) => {
+    await AdminSearchDictionaryService.deleteSynonym(req.params.synonymId);
+
+    logger.info(`👑 Admin ${req.user.username} deleted search synonym group ${req.params.synonymId}`);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.SEARCH_DICTIONARY.SYNONYM_DELETED);
+  });
+
+  /**
+   * GET /api/admin/search-dictionary/stop-words - List stop words
+   * Query: search, page, limit
+   */
+  static getStopWords = asyncHandler(async (req, res) => {
+    const result = await AdminSearchDictionaryService.getStopWords(req.query);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.SEARCH_DICTIONARY.STOP_WORDS_RETRIEVED, result);
+  });
+
+  /**
+   * POST /api/admin/search-dictionary/stop-words - Add a stop word
+   * Body: { word }
+   */
+  static createStopWord = asyncHandler(async (req, res) => {
+    const stopWord = await AdminSearchDictionaryService.createStopWord(req.user._id, req.body);
+
+    logger.info(`👑 Admin ${req.user.username} added search stop word "${stopWord.word}"`);
+
+    return ResponseHelper.created(res, MESSAGES.SEARCH_DICTIONARY.STOP_WORD_CREATED, stopWord);
+  });
+
+  /**
+   * DELETE /api/admin/search-dictionary/stop-words/:stopWordId - Delete a stop word
+   */
+  static deleteStopWord = asyncHandler(async (req, res) => {
+    await AdminSearchDictionaryService.deleteStopWord(req.params.stopWordId);
+
+    logger.info(`👑 Admin ${req.user.username} deleted search stop word ${req.params.stopWordId}`);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.SEARCH_DICTIONARY.STOP_WORD_DELETED);
+  });
+}
+
+module.exports = AdminSearchDictionaryController;
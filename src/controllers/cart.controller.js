@@ -2,6 +2,7 @@
 const { HTTP_STATUS, MESSAGES } = require("../constants/httpStatus");
 const CartService = require("../services/cart.service");
 const CouponService = require("../services/coupon.service");
+const ProductRecommendationService = require("../services/product-recommendation.service");
 const asyncHandler = require('../middlewares/asyncHandler');
 
 // Import logger
@@ -25,10 +26,10 @@ class CartController {
    * POST /api/cart/add - Add item to cart
    */
   static addToCart = asyncHandler(async (req, res) => {
-    const { productId, quantity = 1 } = req.body;
+    const { productId, quantity = 1, variantId = null } = req.body;
     const userId = req.user._id;
 
-    const cart = await CartService.addItemToCart(userId, productId, quantity);
+    const cart = await CartService.addItemToCart(userId, productId, quantity, variantId);
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
@@ -42,13 +43,14 @@ class CartController {
    */
   static updateCartItem = asyncHandler(async (req, res) => {
     const { productId } = req.params;
-    const { quantity } = req.body;
+    const { quantity, variantId = null } = req.body;
     const userId = req.user._id;
 
     const result = await CartService.updateCartItem(
       userId,
       productId,
-      quantity
+      quantity,
+      variantId
     );
 
     res.status(HTTP_STATUS.OK).json({
@@ -61,13 +63,14 @@ class CartController {
   });
 
   /**
-   * DELETE /api/cart/productId - Remove item from cart
+   * DELETE /api/cart/productId?variantId= - Remove item from cart
    */
   static removeFromCart = asyncHandler(async (req, res) => {
     const { productId } = req.params;
+    const { variantId = null } = req.query;
     const userId = req.user._id;
 
-    const cart = await CartService.removeItemFromCart(userId, productId);
+    const cart = await CartService.removeItemFromCart(userId, productId, variantId);
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
@@ -132,6 +135,22 @@ static removeCoupon = asyncHandler(async (req, res) => {
       data: result,
     });
   });
+
+  /**
+   * GET /api/cart/recommendations - Frequently bought together with cart items (upsell)
+   */
+  static getRecommendations = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const result = await ProductRecommendationService.getCartRecommendations(userId, {
+      limit: req.query.limit,
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.CART.RECOMMENDATIONS_RETRIEVED,
+      data: result,
+    });
+  });
 }
 
 module.exports = CartController;
\ No newline at end of file
@@ -1,7 +1,11 @@
 // search.controller.js
-const Product = require("../models/products.model");
 const Category = require("../models/category.model");
-const SellerProfile = require("../models/seller-profile.model");
+const mongoose = require("mongoose");
+const ProductSearchService = require("../services/product-search.service");
+const SearchAnalyticsService = require("../services/search-analytics.service");
+const { MESSAGES } = require("../constants/httpStatus");
+const { validateQueryParams, calculatePagination, buildPaginationResponse } = require("../utils/query.util");
+const { buildAttributeFilters } = require("../utils/product-attribute.util");
 const logger = require("../utils/logger");
 
 class SearchController {
@@ -13,9 +17,10 @@ class SearchController {
         sellerId,
         minPrice,
         maxPrice,
+        rating,
+        city,
         sortBy = "relevance",
-        page = 1,
-        limit = 10,
+        attr,
       } = req.query;
 
       if (!searchTerm || searchTerm.trim().length < 2) {
@@ -25,6 +30,19 @@ class SearchController {
         });
       }
 
+      for (const [name, value] of Object.entries({ category, sellerId })) {
+        if (value && !mongoose.isValidObjectId(value)) {
+          return res.status(400).json({ success: false, message: `Invalid ${name}` });
+        }
+      }
+
+      if (!ProductSearchService.SORT_OPTIONS.includes(sortBy)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid sortBy. Allowed: ${ProductSearchService.SORT_OPTIONS.join(", ")}`,
+        });
+      }
+
       // Parse dan validate price filters
       const parsedMinPrice = minPrice ? parseFloat(minPrice) : undefined;
       const parsedMaxPrice = maxPrice ? parseFloat(maxPrice) : undefined;
@@ -33,63 +51,86 @@ class SearchController {
       const validMinPrice = parsedMinPrice && !isNaN(parsedMinPrice) ? parsedMinPrice : undefined;
       const validMaxPrice = parsedMaxPrice && !isNaN(parsedMaxPrice) ? parsedMaxPrice : undefined;
 
-      const options = {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        category,
-        sellerId,
-        minPrice: validMinPrice,
-        maxPrice: validMaxPrice,
-        sortBy,
-      };
-
-      const products = await Product.searchProducts(searchTerm.trim(), options);
-
-      // Build count query with validated prices
-      const countQuery = {
-        $and: [
-          { isActive: true },
-          { deletedAt: null },
-          {
-            $or: [{ title: new RegExp(searchTerm.trim(), "i") }, { description: new RegExp(searchTerm.trim(), "i") }],
-          },
-        ],
-        ...(category && { category }),
-        ...(sellerId && { sellerId }),
-      };
-
-      // Only add price filters if they are valid numbers
-      if (validMinPrice !== undefined) {
-        countQuery.price = { ...countQuery.price, $gte: validMinPrice };
+      // rating = rating minimal (bucket rating di facetCounts)
+      const minRating = rating !== undefined && rating !== "" ? parseFloat(rating) : undefined;
+      if (minRating !== undefined && (isNaN(minRating) || minRating < 0 || minRating > 5)) {
+        return res.status(400).json({ success: false, message: "rating must be a number between 0 and 5" });
       }
-      if (validMaxPrice !== undefined) {
-        countQuery.price = { ...countQuery.price, $lte: validMaxPrice };
+
+      // Attribute filters (attr[brand]=Nike,Adidas); schema hanya tersedia jika category dikirim
+      let attributeFilters = {};
+      const attributeDefinitions = category ? await Category.getAttributeSchema(category) : [];
+
+      if (attr !== undefined) {
+        const attrValidation = validateQueryParams({ attr }, ["attr"]);
+        const attrResult = attrValidation.isValid
+          ? buildAttributeFilters(attrValidation.sanitizedParams.attr, attributeDefinitions)
+          : attrValidation;
+
+        if (!attrResult.isValid) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid attribute filters: ${attrResult.errors.join("; ")}`,
+          });
+        }
+        attributeFilters = attrResult.filters;
       }
 
-      const totalCount = await Product.countDocuments(countQuery);
+      // limit di-parse (dan dibatasi) sebelum dipakai menghitung totalPages
+      const { page, limit, skip } = calculatePagination(req.query.page || 1, req.query.limit || 10);
+
+      const cityFilter = typeof city === "string" && city.trim() ? city : undefined;
+      const [search, stores] = await Promise.all([
+        ProductSearchService.searchProducts(searchTerm.trim(), {
+          category,
+          sellerId,
+          minPrice: validMinPrice,
+          maxPrice: validMaxPrice,
+          minRating,
+          city: cityFilter,
+          sortBy,
+          skip,
+          limit,
+          attributeFilters,
+          attributeDefinitions,
+        }),
+        ProductSearchService.searchStores(searchTerm.trim(), { city: cityFilter }),
+      ]);
+      const { products, total, matchType, facets, facetCounts } = search;
+      const pagination = buildPaginationResponse(total, page, limit);
 
       res.json({
         success: true,
         data: {
           products,
           pagination: {
-            currentPage: parseInt(page),
-            totalPages: Math.ceil(totalCount / limit),
-            totalItems: totalCount,
-            itemsPerPage: parseInt(limit),
-            hasNext: page * limit < totalCount,
-            hasPrev: page > 1,
+            currentPage: page,
+            totalPages: pagination.totalPages,
+            totalItems: total,
+            itemsPerPage: limit,
+            hasNext: pagination.hasNext,
+            hasPrev: pagination.hasPrev,
           },
           searchTerm,
+          // text: cocok lewat text index, fuzzy: hasil toleransi typo (tidak ada kecocokan persis)
+          matchType,
           filters: {
             category,
             sellerId,
             minPrice,
             maxPrice,
+            rating: minRating ?? null,
+            city: city || null,
             sortBy,
+            attributes: attr || null,
           },
+          facets,
+          // Sidebar: kategori, rentang harga, rating, toko & kota (tiap grup dihitung tanpa filternya sendiri)
+          facetCounts,
+          // Section toko: toko yang nama/deskripsinya cocok dengan kata kunci (tidak ikut pagination produk)
+          stores,
         },
-        message: `Found ${totalCount} products for "${searchTerm}"`,
+        message: `Found ${total} products for "${searchTerm}"`,
       });
     } catch (error) {
       logger.error("Search products error:", error);
@@ -117,54 +158,12 @@ class SearchController {
         });
       }
 
-      const searchRegex = new RegExp(query.trim(), "i");
-
-      // Product suggestions
-      const productSuggestions = await Product.find({
-        title: searchRegex,
-        isActive: true,
-        deletedAt: null,
-      })
-        .select("title slug")
-        .limit(parseInt(limit))
-        .lean();
-
-      // Category suggestions
-      const categorySuggestions = await Category.find({
-        name: searchRegex,
-        isActive: true,
-      })
-        .select("name")
-        .limit(parseInt(limit))
-        .lean();
-
-      // Seller suggestions
-      const sellerSuggestions = await SellerProfile.find({
-        storeName: searchRegex,
-        status: "active",
-        isArchived: false,
-        deletedAt: null,
-      })
-        .select("storeName storeSlug logo")
-        .limit(parseInt(limit))
-        .lean();
+      const suggestionLimit = Math.min(Math.max(parseInt(limit) || 5, 1), 20);
+      const suggestions = await ProductSearchService.getSuggestions(query, suggestionLimit);
 
       res.json({
         success: true,
-        data: {
-          products: productSuggestions.map(p => ({
-            title: p.title,
-            slug: p.slug,
-          })),
-          categories: categorySuggestions.map(c => ({
-            name: c.name,
-          })),
-          sellers: sellerSuggestions.map(s => ({
-            storeName: s.storeName,
-            storeSlug: s.storeSlug,
-            logo: s.logo,
-          })),
-        },
+        data: suggestions,
         message: "Search suggestions retrieved successfully",
       });
     } catch (error) {
@@ -176,6 +175,48 @@ class SearchController {
       });
     }
   }
+
+  static async getTrendingSearches(req, res) {
+    try {
+      const trending = await SearchAnalyticsService.getTrendingSearches(req.query.limit);
+
+      res.json({
+        success: true,
+        data: trending,
+        message: MESSAGES.SEARCH.TRENDING_RETRIEVED,
+      });
+    } catch (error) {
+      logger.error("Get trending searches error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get trending searches",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      });
+    }
+  }
+
+  static async recordSearchClick(req, res) {
+    try {
+      const click = await SearchAnalyticsService.recordClick(req.params.searchId, req.body || {});
+
+      res.json({
+        success: true,
+        data: click,
+        message: MESSAGES.SEARCH.CLICK_RECORDED,
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+
+      logger.error("Record search click error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to record search click",
+        error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+      });
+    }
+  }
 }
 
 module.exports = SearchController;
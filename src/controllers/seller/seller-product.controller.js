@@ -2,6 +2,10 @@
 const asyncHandler = require("../../middlewares/asyncHandler");
 const SellerProfileService = require("../../services/seller/seller-profile.service");
 const SellerProductService = require("../../services/seller/seller-product.service");
+const SellerProductImportService = require("../../services/seller/seller-product-import.service");
+const ProductPricingService = require("../../services/seller/product-pricing.service");
+const StockReservationService = require("../../services/order/stock-reservation.service");
+const InventoryMovementService = require("../../services/inventory-movement.service");
 const ResponseHelper = require("../../utils/response.helper");
 const ValidationHelper = require("../../utils/validation.helper");
 const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
@@ -48,7 +52,7 @@ class SellerProductController {
     }
 
     // Create product
-    const product = await SellerProductService.createProduct(sellerProfile._id, validation.data);
+    const product = await SellerProductService.createProduct(sellerProfile._id, validation.data, { actor: userId });
 
     logger.info(`✅ Product created: ${product.title}`);
 
@@ -186,8 +190,36 @@ class SellerProductController {
       }
     }
 
+    // Validate variants if being updated (replace seluruh daftar varian)
+    if (partialUpdates.variants !== undefined) {
+      const variantValidation = ValidationHelper.validateVariants(partialUpdates.variants);
+      if (!variantValidation.isValid) {
+        return ResponseHelper.badRequest(res, "Validation failed", variantValidation.errors);
+      }
+      partialUpdates.variants = variantValidation.value;
+    }
+
+    // Isi bundle (replace seluruh komponen); kepemilikan komponen dicek di service
+    if (partialUpdates.bundleItems !== undefined) {
+      const bundleValidation = ValidationHelper.validateBundleItems(partialUpdates.bundleItems);
+      if (!bundleValidation.isValid) {
+        return ResponseHelper.badRequest(res, "Validation failed", bundleValidation.errors);
+      }
+      partialUpdates.bundleItems = bundleValidation.value;
+    }
+
+    if (partialUpdates.lowStockThreshold !== undefined) {
+      const thresholdValidation = ValidationHelper.validateLowStockThreshold(partialUpdates.lowStockThreshold);
+      if (!thresholdValidation.isValid) {
+        return ResponseHelper.badRequest(res, `Validation failed: ${thresholdValidation.errors.join(", ")}`);
+      }
+      partialUpdates.lowStockThreshold = thresholdValidation.value;
+    }
+
     // Update product with partial data
-    const product = await SellerProductService.updateProduct(productId, sellerProfile._id, partialUpdates);
+    const product = await SellerProductService.updateProduct(productId, sellerProfile._id, partialUpdates, {
+      actor: userId,
+    });
     if (!product) {
       return ResponseHelper.notFound(res, MESSAGES.PRODUCT.NOT_FOUND);
     }
@@ -228,6 +260,190 @@ class SellerProductController {
     return ResponseHelper.success(res, HTTP_STATUS.OK, `Product ${actionText} successfully`, product);
   });
 
+  /**
+   * Update draft / scheduled publishing
+   */
+  static updatePublication = asyncHandler(async (req, res) => {
+    const userId = req.user._id || req.user.id;
+    const { productId } = req.params;
+
+    logger.info(`🗓️ Updating publication ${productId} for seller: ${userId}`);
+
+    const validation = ValidationHelper.validatePublication(req.body || {});
+    if (!validation.isValid) {
+      return ResponseHelper.badRequest(res, `Validation failed: ${validation.errors.join(", ")}`);
+    }
+    if (Object.keys(validation.value).length === 0) {
+      return ResponseHelper.badRequest(res, "publishStatus, publishAt or unpublishAt is required");
+    }
+
+    // Get seller profile
+    const sellerProfile = await SellerProfileService.findByUserId(userId);
+    if (!sellerProfile) {
+      return ResponseHelper.notFound(res, MESSAGES.SELLER_PROFILE.NOT_FOUND);
+    }
+
+    const product = await SellerProductService.updatePublication(productId, sellerProfile._id, validation.value);
+    if (!product) {
+      return ResponseHelper.notFound(res, MESSAGES.PRODUCT.NOT_FOUND);
+    }
+
+    logger.info(`✅ Product publication updated: ${product.title} - ${product.publishStatus}`);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.PRODUCT.PUBLICATION_UPDATED, product);
+  });
+
+  /**
+   * Get available vs reserved stock (per varian)
+   */
+  static getStockSummary = asyncHandler(async (req, res) => {
+    const userId = req.user._id || req.user.id;
+    const { productId } = req.params;
+
+    const sellerProfile = await SellerProfileService.findByUserId(userId);
+    if (!sellerProfile) {
+      return ResponseHelper.notFound(res, MESSAGES.SELLER_PROFILE.NOT_FOUND);
+    }
+
+    const summary = await StockReservationService.getProductStockSummary(productId, sellerProfile._id);
+    if (!summary) {
+      return ResponseHelper.notFound(res, MESSAGES.PRODUCT.NOT_FOUND);
+    }
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.PRODUCT.STOCK_RETRIEVED, summary);
+  });
+
+  /**
+   * Get stock movement ledger (penjualan, restore pembatalan, penyesuaian manual, import)
+   */
+  static getStockHistory = asyncHandler(async (req, res) => {
+    const userId = req.user._id || req.user.id;
+    const { productId } = req.params;
+    const { variantId, type, page, limit } = req.query;
+
+    const sellerProfile = await SellerProfileService.findByUserId(userId);
+    if (!sellerProfile) {
+      return ResponseHelper.notFound(res, MESSAGES.SELLER_PROFILE.NOT_FOUND);
+    }
+
+    const history = await InventoryMovementService.getStockHistory(productId, sellerProfile._id, {
+      variantId,
+      type,
+      page,
+      limit,
+    });
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.INVENTORY.HISTORY_RETRIEVED, history);
+  });
+
+  /**
+   * Manual stock adjustment with reason
+   */
+  static adjustStock = asyncHandler(async (req, res) => {
+    const userId = req.user._id || req.user.id;
+    const { productId } = req.params;
+
+    const validation = ValidationHelper.validateStockAdjustment(req.body);
+    if (!validation.isValid) {
+      return ResponseHelper.badRequest(res, `Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    logger.info(`📦 Adjusting stock of product ${productId} by ${validation.value.quantity} for seller: ${userId}`);
+
+    const sellerProfile = await SellerProfileService.findByUserId(userId);
+    if (!sellerProfile) {
+      return ResponseHelper.notFound(res, MESSAGES.SELLER_PROFILE.NOT_FOUND);
+    }
+
+    const result = await InventoryMovementService.adjustStock(productId, sellerProfile._id, userId, validation.value);
+
+    return ResponseHelper.created(res, MESSAGES.INVENTORY.ADJUSTED, result);
+  });
+
+  /**
+   * Get pricing, compare-at price and sale windows
+   */
+  static getPricing = asyncHandler(async (req, res) => {
+    const userId = req.user._id || req.user.id;
+    const { productId } = req.params;
+
+    const sellerProfile = await SellerProfileService.findByUserId(userId);
+    if (!sellerProfile) {
+      return ResponseHelper.notFound(res, MESSAGES.SELLER_PROFILE.NOT_FOUND);
+    }
+
+    const pricing = await ProductPricingService.getPricing(productId, sellerProfile._id);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.PRODUCT.PRICING_RETRIEVED, pricing);
+  });
+
+  /**
+   * Set or remove compare-at ("was") price
+   */
+  static updateCompareAtPrice = asyncHandler(async (req, res) => {
+    const userId = req.user._id || req.user.id;
+    const { productId } = req.params;
+
+    const validation = ValidationHelper.validateCompareAtPrice(req.body?.compareAtPrice);
+    if (!validation.isValid) {
+      return ResponseHelper.badRequest(res, `Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    logger.info(`🏷️ Updating compare-at price ${productId} for seller: ${userId}`);
+
+    const sellerProfile = await SellerProfileService.findByUserId(userId);
+    if (!sellerProfile) {
+      return ResponseHelper.notFound(res, MESSAGES.SELLER_PROFILE.NOT_FOUND);
+    }
+
+    const pricing = await ProductPricingService.updateCompareAtPrice(productId, sellerProfile._id, validation.value);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.PRODUCT.PRICING_UPDATED, pricing);
+  });
+
+  /**
+   * Schedule a sale window
+   */
+  static addSale = asyncHandler(async (req, res) => {
+    const userId = req.user._id || req.user.id;
+    const { productId } = req.params;
+
+    const validation = ValidationHelper.validateSaleWindow(req.body);
+    if (!validation.isValid) {
+      return ResponseHelper.badRequest(res, `Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    logger.info(`🏷️ Scheduling ${validation.value.percentOff}% sale for product ${productId}`);
+
+    const sellerProfile = await SellerProfileService.findByUserId(userId);
+    if (!sellerProfile) {
+      return ResponseHelper.notFound(res, MESSAGES.SELLER_PROFILE.NOT_FOUND);
+    }
+
+    const pricing = await ProductPricingService.addSale(productId, sellerProfile._id, validation.value);
+
+    return ResponseHelper.created(res, MESSAGES.PRODUCT.SALE_SCHEDULED, pricing);
+  });
+
+  /**
+   * Cancel a sale window (sale berjalan langsung diakhiri)
+   */
+  static cancelSale = asyncHandler(async (req, res) => {
+    const userId = req.user._id || req.user.id;
+    const { productId, saleId } = req.params;
+
+    logger.info(`🏷️ Cancelling sale ${saleId} of product ${productId}`);
+
+    const sellerProfile = await SellerProfileService.findByUserId(userId);
+    if (!sellerProfile) {
+      return ResponseHelper.notFound(res, MESSAGES.SELLER_PROFILE.NOT_FOUND);
+    }
+
+    const pricing = await ProductPricingService.cancelSale(productId, sellerProfile._id, saleId);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.PRODUCT.SALE_CANCELLED, pricing);
+  });
+
   /**
    * Delete product
    */
@@ -345,6 +561,106 @@ class SellerProductController {
     });
   });
 
+  /**
+   * Add images to product gallery (multipart field: images[], alts[])
+   */
+  static addGalleryImages = asyncHandler(async (req, res) => {
+    const userId = req.user._id || req.user.id;
+    const { productId } = req.params;
+    const altTexts = [].concat(req.body.alts || []);
+
+    logger.info(`🖼️ Adding ${req.files?.length || 0} gallery image(s) for product ${productId}`);
+
+    const sellerProfile = await SellerProfileService.findByUserId(userId);
+    if (!sellerProfile) {
+      return ResponseHelper.notFound(res, MESSAGES.SELLER_PROFILE.NOT_FOUND);
+    }
+
+    const result = await SellerProductService.addGalleryImages(productId, sellerProfile._id, req.files, altTexts);
+
+    if (!result.success) {
+      return ResponseHelper.badRequest(res, result.message);
+    }
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.PRODUCT.GALLERY_UPDATED, {
+      gallery: result.gallery,
+    });
+  });
+
+  /**
+   * Update gallery image alt text / primary flag
+   */
+  static updateGalleryImage = asyncHandler(async (req, res) => {
+    const userId = req.user._id || req.user.id;
+    const { productId, imageId } = req.params;
+    const { alt, isPrimary } = req.body;
+
+    const sellerProfile = await SellerProfileService.findByUserId(userId);
+    if (!sellerProfile) {
+      return ResponseHelper.notFound(res, MESSAGES.SELLER_PROFILE.NOT_FOUND);
+    }
+
+    const result = await SellerProductService.updateGalleryImage(productId, sellerProfile._id, imageId, {
+      alt,
+      isPrimary,
+    });
+
+    if (!result.success) {
+      return ResponseHelper.badRequest(res, result.message);
+    }
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.PRODUCT.GALLERY_UPDATED, {
+      gallery: result.gallery,
+    });
+  });
+
+  /**
+   * Reorder gallery images
+   */
+  static reorderGalleryImages = asyncHandler(async (req, res) => {
+    const userId = req.user._id || req.user.id;
+    const { productId } = req.params;
+    const { imageIds } = req.body;
+
+    const sellerProfile = await SellerProfileService.findByUserId(userId);
+    if (!sellerProfile) {
+      return ResponseHelper.notFound(res, MESSAGES.SELLER_PROFILE.NOT_FOUND);
+    }
+
+    const result = await SellerProductService.reorderGalleryImages(productId, sellerProfile._id, imageIds);
+
+    if (!result.success) {
+      return ResponseHelper.badRequest(res, result.message);
+    }
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.PRODUCT.GALLERY_UPDATED, {
+      gallery: result.gallery,
+    });
+  });
+
+  /**
+   * Remove image from gallery
+   */
+  static removeGalleryImage = asyncHandler(async (req, res) => {
+    const userId = req.user._id || req.user.id;
+    const { productId, imageId } = req.params;
+
+    const sellerProfile = await SellerProfileService.findByUserId(userId);
+    if (!sellerProfile) {
+      return ResponseHelper.notFound(res, MESSAGES.SELLER_PROFILE.NOT_FOUND);
+    }
+
+    const result = await SellerProductService.removeGalleryImage(productId, sellerProfile._id, imageId);
+
+    if (!result.success) {
+      return ResponseHelper.badRequest(res, result.message);
+    }
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.PRODUCT.GALLERY_UPDATED, {
+      gallery: result.gallery,
+    });
+  });
+
   /**
    * Get dashboard stats
    */
@@ -406,6 +722,7 @@ class SellerProductController {
       "minPrice",
       "maxPrice",
       "inStock",
+      "cursor",
     ];
 
     const queryKeys = Object.keys(req.query);
@@ -428,6 +745,77 @@ class SellerProductController {
 
     return ResponseHelper.success(res, HTTP_STATUS.OK, "Store products retrieved successfully", result);
   });
+
+  /**
+   * Import products from CSV / JSON lines (background job)
+   */
+  static importProducts = asyncHandler(async (req, res) => {
+    const userId = req.user._id || req.user.id;
+
+    const sellerProfile = await SellerProfileService.findByUserId(userId);
+    if (!sellerProfile || sellerProfile.status !== "active") {
+      return ResponseHelper.notFound(res, MESSAGES.SELLER_PROFILE.ACTIVE_NOT_FOUND);
+    }
+
+    logger.info(`📥 Product import requested by seller: ${sellerProfile._id}`);
+
+    const job = await SellerProductImportService.createImportJob(sellerProfile._id, req.file, userId);
+
+    return ResponseHelper.success(res, HTTP_STATUS.ACCEPTED, MESSAGES.PRODUCT.IMPORT_QUEUED, job);
+  });
+
+  /**
+   * Get import job status & per-row report
+   */
+  static getImportJob = asyncHandler(async (req, res) => {
+    const userId = req.user._id || req.user.id;
+    const { jobId } = req.params;
+
+    const sellerProfile = await SellerProfileService.findByUserId(userId);
+    if (!sellerProfile) {
+      return ResponseHelper.notFound(res, MESSAGES.SELLER_PROFILE.NOT_FOUND);
+    }
+
+    const job = await SellerProductImportService.getImportJob(jobId, sellerProfile._id, {
+      failedOnly: req.query.failedOnly === "true",
+    });
+    if (!job) {
+      return ResponseHelper.notFound(res, MESSAGES.PRODUCT.IMPORT_NOT_FOUND);
+    }
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, "Import job retrieved successfully", job);
+  });
+
+  /**
+   * Export seller catalog as CSV / JSON lines
+   */
+  static exportProducts = asyncHandler(async (req, res) => {
+    const userId = req.user._id || req.user.id;
+    const { format = "csv", ...filters } = req.query;
+
+    const allowedParams = ["format", "sortBy", "sortOrder", "status", "category", "search", "minPrice", "maxPrice", "inStock"];
+    const invalidParams = Object.keys(req.query).filter(key => !allowedParams.includes(key));
+    if (invalidParams.length > 0) {
+      return ResponseHelper.badRequest(res, `Invalid query parameters: ${invalidParams.join(", ")}`);
+    }
+
+    if (!["csv", "jsonl"].includes(format)) {
+      return ResponseHelper.badRequest(res, "Format must be csv or jsonl");
+    }
+
+    const sellerProfile = await SellerProfileService.findByUserId(userId);
+    if (!sellerProfile) {
+      return ResponseHelper.notFound(res, MESSAGES.SELLER_PROFILE.NOT_FOUND);
+    }
+
+    const result = await SellerProductImportService.exportProducts(sellerProfile._id, filters, format);
+
+    logger.info(`📤 Exported ${result.totalItems} products for seller: ${sellerProfile._id}`);
+
+    res.setHeader("Content-Type", result.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${result.fileName}"`);
+    return res.status(HTTP_STATUS.OK).send(result.content);
+  });
 }
 
 module.exports = SellerProductController;
@@ -244,9 +244,10 @@ class SellerProfileController {
 
   /**
    * Get all active stores (public)
+   * Query: search, city, province, minRating, minProducts, sortBy (relevance|newest|rating|products), page, limit
    */
   static getAllStores = asyncHandler(async (req, res) => {
-    const { page = 1, limit = 12, search, city, sortBy = "createdAt", sortOrder = -1 } = req.query;
+    const { page = 1, limit = 12, search, city, province, minRating, minProducts, sortBy, sortOrder } = req.query;
 
     logger.info(`🏪 Getting all active stores - Page: ${page}`);
 
@@ -255,6 +256,9 @@ class SellerProfileController {
       limit,
       search,
       city,
+      province,
+      minRating,
+      minProducts,
       sortBy,
       sortOrder,
     });
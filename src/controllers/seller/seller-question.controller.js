@@ -0,0 +1,71 @@
+// seller-question.controller.js - Inbox pertanyaan produk seller
+const asyncHandler = require("../../middlewares/asyncHandler");
+const SellerProfileService = require("../../services/seller/seller-profile.service");
+const SellerQuestionService = require("../../services/seller/seller-question.service");
+const ResponseHelper = require("../../utils/response.helper");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+const logger = require("../../utils/logger");
+
+/**
+ * Seller Question Controller
+ * Handles the seller's product question inbox
+ */
+class SellerQuestionController {
+  /**
+   * GET /api/seller/questions - Inbox
+   * Query: status (unanswered|answered|all), productId, page, limit
+   */
+  static getInbox = asyncHandler(async (req, res) => {
+    const sellerProfile = await SellerProfileService.findByUserId(req.user._id);
+    if (!sellerProfile) {
+      return ResponseHelper.notFound(res, MESSAGES.SELLER_PROFILE.NOT_FOUND);
+    }
+
+    const result = await SellerQuestionService.getInbox(sellerProfile._id, req.query);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.QUESTION.RETRIEVED, result);
+  });
+
+  /**
+   * POST /api/seller/questions/:questionId/answers - Answer a question
+   * Body: { answer }
+   */
+  static answerQuestion = asyncHandler(async (req, res) => {
+    const { questionId } = req.params;
+
+    const sellerProfile = await SellerProfileService.findByUserId(req.user._id);
+    if (!sellerProfile) {
+      return ResponseHelper.notFound(res, MESSAGES.SELLER_PROFILE.NOT_FOUND);
+    }
+
+    logger.info(`💬 Seller ${sellerProfile.storeName} answering question ${questionId}`);
+
+    const question = await SellerQuestionService.answerQuestion(
+      sellerProfile._id,
+      req.user._id,
+      questionId,
+      req.body.answer
+    );
+
+    return ResponseHelper.created(res, MESSAGES.QUESTION.ANSWERED, question);
+  });
+
+  /**
+   * PATCH /api/seller/questions/:questionId/answers/:answerId - Edit own answer
+   * Body: { answer }
+   */
+  static updateAnswer = asyncHandler(async (req, res) => {
+    const { questionId, answerId } = req.params;
+
+    const sellerProfile = await SellerProfileService.findByUserId(req.user._id);
+    if (!sellerProfile) {
+      return ResponseHelper.notFound(res, MESSAGES.SELLER_PROFILE.NOT_FOUND);
+    }
+
+    const question = await SellerQuestionService.updateAnswer(sellerProfile._id, questionId, answerId, req.body.answer);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.QUESTION.ANSWER_UPDATED, question);
+  });
+}
+
+module.exports = SellerQuestionController;
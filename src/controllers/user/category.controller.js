@@ -0,0 +1,23 @@
+// controllers/user/category.controller.js
+const Category = require("../../models/category.model");
+const asyncHandler = require("../../middlewares/asyncHandler");
+const ResponseHelper = require("../../utils/response.helper");
+const logger = require("../../utils/logger");
+const { HTTP_STATUS } = require("../../constants/httpStatus");
+
+class CategoryController {
+  /**
+   * GET /api/categories - Nested category tree with rolled-up product counts
+   */
+  static getCategoryTree = asyncHandler(async (req, res) => {
+    logger.info("🗂️ Getting category tree");
+
+    const tree = await Category.getCategoriesWithProductCount();
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, "Categories retrieved successfully", {
+      categories: tree,
+    });
+  });
+}
+
+module.exports = CategoryController;
@@ -0,0 +1,46 @@
+// feed.controller.js - Home feed personal & recently viewed products
+const asyncHandler = require("../../middlewares/asyncHandler");
+const FeedService = require("../../services/user/feed.service");
+const ResponseHelper = require("../../utils/response.helper");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+
+/**
+ * Feed Controller
+ * Handles the personalized home feed (user & guest) and view history of the logged in user
+ */
+class FeedController {
+  /**
+   * GET /api/feed
+   * Optional JWT; guest dikenali lewat header `Authorization: Session <id>`
+   */
+  static getFeed = asyncHandler(async (req, res) => {
+    const viewer = {
+      userId: req.user?._id || null,
+      sessionId: req.user ? null : req.sessionId || null,
+    };
+
+    const result = await FeedService.getFeed(viewer, req.query);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.FEED.RETRIEVED, result);
+  });
+
+  /**
+   * GET /api/users/me/recently-viewed
+   */
+  static getRecentlyViewed = asyncHandler(async (req, res) => {
+    const result = await FeedService.getRecentlyViewed(req.user._id, req.query);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.FEED.RECENTLY_VIEWED_RETRIEVED, result);
+  });
+
+  /**
+   * DELETE /api/users/me/recently-viewed
+   */
+  static clearRecentlyViewed = asyncHandler(async (req, res) => {
+    const removed = await FeedService.clearRecentlyViewed(req.user._id);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.FEED.RECENTLY_VIEWED_CLEARED, { removed });
+  });
+}
+
+module.exports = FeedController;
@@ -0,0 +1,121 @@
+// notification.controller.js - In-app notifications & back-in-stock subscriptions
+const mongoose = require("mongoose");
+const asyncHandler = require("../../middlewares/asyncHandler");
+const Notification = require("../../models/notification.model");
+const NotificationService = require("../../services/user/notification.service");
+const StockAlertService = require("../../services/stock-alert.service");
+const ResponseHelper = require("../../utils/response.helper");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+const logger = require("../../utils/logger");
+
+/**
+ * Notification Controller
+ * Handles in-app notifications and back-in-stock subscriptions of the logged in user
+ */
+class NotificationController {
+  static SUBSCRIPTION_STATUSES = ["active", "notified", "cancelled", "all"];
+
+  /**
+   * GET /api/users/me/notifications
+   */
+  static getMyNotifications = asyncHandler(async (req, res) => {
+    const { type } = req.query;
+
+    if (type && !Notification.TYPES.includes(type)) {
+      return ResponseHelper.badRequest(res, `Invalid type. Allowed: ${Notification.TYPES.join(", ")}`);
+    }
+
+    const result = await NotificationService.getNotifications(req.user._id, req.query);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.NOTIFICATION.RETRIEVED, result);
+  });
+
+  /**
+   * PATCH /api/users/me/notifications/:notificationId/read
+   */
+  static markAsRead = asyncHandler(async (req, res) => {
+    const { notificationId } = req.params;
+
+    if (!mongoose.isValidObjectId(notificationId)) {
+      return ResponseHelper.badRequest(res, MESSAGES.NOTIFICATION.INVALID_ID);
+    }
+
+    const notification = await NotificationService.markAsRead(req.user._id, notificationId);
+    if (!notification) {
+      return ResponseHelper.notFound(res, MESSAGES.NOTIFICATION.NOT_FOUND);
+    }
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.NOTIFICATION.MARKED_READ, notification);
+  });
+
+  /**
+   * PATCH /api/users/me/notifications/read-all
+   */
+  static markAllAsRead = asyncHandler(async (req, res) => {
+    const updated = await NotificationService.markAllAsRead(req.user._id);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.NOTIFICATION.ALL_MARKED_READ, { updated });
+  });
+
+  /**
+   * GET /api/users/me/stock-subscriptions
+   */
+  static getMyStockSubscriptions = asyncHandler(async (req, res) => {
+    const { status = "active" } = req.query;
+
+    if (!NotificationController.SUBSCRIPTION_STATUSES.includes(status)) {
+      return ResponseHelper.badRequest(
+        res,
+        `Invalid status. Allowed: ${NotificationController.SUBSCRIPTION_STATUSES.join(", ")}`
+      );
+    }
+
+    const result = await StockAlertService.getUserSubscriptions(req.user._id, { ...req.query, status });
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.STOCK_SUBSCRIPTION.RETRIEVED, result);
+  });
+
+  /**
+   * POST /api/users/me/stock-subscriptions
+   * Body: { productId, variantId?, channels?: { email, inApp } }
+   */
+  static subscribeBackInStock = asyncHandler(async (req, res) => {
+    const { productId, variantId = null, channels = {} } = req.body;
+
+    if (!productId || !mongoose.isValidObjectId(productId)) {
+      return ResponseHelper.badRequest(res, MESSAGES.STOCK_SUBSCRIPTION.PRODUCT_REQUIRED);
+    }
+    if (variantId && !mongoose.isValidObjectId(variantId)) {
+      return ResponseHelper.badRequest(res, MESSAGES.STOCK_SUBSCRIPTION.INVALID_VARIANT);
+    }
+    if (channels.email === false && channels.inApp === false) {
+      return ResponseHelper.badRequest(res, MESSAGES.STOCK_SUBSCRIPTION.CHANNEL_REQUIRED);
+    }
+
+    logger.info(`🔔 User ${req.user._id} subscribing to restock of product ${productId}`);
+
+    const subscription = await StockAlertService.subscribe(req.user._id, productId, { variantId, channels });
+
+    return ResponseHelper.success(res, HTTP_STATUS.CREATED, MESSAGES.STOCK_SUBSCRIPTION.CREATED, subscription);
+  });
+
+  /**
+   * DELETE /api/users/me/stock-subscriptions/:subscriptionId
+   */
+  static unsubscribeBackInStock = asyncHandler(async (req, res) => {
+    const { subscriptionId } = req.params;
+
+    if (!mongoose.isValidObjectId(subscriptionId)) {
+      return ResponseHelper.badRequest(res, MESSAGES.STOCK_SUBSCRIPTION.INVALID_ID);
+    }
+
+    const cancelled = await StockAlertService.unsubscribe(req.user._id, subscriptionId);
+    if (!cancelled) {
+      return ResponseHelper.notFound(res, MESSAGES.STOCK_SUBSCRIPTION.NOT_FOUND);
+    }
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.STOCK_SUBSCRIPTION.CANCELLED);
+  });
+}
+
+module.exports = NotificationController;
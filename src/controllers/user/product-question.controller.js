@@ -0,0 +1,78 @@
+// product-question.controller.js - Tanya jawab produk (public listing, bertanya, upvote jawaban)
+const asyncHandler = require("../../middlewares/asyncHandler");
+const ProductQuestionService = require("../../services/user/product-question.service");
+const ResponseHelper = require("../../utils/response.helper");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+const logger = require("../../utils/logger");
+
+class ProductQuestionController {
+  static ALLOWED_QUERY_PARAMS = ["page", "limit", "sortBy", "answeredOnly"];
+
+  /**
+   * GET /api/products/:productId/questions - Public Q&A listing
+   */
+  static getProductQuestions = asyncHandler(async (req, res) => {
+    const invalidParams = Object.keys(req.query).filter(
+      key => !ProductQuestionController.ALLOWED_QUERY_PARAMS.includes(key)
+    );
+    if (invalidParams.length > 0) {
+      return ResponseHelper.badRequest(res, `Invalid query parameters: ${invalidParams.join(", ")}`);
+    }
+
+    const result = await ProductQuestionService.getProductQuestions(req.params.productId, req.query);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.QUESTION.RETRIEVED, result);
+  });
+
+  /**
+   * POST /api/products/:productId/questions - Ask a question
+   * Body: { question }
+   */
+  static askQuestion = asyncHandler(async (req, res) => {
+    const { productId } = req.params;
+
+    logger.info(`❓ User ${req.user._id} asking a question on product ${productId}`);
+
+    const question = await ProductQuestionService.askQuestion(req.user, productId, req.body.question);
+
+    return ResponseHelper.created(res, MESSAGES.QUESTION.CREATED, question);
+  });
+
+  /**
+   * DELETE /api/products/:productId/questions/:questionId - Delete own question
+   */
+  static deleteQuestion = asyncHandler(async (req, res) => {
+    const { productId, questionId } = req.params;
+
+    const deleted = await ProductQuestionService.deleteOwnQuestion(req.user._id, productId, questionId);
+    if (!deleted) {
+      return ResponseHelper.notFound(res, MESSAGES.QUESTION.NOT_FOUND);
+    }
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.QUESTION.DELETED);
+  });
+
+  /**
+   * POST /api/products/:productId/questions/:questionId/answers/:answerId/upvote
+   */
+  static upvoteAnswer = asyncHandler(async (req, res) => {
+    const { productId, questionId, answerId } = req.params;
+
+    const result = await ProductQuestionService.setAnswerUpvote(req.user._id, productId, questionId, answerId, true);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.QUESTION.UPVOTED, result);
+  });
+
+  /**
+   * DELETE /api/products/:productId/questions/:questionId/answers/:answerId/upvote
+   */
+  static removeUpvote = asyncHandler(async (req, res) => {
+    const { productId, questionId, answerId } = req.params;
+
+    const result = await ProductQuestionService.setAnswerUpvote(req.user._id, productId, questionId, answerId, false);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.QUESTION.UPVOTE_REMOVED, result);
+  });
+}
+
+module.exports = ProductQuestionController;
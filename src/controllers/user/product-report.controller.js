@@ -0,0 +1,19 @@
+// product-report.controller.js - Buyer melaporkan listing
+const asyncHandler = require("../../middlewares/asyncHandler");
+const ProductReportService = require("../../services/user/product-report.service");
+const ResponseHelper = require("../../utils/response.helper");
+const { MESSAGES } = require("../../constants/httpStatus");
+
+class ProductReportController {
+  /**
+   * POST /api/products/:productId/reports - Report a listing
+   * Body: { reason: counterfeit|prohibited_item|misleading_description|offensive_content|spam|other, details? }
+   */
+  static reportProduct = asyncHandler(async (req, res) => {
+    const report = await ProductReportService.reportProduct(req.user._id, req.params.productId, req.body);
+
+    return ResponseHelper.created(res, MESSAGES.PRODUCT_REPORT.CREATED, report);
+  });
+}
+
+module.exports = ProductReportController;
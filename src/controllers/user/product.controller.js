@@ -3,7 +3,7 @@ const ProductService = require("../../services/user/product.service");
 const asyncHandler = require("../../middlewares/asyncHandler");
 const ResponseHelper = require("../../utils/response.helper");
 const logger = require("../../utils/logger");
-const { HTTP_STATUS } = require("../../constants/httpStatus");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
 
 class ProductController {
   // Constants for parameter validation
@@ -20,9 +20,13 @@ class ProductController {
       "isActive",
       "rating",
       "inStock",
+      "attr",
+      "cursor",
     ],
     getProductById: ["includeDeleted", "compact"],
     getProductBySlug: ["includeDeleted", "compact"],
+    getPriceHistory: ["days", "variantId"],
+    compareProducts: ["ids"],
   };
 
   /**
@@ -221,6 +225,52 @@ class ProductController {
       result
     );
   });
+
+  /**
+   * Get product price history
+   */
+  static getPriceHistory = asyncHandler(async (req, res) => {
+    const { productId } = req.params;
+
+    const validationError = ProductController._validateQueryParams(
+      req.query,
+      ProductController.ALLOWED_QUERY_PARAMS.getPriceHistory
+    );
+    if (validationError) {
+      return ResponseHelper.badRequest(res, validationError.message, validationError.data);
+    }
+
+    logger.info(`📈 Getting price history for product: ${productId}`);
+
+    const result = await ProductService.getPriceHistory(productId, req.query);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.PRODUCT.PRICE_HISTORY_RETRIEVED, result);
+  });
+
+  /**
+   * GET /compare?ids=id1,id2 - Side-by-side comparison (maks 4 produk)
+   */
+  static compareProducts = asyncHandler(async (req, res) => {
+    const validationError = ProductController._validateQueryParams(
+      req.query,
+      ProductController.ALLOWED_QUERY_PARAMS.compareProducts
+    );
+    if (validationError) {
+      return ResponseHelper.badRequest(res, validationError.message, validationError.data);
+    }
+
+    // Mendukung ?ids=a,b maupun ?ids=a&ids=b
+    const ids = [].concat(req.query.ids || []).flatMap(value => String(value).split(","));
+    if (ids.length === 0) {
+      return ResponseHelper.badRequest(res, MESSAGES.PRODUCT.COMPARE_IDS_REQUIRED);
+    }
+
+    logger.info(`⚖️ Comparing products: ${ids.join(", ")}`);
+
+    const result = await ProductService.compareProducts(ids);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.PRODUCT.COMPARED, result);
+  });
 }
 
 module.exports = ProductController;
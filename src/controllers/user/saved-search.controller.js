@@ -0,0 +1,61 @@
+// saved-search.controller.js - Pencarian tersimpan user & pengaturan alert produk baru
+const asyncHandler = require("../../middlewares/asyncHandler");
+const SavedSearchService = require("../../services/user/saved-search.service");
+const ResponseHelper = require("../../utils/response.helper");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+const logger = require("../../utils/logger");
+
+/**
+ * Saved Search Controller
+ * Handles saved searches (query + filters of GET /api/search) of the logged in user
+ */
+class SavedSearchController {
+  /**
+   * GET /api/users/me/saved-searches?page=&limit=
+   */
+  static getSavedSearches = asyncHandler(async (req, res) => {
+    const result = await SavedSearchService.getSavedSearches(req.user._id, req.query);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.SAVED_SEARCH.RETRIEVED, result);
+  });
+
+  /**
+   * POST /api/users/me/saved-searches
+   * Body: { q, category?, sellerId?, minPrice?, maxPrice?, rating?, city?, sortBy?, attr?, name?, alerts? }
+   */
+  static createSavedSearch = asyncHandler(async (req, res) => {
+    logger.info(`🔎 User ${req.user._id} saving search "${req.body.q}"`);
+
+    const savedSearch = await SavedSearchService.createSavedSearch(req.user._id, req.body);
+
+    return ResponseHelper.success(res, HTTP_STATUS.CREATED, MESSAGES.SAVED_SEARCH.CREATED, savedSearch);
+  });
+
+  /**
+   * PATCH /api/users/me/saved-searches/:savedSearchId
+   * Body: { name?, alerts?: { enabled?, channels?: { email?, inApp? } } }
+   */
+  static updateSavedSearch = asyncHandler(async (req, res) => {
+    const savedSearch = await SavedSearchService.updateSavedSearch(
+      req.user._id,
+      req.params.savedSearchId,
+      req.body
+    );
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.SAVED_SEARCH.UPDATED, savedSearch);
+  });
+
+  /**
+   * DELETE /api/users/me/saved-searches/:savedSearchId
+   */
+  static deleteSavedSearch = asyncHandler(async (req, res) => {
+    const deleted = await SavedSearchService.deleteSavedSearch(req.user._id, req.params.savedSearchId);
+    if (!deleted) {
+      return ResponseHelper.notFound(res, MESSAGES.SAVED_SEARCH.NOT_FOUND);
+    }
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.SAVED_SEARCH.DELETED);
+  });
+}
+
+module.exports = SavedSearchController;
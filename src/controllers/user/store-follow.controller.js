@@ -0,0 +1,46 @@
+// store-follow.controller.js - Follow / unfollow toko
+const asyncHandler = require("../../middlewares/asyncHandler");
+const StoreFollowService = require("../../services/user/store-follow.service");
+const ResponseHelper = require("../../utils/response.helper");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+const logger = require("../../utils/logger");
+
+/**
+ * Store Follow Controller
+ * Handles followed stores of the logged in user
+ */
+class StoreFollowController {
+  /**
+   * POST /api/stores/:slug/follow
+   */
+  static followStore = asyncHandler(async (req, res) => {
+    logger.info(`⭐ User ${req.user._id} following store ${req.params.slug}`);
+
+    const result = await StoreFollowService.followStore(req.user._id, req.params.slug);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.STORE.FOLLOWED, result);
+  });
+
+  /**
+   * DELETE /api/stores/:slug/follow
+   */
+  static unfollowStore = asyncHandler(async (req, res) => {
+    const unfollowed = await StoreFollowService.unfollowStore(req.user._id, req.params.slug);
+    if (!unfollowed) {
+      return ResponseHelper.notFound(res, MESSAGES.STORE.NOT_FOLLOWING);
+    }
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.STORE.UNFOLLOWED);
+  });
+
+  /**
+   * GET /api/users/me/following
+   */
+  static getFollowing = asyncHandler(async (req, res) => {
+    const result = await StoreFollowService.getFollowing(req.user._id, req.query);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.STORE.FOLLOWING_RETRIEVED, result);
+  });
+}
+
+module.exports = StoreFollowController;
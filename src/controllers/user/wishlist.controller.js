@@ -0,0 +1,93 @@
+// wishlist.controller.js - Wishlist / favorit user (beberapa list bernama)
+const mongoose = require("mongoose");
+const asyncHandler = require("../../middlewares/asyncHandler");
+const WishlistService = require("../../services/user/wishlist.service");
+const ResponseHelper = require("../../utils/response.helper");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+const logger = require("../../utils/logger");
+
+/**
+ * Wishlist Controller
+ * Handles wishlist items and named lists of the logged in user
+ */
+class WishlistController {
+  /**
+   * GET /api/users/me/wishlist?listId=
+   * Tanpa listId = list default
+   */
+  static getWishlist = asyncHandler(async (req, res) => {
+    const wishlist = await WishlistService.getWishlist(req.user._id, req.query.listId);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.WISHLIST.RETRIEVED, wishlist);
+  });
+
+  /**
+   * POST /api/users/me/wishlist
+   * Body: { productId, variantId?, listId? }
+   */
+  static addItem = asyncHandler(async (req, res) => {
+    const { productId, variantId = null, listId = null } = req.body;
+
+    if (!productId || !mongoose.isValidObjectId(productId)) {
+      return ResponseHelper.badRequest(res, MESSAGES.WISHLIST.PRODUCT_REQUIRED);
+    }
+
+    logger.info(`💖 User ${req.user._id} adding product ${productId} to wishlist`);
+
+    const wishlist = await WishlistService.addItem(req.user._id, { productId, variantId, listId });
+
+    return ResponseHelper.success(res, HTTP_STATUS.CREATED, MESSAGES.WISHLIST.ITEM_ADDED, wishlist);
+  });
+
+  /**
+   * DELETE /api/users/me/wishlist/items/:itemId
+   */
+  static removeItem = asyncHandler(async (req, res) => {
+    const removed = await WishlistService.removeItem(req.user._id, req.params.itemId);
+    if (!removed) {
+      return ResponseHelper.notFound(res, MESSAGES.WISHLIST.ITEM_NOT_FOUND);
+    }
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.WISHLIST.ITEM_REMOVED);
+  });
+
+  /**
+   * GET /api/users/me/wishlist/lists
+   */
+  static getLists = asyncHandler(async (req, res) => {
+    const lists = await WishlistService.getLists(req.user._id);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.WISHLIST.LISTS_RETRIEVED, { lists });
+  });
+
+  /**
+   * POST /api/users/me/wishlist/lists
+   * Body: { name }
+   */
+  static createList = asyncHandler(async (req, res) => {
+    const wishlist = await WishlistService.createList(req.user._id, req.body.name);
+
+    return ResponseHelper.success(res, HTTP_STATUS.CREATED, MESSAGES.WISHLIST.LIST_CREATED, wishlist);
+  });
+
+  /**
+   * PATCH /api/users/me/wishlist/lists/:listId
+   * Body: { name }
+   */
+  static renameList = asyncHandler(async (req, res) => {
+    const wishlist = await WishlistService.renameList(req.user._id, req.params.listId, req.body.name);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.WISHLIST.LIST_UPDATED, wishlist);
+  });
+
+  /**
+   * DELETE /api/users/me/wishlist/lists/:listId
+   */
+  static deleteList = asyncHandler(async (req, res) => {
+    await WishlistService.deleteList(req.user._id, req.params.listId);
+
+    return ResponseHelper.success(res, HTTP_STATUS.OK, MESSAGES.WISHLIST.LIST_DELETED);
+  });
+}
+
+module.exports = WishlistController;
@@ -96,6 +96,26 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Optional auth: set req.user jika token valid, selain itu lanjut sebagai guest (tidak pernah 401)
+exports.optionalAuth = async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith("Bearer ")) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(header.substring(7), process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+    if (user && user.isActive) {
+      req.user = user;
+    }
+  } catch (error) {
+    logger.info(`👤 Optional auth: continuing as guest (${error.message})`);
+  }
+
+  next();
+};
+
 // restrictTo method tetap sama, tidak berubah
 exports.restrictTo = (...roles) => {
   return (req, res, next) => {
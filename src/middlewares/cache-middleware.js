@@ -70,6 +70,8 @@ const productCache = cacheMiddleware(
       maxPrice,
       rating,
       inStock,
+      attr,
+      cursor,
     } = req.query;
 
     // Prioritaskan category dari query param, fallback ke categoryId
@@ -88,6 +90,8 @@ const productCache = cacheMiddleware(
       maxPrice,
       rating,
       inStock,
+      attr: attr ? JSON.stringify(attr) : undefined, // attr[key]=value berupa object
+      cursor,
     };
 
     // Buat cache key yang lebih spesifik berdasarkan endpoint
@@ -179,7 +183,9 @@ const searchCache = cacheMiddleware(
       minPrice,
       maxPrice,
       rating,
+      city,
       inStock,
+      attr,
     } = req.query;
 
     const params = {
@@ -193,14 +199,24 @@ const searchCache = cacheMiddleware(
       minPrice,
       maxPrice,
       rating,
+      city,
       inStock,
+      attr: attr ? JSON.stringify(attr) : undefined,
     };
 
-    return cache.generateKey("search", "results", params);
+    // /search & /search/suggestions memakai q yang sama, response berbeda
+    const endpoint = req.path === "/suggestions" ? "suggestions" : "results";
+    return cache.generateKey("search", endpoint, params);
   },
   180 // 3 minutes
 );
 
+// Trending searches: dihitung dari log 24 jam terakhir, cukup di-refresh tiap 5 menit
+const trendingSearchCache = cacheMiddleware(
+  req => cache.generateKey("search", "trending", { limit: req.query.limit }),
+  300 // 5 minutes
+);
+
 const invalidateProfileCache = (req, res, next) => {
   try {
     const originalJson = res.json;
@@ -326,6 +342,17 @@ const createInvalidateCache = (type = null, getIdFromReq = null) => {
   };
 };
 
+// Clear all product-related cache patterns (dipakai juga oleh background job)
+const clearAllProductCache = () => {
+  const productListDeleted = cache.clearByPattern("products:*");
+  const productDetailDeleted = cache.clearByPattern("product:*");
+  const searchDeleted = cache.clearByPattern("search:*");
+  // Category tree ikut menyimpan jumlah produk per kategori
+  const categoryTreeDeleted = cache.clearByPattern("categories:*");
+
+  return productListDeleted + productDetailDeleted + searchDeleted + categoryTreeDeleted;
+};
+
 const invalidateAllProductCache = (req, res, next) => {
   try {
     const originalJson = res.json;
@@ -333,12 +360,7 @@ const invalidateAllProductCache = (req, res, next) => {
     res.json = function (data) {
       if (data.success !== false && res.statusCode < 400) {
         try {
-          // Clear all product-related cache patterns
-          const productListDeleted = cache.clearByPattern("products:*");
-          const productDetailDeleted = cache.clearByPattern("product:*");
-          const searchDeleted = cache.clearByPattern("search:*");
-
-          const totalDeleted = productListDeleted + productDetailDeleted + searchDeleted;
+          clearAllProductCache();
         } catch (error) {
           logger.error("❌ Product cache invalidation error:", error);
         }
@@ -353,6 +375,30 @@ const invalidateAllProductCache = (req, res, next) => {
   }
 };
 
+// Invalidate search results & suggestions saat kamus pencarian (sinonim / stop words) berubah
+const invalidateSearchCache = (req, res, next) => {
+  try {
+    const originalJson = res.json;
+
+    res.json = function (data) {
+      if (data.success !== false && res.statusCode < 400) {
+        try {
+          const deleted = cache.clearByPattern("search:*");
+          logger.info(`🔎 Search cache invalidated, deleted ${deleted} entries`);
+        } catch (error) {
+          logger.error("❌ Search cache invalidation error:", error);
+        }
+      }
+      return originalJson.call(this, data);
+    };
+
+    next();
+  } catch (error) {
+    logger.error("❌ Cache middleware setup error:", error);
+    next();
+  }
+};
+
 // Cache management routes
 const cacheRoutes = require("express").Router();
 
@@ -458,9 +504,12 @@ module.exports = {
   profileCache,
   sellerProfileCache,
   searchCache,
+  trendingSearchCache,
   invalidateCache: createInvalidateCache, // Updated version
   invalidateProfileCache, // Specific for profile routes
   invalidateAllProductCache,
+  clearAllProductCache,
+  invalidateSearchCache,
   invalidateStoreCache,
   invalidateSellerProductCache,
   cacheRoutes,
@@ -0,0 +1,51 @@
+// middleware/slug-redirect.middleware.js
+// Slug lama (dari slug history) -> 301 ke URL dengan slug sekarang, agar shared link & SEO tidak putus
+const Product = require("../models/products.model");
+const SellerProfile = require("../models/seller-profile.model");
+const logger = require("../utils/logger");
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Build middleware redirect untuk route dengan param `:slug`
+ * Pasang setelah cache middleware: slug sekarang tidak pernah ada di slug history, jadi hanya 1 index lookup
+ * @param {mongoose.Model} Model - Model dengan slugHistoryPlugin
+ * @returns {Function} Express middleware
+ */
+const redirectOldSlug = Model => async (req, res, next) => {
+  const { slug } = req.params;
+
+  // ID (route produk juga menerima ObjectId) tidak punya riwayat
+  if (!slug || OBJECT_ID_PATTERN.test(slug)) {
+    return next();
+  }
+
+  try {
+    const currentSlug = await Model.findCurrentSlug(slug);
+    if (!currentSlug || currentSlug === slug) {
+      return next();
+    }
+
+    // Ganti segmen slug saja, sub-path (mis. /products) & query string dipertahankan
+    const queryIndex = req.originalUrl.indexOf("?");
+    const queryString = queryIndex === -1 ? "" : req.originalUrl.slice(queryIndex);
+    const path = req.path.replace(/^\/[^/]+/, `/${encodeURIComponent(currentSlug)}`);
+
+    logger.info(`↪️ ${Model.modelName} slug ${slug} moved to ${currentSlug}`);
+
+    return res.redirect(301, `${req.baseUrl}${path}${queryString}`);
+  } catch (error) {
+    // Lookup gagal -> lanjut ke handler biasa (404 jika memang tidak ada)
+    logger.error(`❌ Slug redirect lookup failed for ${slug}:`, error);
+    return next();
+  }
+};
+
+const redirectOldProductSlug = redirectOldSlug(Product);
+const redirectOldStoreSlug = redirectOldSlug(SellerProfile);
+
+module.exports = {
+  redirectOldSlug,
+  redirectOldProductSlug,
+  redirectOldStoreSlug,
+};
@@ -0,0 +1,24 @@
+// middleware/track-product-view.middleware.js
+// Catat view detail produk setelah response terkirim (termasuk response dari cache)
+const FeedService = require("../services/user/feed.service");
+const { getViewer } = require("../utils/viewer.util");
+const logger = require("../utils/logger");
+
+const trackProductView = (req, res, next) => {
+  const viewer = getViewer(req);
+  const identifier = req.params.slug || req.params.productId;
+
+  if (viewer && identifier) {
+    res.on("finish", () => {
+      if (res.statusCode !== 200) return;
+
+      FeedService.recordView(viewer, identifier).catch(error =>
+        logger.warn(`⚠️ Failed to record product view: ${error.message}`)
+      );
+    });
+  }
+
+  next();
+};
+
+module.exports = trackProductView;
@@ -0,0 +1,47 @@
+// middleware/track-search.middleware.js
+// Catat query pencarian beserta jumlah hasilnya (termasuk response dari cache) dan tambahkan searchId ke response
+const mongoose = require("mongoose");
+const SearchAnalyticsService = require("../services/search-analytics.service");
+const { getViewer } = require("../utils/viewer.util");
+
+/**
+ * @param {string} type - "search" | "suggestion"
+ * @returns {Function} Express middleware (pasang sebelum searchCache)
+ */
+const trackSearch = type => (req, res, next) => {
+  const query = req.query.q;
+  if (typeof query !== "string" || query.trim().length < 2) {
+    return next();
+  }
+
+  const searchId = new mongoose.Types.ObjectId();
+  const originalJson = res.json;
+
+  res.json = function (body) {
+    if (body && body.success !== false && res.statusCode < 400 && body.data) {
+      const details =
+        type === "search"
+          ? SearchAnalyticsService.buildSearchEntry(body.data)
+          : SearchAnalyticsService.buildSuggestionEntry(body.data);
+
+      SearchAnalyticsService.logQuery({
+        _id: searchId,
+        type,
+        query,
+        viewer: getViewer(req),
+        ip: req.ip,
+        cached: body.cached === true,
+        ...details,
+      });
+
+      // Salinan: body yang sama sudah disimpan searchCache, searchId harus unik per request
+      body = { ...body, data: { ...body.data, searchId: searchId.toString() } };
+    }
+
+    return originalJson.call(this, body);
+  };
+
+  next();
+};
+
+module.exports = trackSearch;
@@ -17,6 +17,23 @@ const upload = multer({
   },
 });
 
+// Upload file import produk (CSV / JSON lines), diproses di memory oleh background job
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|jsonl|ndjson)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      const error = new Error("Only .csv, .jsonl or .ndjson files are allowed");
+      error.statusCode = 400;
+      cb(error, false);
+    }
+  },
+});
+
 const handleMulterError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === "LIMIT_FILE_SIZE") {
@@ -44,5 +61,6 @@ const handleMulterError = (error, req, res, next) => {
 
 module.exports = {
   upload,
+  importUpload,
   handleMulterError,
 };
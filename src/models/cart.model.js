@@ -18,10 +18,26 @@ const cartItemSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Varian yang dipilih (null untuk produk tanpa varian)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    variantSku: {
+      type: String,
+      default: null,
+    },
   },
   { _id: false }
 );
 
+// Item cart diidentifikasi oleh kombinasi product + variant
+const getItemKey = (productId, variantId = null) =>
+  `${(productId._id || productId).toString()}:${variantId ? variantId.toString() : ""}`;
+
+const isSameItem = (item, productId, variantId = null) =>
+  getItemKey(item.product, item.variant) === getItemKey(productId, variantId);
+
 // Schema untuk coupon yang diaplikasikan
 const appliedCouponSchema = new mongoose.Schema(
   {
@@ -82,35 +98,45 @@ cartSchema.index(
   { unique: true, sparse: true }
 );
 
-cartSchema.methods.addProduct = function (productId, quantity, price) {
-  const existingItemIndex = this.items.findIndex(
-    (item) => item.product.toString() === productId.toString()
+cartSchema.methods.findItem = function (productId, variantId = null) {
+  return this.items.find((item) => isSameItem(item, productId, variantId));
+};
+
+cartSchema.methods.addProduct = function (productId, quantity, price, variant = null) {
+  const variantId = variant ? variant._id : null;
+  const existingItemIndex = this.items.findIndex((item) =>
+    isSameItem(item, productId, variantId)
   );
 
+  // `price` adalah harga efektif saat ini (termasuk sale), juga untuk item yang sudah ada
   if (existingItemIndex >= 0) {
     this.items[existingItemIndex].quantity += quantity;
+    this.items[existingItemIndex].priceAtAddition = price;
   } else {
     this.items.push({
       product: productId,
       quantity: quantity,
       priceAtAddition: price,
+      variant: variantId,
+      variantSku: variant ? variant.sku : null,
     });
   }
 
   return this.save();
 };
 
-cartSchema.methods.removeProduct = function (productId) {
-  this.items = this.items.filter(
-    (item) => item.product.toString() !== productId.toString()
+// Tanpa variantId, semua varian dari product tersebut ikut dihapus
+cartSchema.methods.removeProduct = function (productId, variantId = null) {
+  this.items = this.items.filter((item) =>
+    variantId
+      ? !isSameItem(item, productId, variantId)
+      : (item.product._id || item.product).toString() !== productId.toString()
   );
   return this.save();
 };
 
-cartSchema.methods.updateProductQuantity = function (productId, newQuantity) {
-  const item = this.items.find(
-    (item) => item.product.toString() === productId.toString()
-  );
+cartSchema.methods.updateProductQuantity = function (productId, newQuantity, variantId = null) {
+  const item = this.findItem(productId, variantId);
 
   if (item) {
     item.quantity = newQuantity;
@@ -153,13 +179,13 @@ cartSchema.statics.getMostAddedProducts = function (limit = 10) {
 };
 
 cartSchema.pre("save", function (next) {
-  const seenProducts = new Set();
+  const seenItems = new Set();
   this.items = this.items.filter((item) => {
-    const productId = item.product.toString();
-    if (seenProducts.has(productId)) {
+    const itemKey = getItemKey(item.product, item.variant);
+    if (seenItems.has(itemKey)) {
       return false;
     }
-    seenProducts.add(productId);
+    seenItems.add(itemKey);
     return true;
   });
 
@@ -1,4 +1,39 @@
 const mongoose = require("mongoose");
+const { ATTRIBUTE_TYPES, ATTRIBUTE_KEY_PATTERN } = require("../utils/product-attribute.util");
+
+// Definisi atribut produk per kategori, mis. brand (enum), screen_size (number, "inch")
+const categoryAttributeSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: ATTRIBUTE_KEY_PATTERN
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ATTRIBUTE_TYPES,
+    required: true
+  },
+  options: [{ type: String, trim: true }],
+  unit: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  filterable: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -10,7 +45,25 @@ const categorySchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  // Parent category (null untuk root), contoh: Fashion > Shoes > Sneakers
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Materialized path berisi _id leluhur + diri sendiri, dipisah "/"
+  // contoh: "<fashionId>/<shoesId>/<sneakersId>"
+  path: {
+    type: String,
+    index: true
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  // Attribute schema milik kategori ini; turunan mewarisi atribut leluhur
+  attributes: [categoryAttributeSchema]
 }, {
   timestamps: true
 });
@@ -32,6 +85,12 @@ categorySchema.virtual('activeProducts', {
 
 categorySchema.index({ name: 1, isActive: 1 });
 categorySchema.index({ isActive: 1 });
+categorySchema.index({ parent: 1, isActive: 1 });
+
+// Kategori lama (sebelum hierarki) belum punya path dan dianggap root
+const getCategoryPath = (category) => category.path || category._id.toString();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 categorySchema.methods.getProductCount = function() {
   return mongoose.model('Product').countDocuments({ 
@@ -47,8 +106,9 @@ categorySchema.methods.getAveragePrice = function() {
   ]);
 };
 
-categorySchema.statics.getCategoriesWithProductCount = function() {
-  return this.aggregate([
+// Nested tree dengan productCount (langsung) dan totalProductCount (termasuk semua turunan)
+categorySchema.statics.getCategoriesWithProductCount = async function() {
+  const categories = await this.aggregate([
     { $match: { isActive: true } },
     {
       $lookup: {
@@ -68,15 +128,178 @@ categorySchema.statics.getCategoriesWithProductCount = function() {
       $project: {
         name: 1,
         description: 1,
+        parent: 1,
+        path: 1,
+        depth: 1,
         productCount: 1,
         createdAt: 1,
         updatedAt: 1
       }
-    },
-    { $sort: { productCount: -1 } }
+    }
   ]);
+
+  const nodes = new Map(
+    categories.map(category => [
+      category._id.toString(),
+      { ...category, totalProductCount: category.productCount, children: [] }
+    ])
+  );
+
+  // Roll up counts dari yang terdalam ke atas
+  const byDepthDesc = [...nodes.values()].sort((a, b) => (b.depth || 0) - (a.depth || 0));
+  const roots = [];
+
+  byDepthDesc.forEach(node => {
+    const parentNode = node.parent ? nodes.get(node.parent.toString()) : null;
+    if (parentNode) {
+      parentNode.children.push(node);
+      parentNode.totalProductCount += node.totalProductCount;
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const sortTree = list => {
+    list.sort((a, b) => b.totalProductCount - a.totalProductCount);
+    list.forEach(node => sortTree(node.children));
+    return list;
+  };
+
+  return sortTree(roots);
+};
+
+// _id kategori (by name, case-insensitive) beserta seluruh turunannya yang aktif
+categorySchema.statics.getSubtreeIdsByName = async function(name) {
+  const root = await this.findOne({
+    name: new RegExp(`^${escapeRegex(name.trim())}$`, 'i'),
+    isActive: true
+  }).lean();
+
+  if (!root) return [];
+
+  const descendants = await this.find(
+    { path: new RegExp(`^${getCategoryPath(root)}/`), isActive: true },
+    { _id: 1 }
+  ).lean();
+
+  return [root._id, ...descendants.map(category => category._id)];
 };
 
+// Breadcrumb dari root sampai kategori tersebut
+categorySchema.statics.getBreadcrumb = async function(categoryId) {
+  const category = await this.findById(categoryId, { name: 1, path: 1 }).lean();
+  if (!category) return [];
+
+  const ids = getCategoryPath(category).split('/');
+  const ancestors = await this.find({ _id: { $in: ids } }, { name: 1 }).lean();
+  const byId = new Map(ancestors.map(ancestor => [ancestor._id.toString(), ancestor]));
+
+  return ids
+    .map(id => byId.get(id))
+    .filter(Boolean)
+    .map((ancestor, index) => ({
+      id: ancestor._id.toString(),
+      name: ancestor.name,
+      depth: index
+    }));
+};
+
+// Attribute schema efektif: atribut leluhur (root dulu) + milik kategori sendiri.
+// Key yang sama di turunan menimpa definisi leluhur
+categorySchema.statics.getAttributeSchema = async function(categoryId) {
+  if (!categoryId) return [];
+
+  const category = await this.findById(categoryId, { path: 1 }).lean();
+  if (!category) return [];
+
+  const ids = getCategoryPath(category).split('/');
+  const ancestors = await this.find({ _id: { $in: ids } }, { attributes: 1 }).lean();
+  const byId = new Map(ancestors.map(ancestor => [ancestor._id.toString(), ancestor]));
+
+  const merged = new Map();
+  ids.forEach(id => {
+    const ancestor = byId.get(id);
+    (ancestor?.attributes || []).forEach(attribute => {
+      merged.set(attribute.key, {
+        ...attribute,
+        categoryId: id,
+        inherited: id !== category._id.toString()
+      });
+    });
+  });
+
+  return [...merged.values()];
+};
+
+categorySchema.pre('save', async function(next) {
+  if (!this.isNew && !this.isModified('parent') && this.path) {
+    return next();
+  }
+
+  const previousPath = this.isNew ? null : getCategoryPath(this);
+  const previousDepth = this.depth || 0;
+
+  if (this.parent) {
+    const parent = await this.constructor.findById(this.parent).lean();
+    if (!parent) {
+      const error = new Error('Parent category not found');
+      error.code = 'INVALID_PARENT_CATEGORY';
+      return next(error);
+    }
+
+    const parentPath = getCategoryPath(parent);
+    if (parentPath.split('/').includes(this._id.toString())) {
+      const error = new Error('A category cannot be moved under itself or its descendants');
+      error.code = 'INVALID_PARENT_CATEGORY';
+      return next(error);
+    }
+
+    this.path = `${parentPath}/${this._id}`;
+    this.depth = parentPath.split('/').length;
+  } else {
+    this.path = this._id.toString();
+    this.depth = 0;
+  }
+
+  // Simpan path lama untuk update turunan setelah save
+  this.$locals.previousPath = previousPath;
+  this.$locals.depthShift = this.depth - previousDepth;
+  next();
+});
+
+// Nama kategori ikut di-index pencarian produk (Product.categoryName)
+categorySchema.pre('save', function(next) {
+  this.$locals.nameChanged = !this.isNew && this.isModified('name');
+  next();
+});
+
+categorySchema.post('save', function() {
+  if (!this.$locals.nameChanged) return;
+
+  this.$locals.nameChanged = false;
+  mongoose.model('Product').refreshSearchFields({ category: this._id }).catch(error => {
+    console.error('Failed to refresh product search fields:', error);
+  });
+});
+
+// Pindahkan seluruh subtree saat parent berubah
+categorySchema.post('save', async function() {
+  const { previousPath, depthShift } = this.$locals;
+  if (!previousPath || previousPath === this.path) return;
+
+  await this.constructor.updateMany(
+    { path: new RegExp(`^${previousPath}/`) },
+    [
+      {
+        $set: {
+          path: { $concat: [this.path, { $substrCP: ['$path', previousPath.length, { $strLenCP: '$path' }] }] },
+          depth: { $add: [{ $ifNull: ['$depth', 0] }, depthShift] }
+        }
+      }
+    ]
+  );
+});
+
 categorySchema.pre('deleteOne', { document: true, query: false }, async function(next) {
   const productCount = await mongoose.model('Product').countDocuments({ 
     category: this._id 
@@ -87,6 +310,13 @@ categorySchema.pre('deleteOne', { document: true, query: false }, async function
     error.code = 'CATEGORY_HAS_PRODUCTS';
     return next(error);
   }
+
+  const childCount = await this.constructor.countDocuments({ parent: this._id });
+  if (childCount > 0) {
+    const error = new Error('Cannot delete category with sub-categories');
+    error.code = 'CATEGORY_HAS_CHILDREN';
+    return next(error);
+  }
   next();
 });
 
@@ -0,0 +1,161 @@
+// inventory-movement.model.js - Ledger pergerakan stok produk/varian (kenapa stok berubah)
+const mongoose = require("mongoose");
+
+const MOVEMENT_TYPES = ["initial", "sale", "cancellation_restore", "adjustment", "import"];
+
+const inventoryMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // null = stok level produk (produk tanpa varian)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    variantSku: {
+      type: String,
+      default: null,
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SellerProfile",
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: MOVEMENT_TYPES,
+      required: true,
+    },
+    // Perubahan stok on-hand (stock + reservedStock), negatif = stok keluar
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    quantityBefore: {
+      type: Number,
+      required: true,
+    },
+    quantityAfter: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+    // null = sistem (scheduler, job, dsb.)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ product: 1, variant: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 });
+
+inventoryMovementSchema.statics.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+/**
+ * On-hand stock per stock source: varian untuk produk bervarian, selain itu produk
+ * @param {Object} product - Product document / plain object
+ * @returns {Map} variantId ("" = produk) -> { variant, variantSku, onHand }
+ */
+inventoryMovementSchema.statics.captureOnHand = function (product) {
+  const onHand = source => (source.stock || 0) + (source.reservedStock || 0);
+  const variants = product.variants || [];
+
+  if (variants.length === 0) {
+    return new Map([["", { variant: null, variantSku: null, onHand: onHand(product) }]]);
+  }
+
+  return new Map(
+    variants.map(variant => [
+      variant._id.toString(),
+      { variant: variant._id, variantSku: variant.sku || null, onHand: onHand(variant) },
+    ])
+  );
+};
+
+/**
+ * Build movement entries by comparing two captureOnHand() snapshots; hanya source yang berubah
+ * @param {Object} product - Product document
+ * @param {Map} before - Snapshot sebelum perubahan (Map kosong untuk produk baru)
+ * @param {Map} after - Snapshot sesudah perubahan
+ * @param {Object} change - { type, reason, actor, order }
+ * @returns {Array} Movement entries
+ */
+inventoryMovementSchema.statics.diffSnapshots = function (product, before, after, change) {
+  const keys = new Set([...before.keys(), ...after.keys()]);
+
+  return [...keys]
+    .map(key => {
+      const previous = before.get(key);
+      const current = after.get(key);
+      const quantityBefore = previous ? previous.onHand : 0;
+      const quantityAfter = current ? current.onHand : 0; // varian dihapus -> 0
+
+      return {
+        product: product._id,
+        variant: (current || previous).variant,
+        variantSku: (current || previous).variantSku,
+        seller: product.sellerId?._id || product.sellerId || null,
+        type: change.type,
+        quantity: quantityAfter - quantityBefore,
+        quantityBefore,
+        quantityAfter,
+        reason: change.reason || null,
+        actor: change.actor || null,
+        order: change.order || null,
+      };
+    })
+    .filter(entry => entry.quantity !== 0);
+};
+
+/**
+ * Get stock movements of a product (terbaru dulu)
+ * @param {string} productId - Product ID
+ * @param {Object} options - { variantId, type, skip, limit }
+ * @returns {Promise<Object>} { movements, total }
+ */
+inventoryMovementSchema.statics.getHistory = async function (productId, options = {}) {
+  const { variantId, type, skip = 0, limit = 20 } = options;
+  const query = { product: productId };
+
+  if (variantId) {
+    query.variant = variantId;
+  }
+  if (type) {
+    query.type = type;
+  }
+
+  const [movements, total] = await Promise.all([
+    this.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("actor", "username email")
+      .populate("order", "orderNumber")
+      .lean(),
+    this.countDocuments(query),
+  ]);
+
+  return { movements, total };
+};
+
+module.exports = mongoose.model("InventoryMovement", inventoryMovementSchema);
@@ -0,0 +1,60 @@
+// notification.model.js - Notifikasi in-app (back in stock, stok menipis, tanya jawab produk, wishlist, saved search)
+const mongoose = require("mongoose");
+
+const NOTIFICATION_TYPES = [
+  "back_in_stock",
+  "low_stock",
+  "out_of_stock",
+  "new_question",
+  "question_answered",
+  "wishlist_price_drop",
+  "wishlist_back_in_stock",
+  "product_approved",
+  "product_rejected",
+  "product_under_review",
+  "saved_search_match",
+];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Data tambahan untuk deep link di frontend, mis. { productId, slug, variantId }
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model("Notification", notificationSchema);
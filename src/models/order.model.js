@@ -1,6 +1,32 @@
 // order.model.js - UPDATED WITH SHOPPAY INTEGRATION
 const mongoose = require("mongoose");
 
+// Snapshot isi bundle saat order dibuat; dipakai seller untuk packing & stok per komponen
+const bundleComponentSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    title: { type: String, required: true },
+    sku: { type: String },
+    options: { type: Map, of: String },
+    image: { type: String },
+    // Jumlah komponen per 1 bundle
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
 // Schema untuk item dalam order dengan snapshot lengkap dari cart
 const orderItemSchema = new mongoose.Schema(
   {
@@ -26,6 +52,21 @@ const orderItemSchema = new mongoose.Schema(
         storeLogo: { type: String },
       },
     },
+    // Snapshot varian yang dibeli (null untuk produk tanpa varian)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    variantSnapshot: {
+      sku: { type: String },
+      options: { type: Map, of: String },
+      image: { type: String },
+    },
+    // Hanya untuk produk bundle
+    bundleComponents: {
+      type: [bundleComponentSchema],
+      default: undefined,
+    },
     quantity: {
       type: Number,
       required: true,
@@ -36,6 +77,12 @@ const orderItemSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Harga coret saat checkout (harga reguler jika dibeli saat sale)
+    originalPrice: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
     subtotal: {
       type: Number,
       required: true,
@@ -402,7 +449,7 @@ orderSchema.statics.generateOrderNumber = async function () {
 
 // Line ~415-480 - REPLACE createFromCart dengan validation lebih ketat
 orderSchema.statics.createFromCart = async function (userId, cartData, orderDetails) {
-  const { shippingAddress, paymentMethod, notes } = orderDetails;
+  const { shippingAddress, paymentMethod, notes, orderId, expiresAt } = orderDetails;
 
   const orderNumber = await this.generateOrderNumber();
 
@@ -448,7 +495,7 @@ orderSchema.statics.createFromCart = async function (userId, cartData, orderDeta
         productSnapshot: {
           title: item.product.title,
           description: item.product.description,
-          image: item.product.image,
+          image: item.variant?.image || item.product.image,
           category: {
             _id: item.product.category._id,
             name: item.product.category.name,
@@ -456,8 +503,18 @@ orderSchema.statics.createFromCart = async function (userId, cartData, orderDeta
           },
           seller: sellerData, // ✅ This contains storeLogo
         },
+        variant: item.variant ? item.variant._id : null,
+        variantSnapshot: item.variant
+          ? {
+              sku: item.variant.sku,
+              options: item.variant.options,
+              image: item.variant.image,
+            }
+          : undefined,
+        bundleComponents: item.bundleComponents || undefined,
         quantity: item.quantity,
         priceAtPurchase: item.priceAtAddition,
+        originalPrice: item.originalPrice || null,
         subtotal: item.priceAtAddition * item.quantity,
       };
     }),
@@ -507,6 +564,8 @@ orderSchema.statics.createFromCart = async function (userId, cartData, orderDeta
   };
 
   const order = new this({
+    // orderId & expiresAt dari reservasi stok (lihat OrderService.createOrder)
+    ...(orderId && { _id: orderId }),
     user: userId,
     orderNumber,
     cartSnapshot,
@@ -523,7 +582,7 @@ orderSchema.statics.createFromCart = async function (userId, cartData, orderDeta
     timestamps: {
       orderedAt: new Date(),
     },
-    expiresAt: new Date(Date.now() + 30 * 60 * 1000), // 30 detik buat demo expired payment
+    expiresAt: expiresAt || new Date(Date.now() + 30 * 60 * 1000), // 30 detik buat demo expired payment
   });
 
   return order.save();
@@ -1001,4 +1060,8 @@ orderSchema.statics.startAutoReceiveChecker = function () {
     }
   }, 30 * 60 * 1000);
 };
+
+// Sort key yang selalu terisi, aman untuk cursor pagination
+orderSchema.statics.CURSOR_SORT_FIELDS = ["createdAt", "updatedAt", "orderNumber", "totalAmount", "totalItems"];
+
 module.exports = mongoose.model("Order", orderSchema);
@@ -0,0 +1,38 @@
+// product-association.model.js - Asosiasi "sering dibeli bersama" hasil mining order yang sudah dibayar
+const mongoose = require("mongoose");
+
+const productAssociationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  associatedProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // Jumlah order berbayar yang memuat kedua produk
+  coPurchaseCount: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  // P(associatedProduct | product) = coPurchaseCount / jumlah order berisi product
+  confidence: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1,
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+productAssociationSchema.index({ product: 1, associatedProduct: 1 }, { unique: true });
+productAssociationSchema.index({ product: 1, confidence: -1, coPurchaseCount: -1 });
+productAssociationSchema.index({ computedAt: 1 });
+
+module.exports = mongoose.model("ProductAssociation", productAssociationSchema);
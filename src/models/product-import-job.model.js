@@ -0,0 +1,105 @@
+// product-import-job.model.js - Bulk import produk seller (CSV / JSON lines)
+const mongoose = require("mongoose");
+
+const importRowResultSchema = new mongoose.Schema(
+  {
+    row: {
+      type: Number,
+      required: true,
+    },
+    identifier: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["created", "updated", "failed"],
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    // Alasan gagal per baris (field `errors` dihindari karena reserved di Mongoose)
+    messages: [{ type: String }],
+  },
+  { _id: false }
+);
+
+const productImportJobSchema = new mongoose.Schema(
+  {
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SellerProfile",
+      required: true,
+      index: true,
+    },
+    // User seller yang meng-upload (actor di ledger stok)
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    fileName: {
+      type: String,
+      default: null,
+    },
+    format: {
+      type: String,
+      enum: ["csv", "jsonl"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "completed", "failed"],
+      default: "pending",
+    },
+    // Baris mentah hasil parsing, dihapus setelah job selesai
+    payload: {
+      type: [mongoose.Schema.Types.Mixed],
+      select: false,
+    },
+    totalRows: {
+      type: Number,
+      default: 0,
+    },
+    processedRows: {
+      type: Number,
+      default: 0,
+    },
+    createdCount: {
+      type: Number,
+      default: 0,
+    },
+    updatedCount: {
+      type: Number,
+      default: 0,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    results: [importRowResultSchema],
+    errorMessage: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+productImportJobSchema.index({ status: 1, createdAt: 1 });
+productImportJobSchema.index({ sellerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ProductImportJob", productImportJobSchema);
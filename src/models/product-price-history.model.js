@@ -0,0 +1,193 @@
+// product-price-history.model.js - Riwayat harga produk/varian (dasar validasi harga coret)
+const mongoose = require("mongoose");
+const { getActiveSale, applySale } = require("../utils/product-pricing.util");
+
+const productPriceHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // null = harga level produk (produk tanpa varian)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  variantSku: {
+    type: String,
+    default: null,
+  },
+  // Harga reguler
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Harga setelah diskon sale (null jika tidak sedang sale)
+  salePrice: {
+    type: Number,
+    default: null,
+  },
+  compareAtPrice: {
+    type: Number,
+    default: null,
+  },
+  source: {
+    type: String,
+    enum: ["created", "updated", "sale_start", "sale_end"],
+    default: "updated",
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+productPriceHistorySchema.index({ product: 1, variant: 1, recordedAt: -1 });
+
+/**
+ * Record current prices of a product; hanya baris yang berubah dari catatan terakhir yang disimpan
+ * @param {Object} product - Product document
+ * @param {string} [source] - created / updated / sale_start / sale_end
+ * @returns {Promise<number>} Number of inserted entries
+ */
+productPriceHistorySchema.statics.recordSnapshot = async function (product, source = "updated") {
+  const sale = getActiveSale(product);
+  const targets =
+    product.variants && product.variants.length > 0
+      ? product.variants.map(variant => ({ variant: variant._id, variantSku: variant.sku, price: variant.price }))
+      : [{ variant: null, variantSku: null, price: product.price }];
+
+  const latestRows = await this.aggregate([
+    { $match: { product: product._id } },
+    { $sort: { recordedAt: -1 } },
+    { $group: { _id: "$variant", entry: { $first: "$$ROOT" } } },
+  ]);
+  const latestByVariant = new Map(latestRows.map(row => [String(row._id), row.entry]));
+
+  const entries = targets
+    .map(target => {
+      const salePrice = sale ? applySale(target.price, sale) : null;
+      return {
+        product: product._id,
+        variant: target.variant,
+        variantSku: target.variantSku,
+        price: target.price,
+        salePrice,
+        compareAtPrice: product.compareAtPrice || null,
+        source,
+      };
+    })
+    .filter(entry => {
+      const latest = latestByVariant.get(String(entry.variant));
+      return (
+        !latest ||
+        latest.price !== entry.price ||
+        latest.salePrice !== entry.salePrice ||
+        latest.compareAtPrice !== entry.compareAtPrice
+      );
+    });
+
+  if (entries.length > 0) {
+    await this.insertMany(entries);
+  }
+
+  return entries.length;
+};
+
+/**
+ * Get price history of a product
+ * @param {string} productId - Product ID
+ * @param {Object} options - { variantId, days }
+ * @returns {Promise<Array>} Entries (oldest first)
+ */
+productPriceHistorySchema.statics.getHistory = function (productId, options = {}) {
+  const { variantId, days = 90 } = options;
+  const query = {
+    product: productId,
+    recordedAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+  };
+
+  if (variantId) {
+    query.variant = variantId;
+  }
+
+  return this.find(query).sort({ recordedAt: 1 }).lean();
+};
+
+/**
+ * Reference ("was") price per varian: harga reguler tertinggi yang berlaku minimal `minDays` hari
+ * dalam `days` hari terakhir, sehingga lonjakan harga sesaat tidak bisa jadi dasar harga coret
+ * @param {string} productId - Product ID
+ * @param {number} days - Lookback window
+ * @param {number} minDays - Minimum durasi sebuah harga berlaku
+ * @returns {Promise<Map<string, number>>} Price per variant ID ("null" = harga level produk)
+ */
+productPriceHistorySchema.statics.getReferencePrices = async function (productId, days, minDays) {
+  const now = Date.now();
+  const since = new Date(now - days * 24 * 60 * 60 * 1000);
+  const minDuration = minDays * 24 * 60 * 60 * 1000;
+
+  const [inWindow, beforeWindow] = await Promise.all([
+    this.find({ product: productId, recordedAt: { $gte: since } })
+      .select("variant price recordedAt")
+      .sort({ recordedAt: 1 })
+      .lean(),
+    // Harga terakhir sebelum periode masih berlaku di awal periode
+    this.aggregate([
+      { $match: { product: new mongoose.Types.ObjectId(productId), recordedAt: { $lt: since } } },
+      { $sort: { recordedAt: -1 } },
+      { $group: { _id: "$variant", price: { $first: "$price" } } },
+    ]),
+  ]);
+
+  const timelines = new Map();
+  const addEntry = (variant, price, startAt) => {
+    const key = String(variant);
+    if (!timelines.has(key)) timelines.set(key, []);
+    timelines.get(key).push({ price, startAt });
+  };
+  beforeWindow.forEach(entry => addEntry(entry._id, entry.price, since.getTime()));
+  inWindow.forEach(entry => addEntry(entry.variant, entry.price, new Date(entry.recordedAt).getTime()));
+
+  const references = new Map();
+  timelines.forEach((entries, key) => {
+    // Total durasi per harga; entry berikutnya mengakhiri harga sebelumnya
+    const durations = new Map();
+    entries.forEach((entry, index) => {
+      const endAt = index + 1 < entries.length ? entries[index + 1].startAt : now;
+      durations.set(entry.price, (durations.get(entry.price) || 0) + (endAt - entry.startAt));
+    });
+
+    const eligible = [...durations].filter(([, duration]) => duration >= minDuration).map(([price]) => price);
+    if (eligible.length > 0) references.set(key, Math.max(...eligible));
+  });
+
+  return references;
+};
+
+/**
+ * Lowest price a buyer could pay in the last `days` days (harga sale dihitung)
+ * @param {string} productId - Product ID
+ * @param {string|null} variantId - Variant ID (null = semua)
+ * @param {number} days - Lookback window
+ * @returns {Promise<number|null>} Lowest price or null
+ */
+productPriceHistorySchema.statics.getLowestPrice = async function (productId, variantId, days) {
+  const match = {
+    product: new mongoose.Types.ObjectId(productId),
+    recordedAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+  };
+  if (variantId) {
+    match.variant = new mongoose.Types.ObjectId(variantId);
+  }
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    { $group: { _id: null, lowest: { $min: { $ifNull: ["$salePrice", "$price"] } } } },
+  ]);
+
+  return result ? result.lowest : null;
+};
+
+module.exports = mongoose.model("ProductPriceHistory", productPriceHistorySchema);
@@ -0,0 +1,144 @@
+// product-question.model.js - Tanya jawab produk (pisah dari review)
+const mongoose = require("mongoose");
+
+const QA_STATUSES = ["published", "hidden"];
+
+const answerSchema = new mongoose.Schema(
+  {
+    answeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Seller profile pemilik produk saat menjawab
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SellerProfile",
+      required: true,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: [2, "Answer must be at least 2 characters"],
+      maxlength: [1000, "Answer cannot exceed 1000 characters"],
+    },
+    // User yang menandai jawaban membantu (satu vote per user)
+    upvotedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    upvoteCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: QA_STATUSES,
+      default: "published",
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    moderatedAt: {
+      type: Date,
+      default: null,
+    },
+    moderationReason: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const productQuestionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Disalin dari product.sellerId agar inbox seller tidak perlu join ke produk
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SellerProfile",
+      required: true,
+    },
+    askedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: [10, "Question must be at least 10 characters"],
+      maxlength: [500, "Question cannot exceed 500 characters"],
+    },
+    answers: [answerSchema],
+    // Denormalisasi untuk listing & sort (hanya jawaban published)
+    answerCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    helpfulCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastAnsweredAt: {
+      type: Date,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: QA_STATUSES,
+      default: "published",
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    moderatedAt: {
+      type: Date,
+      default: null,
+    },
+    moderationReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+productQuestionSchema.index({ product: 1, status: 1, createdAt: -1 });
+productQuestionSchema.index({ product: 1, status: 1, helpfulCount: -1 });
+productQuestionSchema.index({ seller: 1, status: 1, answerCount: 1, createdAt: -1 });
+productQuestionSchema.index({ status: 1, createdAt: -1 });
+
+// Hitung ulang counter dari jawaban yang terlihat publik
+productQuestionSchema.methods.syncAnswerStats = function () {
+  const visible = this.answers.filter(answer => answer.status === "published");
+
+  this.answerCount = visible.length;
+  this.helpfulCount = visible.reduce((sum, answer) => sum + (answer.upvoteCount || 0), 0);
+  this.lastAnsweredAt =
+    visible.length > 0 ? new Date(Math.max(...visible.map(answer => answer.createdAt || Date.now()))) : null;
+
+  return this;
+};
+
+productQuestionSchema.statics.STATUSES = QA_STATUSES;
+
+module.exports = mongoose.model("ProductQuestion", productQuestionSchema);
@@ -0,0 +1,66 @@
+// product-report.model.js - Laporan buyer atas listing (palsu, terlarang, dll.)
+const mongoose = require("mongoose");
+
+const REPORT_REASONS = ["counterfeit", "prohibited_item", "misleading_description", "offensive_content", "spam", "other"];
+const REPORT_STATUSES = ["open", "resolved", "dismissed"];
+
+const productReportSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SellerProfile",
+      required: true,
+    },
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Report details cannot exceed 1000 characters"],
+      default: null,
+    },
+    // resolved = listing ditindak (ditolak), dismissed = laporan tidak terbukti
+    status: {
+      type: String,
+      enum: REPORT_STATUSES,
+      default: "open",
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Satu laporan terbuka per user per produk
+productReportSchema.index(
+  { product: 1, reporter: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+productReportSchema.index({ product: 1, status: 1, createdAt: -1 });
+
+productReportSchema.statics.REASONS = REPORT_REASONS;
+productReportSchema.statics.STATUSES = REPORT_STATUSES;
+
+module.exports = mongoose.model("ProductReport", productReportSchema);
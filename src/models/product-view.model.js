@@ -0,0 +1,59 @@
+// product-view.model.js - Riwayat produk yang dilihat (user login atau guest session)
+const mongoose = require("mongoose");
+
+// Riwayat lebih lama dari ini dihapus otomatis oleh TTL index
+const VIEW_RETENTION_DAYS = 90;
+
+const productViewSchema = new mongoose.Schema({
+  // Salah satu dari user / sessionId selalu terisi
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  sessionId: {
+    type: String,
+    default: null,
+    maxlength: 100,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // Denormalisasi untuk feed (kategori & toko yang sering dilihat)
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+    default: null,
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SellerProfile",
+    default: null,
+  },
+  viewCount: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  lastViewedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Satu dokumen per viewer per produk
+productViewSchema.index(
+  { user: 1, product: 1 },
+  { unique: true, partialFilterExpression: { user: { $type: "objectId" } } }
+);
+productViewSchema.index(
+  { sessionId: 1, product: 1 },
+  { unique: true, partialFilterExpression: { sessionId: { $type: "string" } } }
+);
+productViewSchema.index({ user: 1, lastViewedAt: -1 });
+productViewSchema.index({ sessionId: 1, lastViewedAt: -1 });
+productViewSchema.index({ lastViewedAt: 1 }, { expireAfterSeconds: VIEW_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model("ProductView", productViewSchema);
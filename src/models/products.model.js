@@ -1,8 +1,133 @@
 const mongoose = require("mongoose");
+const ProductPriceHistory = require("./product-price-history.model");
+const InventoryMovement = require("./inventory-movement.model");
+const { MAX_GALLERY_IMAGES, formatGallery } = require("../utils/product-gallery.util");
+const {
+  combineAttributeFilters,
+  formatAttributeFacets,
+  toPlainAttributes,
+} = require("../utils/product-attribute.util");
+const { MAX_SALE_PERCENT, MAX_SALE_WINDOWS, formatPricing, formatSaleWindows } = require("../utils/product-pricing.util");
+const { slugHistoryPlugin } = require("../utils/slug-history.util");
+const { buildSearchTokens } = require("../utils/search.util");
 
 // Set default timezone to Jakarta/WIB for all Date operations
 process.env.TZ = "Asia/Jakarta";
 
+// Varian produk (mis. ukuran/warna) dengan SKU, harga, stok dan gambar sendiri
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  // Kombinasi opsi, contoh: { size: "42", color: "Black" }
+  options: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  stock: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0,
+  },
+  // Stok yang ditahan order belum dibayar (lihat StockReservationService)
+  reservedStock: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  image: {
+    type: String,
+    default: null,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+// Bundle: satu listing berisi beberapa produk lain (mis. HP + case + charger) dengan harga bundle
+const PRODUCT_TYPES = ["standard", "bundle"];
+const MAX_BUNDLE_ITEMS = 10;
+
+// Komponen bundle; `variant` wajib jika produk komponen punya varian
+const bundleItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Jumlah komponen per 1 bundle
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 99,
+      default: 1,
+    },
+  },
+  { _id: false }
+);
+
+// Jadwal diskon (persen) untuk harga produk dan semua varian
+const saleWindowSchema = new mongoose.Schema({
+  percentOff: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: MAX_SALE_PERCENT,
+  },
+  startAt: {
+    type: Date,
+    required: true,
+  },
+  endAt: {
+    type: Date,
+    required: true,
+  },
+  // Diperbarui scheduler; harga efektif tetap dihitung dari startAt/endAt
+  status: {
+    type: String,
+    enum: ["scheduled", "active", "ended"],
+    default: "scheduled",
+  },
+});
+
+// Gambar gallery produk, urutan tampil mengikuti posisi di array
+const productImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+  },
+  publicId: {
+    type: String,
+    default: null,
+  },
+  alt: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false,
+  },
+});
+
 const productSchema = new mongoose.Schema(
   {
     title: {
@@ -18,6 +143,13 @@ const productSchema = new mongoose.Schema(
       index: true,
       trim: true,
     },
+    // SKU level produk (opsional, unik per seller); produk bervarian memakai SKU varian
+    sku: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: undefined,
+    },
     description: {
       type: String,
       required: true,
@@ -27,26 +159,119 @@ const productSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Harga coret ("was" price), dibatasi harga tertinggi 30 hari terakhir (lihat ProductPricingService)
+    compareAtPrice: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    sales: [saleWindowSchema],
     category: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Category",
       index: true,
       required: true,
     },
+    // Nama kategori (denormalisasi) untuk text index pencarian, diisi saat category berubah
+    categoryName: {
+      type: String,
+      default: null,
+    },
+    // Kata title + kategori beserta stem bahasa Indonesia (text index & pencarian typo)
+    searchTokens: {
+      type: [String],
+      default: [],
+      select: false,
+    },
     image: {
       type: String,
       required: false, // Changed from true to false
       default: null,
     },
+    // Gallery produk; `image` selalu mengikuti gambar primary (lihat pre validate)
+    images: {
+      type: [productImageSchema],
+      validate: {
+        validator: images => images.length <= MAX_GALLERY_IMAGES,
+        message: `A product can have at most ${MAX_GALLERY_IMAGES} images`,
+      },
+    },
+    // Stok yang tersedia untuk dibeli (belum termasuk reservedStock)
     stock: {
       type: Number,
       min: 0,
       required: true,
     },
+    // Stok yang ditahan order belum dibayar; on hand = stock + reservedStock
+    reservedStock: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Seller dapat alert saat stok tersedia <= threshold (0 = alert hanya saat habis)
+    lowStockThreshold: {
+      type: Number,
+      min: 0,
+      default: 5,
+    },
+    // Alert terakhir; di-reset saat stok kembali di atas threshold agar alert tidak dikirim berulang
+    lowStockAlertedAt: {
+      type: Date,
+      default: null,
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    // Draft & scheduled publishing. Draft/scheduled selalu isActive=false sampai dipublish
+    publishStatus: {
+      type: String,
+      enum: ["draft", "scheduled", "published", "unpublished"],
+      default: "published",
+    },
+    // Jadwal yang masih pending; dikosongkan scheduler setelah dijalankan
+    publishAt: {
+      type: Date,
+      default: null,
+    },
+    unpublishAt: {
+      type: Date,
+      default: null,
+    },
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
+    // Moderasi admin. pending_review & rejected selalu isActive=false (lihat pre validate)
+    // Produk baru diset pending_review saat dibuat (lihat pre validate); produk lama dimigrasi ke approved
+    moderationStatus: {
+      type: String,
+      enum: ["pending_review", "approved", "rejected"],
+    },
+    moderationReason: {
+      type: String,
+      default: null,
+      maxlength: 500,
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    moderatedAt: {
+      type: Date,
+      default: null,
+    },
+    submittedForReviewAt: {
+      type: Date,
+      default: null,
+    },
+    // Laporan buyer yang belum ditangani admin
+    openReportCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     rating: {
       type: Number,
       min: 0,
@@ -57,6 +282,37 @@ const productSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Jumlah unit terjual (order dibayar dikurangi pembatalan), dipakai ranking pencarian
+    soldCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Daftar opsi varian, diturunkan otomatis dari variants (lihat pre validate)
+    variantOptions: [
+      {
+        _id: false,
+        name: { type: String, trim: true },
+        values: [{ type: String, trim: true }],
+      },
+    ],
+    variants: [variantSchema],
+    productType: {
+      type: String,
+      enum: PRODUCT_TYPES,
+      default: "standard",
+    },
+    // Komponen bundle; stok bundle = jumlah bundle utuh yang bisa dirakit dari stok komponen
+    bundleItems: {
+      type: [bundleItemSchema],
+      default: undefined,
+    },
+    // Atribut sesuai attribute schema kategori, mis. { brand: "Nike", screen_size: 6.1 }
+    attributes: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
     // NEW: Seller reference field
     sellerId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -149,6 +405,33 @@ productSchema.virtual("seller", {
   justOne: true,
 });
 
+productSchema.virtual("hasVariants").get(function () {
+  return Array.isArray(this.variants) && this.variants.length > 0;
+});
+
+// Draft & scheduled tidak boleh terlihat publik (produk lama tanpa publishStatus dianggap published)
+const PENDING_PUBLISH_STATUSES = ["draft", "scheduled"];
+
+// Disembunyikan moderasi: belum direview atau ditolak admin
+const HIDDEN_MODERATION_STATUSES = ["pending_review", "rejected"];
+
+productSchema.statics.HIDDEN_MODERATION_STATUSES = HIDDEN_MODERATION_STATUSES;
+productSchema.statics.PRODUCT_TYPES = PRODUCT_TYPES;
+productSchema.statics.MAX_BUNDLE_ITEMS = MAX_BUNDLE_ITEMS;
+// Sort key yang selalu terisi, aman untuk cursor pagination
+productSchema.statics.CURSOR_SORT_FIELDS = ["createdAt", "updatedAt", "title", "price", "rating", "reviews", "stock"];
+
+productSchema.virtual("isPublished").get(function () {
+  return (
+    (this.publishStatus || "published") === "published" && !HIDDEN_MODERATION_STATUSES.includes(this.moderationStatus)
+  );
+});
+
+// Harga efektif saat ini (harga sale jika ada sale berjalan)
+productSchema.virtual("pricing").get(function () {
+  return formatPricing(this);
+});
+
 productSchema.virtual("imageWithAlt").get(function () {
   return {
     url: this.image || null,
@@ -169,17 +452,44 @@ productSchema.index({ category: 1, rating: -1 });
 productSchema.index({ sellerId: 1, category: 1 });
 productSchema.index({ sellerId: 1, deletedAt: 1, createdAt: -1 }); // NEW: Untuk getProductStats
 
+// SKU produk & varian unik per seller
+productSchema.index(
+  { sellerId: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: "string" } } }
+);
+productSchema.index(
+  { sellerId: 1, "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } }
+);
+
+// Filter atribut (attr[brand]=Nike)
+productSchema.index({ "attributes.$**": 1 });
+
+// Scheduler publish/unpublish
+productSchema.index({ publishStatus: 1, publishAt: 1 });
+productSchema.index({ unpublishAt: 1 });
+// Antrian moderasi admin
+productSchema.index({ moderationStatus: 1, submittedForReviewAt: 1 });
+productSchema.index({ openReportCount: -1 });
+// Cari bundle yang memakai produk sebagai komponen (sinkronisasi stok bundle)
+productSchema.index({ "bundleItems.product": 1 });
+productSchema.index({ "sales.status": 1, "sales.startAt": 1 });
+productSchema.index({ "sales.status": 1, "sales.endAt": 1 });
+
 // Complex queries
 productSchema.index({ category: 1, price: 1, isActive: 1, deletedAt: 1 });
 productSchema.index({ isActive: 1, deletedAt: 1, rating: -1, createdAt: -1 });
 
-productSchema.index({ 
-  title: "text", 
-  description: "text" 
-}, {
-  weights: { title: 10, description: 5 },
-  name: "search_index"
-});
+// Pencarian: title > kategori > stem > description; stemming dilakukan sendiri (bahasa "none")
+productSchema.index(
+  { title: "text", categoryName: "text", searchTokens: "text", description: "text" },
+  {
+    weights: { title: 10, categoryName: 5, searchTokens: 3, description: 1 },
+    default_language: "none",
+    name: "product_search_index",
+  }
+);
+productSchema.index({ searchTokens: 1 });
 
 
 productSchema.methods.getCategoryInfo = function () {
@@ -301,6 +611,7 @@ productSchema.statics.getByCategory = function (categoryId, options = {}) {
     minPrice,
     maxPrice,
     sellerId, // NEW: Optional seller filter
+    attributeMatch = {},
   } = options;
 
   const match = {
@@ -311,6 +622,7 @@ productSchema.statics.getByCategory = function (categoryId, options = {}) {
 
   if (minPrice !== undefined) match.price = { $gte: minPrice };
   if (maxPrice !== undefined) match.price = { ...match.price, $lte: maxPrice };
+  Object.assign(match, attributeMatch);
   if (sellerId) match.sellerId = mongoose.Types.ObjectId(sellerId);
 
   return this.find(match)
@@ -323,67 +635,131 @@ productSchema.statics.getByCategory = function (categoryId, options = {}) {
 
 // NEW: Search products with seller context
 // NEW: Search products with seller context - FIXED VERSION
-productSchema.statics.searchProducts = function (searchTerm, options = {}) {
-  const {
-    page = 1,
-    limit = 10,
-    category,
-    sellerId,
-    minPrice,
-    maxPrice,
-    sortBy = "relevance",
-  } = options;
+/**
+ * Recompute categoryName & searchTokens (backfill / setelah kategori di-rename), per batch
+ * @param {Object} filter - Product filter
+ * @returns {Promise<number>} Updated product count
+ */
+productSchema.statics.refreshSearchFields = async function (filter = {}) {
+  const BATCH_SIZE = 200;
+  let lastId = null;
+  let updated = 0;
 
-  const match = {
-    $and: [
-      { isActive: true },
-      { deletedAt: null },
-      {
-        $or: [
-          { title: new RegExp(searchTerm, "i") },
-          { description: new RegExp(searchTerm, "i") },
-        ],
+  while (true) {
+    const query = lastId ? { $and: [filter, { _id: { $gt: lastId } }] } : filter;
+    const products = await this.find(query, null, { skipSoftDeleteFilter: true })
+      .select("title category")
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+    if (products.length === 0) break;
+
+    const categoryIds = [...new Set(products.map(product => String(product.category)))];
+    const categories = await mongoose.model("Category").find({ _id: { $in: categoryIds } }).select("name").lean();
+    const namesById = new Map(categories.map(category => [category._id.toString(), category.name]));
+
+    await this.bulkWrite(
+      products.map(product => {
+        const categoryName = namesById.get(String(product.category)) || null;
+        return {
+          updateOne: {
+            filter: { _id: product._id },
+            update: { $set: { categoryName, searchTokens: buildSearchTokens(product.title, categoryName) } },
+          },
+        };
+      })
+    );
+
+    updated += products.length;
+    lastId = products[products.length - 1]._id;
+  }
+
+  return updated;
+};
+
+/**
+ * Update soldCount dari item order (bundle dihitung sebagai bundle, bukan per komponen)
+ * @param {Array} orderItems - cartSnapshot items ({ product, quantity })
+ * @param {number} direction - 1 saat order dibayar, -1 saat pembatalan
+ */
+productSchema.statics.recordSales = async function (orderItems = [], direction = 1) {
+  const operations = orderItems
+    .filter(item => item.product && item.quantity > 0)
+    .map(item => ({
+      updateOne: {
+        filter: direction > 0 ? { _id: item.product } : { _id: item.product, soldCount: { $gte: item.quantity } },
+        update: { $inc: { soldCount: item.quantity * direction } },
+      },
+    }));
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+};
+
+/**
+ * Facet counts per attribute untuk hasil listing/search
+ * Setiap facet dihitung dengan semua filter atribut lain kecuali filternya sendiri,
+ * sehingga opsi lain di atribut yang sama tetap terlihat
+ * @param {Array} baseStages - Pipeline stages yang sudah menerapkan filter non-atribut
+ * @param {Object} filters - Attribute filters dari buildAttributeFilters
+ * @param {Array} definitions - Attribute schema kategori (boleh kosong)
+ * @returns {Promise<Array>} Formatted facets
+ */
+productSchema.statics.getAttributeFacets = async function (
+  baseStages,
+  filters = {},
+  definitions = []
+) {
+  const facetKeys = definitions
+    .filter((definition) => definition.filterable !== false)
+    .map((definition) => definition.key);
+
+  const countStages = (keys) => [
+    { $project: { attrs: { $objectToArray: { $ifNull: ["$attributes", {}] } } } },
+    { $unwind: "$attrs" },
+    ...(keys ? [{ $match: { "attrs.k": { $in: keys } } }] : []),
+    {
+      $group: {
+        _id: { key: "$attrs.k", value: "$attrs.v" },
+        count: { $sum: 1 },
       },
+    },
+  ];
+
+  const filteredKeys = Object.keys(filters);
+  // Key atribut selalu diawali huruf, jadi tidak bentrok dengan "_all"
+  const facetStage = {
+    _all: [
+      { $match: combineAttributeFilters(filters) },
+      ...countStages(definitions.length > 0 ? facetKeys : null),
     ],
   };
+  filteredKeys.forEach((key) => {
+    facetStage[key] = [
+      { $match: combineAttributeFilters(filters, key) },
+      ...countStages([key]),
+    ];
+  });
 
-  if (category) match.category = mongoose.Types.ObjectId(category);
-  if (sellerId) match.sellerId = mongoose.Types.ObjectId(sellerId);
-  if (minPrice !== undefined) match.price = { $gte: minPrice };
-  if (maxPrice !== undefined) match.price = { ...match.price, $lte: maxPrice };
+  const [result] = await this.aggregate([...baseStages, { $facet: facetStage }]);
 
-  let sortCriteria;
-  switch (sortBy) {
-    case "price_asc":
-      sortCriteria = { price: 1 };
-      break;
-    case "price_desc":
-      sortCriteria = { price: -1 };
-      break;
-    case "rating":
-      sortCriteria = { rating: -1, reviews: -1 };
-      break;
-    case "newest":
-      sortCriteria = { createdAt: -1 };
-      break;
-    case "relevance":
-    default:
-      // Fixed: Don't use $meta textScore without text index
-      sortCriteria = { rating: -1, createdAt: -1 };
-  }
+  const rows = [
+    ...result._all.filter((row) => !filteredKeys.includes(row._id.key)),
+    ...filteredKeys.flatMap((key) => result[key]),
+  ];
 
-  return this.find(match)
-    .sort(sortCriteria)
-    .limit(limit * 1)
-    .skip((page - 1) * limit)
-    .populate("category")
-    .populate("sellerId", "storeName storeSlug logo");
+  return formatAttributeFacets(rows, definitions);
 };
 
 productSchema.statics.findBySlug = function (slug, options = {}) {
   const { includeDeleted = false } = options;
 
-  const query = { slug };
+  const query = {
+    slug,
+    publishStatus: { $nin: PENDING_PUBLISH_STATUSES },
+    moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES },
+  };
 
   if (!includeDeleted) {
     query.deletedAt = { $in: [null, undefined] };
@@ -391,6 +767,7 @@ productSchema.statics.findBySlug = function (slug, options = {}) {
 
   return this.findOne(query)
     .populate("category", "name description image")
+    .populate("bundleItems.product", "title slug image price variants")
     .populate({
       path: "sellerId",
       select: "storeName storeSlug logo contact userId",
@@ -403,6 +780,99 @@ productSchema.statics.findBySlug = function (slug, options = {}) {
     // ← HAPUS .lean() di sini, populate harus sebelum lean
 };
 
+/**
+ * Jumlah bundle utuh dari stok komponen; komponen nonaktif / dihapus / varian nonaktif = 0
+ * @private
+ */
+const computeBundleStock = (bundleItems = [], componentsById) => {
+  if (bundleItems.length === 0) return 0;
+
+  const counts = bundleItems.map(item => {
+    const component = componentsById.get(item.product.toString());
+    if (!component || !component.isActive || component.deletedAt) return 0;
+
+    const source = item.variant
+      ? (component.variants || []).find(variant => variant._id.toString() === item.variant.toString())
+      : component;
+    if (!source || source.isActive === false) return 0;
+
+    return Math.floor((source.stock || 0) / item.quantity);
+  });
+
+  return Math.max(0, Math.min(...counts));
+};
+
+/**
+ * Load komponen bundle (lean) sebagai Map by id
+ * @private
+ */
+const loadBundleComponents = (Model, productIds) =>
+  Model.find({ _id: { $in: productIds } })
+    .select("stock variants isActive deletedAt")
+    .lean()
+    .then(components => new Map(components.map(component => [component._id.toString(), component])));
+
+/**
+ * Available stock of a bundle, derived from its components
+ * @param {Array} bundleItems - [{ product, variant, quantity }]
+ * @returns {Promise<number>} Jumlah bundle yang bisa dibeli
+ */
+productSchema.statics.calculateBundleStock = async function (bundleItems = []) {
+  if (bundleItems.length === 0) return 0;
+
+  const componentsById = await loadBundleComponents(
+    this,
+    bundleItems.map(item => item.product)
+  );
+  return computeBundleStock(bundleItems, componentsById);
+};
+
+/**
+ * Recompute stock of every bundle that uses one of the given products
+ * Dipanggil setelah stok komponen berubah lewat updateOne (reservasi, restock) atau save
+ * @param {Array} productIds - Component product IDs
+ * @returns {Promise<number>} Jumlah bundle yang stoknya berubah
+ */
+productSchema.statics.syncBundleStock = async function (productIds = []) {
+  if (productIds.length === 0) return 0;
+
+  const bundles = await this.find({ productType: "bundle", "bundleItems.product": { $in: productIds } })
+    .select("bundleItems stock")
+    .lean();
+  if (bundles.length === 0) return 0;
+
+  const componentIds = bundles.flatMap(bundle => bundle.bundleItems.map(item => item.product));
+  const componentsById = await loadBundleComponents(this, componentIds);
+
+  const operations = bundles
+    .map(bundle => ({ bundle, stock: computeBundleStock(bundle.bundleItems, componentsById) }))
+    .filter(({ bundle, stock }) => bundle.stock !== stock)
+    .map(({ bundle, stock }) => ({
+      updateOne: { filter: { _id: bundle._id }, update: { $set: { stock } } },
+    }));
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+
+  return operations.length;
+};
+
+// Publish sekarang (dari draft/scheduled/unpublished)
+productSchema.methods.publish = function () {
+  this.publishStatus = "published";
+  this.publishAt = null;
+  this.isActive = true;
+  this.publishedAt = new Date();
+  return this.save();
+};
+
+// Cari varian berdasarkan _id (null jika tidak ada)
+productSchema.methods.findVariant = function (variantId) {
+  if (!variantId || !this.variants) return null;
+  return this.variants.find(variant => variant._id.toString() === variantId.toString()) || null;
+};
+
 // NEW: Soft delete method with WIB timestamp
 productSchema.methods.softDelete = function () {
   this.deletedAt = new Date(
@@ -419,15 +889,247 @@ productSchema.methods.restore = function () {
   return this.save();
 };
 
+// Pastikan tepat satu gambar primary dan sinkronkan ke field image
+productSchema.pre("validate", function (next) {
+  if (!this.isModified("images")) return next();
+
+  if (!this.images || this.images.length === 0) {
+    this.image = null;
+    return next();
+  }
+
+  const primaryIndex = Math.max(
+    this.images.findIndex(image => image.isPrimary),
+    0
+  );
+  this.images.forEach((image, index) => {
+    image.isPrimary = index === primaryIndex;
+  });
+  this.image = this.images[primaryIndex].url;
+
+  next();
+});
+
+// Field konten yang perlu direview ulang jika produk yang ditolak diedit seller
+const MODERATED_CONTENT_FIELDS = ["title", "description", "images", "category", "attributes"];
+
+// Produk baru masuk antrian review; produk ditolak yang diedit seller otomatis diajukan ulang;
+// produk tersembunyi tidak boleh aktif. Produk approved yang diedit tetap tayang (laporan buyer jadi pengaman)
+productSchema.pre("validate", function (next) {
+  if (this.isNew && !this.moderationStatus) {
+    this.moderationStatus = "pending_review";
+    this.submittedForReviewAt = new Date();
+  }
+
+  if (
+    !this.isNew &&
+    this.moderationStatus === "rejected" &&
+    !this.isModified("moderationStatus") &&
+    MODERATED_CONTENT_FIELDS.some(field => this.isModified(field))
+  ) {
+    this.moderationStatus = "pending_review";
+    this.submittedForReviewAt = new Date();
+  }
+
+  if (HIDDEN_MODERATION_STATUSES.includes(this.moderationStatus)) {
+    this.isActive = false;
+  }
+
+  next();
+});
+
+// Sinkronisasi publishStatus dengan isActive & validasi jadwal
+productSchema.pre("validate", function (next) {
+  if (
+    !this.isNew &&
+    !this.isModified("publishStatus") &&
+    !this.isModified("publishAt") &&
+    !this.isModified("unpublishAt") &&
+    !this.isModified("isActive")
+  ) {
+    return next();
+  }
+
+  if (this.publishAt && this.unpublishAt && this.unpublishAt <= this.publishAt) {
+    const error = new Error("Unpublish time must be after publish time");
+    error.code = "INVALID_PUBLISH_SCHEDULE";
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  // Mengaktifkan draft/scheduled yang sudah tersimpan secara manual = publish sekarang
+  if (!this.isNew && this.isModified("isActive") && this.isActive && this.publishStatus !== "published") {
+    this.publishStatus = "published";
+    this.publishAt = null;
+  }
+
+  if (this.publishStatus !== "draft" && this.publishAt && this.publishAt > new Date()) {
+    this.publishStatus = "scheduled";
+  }
+
+  if (PENDING_PUBLISH_STATUSES.includes(this.publishStatus)) {
+    this.isActive = false;
+  } else if (this.publishStatus === "published" && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+
+  next();
+});
+
+// Sinkronisasi price/stock produk dari varian sebelum validasi required
+productSchema.pre("validate", function (next) {
+  if (!this.variants || this.variants.length === 0) {
+    if (this.isModified("variants")) this.variantOptions = [];
+    return next();
+  }
+
+  const skus = new Set();
+  const optionMap = new Map();
+  let optionKeys = null;
+
+  for (const variant of this.variants) {
+    if (skus.has(variant.sku)) {
+      const error = new Error(`Duplicate variant SKU: ${variant.sku}`);
+      error.code = "DUPLICATE_VARIANT_SKU";
+      error.statusCode = 400;
+      return next(error);
+    }
+    skus.add(variant.sku);
+
+    const keys = Array.from(variant.options.keys()).sort().join("|");
+    if (optionKeys !== null && keys !== optionKeys) {
+      const error = new Error("All variants must define the same option names");
+      error.code = "INVALID_VARIANT_OPTIONS";
+      error.statusCode = 400;
+      return next(error);
+    }
+    optionKeys = keys;
+
+    for (const [name, value] of variant.options) {
+      if (!optionMap.has(name)) optionMap.set(name, []);
+      const values = optionMap.get(name);
+      if (!values.includes(value)) values.push(value);
+    }
+  }
+
+  // Harga produk = harga varian aktif termurah, stok produk = total stok semua varian
+  const activeVariants = this.variants.filter(variant => variant.isActive);
+  const pricedVariants = activeVariants.length > 0 ? activeVariants : this.variants;
+
+  this.price = Math.min(...pricedVariants.map(variant => variant.price));
+  this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  this.reservedStock = this.variants.reduce((sum, variant) => sum + (variant.reservedStock || 0), 0);
+  this.variantOptions = Array.from(optionMap, ([name, values]) => ({ name, values }));
+
+  next();
+});
+
+// Validasi bentuk bundle & turunkan stok bundle dari stok komponen
+productSchema.pre("validate", async function (next) {
+  if (this.productType !== "bundle") {
+    if (this.bundleItems !== undefined) this.bundleItems = undefined;
+    return next();
+  }
+
+  const items = this.bundleItems || [];
+  const keys = items.map(item => `${item.product}:${item.variant || ""}`);
+  let message = null;
+
+  if (this.variants && this.variants.length > 0) {
+    message = "A bundle cannot have variants";
+  } else if (items.length < 2 || items.length > MAX_BUNDLE_ITEMS) {
+    message = `A bundle must contain between 2 and ${MAX_BUNDLE_ITEMS} component products`;
+  } else if (new Set(keys).size !== keys.length) {
+    message = "Bundle components must be unique";
+  } else if (items.some(item => item.product.equals(this._id))) {
+    message = "A bundle cannot contain itself";
+  }
+
+  if (message) {
+    const error = new Error(message);
+    error.code = "INVALID_BUNDLE";
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  try {
+    this.stock = await this.constructor.calculateBundleStock(items);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Sale window tidak boleh overlap dan selesai setelah mulai
+productSchema.pre("validate", function (next) {
+  if (!this.isModified("sales") || !this.sales) return next();
+
+  const pending = this.sales
+    .filter(sale => sale.status !== "ended")
+    .sort((a, b) => a.startAt - b.startAt);
+
+  let message = null;
+  if (pending.length > MAX_SALE_WINDOWS) {
+    message = `A product can have at most ${MAX_SALE_WINDOWS} upcoming sales`;
+  } else if (pending.some(sale => sale.endAt <= sale.startAt)) {
+    message = "Sale end time must be after start time";
+  } else if (pending.some((sale, index) => index > 0 && sale.startAt < pending[index - 1].endAt)) {
+    message = "Sale windows must not overlap";
+  }
+
+  if (message) {
+    const error = new Error(message);
+    error.code = "INVALID_SALE_WINDOW";
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  next();
+});
+
 productSchema.pre("save", async function (next) {
+  // Catat riwayat harga setelah save (lihat post save)
+  if (
+    this.isNew ||
+    this.isModified("price") ||
+    this.isModified("variants") ||
+    this.isModified("compareAtPrice") ||
+    this.isModified("sales")
+  ) {
+    this.$locals.priceHistorySource = this.$locals.priceHistorySource || (this.isNew ? "created" : "updated");
+  }
+
+  // Catat pergerakan stok setelah save (lihat post save); stok bundle diturunkan dari komponen
+  // Jenis/alasan/actor bisa diset pemanggil lewat $locals.stockMovement sebelum save
+  if (
+    this.productType !== "bundle" &&
+    (this.isNew || (this.$locals.loadedStock && (this.isModified("stock") || this.isModified("variants"))))
+  ) {
+    const change = this.$locals.stockMovement || {};
+    this.$locals.stockMovements = InventoryMovement.diffSnapshots(
+      this,
+      this.isNew ? new Map() : this.$locals.loadedStock,
+      InventoryMovement.captureOnHand(this),
+      { ...change, type: change.type || (this.isNew ? "initial" : "adjustment") }
+    );
+  }
+
+  // Stok / ketersediaan komponen berubah -> stok bundle yang memakainya disinkronkan (post save)
+  this.$locals.syncBundles =
+    !this.isNew &&
+    this.productType !== "bundle" &&
+    ["stock", "variants", "isActive", "deletedAt"].some(field => this.isModified(field));
+
   // Generate slug if title is modified or this is a new document
   if (this.isModified("title") || this.isNew) {
     let baseSlug = generateSlug(this.title);
     let slug = baseSlug;
     let counter = 1;
 
-    // Check if slug already exists and create unique one
-    while (await this.constructor.findOne({ slug, _id: { $ne: this._id } })) {
+    // Check if slug already exists (atau masih dipesan sebagai slug lama produk lain) and create unique one
+    while (
+      await this.constructor.findOne({ $or: [{ slug }, { previousSlugs: slug }], _id: { $ne: this._id } })
+    ) {
       slug = `${baseSlug}-${counter}`;
       counter++;
     }
@@ -443,6 +1145,11 @@ productSchema.pre("save", async function (next) {
       error.code = "INVALID_CATEGORY";
       return next(error);
     }
+    this.categoryName = category.name;
+  }
+
+  if (this.isNew || this.isModified("title") || this.isModified("category")) {
+    this.searchTokens = buildSearchTokens(this.title, this.categoryName);
   }
 
   // NEW: Validate seller if provided
@@ -460,6 +1167,51 @@ productSchema.pre("save", async function (next) {
   next();
 });
 
+productSchema.post("save", async function () {
+  const source = this.$locals.priceHistorySource;
+  if (!source) return;
+
+  this.$locals.priceHistorySource = null;
+  try {
+    await ProductPriceHistory.recordSnapshot(this, source);
+  } catch (error) {
+    // Riwayat harga tidak boleh menggagalkan update produk
+    console.error("Failed to record price history:", error);
+  }
+});
+
+// Snapshot stok on-hand saat load, pembanding untuk ledger pergerakan stok
+productSchema.post("init", function () {
+  this.$locals.loadedStock = InventoryMovement.captureOnHand(this);
+});
+
+productSchema.post("save", async function () {
+  const entries = this.$locals.stockMovements;
+  this.$locals.stockMovements = null;
+  this.$locals.stockMovement = null;
+  this.$locals.loadedStock = InventoryMovement.captureOnHand(this);
+
+  if (!entries || entries.length === 0) return;
+  try {
+    await InventoryMovement.insertMany(entries);
+  } catch (error) {
+    // Ledger stok tidak boleh menggagalkan update produk
+    console.error("Failed to record inventory movement:", error);
+  }
+});
+
+productSchema.post("save", function () {
+  if (!this.$locals.syncBundles) return;
+
+  this.$locals.syncBundles = false;
+  this.constructor.syncBundleStock([this._id]).catch(error => {
+    console.error("Failed to sync bundle stock:", error);
+  });
+});
+
+// Slug lama disimpan untuk redirect 301 (didaftarkan setelah pre save yang meng-generate slug)
+productSchema.plugin(slugHistoryPlugin);
+
 // NEW: Pre-remove middleware for cascading deletes
 productSchema.pre("remove", async function (next) {
   // Remove from carts when product is hard deleted
@@ -503,12 +1255,43 @@ productSchema.set("toJSON", {
       id: ret._id,
       title: ret.title,
       slug: ret.slug,
+      sku: ret.sku || null,
       description: ret.description,
       price: ret.price,
+      compareAtPrice: ret.compareAtPrice || null,
+      pricing: formatPricing(doc),
+      sales: formatSaleWindows(ret.sales),
       stock: ret.stock,
       isActive: ret.isActive,
+      publishStatus: ret.publishStatus || "published",
+      publishAt: ret.publishAt || null,
+      unpublishAt: ret.unpublishAt || null,
+      moderationStatus: ret.moderationStatus || "approved",
+      moderationReason: ret.moderationReason || null,
       rating: ret.rating,
       reviews: ret.reviews,
+      soldCount: ret.soldCount || 0,
+
+      productType: ret.productType || "standard",
+      bundleItems: (ret.bundleItems || []).map(item => ({
+        product: item.product,
+        variant: item.variant || null,
+        quantity: item.quantity,
+      })),
+
+      // Variants (kosong untuk produk tanpa varian)
+      variantOptions: ret.variantOptions || [],
+      variants: (ret.variants || []).map(variant => ({
+        id: variant._id,
+        sku: variant.sku,
+        options: variant.options instanceof Map ? Object.fromEntries(variant.options) : variant.options,
+        price: variant.price,
+        stock: variant.stock,
+        image: variant.image || null,
+        isActive: variant.isActive,
+      })),
+
+      attributes: toPlainAttributes(ret.attributes),
 
       // Image information
       image: {
@@ -516,6 +1299,7 @@ productSchema.set("toJSON", {
         alt: ret.title || "Product Image",
         hasImage: !!ret.image,
       },
+      gallery: formatGallery(ret),
 
       // Category (if populated)
       category: ret.category
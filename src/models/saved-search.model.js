@@ -0,0 +1,77 @@
+// saved-search.model.js - Pencarian tersimpan user (query + filter) dengan alert produk baru yang cocok
+const mongoose = require("mongoose");
+
+const MAX_SAVED_SEARCHES = 20;
+// Produk yang sudah dinotifikasi diingat agar produk yang lolos moderasi ulang tidak dikirim lagi
+const MAX_NOTIFIED_PRODUCTS = 200;
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Default = query
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [50, "Saved search name cannot exceed 50 characters"],
+    },
+    query: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    // Filter sama seperti GET /api/search (sudah divalidasi)
+    filters: {
+      category: { type: mongoose.Schema.Types.ObjectId, ref: "Category", default: null },
+      sellerId: { type: mongoose.Schema.Types.ObjectId, ref: "SellerProfile", default: null },
+      minPrice: { type: Number, default: null },
+      maxPrice: { type: Number, default: null },
+      rating: { type: Number, default: null },
+      city: { type: String, trim: true, default: null },
+      sortBy: { type: String, default: "relevance" },
+      // attr[key]=value yang sudah disanitasi
+      attributes: { type: mongoose.Schema.Types.Mixed, default: null },
+    },
+    // normalizedQuery + filter, mencegah user menyimpan pencarian yang sama dua kali
+    signature: {
+      type: String,
+      required: true,
+    },
+    // Opt-in: alert dikirim hanya jika enabled
+    alerts: {
+      enabled: { type: Boolean, default: false },
+      channels: {
+        email: { type: Boolean, default: true },
+        inApp: { type: Boolean, default: true },
+      },
+    },
+    // Batas bawah produk "baru" untuk alert berikutnya (di-reset saat alert diaktifkan)
+    lastAlertedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    notifiedProducts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+savedSearchSchema.index({ user: 1, signature: 1 }, { unique: true });
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ "alerts.enabled": 1, _id: 1 });
+
+savedSearchSchema.statics.MAX_SAVED_SEARCHES = MAX_SAVED_SEARCHES;
+savedSearchSchema.statics.MAX_NOTIFIED_PRODUCTS = MAX_NOTIFIED_PRODUCTS;
+
+module.exports = mongoose.model("SavedSearch", savedSearchSchema);
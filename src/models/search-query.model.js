@@ -0,0 +1,121 @@
+// search-query.model.js - Log query pencarian (/search & /search/suggestions) untuk analytics
+const mongoose = require("mongoose");
+
+const QUERY_TYPES = ["search", "suggestion"];
+
+// Log lebih lama dari ini dihapus otomatis oleh TTL index
+const SEARCH_LOG_RETENTION_DAYS = 90;
+
+// Klik per pencarian yang disimpan (klik berikutnya hanya menambah clickCount)
+const MAX_CLICKS_PER_SEARCH = 20;
+
+const searchClickSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Posisi produk di hasil pencarian (1-based), null jika tidak dikirim client
+    position: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    clickedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const searchQuerySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: QUERY_TYPES,
+      required: true,
+    },
+    query: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    // normalizeSearchText(query): dasar pengelompokan top queries & trending
+    normalizedQuery: {
+      type: String,
+      required: true,
+      maxlength: 200,
+    },
+    resultCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // text / fuzzy / none (hanya untuk type search)
+    matchType: {
+      type: String,
+      default: null,
+    },
+    filters: {
+      category: { type: mongoose.Schema.Types.ObjectId, ref: "Category", default: null },
+      sellerId: { type: mongoose.Schema.Types.ObjectId, ref: "SellerProfile", default: null },
+      minPrice: { type: Number, default: null },
+      maxPrice: { type: Number, default: null },
+      rating: { type: Number, default: null },
+      city: { type: String, default: null },
+      sortBy: { type: String, default: null },
+      attributes: { type: mongoose.Schema.Types.Mixed, default: null },
+    },
+    page: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    // Response dilayani dari cache (hitungan hasil tetap dari response)
+    cached: {
+      type: Boolean,
+      default: false,
+    },
+    // Salah satu / keduanya boleh kosong (guest tanpa session)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    sessionId: {
+      type: String,
+      default: null,
+      maxlength: 100,
+    },
+    // Hash IP client (bukan IP mentah): dedupe searcher guest untuk trending, session ID bisa dikarang client
+    ipHash: {
+      type: String,
+      default: null,
+    },
+    clicks: {
+      type: [searchClickSchema],
+      default: [],
+    },
+    clickCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+searchQuerySchema.index({ type: 1, createdAt: -1 });
+searchQuerySchema.index({ type: 1, normalizedQuery: 1, createdAt: -1 });
+searchQuerySchema.index({ createdAt: 1 }, { expireAfterSeconds: SEARCH_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+searchQuerySchema.statics.QUERY_TYPES = QUERY_TYPES;
+searchQuerySchema.statics.SEARCH_LOG_RETENTION_DAYS = SEARCH_LOG_RETENTION_DAYS;
+searchQuerySchema.statics.MAX_CLICKS_PER_SEARCH = MAX_CLICKS_PER_SEARCH;
+
+module.exports = mongoose.model("SearchQuery", searchQuerySchema);
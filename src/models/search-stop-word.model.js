@@ -0,0 +1,25 @@
+// search-stop-word.model.js - Kata yang diabaikan saat pencarian (dikelola admin), mis. "dan", "murah", "the"
+const mongoose = require("mongoose");
+
+const searchStopWordSchema = new mongoose.Schema(
+  {
+    // Satu kata, sudah dinormalisasi (normalizeSearchText)
+    word: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+      unique: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+module.exports = mongoose.model("SearchStopWord", searchStopWordSchema);
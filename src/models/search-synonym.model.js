@@ -0,0 +1,43 @@
+// search-synonym.model.js - Grup sinonim pencarian (dikelola admin), mis. sepatu = shoes = sneakers
+const mongoose = require("mongoose");
+
+const MIN_TERMS = 2;
+const MAX_TERMS = 20;
+
+const searchSynonymSchema = new mongoose.Schema(
+  {
+    // Term sudah dinormalisasi (normalizeSearchText), boleh frasa: "kaos kaki"
+    terms: {
+      type: [{ type: String, trim: true, maxlength: 50 }],
+      validate: {
+        validator: terms => terms.length >= MIN_TERMS && terms.length <= MAX_TERMS,
+        message: `A synonym group must have between ${MIN_TERMS} and ${MAX_TERMS} terms`,
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+searchSynonymSchema.index({ terms: 1 });
+searchSynonymSchema.index({ isActive: 1 });
+
+searchSynonymSchema.statics.MIN_TERMS = MIN_TERMS;
+searchSynonymSchema.statics.MAX_TERMS = MAX_TERMS;
+
+module.exports = mongoose.model("SearchSynonym", searchSynonymSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { slugHistoryPlugin } = require("../utils/slug-history.util");
 
 const sellerProfileSchema = new mongoose.Schema(
   {
@@ -205,17 +206,24 @@ sellerProfileSchema.methods.softDelete = function () {
   return this.save();
 };
 
-// Update the findActiveStores static method in your SellerProfile model
+const STORE_SORT_OPTIONS = ["relevance", "newest", "rating", "products"];
 
-sellerProfileSchema.statics.findActiveStores = function (options = {}) {
-  const {
-    page = 1,
-    limit = 10,
-    search,
-    city,
-    sortBy = "createdAt",
-    sortOrder = -1,
-  } = options;
+// Kata pencarian toko yang dipakai (sisanya diabaikan)
+const MAX_STORE_SEARCH_WORDS = 8;
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+sellerProfileSchema.statics.STORE_SORT_OPTIONS = STORE_SORT_OPTIONS;
+
+/**
+ * Pipeline toko aktif + statistik produk yang tampil di marketplace (sebelum sort & paginate)
+ * @param {Object} options - { search, city, province, minRating, minProducts }
+ * @returns {Array} Aggregate stages
+ */
+sellerProfileSchema.statics.buildActiveStoresPipeline = function (options = {}) {
+  const { search, city, province, minRating, minProducts } = options;
+  const phrase = typeof search === "string" ? search.trim() : "";
+  const words = phrase.split(/\s+/).filter(Boolean).slice(0, MAX_STORE_SEARCH_WORDS);
 
   const match = {
     status: "active",
@@ -223,18 +231,27 @@ sellerProfileSchema.statics.findActiveStores = function (options = {}) {
     deletedAt: null,
   };
 
-  if (search) {
-    match.$or = [
-      { storeName: new RegExp(search, "i") },
-      { description: new RegExp(search, "i") },
-    ];
+  // Setiap kata harus ada di nama atau deskripsi toko
+  if (words.length > 0) {
+    match.$and = words.map(word => {
+      const regex = new RegExp(escapeRegex(word), "i");
+      return { $or: [{ storeName: regex }, { description: regex }] };
+    });
   }
 
+  // Lokasi dicocokkan persis (case-insensitive), sama seperti filter kota di pencarian produk
   if (city) {
-    match["address.city"] = new RegExp(city, "i");
+    match["address.city"] = new RegExp(`^${escapeRegex(city.trim())}$`, "i");
   }
+  if (province) {
+    match["address.province"] = new RegExp(`^${escapeRegex(province.trim())}$`, "i");
+  }
+
+  const statsMatch = {};
+  if (minRating !== undefined) statsMatch["stats.averageRating"] = { $gte: minRating };
+  if (minProducts !== undefined) statsMatch["stats.totalProducts"] = { $gte: minProducts };
 
-  return this.aggregate([
+  return [
     {
       $match: match,
     },
@@ -256,26 +273,26 @@ sellerProfileSchema.statics.findActiveStores = function (options = {}) {
       },
     },
     {
+      // Hanya produk yang tampil di marketplace (aktif, published, lolos moderasi)
       $lookup: {
         from: "products",
         let: { sellerId: "$_id" },
         pipeline: [
           {
             $match: {
-              $expr: {
-                $and: [
-                  { $eq: ["$sellerId", "$$sellerId"] },
-                  { $eq: ["$isActive", true] },
-                ],
-              },
+              $expr: { $eq: ["$sellerId", "$$sellerId"] },
+              isActive: true,
+              deletedAt: null,
+              publishStatus: { $nin: ["draft", "scheduled"] },
+              moderationStatus: { $nin: mongoose.model("Product").HIDDEN_MODERATION_STATUSES },
             },
           },
           {
             $group: {
               _id: null,
               totalProducts: { $sum: 1 },
-              totalReviews: { $sum: "$reviewCount" },
-              avgRating: { $avg: "$rating" },
+              totalReviews: { $sum: { $ifNull: ["$reviews", 0] } },
+              ratingPoints: { $sum: { $multiply: [{ $ifNull: ["$rating", 0] }, { $ifNull: ["$reviews", 0] }] } },
             },
           },
         ],
@@ -293,12 +310,21 @@ sellerProfileSchema.statics.findActiveStores = function (options = {}) {
             in: {
               totalProducts: { $ifNull: ["$$stats.totalProducts", 0] },
               totalReviews: { $ifNull: ["$$stats.totalReviews", 0] },
+              // Rata-rata rating produk dibobot jumlah ulasan (produk tanpa ulasan tidak dihitung)
               averageRating: {
-                $round: [{ $ifNull: ["$$stats.avgRating", 0] }, 1],
+                $cond: [
+                  { $gt: [{ $ifNull: ["$$stats.totalReviews", 0] }, 0] },
+                  { $round: [{ $divide: ["$$stats.ratingPoints", "$$stats.totalReviews"] }, 1] },
+                  0,
+                ],
               },
             },
           },
         },
+        // Relevansi: nama toko memuat seluruh kata kunci
+        nameMatch: phrase
+          ? { $regexMatch: { input: "$storeName", regex: escapeRegex(phrase), options: "i" } }
+          : false,
         address: {
           street: "$address.street",
           city: "$address.city",
@@ -356,6 +382,7 @@ sellerProfileSchema.statics.findActiveStores = function (options = {}) {
         },
       },
     },
+    ...(Object.keys(statsMatch).length > 0 ? [{ $match: statsMatch }] : []),
     {
       $project: {
         _id: 1,
@@ -372,6 +399,7 @@ sellerProfileSchema.statics.findActiveStores = function (options = {}) {
         address: 1,
         contact: 1,
         stats: 1,
+        nameMatch: 1,
         createdAt: 1,
         updatedAt: 1,
         // Remove sensitive fields
@@ -382,16 +410,58 @@ sellerProfileSchema.statics.findActiveStores = function (options = {}) {
         // deactivationReason: 0
       },
     },
+  ];
+};
+
+/**
+ * Sort stage untuk direktori toko
+ * @param {string} sortBy - relevance | newest | rating | products | createdAt (lama, memakai sortOrder)
+ * @param {number} sortOrder - 1 / -1 (hanya untuk createdAt)
+ * @returns {Object} Sort spec
+ */
+sellerProfileSchema.statics.buildStoreSort = function (sortBy = "newest", sortOrder = -1) {
+  switch (sortBy) {
+    case "relevance":
+      return { nameMatch: -1, "stats.averageRating": -1, "stats.totalProducts": -1, _id: 1 };
+    case "rating":
+      return { "stats.averageRating": -1, "stats.totalReviews": -1, _id: 1 };
+    case "products":
+      return { "stats.totalProducts": -1, _id: 1 };
+    case "createdAt":
+      return { createdAt: parseInt(sortOrder) === 1 ? 1 : -1, _id: 1 };
+    default:
+      return { createdAt: -1, _id: 1 };
+  }
+};
+
+/**
+ * Search active stores dengan filter, sort & pagination
+ * @param {Object} options - buildActiveStoresPipeline options + { page, limit, sortBy, sortOrder }
+ * @returns {Promise<Object>} { stores, total }
+ */
+sellerProfileSchema.statics.searchActiveStores = async function (options = {}) {
+  const { page = 1, limit = 10, sortBy = "newest", sortOrder = -1 } = options;
+
+  const [result] = await this.aggregate([
+    ...this.buildActiveStoresPipeline(options),
     {
-      $sort: { [sortBy]: parseInt(sortOrder) },
-    },
-    {
-      $skip: (page - 1) * limit,
-    },
-    {
-      $limit: parseInt(limit),
+      $facet: {
+        stores: [
+          { $sort: this.buildStoreSort(sortBy, sortOrder) },
+          { $skip: (parseInt(page) - 1) * parseInt(limit) },
+          { $limit: parseInt(limit) },
+        ],
+        total: [{ $count: "count" }],
+      },
     },
   ]);
+
+  return { stores: result.stores, total: result.total[0]?.count || 0 };
+};
+
+sellerProfileSchema.statics.findActiveStores = async function (options = {}) {
+  const { stores } = await this.searchActiveStores(options);
+  return stores;
 };
 
 sellerProfileSchema.statics.findBySlug = function (slug) {
@@ -430,6 +500,9 @@ sellerProfileSchema.pre("save", async function (next) {
   next();
 });
 
+// Slug toko lama disimpan untuk redirect 301 (toko yang dihapus tidak di-redirect)
+sellerProfileSchema.plugin(slugHistoryPlugin, { field: "storeSlug", filter: { deletedAt: null } });
+
 // Pre-remove middleware untuk soft delete products
 sellerProfileSchema.pre("remove", async function (next) {
   // Soft delete semua produk milik seller ini
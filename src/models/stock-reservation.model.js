@@ -0,0 +1,69 @@
+// stock-reservation.model.js - Ledger reservasi stok untuk order yang belum dibayar
+const mongoose = require("mongoose");
+
+const stockReservationSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // null = stok level produk (produk tanpa varian)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Bundle asal jika reservasi ini komponen bundle (stok bundle ditahan per komponen)
+    bundle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // active: stok ditahan, converted: terjual (order dibayar), released: dikembalikan ke stok
+    status: {
+      type: String,
+      enum: ["active", "converted", "released"],
+      default: "active",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    releaseReason: {
+      type: String,
+      default: null,
+    },
+    convertedAt: {
+      type: Date,
+      default: null,
+    },
+    releasedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+stockReservationSchema.index({ order: 1, status: 1 });
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ product: 1, status: 1 });
+
+module.exports = mongoose.model("StockReservation", stockReservationSchema);
@@ -0,0 +1,45 @@
+// stock-subscription.model.js - Langganan notifikasi "back in stock" dari buyer
+const mongoose = require("mongoose");
+
+const stockSubscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // null = produk tanpa varian
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    channels: {
+      email: { type: Boolean, default: true },
+      inApp: { type: Boolean, default: true },
+    },
+    // active: menunggu restock, notified: sudah dikirim (sekali kirim), cancelled: dibatalkan buyer
+    status: {
+      type: String,
+      enum: ["active", "notified", "cancelled"],
+      default: "active",
+    },
+    notifiedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+stockSubscriptionSchema.index({ user: 1, product: 1, variant: 1 }, { unique: true });
+stockSubscriptionSchema.index({ product: 1, status: 1 });
+stockSubscriptionSchema.index({ user: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("StockSubscription", stockSubscriptionSchema);
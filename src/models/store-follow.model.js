@@ -0,0 +1,26 @@
+// store-follow.model.js - User mengikuti toko (dipakai untuk home feed)
+const mongoose = require("mongoose");
+
+const storeFollowSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SellerProfile",
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+storeFollowSchema.index({ user: 1, seller: 1 }, { unique: true });
+storeFollowSchema.index({ user: 1, createdAt: -1 });
+storeFollowSchema.index({ seller: 1 });
+
+module.exports = mongoose.model("StoreFollow", storeFollowSchema);
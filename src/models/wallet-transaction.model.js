@@ -180,7 +180,8 @@ walletTransactionSchema.statics.getUserTransactions = function(userId, options =
     sortBy = 'createdAt',
     sortOrder = -1,
     dateFrom = null,
-    dateTo = null
+    dateTo = null,
+    cursorFilter = null // dari buildCursorFilter: ganti skip, sort harus { [sortBy]: sortOrder, _id: sortOrder }
   } = options;
   
   const query = { userId };
@@ -194,10 +195,10 @@ walletTransactionSchema.statics.getUserTransactions = function(userId, options =
     if (dateTo) query.createdAt.$lte = new Date(dateTo);
   }
   
-  return this.find(query)
-    .sort({ [sortBy]: sortOrder })
+  return this.find(cursorFilter ? { $and: [query, cursorFilter] } : query)
+    .sort({ [sortBy]: sortOrder, _id: sortOrder })
     .limit(limit * 1)
-    .skip((page - 1) * limit)
+    .skip(cursorFilter ? 0 : (page - 1) * limit)
     .populate({
       path: 'orderId',
       select: 'orderNumber status totalPrice',
@@ -374,4 +375,7 @@ walletTransactionSchema.set('toJSON', {
   }
 });
 
+// Sort key yang selalu terisi, aman untuk cursor pagination
+walletTransactionSchema.statics.CURSOR_SORT_FIELDS = ['createdAt', 'updatedAt', 'amount', 'balanceAfter'];
+
 module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
\ No newline at end of file
@@ -0,0 +1,67 @@
+// wishlist.model.js - Wishlist / favorit user (bisa beberapa list bernama)
+const mongoose = require("mongoose");
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // null = simpan produk tanpa memilih varian
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  // Harga efektif (termasuk sale) saat disimpan, dasar indikator "harga turun"
+  priceAtAdd: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Harga terakhir yang sudah dinotifikasi; notifikasi berikutnya hanya jika lebih murah lagi
+  notifiedPrice: {
+    type: Number,
+    default: null,
+  },
+  // Status stok terakhir yang dilihat job notifikasi
+  lastInStock: {
+    type: Boolean,
+    default: true,
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const wishlistSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [50, "Wishlist name cannot exceed 50 characters"],
+    },
+    // List default dibuat otomatis saat user pertama kali menyimpan produk
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    items: [wishlistItemSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Nama list unik per user (case-insensitive)
+wishlistSchema.index({ user: 1, name: 1 }, { unique: true, collation: { locale: "en", strength: 2 } });
+wishlistSchema.index({ user: 1, isDefault: 1 });
+wishlistSchema.index({ "items.product": 1 });
+
+module.exports = mongoose.model("Wishlist", wishlistSchema);
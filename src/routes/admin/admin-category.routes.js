@@ -0,0 +1,15 @@
+const express = require("express");
+const router = express.Router();
+const AdminCategoryController = require("../../controllers/admin/admin-category.controller");
+const { invalidateAllProductCache } = require("../../middlewares/cache-middleware");
+
+// 🔹 Category Endpoints (tree, breadcrumb & filter subtree ikut berubah)
+router.post("/", invalidateAllProductCache, AdminCategoryController.createCategory);
+router.put("/:categoryId", invalidateAllProductCache, AdminCategoryController.updateCategory);
+
+// 🔹 Category Attribute Schema Endpoints
+router.route("/:categoryId/attributes")
+  .get(AdminCategoryController.getAttributeSchema)
+  .put(invalidateAllProductCache, AdminCategoryController.updateAttributeSchema); // Facet & filter listing ikut berubah
+
+module.exports = router;
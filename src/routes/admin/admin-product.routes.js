@@ -0,0 +1,10 @@
+const express = require("express");
+const router = express.Router();
+const AdminProductController = require("../../controllers/admin/admin-product.controller");
+
+// 🔹 Product Moderation Endpoints
+router.get("/", AdminProductController.getModerationQueue);
+router.get("/:productId/reports", AdminProductController.getProductReports);
+router.patch("/:productId/moderation", AdminProductController.moderateProduct);
+
+module.exports = router;
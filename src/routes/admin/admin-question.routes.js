@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const AdminQuestionController = require("../../controllers/admin/admin-question.controller");
+
+// 🔹 Product Q&A Moderation Endpoints
+router.get("/", AdminQuestionController.getQuestions);
+router.patch("/:questionId/moderation", AdminQuestionController.moderateQuestion);
+router.patch("/:questionId/answers/:answerId/moderation", AdminQuestionController.moderateAnswer);
+router.delete("/:questionId", AdminQuestionController.deleteQuestion);
+
+module.exports = router;
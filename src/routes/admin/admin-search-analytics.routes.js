@@ -0,0 +1,10 @@
+const express = require("express");
+const router = express.Router();
+const AdminSearchAnalyticsController = require("../../controllers/admin/admin-search-analytics.controller");
+
+// 🔹 Search Analytics Endpoints
+router.get("/top-queries", AdminSearchAnalyticsController.getTopQueries);
+router.get("/zero-results", AdminSearchAnalyticsController.getZeroResultQueries);
+router.get("/click-through", AdminSearchAnalyticsController.getClickThroughStats);
+
+module.exports = router;
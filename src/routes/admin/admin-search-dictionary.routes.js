@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const AdminSearchDictionaryController = require("../../controllers/admin/admin-search-dictionary.controller");
+const { invalidateSearchCache } = require("../../middlewares/cache-middleware");
+
+// 🔹 Search Synonym Endpoints (hasil pencarian yang di-cache ikut di-invalidate)
+router.route("/synonyms")
+  .get(AdminSearchDictionaryController.getSynonyms)
+  .post(invalidateSearchCache, AdminSearchDictionaryController.createSynonym);
+router.route("/synonyms/:synonymId")
+  .put(invalidateSearchCache, AdminSearchDictionaryController.updateSynonym)
+  .delete(invalidateSearchCache, AdminSearchDictionaryController.deleteSynonym);
+
+// 🔹 Search Stop Word Endpoints
+router.route("/stop-words")
+  .get(AdminSearchDictionaryController.getStopWords)
+  .post(invalidateSearchCache, AdminSearchDictionaryController.createStopWord);
+router.delete("/stop-words/:stopWordId", invalidateSearchCache, AdminSearchDictionaryController.deleteStopWord);
+
+module.exports = router;
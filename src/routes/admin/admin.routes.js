@@ -6,6 +6,11 @@ const { protect, restrictTo } = require("../../middlewares/auth.middleware");
 const adminUserRoutes = require("./admin-user.routes");
 const adminWalletRoutes = require("./admin-wallet.routes");
 const adminCacheRoutes= require('./cache.routes')
+const adminCategoryRoutes = require("./admin-category.routes");
+const adminQuestionRoutes = require("./admin-question.routes");
+const adminProductRoutes = require("./admin-product.routes");
+const adminSearchAnalyticsRoutes = require("./admin-search-analytics.routes");
+const adminSearchDictionaryRoutes = require("./admin-search-dictionary.routes");
 // Protect all admin routes
 router.use(protect);
 router.use(restrictTo("admin"));
@@ -14,5 +19,10 @@ router.use(restrictTo("admin"));
 router.use("/users", adminUserRoutes);
 router.use("/wallets", adminWalletRoutes);
 router.use("/cache", adminCacheRoutes)
+router.use("/categories", adminCategoryRoutes);
+router.use("/questions", adminQuestionRoutes);
+router.use("/products", adminProductRoutes);
+router.use("/search-analytics", adminSearchAnalyticsRoutes);
+router.use("/search-dictionary", adminSearchDictionaryRoutes);
 
 module.exports = router;
\ No newline at end of file
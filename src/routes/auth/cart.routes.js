@@ -13,6 +13,7 @@ router.route('/coupon')
   .delete(CartController.removeCoupon)//✅
 
 router.get('/count', CartController.getCartCount);//✅
+router.get('/recommendations', CartController.getRecommendations);
 
 router.route('/')
   .get(CartController.getCart)//✅
@@ -6,6 +6,8 @@ router.use("/auth", require("./public/auth.routes"));
 router.use("/products", require("./public/product.routes"));
 router.use("/stores", require("./public/store.routes"));
 router.use("/search", require("./public/search.routes"));
+router.use("/categories", require("./public/category.routes"));
+router.use("/feed", require("./public/feed.routes"));
 
 // User routes
 router.use("/users", require("./user/user-profile.routes"));
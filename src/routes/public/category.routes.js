@@ -0,0 +1,15 @@
+// category.routes.js
+const express = require("express");
+const router = express.Router();
+const CategoryController = require("../../controllers/user/category.controller");
+const { cacheMiddleware } = require("../../middlewares/cache-middleware");
+
+const categoryTreeCache = cacheMiddleware(
+  "categories:tree",
+  1800 // 30 minutes - dibuang oleh clearAllProductCache (jumlah produk ikut berubah)
+);
+
+// Public routes (NO AUTHENTICATION REQUIRED)
+router.get("/", categoryTreeCache, CategoryController.getCategoryTree);
+
+module.exports = router;
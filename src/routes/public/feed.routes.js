@@ -0,0 +1,11 @@
+// feed.routes.js - Home feed personal (user login & guest)
+const express = require("express");
+const router = express.Router();
+const FeedController = require("../../controllers/user/feed.controller");
+const { optionalAuth } = require("../../middlewares/auth.middleware");
+const sessionMiddleware = require("../../middlewares/session.middleware");
+
+// Tidak di-cache: isi feed berbeda per user / guest session
+router.get("/", sessionMiddleware, optionalAuth, FeedController.getFeed);
+
+module.exports = router;
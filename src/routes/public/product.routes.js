@@ -2,16 +2,37 @@
 const express = require("express");
 const router = express.Router();
 const ProductController = require("../../controllers/user/product.controller");
+const ProductQuestionController = require("../../controllers/user/product-question.controller");
+const ProductReportController = require("../../controllers/user/product-report.controller");
+const { protect } = require("../../middlewares/auth.middleware");
 const { productCache, productDetailCache } = require('../../middlewares/cache-middleware');
+const trackProductView = require("../../middlewares/track-product-view.middleware");
+const { redirectOldProductSlug } = require("../../middlewares/slug-redirect.middleware");
 
 // Public routes (NO AUTHENTICATION REQUIRED) with cache
 router.get("/", productCache, ProductController.getAllProducts);
 
-// Reviews route (must be before /:slug to avoid conflicts)
+// Compare & reviews routes (must be before /:slug to avoid conflicts)
+router.get("/compare", ProductController.compareProducts);
 router.get("/:productId/reviews", ProductController.getProductReviews);
+router.get("/:productId/price-history", ProductController.getPriceHistory);
+
+// Q&A: listing public, bertanya & upvote butuh login
+router.route("/:productId/questions")
+  .get(ProductQuestionController.getProductQuestions)
+  .post(protect, ProductQuestionController.askQuestion);
+router.delete("/:productId/questions/:questionId", protect, ProductQuestionController.deleteQuestion);
+router.route("/:productId/questions/:questionId/answers/:answerId/upvote")
+  .post(protect, ProductQuestionController.upvoteAnswer)
+  .delete(protect, ProductQuestionController.removeUpvote);
+
+// Laporan listing (palsu / terlarang) butuh login
+router.post("/:productId/reports", protect, ProductReportController.reportProduct);
 
 // Route untuk slug (priority lebih tinggi karena di atas)
-router.get("/:slug", productDetailCache, (req, res, next) => {
+// trackProductView sebelum cache agar view dari response cache tetap tercatat
+// Slug lama (produk di-rename) -> 301 ke slug sekarang
+router.get("/:slug", trackProductView, productDetailCache, redirectOldProductSlug, (req, res, next) => {
   const { slug } = req.params;
   
   // Jika format ObjectId, redirect ke getProductById
@@ -1,10 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const SearchController = require('../../controllers/search.controller');
-const { searchCache } = require('../../middlewares/cache-middleware');
+const { searchCache, trendingSearchCache } = require('../../middlewares/cache-middleware');
+const trackSearch = require('../../middlewares/track-search.middleware');
 
 // Search routes with cache middleware
-router.get('/', searchCache, SearchController.searchProducts);
-router.get('/suggestions', searchCache, SearchController.getSearchSuggestions);
+// trackSearch sebelum cache agar query dari response cache tetap tercatat
+router.get('/', trackSearch('search'), searchCache, SearchController.searchProducts);
+router.get('/suggestions', trackSearch('suggestion'), searchCache, SearchController.getSearchSuggestions);
+router.get('/trending', trendingSearchCache, SearchController.getTrendingSearches);
+router.post('/:searchId/clicks', SearchController.recordSearchClick);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -2,7 +2,10 @@ const express = require("express");
 const router = express.Router();
 const SellerProfileController = require('../../controllers/seller/seller-profile.controller');
 const SellerProductController = require('../../controllers/seller/seller-product.controller');
+const StoreFollowController = require('../../controllers/user/store-follow.controller');
+const { protect } = require('../../middlewares/auth.middleware');
 const { cacheMiddleware } = require('../../middlewares/cache-middleware');
+const { redirectOldStoreSlug } = require('../../middlewares/slug-redirect.middleware');
 
 // Create specific cache middleware for store endpoints
 const allStoresCache = cacheMiddleware(
@@ -31,7 +34,11 @@ const storeProductsCache = cacheMiddleware(
 );
 
 router.get("/", allStoresCache, SellerProfileController.getAllStores);
-router.get("/:slug", storeProfileCache, SellerProfileController.getPublicProfile);
-router.get("/:slug/products", storeProductsCache, SellerProductController.getStoreProducts);
-router.get("/:slug/reviews/stats", SellerProfileController.getStoreReviewStats);
+// Slug toko lama (toko di-rename) -> 301 ke slug sekarang
+router.get("/:slug", storeProfileCache, redirectOldStoreSlug, SellerProfileController.getPublicProfile);
+router.get("/:slug/products", storeProductsCache, redirectOldStoreSlug, SellerProductController.getStoreProducts);
+router.get("/:slug/reviews/stats", redirectOldStoreSlug, SellerProfileController.getStoreReviewStats);
+router.route("/:slug/follow")
+  .post(protect, StoreFollowController.followStore)
+  .delete(protect, StoreFollowController.unfollowStore);
 module.exports = router;
\ No newline at end of file
@@ -3,7 +3,7 @@ const express = require("express");
 const router = express.Router();
 const SellerProductController = require("../../controllers/seller/seller-product.controller");
 const { roleMiddleware } = require("../../middlewares/role.middleware");
-const {upload} = require("../../middlewares/upload.middleware");
+const {upload, importUpload} = require("../../middlewares/upload.middleware");
 const { invalidateAllProductCache } = require("../../middlewares/cache-middleware");
 
 // BULK OPERATIONS - TARUH DI ATAS
@@ -23,6 +23,24 @@ router
     SellerProductController.bulkDeleteProducts
   );
 
+// IMPORT / EXPORT - juga harus di atas /:productId
+// Cache produk di-clear oleh import job setelah selesai
+router
+  .route("/import")
+  .post(
+    roleMiddleware(['seller']),
+    importUpload.single('file'),
+    SellerProductController.importProducts
+  );
+
+router
+  .route("/import/:jobId")
+  .get(roleMiddleware(['seller']), SellerProductController.getImportJob);
+
+router
+  .route("/export")
+  .get(roleMiddleware(['seller']), SellerProductController.exportProducts);
+
 // PRODUCT CRUD ROUTES - Chaining Style with cache invalidation
 router
   .route("/")
@@ -55,6 +73,58 @@ router
     SellerProductController.updateProductStatus
   );
 
+router
+  .route("/:productId/publication")
+  .patch(
+    roleMiddleware(['seller']),
+    invalidateAllProductCache,
+    SellerProductController.updatePublication
+  );
+
+// STOCK - stok tersedia vs ter-reserve order belum dibayar
+router
+  .route("/:productId/stock")
+  .get(roleMiddleware(['seller']), SellerProductController.getStockSummary);
+
+// STOCK LEDGER - riwayat pergerakan stok & penyesuaian manual (wajib alasan)
+router
+  .route("/:productId/stock-history")
+  .get(roleMiddleware(['seller']), SellerProductController.getStockHistory);
+
+router
+  .route("/:productId/stock-adjustments")
+  .post(
+    roleMiddleware(['seller']),
+    invalidateAllProductCache,
+    SellerProductController.adjustStock
+  );
+
+// PRICING - harga coret & jadwal sale
+router
+  .route("/:productId/pricing")
+  .get(roleMiddleware(['seller']), SellerProductController.getPricing)
+  .patch(
+    roleMiddleware(['seller']),
+    invalidateAllProductCache,
+    SellerProductController.updateCompareAtPrice
+  );
+
+router
+  .route("/:productId/sales")
+  .post(
+    roleMiddleware(['seller']),
+    invalidateAllProductCache,
+    SellerProductController.addSale
+  );
+
+router
+  .route("/:productId/sales/:saleId")
+  .delete(
+    roleMiddleware(['seller']),
+    invalidateAllProductCache,
+    SellerProductController.cancelSale
+  );
+
 // PRODUCT IMAGE ROUTES - Chaining Style
 router
   .route("/:productId/images")
@@ -65,4 +135,35 @@ router
     SellerProductController.uploadProductImage
   );
 
+// PRODUCT GALLERY ROUTES - max 8 images per product
+router
+  .route("/:productId/gallery")
+  .post(
+    roleMiddleware(['seller']),
+    upload.array('images', 8),
+    invalidateAllProductCache,
+    SellerProductController.addGalleryImages
+  );
+
+router
+  .route("/:productId/gallery/order")
+  .patch(
+    roleMiddleware(['seller']),
+    invalidateAllProductCache,
+    SellerProductController.reorderGalleryImages
+  );
+
+router
+  .route("/:productId/gallery/:imageId")
+  .patch(
+    roleMiddleware(['seller']),
+    invalidateAllProductCache,
+    SellerProductController.updateGalleryImage
+  )
+  .delete(
+    roleMiddleware(['seller']),
+    invalidateAllProductCache,
+    SellerProductController.removeGalleryImage
+  );
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,12 @@
+// routes/seller/seller-question.routes.js
+const express = require("express");
+const router = express.Router();
+const SellerQuestionController = require("../../controllers/seller/seller-question.controller");
+const { roleMiddleware } = require("../../middlewares/role.middleware");
+
+// PRODUCT Q&A INBOX
+router.get("/", roleMiddleware(['seller']), SellerQuestionController.getInbox);
+router.post("/:questionId/answers", roleMiddleware(['seller']), SellerQuestionController.answerQuestion);
+router.patch("/:questionId/answers/:answerId", roleMiddleware(['seller']), SellerQuestionController.updateAnswer);
+
+module.exports = router;
@@ -9,6 +9,7 @@ const profileRoutes = require("./seller-profile.routes");
 const orderRoutes = require("./seller-order.routes");
 const analyticsRoutes = require("./seller-analytics.routes");
 const cancelRequestRoutes = require("./seller-cancel-req.routes"); 
+const questionRoutes = require("./seller-question.routes");
 
 // Apply auth middleware untuk semua routes
 router.use(authMiddleware);
@@ -19,5 +20,6 @@ router.use("/profile", profileRoutes);
 router.use("/orders", orderRoutes);
 router.use("/analytics", analyticsRoutes);
 router.use("/requests", cancelRequestRoutes);
+router.use("/questions", questionRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const UserProfileController = require('../../controllers/user/user-profile.controller');
+const NotificationController = require('../../controllers/user/notification.controller');
+const WishlistController = require('../../controllers/user/wishlist.controller');
+const FeedController = require('../../controllers/user/feed.controller');
+const StoreFollowController = require('../../controllers/user/store-follow.controller');
+const SavedSearchController = require('../../controllers/user/saved-search.controller');
 const authMiddleware = require('../../middlewares/auth.middleware');
 // const rateLimitMiddleware = require('../../middlewares/rate-limit.middleware');
 const { createUploadMiddleware } = require('../../utils/cloudinary-uploader.util');
@@ -44,4 +49,47 @@ router.post('/me/upgrade-to-seller',
   UserProfileController.upgradeToSeller
 );
 
+// In-app notifications (back in stock, stok menipis untuk seller)
+router.get('/me/notifications', NotificationController.getMyNotifications);
+router.patch('/me/notifications/read-all', NotificationController.markAllAsRead);
+router.patch('/me/notifications/:notificationId/read', NotificationController.markAsRead);
+
+// Back-in-stock subscriptions
+router.route('/me/stock-subscriptions')
+  .get(NotificationController.getMyStockSubscriptions)
+  .post(NotificationController.subscribeBackInStock);
+
+router.delete('/me/stock-subscriptions/:subscriptionId', NotificationController.unsubscribeBackInStock);
+
+// Wishlist (?listId= untuk list selain default)
+router.route('/me/wishlist')
+  .get(WishlistController.getWishlist)
+  .post(WishlistController.addItem);
+
+router.delete('/me/wishlist/items/:itemId', WishlistController.removeItem);
+
+router.route('/me/wishlist/lists')
+  .get(WishlistController.getLists)
+  .post(WishlistController.createList);
+
+router.route('/me/wishlist/lists/:listId')
+  .patch(WishlistController.renameList)
+  .delete(WishlistController.deleteList);
+
+// Riwayat produk yang dilihat & toko yang di-follow
+router.route('/me/recently-viewed')
+  .get(FeedController.getRecentlyViewed)
+  .delete(FeedController.clearRecentlyViewed);
+
+router.get('/me/following', StoreFollowController.getFollowing);
+
+// Saved searches (alert produk baru opt-in lewat alerts.enabled)
+router.route('/me/saved-searches')
+  .get(SavedSearchController.getSavedSearches)
+  .post(SavedSearchController.createSavedSearch);
+
+router.route('/me/saved-searches/:savedSearchId')
+  .patch(SavedSearchController.updateSavedSearch)
+  .delete(SavedSearchController.deleteSavedSearch);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,166 @@
+// admin-category.service.js
+const mongoose = require("mongoose");
+const Category = require("../../models/category.model");
+const ValidationHelper = require("../../utils/validation.helper");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+const logger = require("../../utils/logger");
+
+class AdminCategoryService {
+  /**
+   * Find category or throw 404
+   * @private
+   */
+  static async _findCategory(categoryId) {
+    if (!mongoose.isValidObjectId(categoryId)) {
+      const error = new Error(MESSAGES.CATEGORY.INVALID_ID_FORMAT);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const category = await Category.findById(categoryId);
+    if (!category) {
+      const error = new Error(MESSAGES.CATEGORY.NOT_FOUND);
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return category;
+  }
+
+  /**
+   * Validate category data or throw 400
+   * @private
+   */
+  static _validateCategoryData(data, options) {
+    const validation = ValidationHelper.validateCategoryData(data, options);
+    if (!validation.isValid) {
+      const error = new Error(`${MESSAGES.CATEGORY.VALIDATION_ERROR}: ${validation.errors.join("; ")}`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+    return validation.value;
+  }
+
+  /**
+   * Save category; error hierarki (parent tidak ada / siklus) & nama duplikat jadi 4xx
+   * @private
+   */
+  static async _saveCategory(category) {
+    try {
+      await category.save();
+    } catch (error) {
+      if (error.code === "INVALID_PARENT_CATEGORY") {
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      } else if (error.code === 11000) {
+        error.message = MESSAGES.CATEGORY.ALREADY_EXISTS;
+        error.statusCode = HTTP_STATUS.CONFLICT;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Format category for admin responses
+   * @private
+   */
+  static async _formatCategory(category) {
+    return {
+      id: category._id.toString(),
+      name: category.name,
+      description: category.description || "",
+      isActive: category.isActive,
+      parent: category.parent ? category.parent.toString() : null,
+      path: category.path,
+      depth: category.depth || 0,
+      breadcrumb: await Category.getBreadcrumb(category._id),
+    };
+  }
+
+  /**
+   * Create a category (root atau di bawah `parent`)
+   * @param {Object} data - { name, description?, parent?, isActive? }
+   * @returns {Promise<Object>} Created category
+   */
+  static async createCategory(data) {
+    const value = this._validateCategoryData(data);
+
+    const category = new Category(value);
+    await this._saveCategory(category);
+
+    logger.info(`🗂️ Category ${category.name} created at depth ${category.depth}`);
+
+    return this._formatCategory(category);
+  }
+
+  /**
+   * Update / move a category; mengganti `parent` ikut memindahkan seluruh sub-kategori
+   * @param {string} categoryId - Category ID
+   * @param {Object} data - { name?, description?, parent?, isActive? } (parent null = jadikan root)
+   * @returns {Promise<Object>} Updated category
+   */
+  static async updateCategory(categoryId, data) {
+    const category = await this._findCategory(categoryId);
+    const value = this._validateCategoryData(data, { partial: true });
+
+    Object.assign(category, value);
+    await this._saveCategory(category);
+
+    logger.info(`🗂️ Category ${category.name} updated`);
+
+    return this._formatCategory(category);
+  }
+
+  /**
+   * Build attribute schema response (own + effective incl. inherited)
+   * @private
+   */
+  static async _buildAttributeResponse(category) {
+    return {
+      category: {
+        id: category._id.toString(),
+        name: category.name,
+        path: category.path || category._id.toString(),
+        depth: category.depth || 0,
+      },
+      attributes: (category.attributes || []).map(attribute => attribute.toObject()),
+      effectiveAttributes: await Category.getAttributeSchema(category._id),
+    };
+  }
+
+  /**
+   * Get attribute schema of a category
+   * @param {string} categoryId - Category ID
+   * @returns {Promise<Object>} Own and effective attribute schema
+   */
+  static async getAttributeSchema(categoryId) {
+    const category = await this._findCategory(categoryId);
+    return this._buildAttributeResponse(category);
+  }
+
+  /**
+   * Replace attribute schema of a category
+   * Produk yang sudah ada tidak divalidasi ulang; seller harus menyesuaikan saat update berikutnya
+   * @param {string} categoryId - Category ID
+   * @param {Array} attributes - Attribute definitions
+   * @returns {Promise<Object>} Updated attribute schema
+   */
+  static async updateAttributeSchema(categoryId, attributes) {
+    const category = await this._findCategory(categoryId);
+
+    const validation = ValidationHelper.validateAttributeDefinitions(attributes);
+    if (!validation.isValid) {
+      const error = new Error(`${MESSAGES.CATEGORY.VALIDATION_ERROR}: ${validation.errors.join("; ")}`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    category.attributes = validation.value;
+    await category.save();
+
+    logger.info(`🏷️ Category ${category.name} attribute schema updated (${validation.value.length} attributes)`);
+
+    return this._buildAttributeResponse(category);
+  }
+}
+
+module.exports = AdminCategoryService;
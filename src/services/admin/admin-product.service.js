@@ -0,0 +1,284 @@
+// admin-product.service.js - Antrian moderasi produk & laporan listing
+const mongoose = require("mongoose");
+const Product = require("../../models/products.model");
+const ProductReport = require("../../models/product-report.model");
+const SellerProfile = require("../../models/seller-profile.model");
+const NotificationService = require("../user/notification.service");
+const ProductReportService = require("../user/product-report.service");
+const { clearAllProductCache } = require("../../middlewares/cache-middleware");
+const { calculatePagination, buildPaginationResponse } = require("../../utils/query.util");
+const { formatPricing } = require("../../utils/product-pricing.util");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+const logger = require("../../utils/logger");
+
+class AdminProductService {
+  static QUEUE_STATUSES = ["pending_review", "approved", "rejected", "reported", "all"];
+  static MODERATION_STATUSES = ["pending_review", "approved", "rejected"];
+
+  // Notifikasi ke seller per keputusan moderasi
+  static SELLER_NOTIFICATIONS = {
+    approved: { type: "product_approved", title: "Product approved" },
+    rejected: { type: "product_rejected", title: "Product rejected" },
+    pending_review: { type: "product_under_review", title: "Product under review" },
+  };
+
+  /**
+   * Find product or throw 404
+   * @private
+   */
+  static async _findProduct(productId) {
+    const product = mongoose.isValidObjectId(productId) ? await Product.findById(productId) : null;
+
+    if (!product) {
+      const error = new Error(MESSAGES.PRODUCT.NOT_FOUND);
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return product;
+  }
+
+  /**
+   * Format product untuk antrian moderasi
+   * @private
+   */
+  static _formatQueueItem(product) {
+    const seller = product.sellerId;
+
+    return {
+      id: product._id.toString(),
+      title: product.title,
+      slug: product.slug,
+      description: product.description,
+      image: product.image || null,
+      price: formatPricing(product).price,
+      category: product.category?.name || null,
+      seller: seller?.storeName
+        ? { id: seller._id.toString(), name: seller.storeName, slug: seller.storeSlug }
+        : { id: seller ? seller.toString() : null },
+      isActive: product.isActive,
+      publishStatus: product.publishStatus || "published",
+      moderation: {
+        status: product.moderationStatus || "approved",
+        reason: product.moderationReason || null,
+        moderatedBy: product.moderatedBy || null,
+        moderatedAt: product.moderatedAt || null,
+        submittedAt: product.submittedForReviewAt || null,
+      },
+      openReportCount: product.openReportCount || 0,
+      createdAt: product.createdAt,
+    };
+  }
+
+  /**
+   * Moderation queue
+   * @param {Object} options - { status (pending_review|approved|rejected|reported|all), sellerId, page, limit }
+   * @returns {Promise<Object>} { products, summary, pagination }
+   */
+  static async getModerationQueue(options = {}) {
+    const { status = "pending_review", sellerId, page, limit } = options;
+
+    if (!this.QUEUE_STATUSES.includes(status)) {
+      const error = new Error(`Invalid status. Allowed: ${this.QUEUE_STATUSES.join(", ")}`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const { page: parsedPage, limit: parsedLimit, skip } = calculatePagination(page, limit);
+
+    const baseQuery = {};
+    if (sellerId && mongoose.isValidObjectId(sellerId)) baseQuery.sellerId = sellerId;
+
+    const query = { ...baseQuery };
+    let sort = { moderatedAt: -1, _id: -1 };
+
+    if (status === "pending_review") {
+      query.moderationStatus = "pending_review";
+      // Yang paling lama menunggu duluan
+      sort = { submittedForReviewAt: 1, _id: 1 };
+    } else if (status === "reported") {
+      query.openReportCount = { $gt: 0 };
+      sort = { openReportCount: -1, _id: -1 };
+    } else if (status === "approved") {
+      // $nin juga mencakup produk lama yang belum dimigrasi
+      query.moderationStatus = { $nin: Product.HIDDEN_MODERATION_STATUSES };
+    } else if (status === "rejected") {
+      query.moderationStatus = "rejected";
+    }
+
+    const [products, total, pendingReview, rejected, reported] = await Promise.all([
+      Product.find(query)
+        .select("-variants -sales -images")
+        .populate("category", "name")
+        .populate("sellerId", "storeName storeSlug")
+        .sort(sort)
+        .skip(skip)
+        .limit(parsedLimit)
+        .lean(),
+      Product.countDocuments(query),
+      Product.countDocuments({ ...baseQuery, moderationStatus: "pending_review" }),
+      Product.countDocuments({ ...baseQuery, moderationStatus: "rejected" }),
+      Product.countDocuments({ ...baseQuery, openReportCount: { $gt: 0 } }),
+    ]);
+
+    return {
+      products: products.map(product => this._formatQueueItem(product)),
+      summary: { pendingReview, rejected, reported },
+      pagination: buildPaginationResponse(total, parsedPage, parsedLimit),
+    };
+  }
+
+  /**
+   * Reports of a product
+   * @param {string} productId - Product ID
+   * @param {Object} options - { status (open|resolved|dismissed|all), page, limit }
+   * @returns {Promise<Object>} { reports, pagination }
+   */
+  static async getProductReports(productId, options = {}) {
+    const { status = "open", page, limit } = options;
+    const statuses = [...ProductReport.STATUSES, "all"];
+
+    if (!statuses.includes(status)) {
+      const error = new Error(`Invalid status. Allowed: ${statuses.join(", ")}`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const product = await this._findProduct(productId);
+    const { page: parsedPage, limit: parsedLimit, skip } = calculatePagination(page, limit);
+
+    const query = { product: product._id };
+    if (status !== "all") query.status = status;
+
+    const [reports, total, byReason] = await Promise.all([
+      ProductReport.find(query)
+        .populate("reporter", "username email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parsedLimit)
+        .lean(),
+      ProductReport.countDocuments(query),
+      ProductReport.aggregate([
+        { $match: { product: product._id, status: "open" } },
+        { $group: { _id: "$reason", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    return {
+      product: { id: product._id.toString(), title: product.title, slug: product.slug },
+      openByReason: Object.fromEntries(byReason.map(row => [row._id, row.count])),
+      reports: reports.map(report => ProductReportService.formatReport(report)),
+      pagination: buildPaginationResponse(total, parsedPage, parsedLimit),
+    };
+  }
+
+  /**
+   * Approve / reject / send a product back to review; seller mendapat notifikasi in-app
+   * Approve menolak (dismiss) laporan terbuka, reject menandai laporan terbuka sebagai resolved
+   * @param {string} adminId - Admin user ID
+   * @param {string} productId - Product ID
+   * @param {Object} moderation - { status: approved|rejected|pending_review, reason }
+   * @returns {Promise<Object>} Updated product
+   */
+  static async moderateProduct(adminId, productId, { status, reason } = {}) {
+    if (!this.MODERATION_STATUSES.includes(status)) {
+      const error = new Error(`Invalid status. Allowed: ${this.MODERATION_STATUSES.join(", ")}`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const text = typeof reason === "string" ? reason.trim().slice(0, 500) : "";
+    if (status === "rejected" && !text) {
+      const error = new Error(MESSAGES.PRODUCT.REJECTION_REASON_REQUIRED);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const product = await this._findProduct(productId);
+    const wasHidden = Product.HIDDEN_MODERATION_STATUSES.includes(product.moderationStatus);
+
+    product.moderationStatus = status;
+    product.moderationReason = status === "approved" ? null : text || null;
+    product.moderatedBy = adminId;
+    product.moderatedAt = new Date();
+    if (status === "pending_review") {
+      product.submittedForReviewAt = new Date();
+    }
+
+    // Baru lolos moderasi: tampil jika seller memang sudah mempublikasikannya
+    if (status === "approved" && wasHidden) {
+      product.isActive = (product.publishStatus || "published") === "published";
+    }
+
+    await product.save();
+
+    if (status !== "pending_review") {
+      const result = await ProductReport.updateMany(
+        { product: product._id, status: "open" },
+        {
+          $set: {
+            status: status === "rejected" ? "resolved" : "dismissed",
+            resolvedBy: adminId,
+            resolvedAt: new Date(),
+          },
+        }
+      );
+      if (result.modifiedCount > 0) {
+        await Product.updateOne({ _id: product._id }, { $set: { openReportCount: 0 } });
+        product.openReportCount = 0;
+      }
+    }
+
+    // Visibilitas bisa berubah -> listing, detail & search cache harus dibuang
+    clearAllProductCache();
+
+    await this._notifySeller(product, status, text);
+
+    logger.info(`🛡️ Product ${product._id} moderated to ${status} by admin ${adminId}`);
+
+    await product.populate([
+      { path: "category", select: "name" },
+      { path: "sellerId", select: "storeName storeSlug" },
+    ]);
+
+    return this._formatQueueItem(product);
+  }
+
+  /**
+   * Notify seller pemilik produk tentang keputusan moderasi
+   * @private
+   */
+  static async _notifySeller(product, status, reason) {
+    const sellerProfile = await SellerProfile.findById(product.sellerId).select("userId").lean();
+    if (!sellerProfile) return;
+
+    const { type, title } = this.SELLER_NOTIFICATIONS[status];
+    const messages = {
+      approved: `${product.title} passed moderation review.`,
+      rejected: `${product.title} was rejected: ${reason}. Update the listing to resubmit it for review.`,
+      pending_review: `${product.title} is hidden while our team reviews it${reason ? `: ${reason}` : "."}`,
+    };
+
+    await NotificationService.notify(sellerProfile.userId, type, {
+      title,
+      message: messages[status],
+      data: { productId: product._id.toString(), slug: product.slug, status, reason: reason || null },
+    });
+  }
+
+  /**
+   * Migrasi saat start: produk lama tanpa moderationStatus dianggap approved
+   * @returns {Promise<void>}
+   */
+  static async prepareModerationStatus() {
+    const result = await Product.updateMany(
+      { moderationStatus: { $exists: false } },
+      { $set: { moderationStatus: "approved" } }
+    );
+    if (result.modifiedCount > 0) {
+      logger.info(`🛡️ Moderation status backfilled as approved for ${result.modifiedCount} product(s)`);
+    }
+  }
+}
+
+module.exports = AdminProductService;
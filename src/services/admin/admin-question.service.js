@@ -0,0 +1,170 @@
+// admin-question.service.js - Moderasi tanya jawab produk
+const mongoose = require("mongoose");
+const ProductQuestion = require("../../models/product-question.model");
+const ProductQuestionService = require("../user/product-question.service");
+const { calculatePagination, buildPaginationResponse } = require("../../utils/query.util");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+const logger = require("../../utils/logger");
+
+class AdminQuestionService {
+  static LIST_STATUSES = ["published", "hidden", "all"];
+
+  /**
+   * Find question or throw 404
+   * @private
+   */
+  static async _findQuestion(questionId) {
+    const question = mongoose.isValidObjectId(questionId)
+      ? await ProductQuestion.findById(questionId).populate("askedBy", "username email")
+      : null;
+
+    if (!question) {
+      const error = new Error(MESSAGES.QUESTION.NOT_FOUND);
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return question;
+  }
+
+  /**
+   * Validate moderation payload
+   * @private
+   */
+  static _validateModeration({ status, reason } = {}) {
+    if (!ProductQuestion.STATUSES.includes(status)) {
+      const error = new Error(`Invalid status. Allowed: ${ProductQuestion.STATUSES.join(", ")}`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    return { status, reason: typeof reason === "string" && reason.trim() ? reason.trim().slice(0, 500) : null };
+  }
+
+  /**
+   * List questions for moderation (termasuk jawaban yang disembunyikan)
+   * @param {Object} options - { status, productId, sellerId, hasHiddenAnswers, page, limit }
+   * @returns {Promise<Object>} { questions, pagination }
+   */
+  static async getQuestions(options = {}) {
+    const { status = "all", productId, sellerId, hasHiddenAnswers, page, limit } = options;
+
+    if (!this.LIST_STATUSES.includes(status)) {
+      const error = new Error(`Invalid status. Allowed: ${this.LIST_STATUSES.join(", ")}`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const { page: parsedPage, limit: parsedLimit, skip } = calculatePagination(page, limit);
+
+    const query = {};
+    if (status !== "all") query.status = status;
+    if (productId && mongoose.isValidObjectId(productId)) query.product = productId;
+    if (sellerId && mongoose.isValidObjectId(sellerId)) query.seller = sellerId;
+    if (hasHiddenAnswers === true || hasHiddenAnswers === "true") query["answers.status"] = "hidden";
+
+    const [questions, total] = await Promise.all([
+      ProductQuestion.find(query)
+        .populate("askedBy", "username email")
+        .populate("product", "title slug")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parsedLimit)
+        .lean(),
+      ProductQuestion.countDocuments(query),
+    ]);
+
+    return {
+      questions: questions.map(question => this._formatAdminQuestion(question)),
+      pagination: buildPaginationResponse(total, parsedPage, parsedLimit),
+    };
+  }
+
+  /**
+   * Format question untuk admin (+ produk & email penanya)
+   * @private
+   */
+  static _formatAdminQuestion(question) {
+    const product = question.product;
+
+    return {
+      ...ProductQuestionService.formatQuestion(question, { includeHidden: true }),
+      askedBy: question.askedBy
+        ? {
+            id: question.askedBy._id.toString(),
+            username: question.askedBy.username,
+            email: question.askedBy.email,
+          }
+        : null,
+      product: product && product.title ? { id: product._id.toString(), title: product.title, slug: product.slug } : null,
+      sellerId: question.seller.toString(),
+    };
+  }
+
+  /**
+   * Hide / restore a question
+   * @param {string} adminId - Admin user ID
+   * @param {string} questionId - Question ID
+   * @param {Object} moderation - { status: published|hidden, reason }
+   * @returns {Promise<Object>} Updated question
+   */
+  static async moderateQuestion(adminId, questionId, moderation) {
+    const { status, reason } = this._validateModeration(moderation);
+    const question = await this._findQuestion(questionId);
+
+    question.status = status;
+    question.moderatedBy = adminId;
+    question.moderatedAt = new Date();
+    question.moderationReason = reason;
+    await question.save();
+
+    logger.info(`🛡️ Question ${question._id} set to ${status} by admin ${adminId}`);
+
+    return this._formatAdminQuestion(question);
+  }
+
+  /**
+   * Hide / restore an answer; counter jawaban & helpful dihitung ulang
+   * @param {string} adminId - Admin user ID
+   * @param {string} questionId - Question ID
+   * @param {string} answerId - Answer ID
+   * @param {Object} moderation - { status: published|hidden, reason }
+   * @returns {Promise<Object>} Updated question
+   */
+  static async moderateAnswer(adminId, questionId, answerId, moderation) {
+    const { status, reason } = this._validateModeration(moderation);
+    const question = await this._findQuestion(questionId);
+
+    const answer = mongoose.isValidObjectId(answerId) ? question.answers.id(answerId) : null;
+    if (!answer) {
+      const error = new Error(MESSAGES.QUESTION.ANSWER_NOT_FOUND);
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    answer.status = status;
+    answer.moderatedBy = adminId;
+    answer.moderatedAt = new Date();
+    answer.moderationReason = reason;
+    question.syncAnswerStats();
+    await question.save();
+
+    logger.info(`🛡️ Answer ${answer._id} of question ${question._id} set to ${status} by admin ${adminId}`);
+
+    return this._formatAdminQuestion(question);
+  }
+
+  /**
+   * Permanently delete a question and its answers
+   * @param {string} questionId - Question ID
+   * @returns {Promise<boolean>} true jika dihapus
+   */
+  static async deleteQuestion(questionId) {
+    if (!mongoose.isValidObjectId(questionId)) return false;
+
+    const result = await ProductQuestion.deleteOne({ _id: questionId });
+    return result.deletedCount === 1;
+  }
+}
+
+module.exports = AdminQuestionService;
@@ -0,0 +1,187 @@
+// admin-search-analytics.service.js - Laporan pencarian: top queries, zero-result queries & click-through rate
+const SearchQuery = require("../../models/search-query.model");
+const { HTTP_STATUS } = require("../../constants/httpStatus");
+
+class AdminSearchAnalyticsService {
+  static DEFAULT_DAYS = 7;
+  static DEFAULT_LIMIT = 20;
+  static MAX_LIMIT = 100;
+
+  /**
+   * Parse report options: rentang hari (maks = retensi log), tipe query & limit
+   * @private
+   */
+  static _parseOptions({ days, type = "search", limit } = {}) {
+    const parsedDays = days === undefined || days === "" ? this.DEFAULT_DAYS : parseInt(days);
+    const maxDays = SearchQuery.SEARCH_LOG_RETENTION_DAYS;
+
+    if (isNaN(parsedDays) || parsedDays < 1 || parsedDays > maxDays) {
+      const error = new Error(`days must be between 1 and ${maxDays}`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+    if (!SearchQuery.QUERY_TYPES.includes(type)) {
+      const error = new Error(`Invalid type. Allowed: ${SearchQuery.QUERY_TYPES.join(", ")}`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    return {
+      days: parsedDays,
+      type,
+      since: new Date(Date.now() - parsedDays * 24 * 60 * 60 * 1000),
+      limit: Math.min(Math.max(parseInt(limit) || this.DEFAULT_LIMIT, 1), this.MAX_LIMIT),
+    };
+  }
+
+  /**
+   * Persentase dengan 1 desimal (0 jika pembagi 0)
+   * @private
+   */
+  static _percent(value, total) {
+    return total > 0 ? Math.round((value / total) * 100 * 10) / 10 : 0;
+  }
+
+  /**
+   * Top queries berdasarkan jumlah pencarian
+   * @param {Object} options - { days, type, limit }
+   * @returns {Promise<Object>} { queries, period }
+   */
+  static async getTopQueries(options = {}) {
+    const { days, type, since, limit } = this._parseOptions(options);
+
+    const queries = await SearchQuery.aggregate([
+      { $match: { type, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: "$normalizedQuery",
+          searchCount: { $sum: 1 },
+          searchers: { $addToSet: { $ifNull: ["$user", { $ifNull: ["$sessionId", "$_id"] }] } },
+          avgResultCount: { $avg: "$resultCount" },
+          zeroResultCount: { $sum: { $cond: [{ $eq: ["$resultCount", 0] }, 1, 0] } },
+          clickedSearchCount: { $sum: { $cond: [{ $gt: ["$clickCount", 0] }, 1, 0] } },
+          clickCount: { $sum: "$clickCount" },
+          lastSearchedAt: { $max: "$createdAt" },
+        },
+      },
+      { $sort: { searchCount: -1, lastSearchedAt: -1 } },
+      { $limit: limit },
+    ]);
+
+    return {
+      queries: queries.map(item => ({
+        query: item._id,
+        searchCount: item.searchCount,
+        searcherCount: item.searchers.length,
+        avgResultCount: Math.round(item.avgResultCount * 10) / 10,
+        zeroResultCount: item.zeroResultCount,
+        clickCount: item.clickCount,
+        clickThroughRate: this._percent(item.clickedSearchCount, item.searchCount),
+        lastSearchedAt: item.lastSearchedAt,
+      })),
+      period: { days, type, since },
+    };
+  }
+
+  /**
+   * Queries tanpa hasil (kandidat sinonim, kategori / produk baru)
+   * filteredSearchCount: pencarian yang memakai filter, bisa jadi kosong karena filternya
+   * @param {Object} options - { days, type, limit }
+   * @returns {Promise<Object>} { queries, totalZeroResultSearches, period }
+   */
+  static async getZeroResultQueries(options = {}) {
+    const { days, type, since, limit } = this._parseOptions(options);
+    const hasFilter = {
+      $or: ["category", "sellerId", "minPrice", "maxPrice", "rating", "city", "attributes"].map(field => ({
+        $ne: [{ $ifNull: [`$filters.${field}`, null] }, null],
+      })),
+    };
+
+    const [result] = await SearchQuery.aggregate([
+      { $match: { type, createdAt: { $gte: since }, resultCount: 0 } },
+      {
+        $facet: {
+          queries: [
+            {
+              $group: {
+                _id: "$normalizedQuery",
+                searchCount: { $sum: 1 },
+                filteredSearchCount: { $sum: { $cond: [hasFilter, 1, 0] } },
+                lastSearchedAt: { $max: "$createdAt" },
+              },
+            },
+            { $sort: { searchCount: -1, lastSearchedAt: -1 } },
+            { $limit: limit },
+          ],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+
+    return {
+      queries: result.queries.map(item => ({
+        query: item._id,
+        searchCount: item.searchCount,
+        filteredSearchCount: item.filteredSearchCount,
+        lastSearchedAt: item.lastSearchedAt,
+      })),
+      totalZeroResultSearches: result.total[0]?.count || 0,
+      period: { days, type, since },
+    };
+  }
+
+  /**
+   * Click-through rate: persentase pencarian dengan hasil yang diikuti klik produk
+   * @param {Object} options - { days, type }
+   * @returns {Promise<Object>} { summary, byMatchType, daily, period }
+   */
+  static async getClickThroughStats(options = {}) {
+    const { days, type, since } = this._parseOptions(options);
+
+    const stats = {
+      searchCount: { $sum: 1 },
+      withResultsCount: { $sum: { $cond: [{ $gt: ["$resultCount", 0] }, 1, 0] } },
+      clickedSearchCount: { $sum: { $cond: [{ $gt: ["$clickCount", 0] }, 1, 0] } },
+      clickCount: { $sum: "$clickCount" },
+    };
+
+    const [result] = await SearchQuery.aggregate([
+      { $match: { type, createdAt: { $gte: since } } },
+      {
+        $facet: {
+          summary: [{ $group: { _id: null, ...stats } }],
+          byMatchType: [{ $group: { _id: "$matchType", ...stats } }, { $sort: { searchCount: -1 } }],
+          daily: [
+            { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } }, ...stats } },
+            { $sort: { _id: 1 } },
+          ],
+          positions: [
+            { $unwind: "$clicks" },
+            { $match: { "clicks.position": { $ne: null } } },
+            { $group: { _id: null, avgPosition: { $avg: "$clicks.position" } } },
+          ],
+        },
+      },
+    ]);
+
+    const format = item => ({
+      searchCount: item?.searchCount || 0,
+      withResultsCount: item?.withResultsCount || 0,
+      clickedSearchCount: item?.clickedSearchCount || 0,
+      clickCount: item?.clickCount || 0,
+      clickThroughRate: this._percent(item?.clickedSearchCount || 0, item?.withResultsCount || 0),
+    });
+
+    return {
+      summary: {
+        ...format(result.summary[0]),
+        avgClickPosition: result.positions[0] ? Math.round(result.positions[0].avgPosition * 10) / 10 : null,
+      },
+      byMatchType: result.byMatchType.map(item => ({ matchType: item._id, ...format(item) })),
+      daily: result.daily.map(item => ({ date: item._id, ...format(item) })),
+      period: { days, type, since },
+    };
+  }
+}
+
+module.exports = AdminSearchAnalyticsService;
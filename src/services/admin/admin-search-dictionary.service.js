@@ -0,0 +1,249 @@
+// admin-search-dictionary.service.js - CRUD sinonim & stop words pencarian
+const mongoose = require("mongoose");
+const SearchSynonym = require("../../models/search-synonym.model");
+const SearchStopWord = require("../../models/search-stop-word.model");
+const SearchDictionaryService = require("../search-dictionary.service");
+const { normalizeSearchText } = require("../../utils/search.util");
+const { calculatePagination, buildPaginationResponse } = require("../../utils/query.util");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+class AdminSearchDictionaryService {
+  static MAX_TERM_LENGTH = 50;
+
+  /**
+   * Throw error dengan status code (ditangani asyncHandler)
+   * @private
+   */
+  static _fail(message, statusCode = HTTP_STATUS.BAD_REQUEST) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  /**
+   * Normalize & validate synonym terms (unik, 2-20 term, maks 50 karakter)
+   * @private
+   */
+  static _normalizeTerms(terms) {
+    if (!Array.isArray(terms)) {
+      this._fail(MESSAGES.SEARCH_DICTIONARY.TERMS_REQUIRED);
+    }
+
+    const normalized = [...new Set(terms.map(term => normalizeSearchText(typeof term === "string" ? term : "")))];
+    if (normalized.some(term => !term || term.length > this.MAX_TERM_LENGTH)) {
+      this._fail(`Each term must be between 1 and ${this.MAX_TERM_LENGTH} characters (letters and numbers)`);
+    }
+    const { MIN_TERMS, MAX_TERMS } = SearchSynonym;
+    if (normalized.length < MIN_TERMS || normalized.length > MAX_TERMS) {
+      this._fail(`A synonym group must have between ${MIN_TERMS} and ${MAX_TERMS} unique terms`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Satu term hanya boleh ada di satu grup aktif (ekspansi query harus jelas)
+   * @private
+   */
+  static async _assertTermsAvailable(terms, excludeId = null) {
+    const query = { terms: { $in: terms }, isActive: true };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    const conflict = await SearchSynonym.findOne(query).select("terms").lean();
+    if (conflict) {
+      const taken = conflict.terms.filter(term => terms.includes(term));
+      this._fail(`${MESSAGES.SEARCH_DICTIONARY.TERM_IN_USE}: ${taken.join(", ")}`, HTTP_STATUS.CONFLICT);
+    }
+  }
+
+  /**
+   * Find synonym group or throw 404
+   * @private
+   */
+  static async _findSynonym(synonymId) {
+    const synonym = mongoose.isValidObjectId(synonymId) ? await SearchSynonym.findById(synonymId) : null;
+    if (!synonym) {
+      this._fail(MESSAGES.SEARCH_DICTIONARY.SYNONYM_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return synonym;
+  }
+
+  /**
+   * List synonym groups
+   * @param {Object} options - { search, isActive, page, limit }
+   * @returns {Promise<Object>} { synonyms, pagination }
+   */
+  static async getSynonyms(options = {}) {
+    const { search, isActive } = options;
+    const { page, limit, skip } = calculatePagination(options.page, options.limit);
+
+    const query = {};
+    const term = normalizeSearchText(search);
+    if (term) query.terms = new RegExp(escapeRegex(term));
+    if (isActive === true || isActive === "true") query.isActive = true;
+    if (isActive === false || isActive === "false") query.isActive = false;
+
+    const [synonyms, total] = await Promise.all([
+      SearchSynonym.find(query).sort({ updatedAt: -1 }).skip(skip).limit(limit).lean(),
+      SearchSynonym.countDocuments(query),
+    ]);
+
+    return {
+      synonyms: synonyms.map(synonym => this.formatSynonym(synonym)),
+      pagination: buildPaginationResponse(total, page, limit),
+    };
+  }
+
+  /**
+   * Create a synonym group
+   * @param {string} adminId - Admin user ID
+   * @param {Object} data - { terms, isActive? }
+   * @returns {Promise<Object>} Formatted synonym group
+   */
+  static async createSynonym(adminId, data = {}) {
+    const terms = this._normalizeTerms(data.terms);
+    const isActive = data.isActive !== false;
+
+    if (isActive) {
+      await this._assertTermsAvailable(terms);
+    }
+
+    const synonym = await SearchSynonym.create({ terms, isActive, createdBy: adminId, updatedBy: adminId });
+    SearchDictionaryService.invalidate();
+
+    return this.formatSynonym(synonym.toObject());
+  }
+
+  /**
+   * Update a synonym group (terms diganti seluruhnya)
+   * @param {string} adminId - Admin user ID
+   * @param {string} synonymId - Synonym group ID
+   * @param {Object} data - { terms?, isActive? }
+   * @returns {Promise<Object>} Formatted synonym group
+   */
+  static async updateSynonym(adminId, synonymId, data = {}) {
+    const synonym = await this._findSynonym(synonymId);
+
+    if (data.terms !== undefined) {
+      synonym.terms = this._normalizeTerms(data.terms);
+    }
+    if (data.isActive !== undefined) {
+      if (typeof data.isActive !== "boolean") {
+        this._fail(MESSAGES.SEARCH_DICTIONARY.INVALID_STATUS);
+      }
+      synonym.isActive = data.isActive;
+    }
+    if (synonym.isActive) {
+      await this._assertTermsAvailable(synonym.terms, synonym._id);
+    }
+
+    synonym.updatedBy = adminId;
+    await synonym.save();
+    SearchDictionaryService.invalidate();
+
+    return this.formatSynonym(synonym.toObject());
+  }
+
+  /**
+   * Delete a synonym group
+   * @param {string} synonymId - Synonym group ID
+   * @returns {Promise<void>}
+   */
+  static async deleteSynonym(synonymId) {
+    const synonym = await this._findSynonym(synonymId);
+
+    await synonym.deleteOne();
+    SearchDictionaryService.invalidate();
+  }
+
+  /**
+   * List stop words (urut abjad)
+   * @param {Object} options - { search, page, limit }
+   * @returns {Promise<Object>} { stopWords, pagination }
+   */
+  static async getStopWords(options = {}) {
+    const { page, limit, skip } = calculatePagination(options.page, options.limit);
+
+    const query = {};
+    const term = normalizeSearchText(options.search);
+    if (term) query.word = new RegExp(escapeRegex(term));
+
+    const [stopWords, total] = await Promise.all([
+      SearchStopWord.find(query).sort({ word: 1 }).skip(skip).limit(limit).lean(),
+      SearchStopWord.countDocuments(query),
+    ]);
+
+    return {
+      stopWords: stopWords.map(stopWord => this.formatStopWord(stopWord)),
+      pagination: buildPaginationResponse(total, page, limit),
+    };
+  }
+
+  /**
+   * Add a stop word
+   * @param {string} adminId - Admin user ID
+   * @param {Object} data - { word }
+   * @returns {Promise<Object>} Formatted stop word
+   */
+  static async createStopWord(adminId, data = {}) {
+    const word = normalizeSearchText(typeof data.word === "string" ? data.word : "");
+
+    if (!word || word.includes(" ") || word.length > this.MAX_TERM_LENGTH) {
+      this._fail(MESSAGES.SEARCH_DICTIONARY.INVALID_STOP_WORD);
+    }
+    if (await SearchStopWord.exists({ word })) {
+      this._fail(MESSAGES.SEARCH_DICTIONARY.STOP_WORD_EXISTS, HTTP_STATUS.CONFLICT);
+    }
+
+    const stopWord = await SearchStopWord.create({ word, createdBy: adminId });
+    SearchDictionaryService.invalidate();
+
+    return this.formatStopWord(stopWord.toObject());
+  }
+
+  /**
+   * Delete a stop word
+   * @param {string} stopWordId - Stop word ID
+   * @returns {Promise<void>}
+   */
+  static async deleteStopWord(stopWordId) {
+    const stopWord = mongoose.isValidObjectId(stopWordId) ? await SearchStopWord.findById(stopWordId) : null;
+    if (!stopWord) {
+      this._fail(MESSAGES.SEARCH_DICTIONARY.STOP_WORD_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    await stopWord.deleteOne();
+    SearchDictionaryService.invalidate();
+  }
+
+  /**
+   * @param {Object} synonym - Lean synonym group
+   * @returns {Object} Formatted synonym group
+   */
+  static formatSynonym(synonym) {
+    return {
+      id: synonym._id.toString(),
+      terms: synonym.terms,
+      isActive: synonym.isActive,
+      createdAt: synonym.createdAt,
+      updatedAt: synonym.updatedAt,
+    };
+  }
+
+  /**
+   * @param {Object} stopWord - Lean stop word
+   * @returns {Object} Formatted stop word
+   */
+  static formatStopWord(stopWord) {
+    return {
+      id: stopWord._id.toString(),
+      word: stopWord.word,
+      createdAt: stopWord.createdAt,
+    };
+  }
+}
+
+module.exports = AdminSearchDictionaryService;
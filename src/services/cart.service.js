@@ -7,8 +7,11 @@ const {
   validateQuantity,
   validateStock,
   validateStockForUpdate,
+  resolveVariant,
+  getCurrentUnitPrice,
   formatCartResponse,
 } = require("../utils/cart.util");
+const { getEffectivePrice } = require("../utils/product-pricing.util");
 const logger = require("../utils/logger");
 
 // services/cartService.js - Updated methods with coupon revalidation
@@ -19,7 +22,7 @@ class CartService {
   static async getUserCart(userId) {
     let cart = await Cart.findOne({ user: userId, isActive: true }).populate({
       path: "items.product",
-      select: "title description price stock image category sellerId slug",
+      select: "title description price stock image category sellerId slug variants sales compareAtPrice",
       populate: [
         {
           path: "category",
@@ -44,9 +47,10 @@ class CartService {
     let hasUpdatedPrices = false;
 
     cart.items = cart.items.map(item => {
-      if (item.product && item.product.price !== item.priceAtAddition) {
-        logger.info(`Price updated for ${item.product.title}: ${item.priceAtAddition} -> ${item.product.price}`);
-        item.priceAtAddition = item.product.price;
+      const currentPrice = getCurrentUnitPrice(item);
+      if (item.product && currentPrice !== item.priceAtAddition) {
+        logger.info(`Price updated for ${item.product.title}: ${item.priceAtAddition} -> ${currentPrice}`);
+        item.priceAtAddition = currentPrice;
         hasUpdatedPrices = true;
       }
       return item;
@@ -68,8 +72,9 @@ class CartService {
 
   /**
    * Add item to cart
+   * variantId wajib untuk produk yang memiliki varian
    */
-  static async addItemToCart(userId, productId, quantity = 1) {
+  static async addItemToCart(userId, productId, quantity = 1, variantId = null) {
     // Validate quantity
     const quantityValidation = validateQuantity(quantity);
     if (!quantityValidation.isValid) {
@@ -78,32 +83,39 @@ class CartService {
 
     // Validate product exists
     const product = await Product.findById(productId);
-    if (!product) {
+    if (!product || !product.isPublished) {
       throw {
         status: HTTP_STATUS.NOT_FOUND,
         message: MESSAGES.PRODUCT.NOT_FOUND,
       };
     }
 
+    // Resolve variant (null for products without variants)
+    const variantResolution = resolveVariant(product, variantId);
+    if (!variantResolution.isValid) {
+      throw variantResolution.error;
+    }
+    const { variant } = variantResolution;
+
     // Find or create cart
     let cart = await Cart.findByUser(userId);
     if (!cart) {
       cart = new Cart({ user: userId });
     }
 
-    // Check if product already exists in cart
-    const existingItem = cart.items.find(item => item.product.toString() === productId.toString());
+    // Check if product (and variant) already exists in cart
+    const existingItem = cart.findItem(productId, variant?._id);
 
     const currentQuantityInCart = existingItem ? existingItem.quantity : 0;
 
-    // Validate stock
-    const stockValidation = validateStock(product, quantity, currentQuantityInCart);
+    // Validate stock against the variant when one is selected
+    const stockValidation = validateStock(variant || product, quantity, currentQuantityInCart);
     if (!stockValidation.isValid) {
       throw stockValidation.error;
     }
 
     // Add item to cart
-    await cart.addProduct(productId, quantity, product.price);
+    await cart.addProduct(productId, quantity, getEffectivePrice(product, variant), variant);
 
     // Populate cart
     await populateCart(cart);
@@ -113,7 +125,7 @@ class CartService {
       await this.revalidateAppliedCoupon(cart);
     }
 
-    logger.info(`Item added to cart: ${product.title} (qty: ${quantity})`);
+    logger.info(`Item added to cart: ${product.title}${variant ? ` [${variant.sku}]` : ""} (qty: ${quantity})`);
 
     return formatCartResponse(cart);
   }
@@ -122,7 +134,7 @@ class CartService {
    * Update item quantity in cart
    */
 
-  static async updateCartItem(userId, productId, quantity) {
+  static async updateCartItem(userId, productId, quantity, variantId = null) {
     // Validate quantity
     const quantityValidation = validateQuantity(quantity);
     if (!quantityValidation.isValid) {
@@ -148,7 +160,7 @@ class CartService {
     }
 
     // Find item in cart
-    const itemIndex = cart.items.findIndex(item => item.product.toString() === productId.toString());
+    const itemIndex = cart.items.indexOf(cart.findItem(productId, variantId));
 
     if (itemIndex === -1) {
       throw {
@@ -157,8 +169,18 @@ class CartService {
       };
     }
 
+    // Variant harus masih valid kecuali item sedang dihapus (quantity 0)
+    let variant = null;
+    if (quantity > 0) {
+      const variantResolution = resolveVariant(product, variantId);
+      if (!variantResolution.isValid) {
+        throw variantResolution.error;
+      }
+      variant = variantResolution.variant;
+    }
+
     // Validate stock for update
-    const stockValidation = validateStockForUpdate(product, quantity);
+    const stockValidation = validateStockForUpdate(variant || product, quantity);
     if (!stockValidation.isValid) {
       throw stockValidation.error;
     }
@@ -170,7 +192,7 @@ class CartService {
     } else {
       cart.items[itemIndex].quantity = quantity;
       // Update price at addition with current price
-      cart.items[itemIndex].priceAtAddition = product.price;
+      cart.items[itemIndex].priceAtAddition = getEffectivePrice(product, variant);
       logger.info("Item quantity updated");
     }
 
@@ -180,7 +202,7 @@ class CartService {
     // Re-fetch and populate cart properly with explicit query options
     cart = await Cart.findOne({ user: userId, isActive: true }).populate({
       path: "items.product",
-      select: "title description price stock image category sellerId slug",
+      select: "title description price stock image category sellerId slug variants sales compareAtPrice",
       options: {
         skipSoftDeleteFilter: true,
         includeDeleted: false,
@@ -218,7 +240,7 @@ class CartService {
   /**
    * Remove item from cart
    */
-  static async removeItemFromCart(userId, productId) {
+  static async removeItemFromCart(userId, productId, variantId = null) {
     const cart = await Cart.findByUser(userId);
     if (!cart) {
       throw {
@@ -228,7 +250,7 @@ class CartService {
     }
 
     // Remove item
-    await cart.removeProduct(productId);
+    await cart.removeProduct(productId, variantId);
 
     // Populate for response
     await populateCart(cart);
@@ -302,7 +324,7 @@ class CartService {
     let applicablePrice = 0;
 
     for (const item of cart.items) {
-      const itemTotal = (item.product?.price || item.priceAtAddition) * item.quantity;
+      const itemTotal = getCurrentUnitPrice(item) * item.quantity;
       totalPrice += itemTotal;
 
       // If coupon has category restriction
@@ -1,7 +1,14 @@
 // utils/emailService.js
 require('dotenv').config();
 const { Resend } = require('resend');
-const { createResetEmailTemplate, createPasswordChangedNotificationTemplate } = require('../utils/email.helper');
+const {
+  createResetEmailTemplate,
+  createPasswordChangedNotificationTemplate,
+  createBackInStockTemplate,
+  createLowStockAlertTemplate,
+  createWishlistAlertTemplate,
+  createSavedSearchAlertTemplate
+} = require('../utils/email.helper');
 
 class EmailService {
   /**
@@ -300,6 +307,325 @@ static async sendSellerUpgradeNotification(user, sellerProfile) {
   }
 }
 
+  /**
+   * Kirim notifikasi "back in stock" ke buyer yang berlangganan
+   * @param {Object} user - User object dengan properties: username, email
+   * @param {Object} product - Product object dengan properties: title, slug, image, variantLabel (optional)
+   * @returns {Promise<Object>} Result object dengan method dan messageId
+   */
+  static async sendBackInStockNotification(user, product) {
+    try {
+      EmailService.logger.info(`📧 Preparing to send back in stock notification to: ${user.email}`);
+
+      // Validasi input
+      if (!user || !user.email || !user.username) {
+        throw new Error('User object must contain email and username');
+      }
+
+      if (!product || !product.title || !product.slug) {
+        throw new Error('Product must contain title and slug');
+      }
+
+      // Validasi API key
+      if (!process.env.RESEND_API_KEY) {
+        throw new Error('RESEND_API_KEY environment variable is required');
+      }
+
+      const htmlContent = createBackInStockTemplate(user, product, EmailService.senderInfo);
+      const subject = `📦 Back in Stock: ${product.title} - ${process.env.COMPANY_NAME || 'Shop Cart'}`;
+      const productName = product.variantLabel ? `${product.title} (${product.variantLabel})` : product.title;
+
+      const emailPayload = {
+        from: `${EmailService.senderInfo.name} <${EmailService.senderInfo.email}>`,
+        to: [user.email],
+        subject: subject,
+        html: htmlContent,
+        // Text version sebagai fallback
+        text: `
+          Hi ${user.username},
+
+          Good news! ${productName} is back in stock.
+
+          Shop now: ${process.env.CLIENT_URL || 'http://localhost:3000'}/products/${product.slug}
+
+          You received this email because you asked to be notified when this product is restocked.
+
+          Best regards,
+          ${EmailService.senderInfo.name}
+        `.trim()
+      };
+
+      const response = await EmailService.resend.emails.send(emailPayload);
+
+      EmailService.logger.info(`✅ Back in stock notification sent successfully via Resend:`, {
+        messageId: response?.data?.id,
+        to: user.email,
+        subject: subject
+      });
+
+      return {
+        success: true,
+        method: 'resend',
+        messageId: response?.data?.id,
+        to: user.email,
+        subject: subject,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      EmailService.logger.error('❌ Failed to send back in stock notification:', error);
+
+      // Return error object instead of throwing
+      return {
+        success: false,
+        method: 'resend',
+        messageId: null,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Kirim alert stok menipis / habis ke seller
+   * @param {Object} user - Seller user object dengan properties: username, email
+   * @param {Array} products - [{ title, stock, lowStockThreshold }]
+   * @returns {Promise<Object>} Result object dengan method dan messageId
+   */
+  static async sendLowStockAlert(user, products) {
+    try {
+      EmailService.logger.info(`📧 Preparing to send low stock alert to: ${user.email}`);
+
+      // Validasi input
+      if (!user || !user.email || !user.username) {
+        throw new Error('User object must contain email and username');
+      }
+
+      if (!Array.isArray(products) || products.length === 0) {
+        throw new Error('At least one product is required');
+      }
+
+      // Validasi API key
+      if (!process.env.RESEND_API_KEY) {
+        throw new Error('RESEND_API_KEY environment variable is required');
+      }
+
+      const htmlContent = createLowStockAlertTemplate(user, products, EmailService.senderInfo);
+      const subject = products.length === 1
+        ? `⚠️ Low Stock: ${products[0].title}`
+        : `⚠️ Low Stock: ${products.length} products need restocking`;
+
+      const emailPayload = {
+        from: `${EmailService.senderInfo.name} <${EmailService.senderInfo.email}>`,
+        to: [user.email],
+        subject: subject,
+        html: htmlContent,
+        // Text version sebagai fallback
+        text: `
+          Hi ${user.username},
+
+          The following products are running low on stock:
+
+          ${products.map(product => `- ${product.title}: ${product.stock} left (threshold ${product.lowStockThreshold})`).join('\n')}
+
+          Manage your products: ${process.env.CLIENT_URL || 'http://localhost:3000'}/seller/products
+
+          Best regards,
+          ${EmailService.senderInfo.name} Team
+        `.trim()
+      };
+
+      const response = await EmailService.resend.emails.send(emailPayload);
+
+      EmailService.logger.info(`✅ Low stock alert sent successfully via Resend:`, {
+        messageId: response?.data?.id,
+        to: user.email,
+        subject: subject
+      });
+
+      return {
+        success: true,
+        method: 'resend',
+        messageId: response?.data?.id,
+        to: user.email,
+        subject: subject,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      EmailService.logger.error('❌ Failed to send low stock alert:', error);
+
+      // Return error object instead of throwing
+      return {
+        success: false,
+        method: 'resend',
+        messageId: null,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Kirim digest wishlist (harga turun / kembali tersedia) ke user
+   * @param {Object} user - User object dengan properties: username, email
+   * @param {Array} alerts - [{ type, title, slug, oldPrice, newPrice }]
+   * @returns {Promise<Object>} Result object dengan method dan messageId
+   */
+  static async sendWishlistAlert(user, alerts) {
+    try {
+      EmailService.logger.info(`📧 Preparing to send wishlist alert to: ${user.email}`);
+
+      // Validasi input
+      if (!user || !user.email || !user.username) {
+        throw new Error('User object must contain email and username');
+      }
+
+      if (!Array.isArray(alerts) || alerts.length === 0) {
+        throw new Error('At least one wishlist alert is required');
+      }
+
+      // Validasi API key
+      if (!process.env.RESEND_API_KEY) {
+        throw new Error('RESEND_API_KEY environment variable is required');
+      }
+
+      const htmlContent = createWishlistAlertTemplate(user, alerts, EmailService.senderInfo);
+      const subject = alerts.length === 1
+        ? `💖 Wishlist update: ${alerts[0].title}`
+        : `💖 ${alerts.length} products on your wishlist have updates`;
+
+      const emailPayload = {
+        from: `${EmailService.senderInfo.name} <${EmailService.senderInfo.email}>`,
+        to: [user.email],
+        subject: subject,
+        html: htmlContent,
+        // Text version sebagai fallback
+        text: `
+          Hi ${user.username},
+
+          Some products on your wishlist just got cheaper or are available again:
+
+          ${alerts.map(alert => `- ${alert.title}: ${alert.oldPrice ? `Rp ${alert.oldPrice} -> ` : ''}Rp ${alert.newPrice}`).join('\n')}
+
+          View your wishlist: ${process.env.CLIENT_URL || 'http://localhost:3000'}/wishlist
+
+          Best regards,
+          ${EmailService.senderInfo.name}
+        `.trim()
+      };
+
+      const response = await EmailService.resend.emails.send(emailPayload);
+
+      EmailService.logger.info(`✅ Wishlist alert sent successfully via Resend:`, {
+        messageId: response?.data?.id,
+        to: user.email,
+        subject: subject
+      });
+
+      return {
+        success: true,
+        method: 'resend',
+        messageId: response?.data?.id,
+        to: user.email,
+        subject: subject,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      EmailService.logger.error('❌ Failed to send wishlist alert:', error);
+
+      // Return error object instead of throwing
+      return {
+        success: false,
+        method: 'resend',
+        messageId: null,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Kirim digest produk baru dari saved search
+   * @param {Object} user - User object (email, username)
+   * @param {Array} alerts - [{ name, total, searchParams, products: [{ title, slug, price }] }]
+   * @returns {Object} Send result
+   */
+  static async sendSavedSearchAlert(user, alerts) {
+    try {
+      EmailService.logger.info(`📧 Preparing to send saved search alert to: ${user.email}`);
+
+      // Validasi input
+      if (!user || !user.email || !user.username) {
+        throw new Error('User object must contain email and username');
+      }
+
+      if (!Array.isArray(alerts) || alerts.length === 0) {
+        throw new Error('At least one saved search alert is required');
+      }
+
+      // Validasi API key
+      if (!process.env.RESEND_API_KEY) {
+        throw new Error('RESEND_API_KEY environment variable is required');
+      }
+
+      const htmlContent = createSavedSearchAlertTemplate(user, alerts, EmailService.senderInfo);
+      const subject = alerts.length === 1
+        ? `🔎 New products for "${alerts[0].name}"`
+        : `🔎 New products for ${alerts.length} of your saved searches`;
+
+      const emailPayload = {
+        from: `${EmailService.senderInfo.name} <${EmailService.senderInfo.email}>`,
+        to: [user.email],
+        subject: subject,
+        html: htmlContent,
+        // Text version sebagai fallback
+        text: `
+          Hi ${user.username},
+
+          New products matching your saved searches were just listed:
+
+          ${alerts.map(alert => `- ${alert.name}: ${alert.total} new product(s)`).join('\n')}
+
+          View your saved searches: ${process.env.CLIENT_URL || 'http://localhost:3000'}/saved-searches
+
+          Best regards,
+          ${EmailService.senderInfo.name}
+        `.trim()
+      };
+
+      const response = await EmailService.resend.emails.send(emailPayload);
+
+      EmailService.logger.info(`✅ Saved search alert sent successfully via Resend:`, {
+        messageId: response?.data?.id,
+        to: user.email,
+        subject: subject
+      });
+
+      return {
+        success: true,
+        method: 'resend',
+        messageId: response?.data?.id,
+        to: user.email,
+        subject: subject,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      EmailService.logger.error('❌ Failed to send saved search alert:', error);
+
+      // Return error object instead of throwing
+      return {
+        success: false,
+        method: 'resend',
+        messageId: null,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
   /**
    * Verifikasi konfigurasi email service
    * @returns {Object} Configuration status
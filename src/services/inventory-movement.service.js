@@ -0,0 +1,198 @@
+// inventory-movement.service.js - Ledger pergerakan stok: riwayat per produk & penyesuaian stok manual seller
+const Product = require("../models/products.model");
+const InventoryMovement = require("../models/inventory-movement.model");
+const StockAlertService = require("./stock-alert.service");
+const ProductBundleService = require("./product-bundle.service");
+const { HTTP_STATUS, MESSAGES } = require("../constants/httpStatus");
+const { calculatePagination, buildPaginationResponse } = require("../utils/query.util");
+const logger = require("../utils/logger");
+
+class InventoryMovementService {
+  /**
+   * Throw error dengan status code (ditangani asyncHandler)
+   * @private
+   */
+  static _fail(message, statusCode = HTTP_STATUS.BAD_REQUEST) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  /**
+   * Catat pergerakan stok dari update atomik ($inc), produk sudah berisi stok sesudah update
+   * Gagal mencatat hanya di-log: ledger tidak boleh menggagalkan order / pembatalan
+   * @param {Object} product - Product setelah update (findOneAndUpdate new: true)
+   * @param {ObjectId|null} variantId - Variant ID (null = stok level produk)
+   * @param {Object} change - { type, quantity, reason, actor, order }
+   * @returns {Promise<Object|null>} Created movement or null
+   */
+  static async recordChange(product, variantId, change) {
+    if (!product || !change.quantity) return null;
+
+    try {
+      const key = variantId ? variantId.toString() : "";
+      const source = InventoryMovement.captureOnHand(product).get(key);
+      if (!source) return null;
+
+      const [entry] = InventoryMovement.diffSnapshots(
+        product,
+        new Map([[key, { ...source, onHand: source.onHand - change.quantity }]]),
+        new Map([[key, source]]),
+        change
+      );
+
+      return await InventoryMovement.create(entry);
+    } catch (error) {
+      logger.error(`❌ Failed to record inventory movement for product ${product._id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get stock movement history of a seller's product
+   * @param {string} productId - Product ID
+   * @param {string} sellerId - Seller profile ID
+   * @param {Object} options - { variantId, type, page, limit }
+   * @returns {Promise<Object>} { product, movements, pagination }
+   */
+  static async getStockHistory(productId, sellerId, options = {}) {
+    const { variantId, type } = options;
+
+    const product = await Product.findOne({ _id: productId, sellerId })
+      .select("title sku productType stock reservedStock variants")
+      .lean();
+    if (!product) {
+      this._fail(MESSAGES.PRODUCT.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+    if (type && !InventoryMovement.MOVEMENT_TYPES.includes(type)) {
+      this._fail(`Invalid movement type. Allowed: ${InventoryMovement.MOVEMENT_TYPES.join(", ")}`);
+    }
+
+    const { page, limit, skip } = calculatePagination(options.page, options.limit);
+    const { movements, total } = await InventoryMovement.getHistory(product._id, { variantId, type, skip, limit });
+
+    return {
+      product: {
+        id: product._id.toString(),
+        title: product.title,
+        sku: product.sku || null,
+        productType: product.productType || "standard",
+        onHand: (product.stock || 0) + (product.reservedStock || 0),
+      },
+      movements: movements.map(movement => this.formatMovement(movement)),
+      pagination: buildPaginationResponse(total, page, limit),
+    };
+  }
+
+  /**
+   * Manual stock adjustment by seller (restock, barang rusak, stock opname)
+   * Stok tersedia tidak boleh negatif; stok yang di-reserve order tidak bisa dikurangi
+   * @param {string} productId - Product ID
+   * @param {string} sellerId - Seller profile ID
+   * @param {string} actorId - User ID of the seller
+   * @param {Object} adjustment - { variantId, quantity, reason } (sudah divalidasi)
+   * @returns {Promise<Object>} { movement, stock }
+   */
+  static async adjustStock(productId, sellerId, actorId, adjustment) {
+    const { variantId = null, quantity, reason } = adjustment;
+
+    const product = await Product.findOne({ _id: productId, sellerId });
+    if (!product) {
+      this._fail(MESSAGES.PRODUCT.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+    if (product.productType === "bundle") {
+      this._fail(MESSAGES.PRODUCT.BUNDLE_STOCK_DERIVED);
+    }
+
+    const hasVariants = product.variants && product.variants.length > 0;
+    if (hasVariants && !variantId) {
+      this._fail(MESSAGES.INVENTORY.VARIANT_REQUIRED);
+    }
+
+    const source = variantId ? product.findVariant(variantId) : product;
+    if (!source) {
+      this._fail(MESSAGES.INVENTORY.VARIANT_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const previousStock = StockAlertService.captureStock(product);
+    const minimumStock = Math.max(0, -quantity);
+
+    // Atomik: guard stok tersedia cukup untuk pengurangan
+    const updated = variantId
+      ? await Product.findOneAndUpdate(
+          { _id: product._id, variants: { $elemMatch: { _id: variantId, stock: { $gte: minimumStock } } } },
+          { $inc: { "variants.$.stock": quantity, stock: quantity } },
+          { new: true }
+        )
+      : await Product.findOneAndUpdate(
+          { _id: product._id, stock: { $gte: minimumStock } },
+          { $inc: { stock: quantity } },
+          { new: true }
+        );
+
+    if (!updated) {
+      this._fail(`${MESSAGES.INVENTORY.INSUFFICIENT_AVAILABLE_STOCK} (available: ${source.stock || 0})`);
+    }
+
+    const movement = await this.recordChange(updated, variantId, {
+      type: "adjustment",
+      quantity,
+      reason,
+      actor: actorId,
+    });
+
+    logger.info(`📦 Stock of product ${product._id} adjusted by ${quantity} (${reason})`);
+
+    // Restock -> notifikasi back-in-stock & reset alert stok menipis; bundle yang memakai produk ini ikut disinkronkan
+    StockAlertService.handleStockChange(updated, previousStock).catch(error => {
+      logger.error(`Stock alert failed for product ${updated._id}:`, error);
+    });
+    ProductBundleService.syncBundleStockInBackground([updated._id]);
+
+    const updatedSource = variantId ? updated.findVariant(variantId) : updated;
+
+    return {
+      movement: movement ? this.formatMovement(movement.toObject()) : null,
+      stock: {
+        variantId: variantId ? variantId.toString() : null,
+        available: updatedSource.stock || 0,
+        reserved: updatedSource.reservedStock || 0,
+        onHand: (updatedSource.stock || 0) + (updatedSource.reservedStock || 0),
+      },
+    };
+  }
+
+  /**
+   * Format movement for response
+   * @param {Object} movement - Lean movement (actor & order boleh ter-populate)
+   * @returns {Object} Formatted movement
+   */
+  static formatMovement(movement) {
+    const actor = movement.actor;
+    const order = movement.order;
+
+    return {
+      id: movement._id.toString(),
+      type: movement.type,
+      variantId: movement.variant ? movement.variant.toString() : null,
+      variantSku: movement.variantSku || null,
+      quantity: movement.quantity,
+      quantityBefore: movement.quantityBefore,
+      quantityAfter: movement.quantityAfter,
+      reason: movement.reason || null,
+      actor: actor
+        ? actor.username !== undefined
+          ? { id: actor._id.toString(), username: actor.username }
+          : { id: actor.toString() }
+        : null,
+      order: order
+        ? order.orderNumber !== undefined
+          ? { id: order._id.toString(), orderNumber: order.orderNumber }
+          : { id: order.toString() }
+        : null,
+      createdAt: movement.createdAt,
+    };
+  }
+}
+
+module.exports = InventoryMovementService;
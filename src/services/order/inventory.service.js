@@ -1,5 +1,8 @@
 // inventory.service.js
 const Product = require("../../models/products.model");
+const ProductBundleService = require("../product-bundle.service");
+const InventoryMovementService = require("../inventory-movement.service");
+const logger = require("../../utils/logger");
 
 class InventoryService {
   /**
@@ -7,9 +10,13 @@ class InventoryService {
    */ 1
   static async validateStock(cartItems) {
     for (const item of cartItems) {
-      if (item.product.stock < item.quantity) {
+      const stockSource = this.getStockSource(item.product, item.variant);
+      const availableStock = stockSource ? stockSource.stock : 0;
+
+      if (availableStock < item.quantity) {
+        const label = item.variantSku ? `${item.product.title} (${item.variantSku})` : item.product.title;
         const error = new Error(
-          `Insufficient stock for ${item.product.title}. Available: ${item.product.stock}, Requested: ${item.quantity}`
+          `Insufficient stock for ${label}. Available: ${availableStock}, Requested: ${item.quantity}`
         );
         error.statusCode = 400;
         throw error;
@@ -19,31 +26,83 @@ class InventoryService {
 
   /**
    * Update product stock (for purchase/cancellation)
+   * Order baru memakai reservasi (StockReservationService); ini untuk restock order yang sudah dibayar
    * @param {Array} orderItems - Order items from cartSnapshot
    * @param {Number} multiplier - 1 for purchase, -1 for cancellation/restore
+   * @param {Object} context - { order, actor, reason } untuk ledger pergerakan stok
    */ 2
-  static async updateProductStock(orderItems, multiplier = -1) {
-    const updatePromises = orderItems.map((item) => {
-      return Product.updateOne(
-        { _id: item.product },
-        { $inc: { stock: item.quantity * multiplier } }
-      );
+  static async updateProductStock(orderItems, multiplier = -1, context = {}) {
+    // Bundle: stok dikembalikan per komponen sesuai snapshot order
+    const stockItems = ProductBundleService.expandItems(
+      orderItems.map(item => ({
+        product: item.product,
+        variant: item.variant || null,
+        quantity: item.quantity,
+        components: item.bundleComponents,
+      }))
+    );
+    const movementType = multiplier > 0 ? "cancellation_restore" : "sale";
+
+    const updatePromises = stockItems.map(async (item) => {
+      const quantity = item.quantity * multiplier;
+
+      // Item dengan varian: update stok varian dan total stok produk sekaligus
+      // skipSoftDeleteFilter: stok produk yang sudah dihapus tetap dikembalikan
+      const updated = item.variant
+        ? await Product.findOneAndUpdate(
+            { _id: item.product, "variants._id": item.variant },
+            { $inc: { "variants.$.stock": quantity, stock: quantity } },
+            { new: true, skipSoftDeleteFilter: true }
+          )
+        : await Product.findOneAndUpdate(
+            { _id: item.product },
+            { $inc: { stock: quantity } },
+            { new: true, skipSoftDeleteFilter: true }
+          );
+
+      await InventoryMovementService.recordChange(updated, item.variant, {
+        type: movementType,
+        quantity,
+        reason: context.reason,
+        actor: context.actor,
+        order: context.order,
+      });
     });
 
     await Promise.all(updatePromises);
+    ProductBundleService.syncBundleStockInBackground(stockItems.map(item => item.product));
   }
 
   /**
    * Restore product stock after cancellation
+   * @param {Array} orderItems - Order items from cartSnapshot
+   * @param {Object} context - { order, actor, reason }
    */ 3
-  static async restoreProductStock(orderItems) {
-    await this.updateProductStock(orderItems, 1);
+  static async restoreProductStock(orderItems, context = {}) {
+    await this.updateProductStock(orderItems, 1, context);
+    await this.recordSales(orderItems, -1);
+  }
+
+  /**
+   * Update soldCount produk (ranking pencarian); gagal hanya di-log
+   * @param {Array} orderItems - Order items from cartSnapshot
+   * @param {Number} direction - 1 saat order dibayar, -1 saat pembatalan
+   */
+  static async recordSales(orderItems, direction = 1) {
+    try {
+      await Product.recordSales(orderItems, direction);
+    } catch (error) {
+      logger.error("Failed to update product sold count:", error);
+    }
   }
 
   /**
    * Validate stock before order processing (comprehensive check)
+   * @param {Array} cartItems - Items to validate
+   * @param {Object} options - { reserved: true } untuk order yang stoknya sudah di-reserve (cek ketersediaan saja)
    */ 4
-  static async validateStockForOrder(cartItems) {
+  static async validateStockForOrder(cartItems, options = {}) {
+    const { reserved = false } = options;
     const stockIssues = [];
 
     for (const item of cartItems) {
@@ -79,13 +138,31 @@ class InventoryService {
         continue;
       }
 
-      if (product.stock < item.quantity) {
+      // Stok bundle dihitung ulang dari komponen (nilai tersimpan bisa tertinggal dari stok komponen)
+      const stockSource =
+        product.productType === "bundle"
+          ? { stock: await Product.calculateBundleStock(product.bundleItems) }
+          : this.getStockSource(product, item.variant);
+
+      if (!stockSource || (item.variant && !stockSource.isActive)) {
         stockIssues.push({
           productId: item.product._id,
+          variantId: item.variant,
+          title: product.title,
+          issue: "VARIANT_UNAVAILABLE",
+          message: "Selected variant is no longer available",
+        });
+        continue;
+      }
+
+      if (!reserved && stockSource.stock < item.quantity) {
+        stockIssues.push({
+          productId: item.product._id,
+          variantId: item.variant || null,
           title: product.title,
           issue: "INSUFFICIENT_STOCK",
-          message: `Not enough stock. Available: ${product.stock}, Requested: ${item.quantity}`,
-          availableStock: product.stock,
+          message: `Not enough stock. Available: ${stockSource.stock}, Requested: ${item.quantity}`,
+          availableStock: stockSource.stock,
           requestedQuantity: item.quantity,
         });
       }
@@ -98,15 +175,23 @@ class InventoryService {
         (issue) => issue.issue === "INSUFFICIENT_STOCK"
       ),
       hasAvailabilityIssues: stockIssues.some((issue) =>
-        ["PRODUCT_NOT_FOUND", "PRODUCT_INACTIVE", "PRODUCT_DELETED"].includes(
+        ["PRODUCT_NOT_FOUND", "PRODUCT_INACTIVE", "PRODUCT_DELETED", "VARIANT_UNAVAILABLE"].includes(
           issue.issue
         )
       ),
     };
   }
 
+  /**
+   * Resolve object holding the stock for an item: the variant when one is
+   * selected, otherwise the product itself. Returns null for unknown variants.
+   */
+  static getStockSource(product, variantId = null) {
+    if (!variantId) return product;
 
-
+    const variants = product.variants || [];
+    return variants.find((variant) => variant._id.toString() === variantId.toString()) || null;
+  }
 }
 
 module.exports = InventoryService;
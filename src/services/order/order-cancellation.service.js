@@ -6,6 +6,7 @@ const CancelRequest = require("../../models/cancel-request.model");
 const Wallet = require("../../models/wallet.model");
 const WalletTransaction = require("../../models/wallet-transaction.model");
 const InventoryService = require("./inventory.service");
+const StockReservationService = require("./stock-reservation.service");
 const SellerTransactionService = require("./seller-transaction.service");
 const OrderPaymentService = require("./order-payment.service");
 const logger = require("../../utils/logger");
@@ -118,7 +119,8 @@ static async handlePendingOrderCancellation(order, reason) {
     await order.save();
   }
 
-  await InventoryService.restoreProductStock(order.cartSnapshot.items);
+  // Order belum dibayar: lepas reservasi stok (stok belum pernah terjual)
+  await StockReservationService.releaseForOrder(order._id, "cancelled");
   await OrderPaymentService.clearUserCartWithCoupon(order.user);
 
   return {
@@ -261,7 +263,11 @@ static async processApprovedCancellation(order, cancelRequest) {
       
       await order.save();
 
-      await InventoryService.restoreProductStock(order.cartSnapshot.items);
+      await InventoryService.restoreProductStock(order.cartSnapshot.items, {
+        order: order._id,
+        actor: order.user,
+        reason: reasonFromRequest,
+      });
 
       return {
         success: true,
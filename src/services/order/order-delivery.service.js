@@ -230,8 +230,9 @@ class OrderDeliveryService {
 
         await order.save();
 
-        const InventoryService = require("../inventory.service");
-        await InventoryService.restoreProductStock(order.cartSnapshot.items);
+        // Order belum dibayar: stok masih berupa reservasi, bukan stok terjual
+        const StockReservationService = require("./stock-reservation.service");
+        await StockReservationService.releaseForOrder(order._id, "expired");
 
         const OrderPaymentService = require("./order-payment.service");
         await OrderPaymentService.clearUserCartWithCoupon(order.user);
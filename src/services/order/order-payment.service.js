@@ -8,6 +8,7 @@ const Wallet = require("../../models/wallet.model");
 const WalletTransaction = require("../../models/wallet-transaction.model");
 const PaymentProcessorService = require("./payment-processor.service");
 const InventoryService = require("./inventory.service");
+const StockReservationService = require("./stock-reservation.service");
 const SellerTransactionService = require("./seller-transaction.service");
 const logger = require("../../utils/logger");
 
@@ -28,15 +29,17 @@ class OrderPaymentService {
 
     const { order, userWallet } = validationResult.data;
 
-    // Revalidate stock before payment
+    // Revalidate product availability before payment (stok sudah ditahan oleh reservasi order)
     const stockRevalidation = await InventoryService.validateStockForOrder(
       order.cartSnapshot.items.map(item => ({
         product: {
           _id: item.product,
           title: item.productSnapshot?.title || "Unknown Product",
         },
+        variant: item.variant,
         quantity: item.quantity,
-      }))
+      })),
+      { reserved: true }
     );
 
     if (!stockRevalidation.isValid) {
@@ -46,6 +49,9 @@ class OrderPaymentService {
       throw error;
     }
 
+    // Reserve ulang item yang reservasinya sudah dilepas (TTL lewat / order lama); gagal = stok habis
+    await StockReservationService.ensureReservedForOrder(order);
+
     try {
       const totalAmount = order.cartSnapshot.finalPrice;
       await userWallet.deductBalance(totalAmount, `Payment for order ${order.orderNumber}`);
@@ -72,7 +78,8 @@ class OrderPaymentService {
       }
 
       await order.save();
-      await InventoryService.updateProductStock(order.cartSnapshot.items, -1);
+      await StockReservationService.convertForOrder(order._id);
+      await InventoryService.recordSales(order.cartSnapshot.items);
       await this.clearUserCart(userId);
 
       await order.populate("user", "username email");
@@ -94,6 +101,7 @@ class OrderPaymentService {
       };
     } catch (error) {
       await order.cancel("Payment failed: " + error.message);
+      await StockReservationService.releaseForOrder(order._id, "payment_failed");
       throw error;
     }
   }
@@ -1,5 +1,6 @@
 // order-response-formatter.service.js - ENHANCED VERSION
 const OrderStatusService = require("./order-status.service");
+const { getItemPricing } = require("../../utils/cart.util");
 
 class OrderResponseFormatter {
   /**
@@ -106,6 +107,7 @@ class OrderResponseFormatter {
                   productImage: item.productSnapshot?.image,
                   quantity: item.quantity,
                   price: item.priceAtPurchase,
+                  originalPrice: item.originalPrice || null,
                   subtotal: item.priceAtPurchase * item.quantity,
                   status: itemStatus?.status || parcel.status,
                   customerFeedback: customerFeedback, // ✅ Data dari order asli
@@ -785,8 +787,10 @@ class OrderResponseFormatter {
             },
             sellerId: sellerData, // ✅ Contains logo now
           },
+          variant: this.formatCartItemVariant(item),
           quantity: item.quantity,
           priceAtAddition: item.priceAtAddition,
+          originalPrice: getItemPricing(item)?.originalPrice || null,
         };
       }),
       appliedCoupon: cart.appliedCoupon,
@@ -796,6 +800,25 @@ class OrderResponseFormatter {
     };
   }
 
+  /**
+   * Resolve selected variant data of a populated cart item
+   */
+  static formatCartItemVariant(item) {
+    if (!item.variant) return null;
+
+    const variant = (item.product.variants || []).find(v => v._id.toString() === item.variant.toString());
+    if (!variant) {
+      throw new Error(`Variant ${item.variantSku || item.variant} of ${item.product.title} is no longer available`);
+    }
+
+    return {
+      _id: variant._id,
+      sku: variant.sku,
+      options: variant.options instanceof Map ? Object.fromEntries(variant.options) : variant.options,
+      image: variant.image || null,
+    };
+  }
+
   /**
    * Format error response
    */
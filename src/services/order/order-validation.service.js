@@ -104,7 +104,9 @@
     const cart = await Cart.findByUser(userId)
       .populate({
         path: "items.product",
-        select: "title price stock isActive description image slug category sellerId",
+        select:
+          "title price stock isActive description image slug category sellerId variants sales compareAtPrice " +
+          "productType bundleItems",
         populate: [
           {
             path: "category",
@@ -2,12 +2,23 @@
 const OrderValidationService = require("./order-validation.service");
 const OrderResponseFormatter = require("./order-response-formatter.service");
 const InventoryService = require("./inventory.service");
+const StockReservationService = require("./stock-reservation.service");
+const ProductBundleService = require("../product-bundle.service");
 const OrderPaymentService = require("./order-payment.service");
 const OrderCancellationService = require("./order-cancellation.service");
 const OrderDeliveryService = require("./order-delivery.service");
 const OrderFeedbackService = require("./order-feedback.service");
+const mongoose = require("mongoose");
 const Order = require("../../models/order.model");
 const Cart = require("../../models/cart.model");
+const { getCurrentUnitPrice } = require("../../utils/cart.util");
+const {
+  withCursorTieBreaker,
+  encodeCursor,
+  buildCursorFilter,
+  supportsCursor,
+  buildCursorPage,
+} = require("../../utils/query.util");
 const logger = require("../../utils/logger");
 
 class OrderService {
@@ -36,7 +47,7 @@ class OrderService {
         error.statusCode = 400;
         error.data = {
           unavailableProducts: stockValidation.issues.filter(issue =>
-            ["PRODUCT_NOT_FOUND", "PRODUCT_INACTIVE", "PRODUCT_DELETED"].includes(issue.issue)
+            ["PRODUCT_NOT_FOUND", "PRODUCT_INACTIVE", "PRODUCT_DELETED", "VARIANT_UNAVAILABLE"].includes(issue.issue)
           ),
         };
         throw error;
@@ -57,15 +68,50 @@ class OrderService {
       throw error;
     }
 
+    // Sale bisa mulai/berakhir sejak item masuk cart -> snapshot memakai harga saat checkout
+    cart.items.forEach(item => {
+      item.priceAtAddition = getCurrentUnitPrice(item);
+    });
+
     const totalAmount = cart.calculateFinalPrice();
     const cartData = OrderResponseFormatter.formatCartData(cart, totalAmount);
 
-    const order = await Order.createFromCart(userId, cartData, {
-      shippingAddress,
-      paymentMethod,
-      notes,
+    // Isi bundle di-snapshot ke order: seller packing per komponen, stok di-reserve per komponen
+    const bundleComponents = await ProductBundleService.getComponentSnapshots(cart.items.map(item => item.product));
+    cartData.items.forEach(item => {
+      item.bundleComponents = bundleComponents.get(item.product._id.toString());
     });
 
+    // Reserve stok secara atomik sebelum order dibuat; dilepas saat expired/cancel, jadi terjual saat dibayar
+    const orderId = new mongoose.Types.ObjectId();
+    const expiresAt = new Date(Date.now() + StockReservationService.RESERVATION_TTL);
+    await StockReservationService.reserveItems(
+      orderId,
+      userId,
+      cart.items.map(item => ({
+        product: item.product._id,
+        variant: item.variant || null,
+        quantity: item.quantity,
+        title: item.variantSku ? `${item.product.title} (${item.variantSku})` : item.product.title,
+        components: bundleComponents.get(item.product._id.toString()),
+      })),
+      expiresAt
+    );
+
+    let order;
+    try {
+      order = await Order.createFromCart(userId, cartData, {
+        orderId,
+        expiresAt,
+        shippingAddress,
+        paymentMethod,
+        notes,
+      });
+    } catch (error) {
+      await StockReservationService.releaseForOrder(orderId, "order_failed");
+      throw error;
+    }
+
     await order.populate("user", "username email");
 
     return {
@@ -97,6 +143,7 @@ class OrderService {
         productImage: item.productSnapshot.image,
         quantity: item.quantity,
         price: item.priceAtPurchase,
+        originalPrice: item.originalPrice || null,
         subtotal: item.priceAtPurchase * item.quantity,
         status: "pending",
       });
@@ -155,10 +202,27 @@ class OrderService {
       sellerStatus,
       sortBy = "createdAt",
       sortOrder = "desc",
+      cursor,
     } = queryParams;
 
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
+    const sort = withCursorTieBreaker({ [sortBy]: sortOrder === "desc" ? -1 : 1 });
+
+    // Cursor mode: lanjut setelah order terakhir halaman sebelumnya (tanpa skip & tanpa total count)
+    const cursorFilter = cursor ? buildCursorFilter(cursor, sort, Order.CURSOR_SORT_FIELDS) : null;
+    let cursorPage = null;
+
+    const findOrders = query =>
+      Promise.all([
+        Order.find(cursorFilter ? { $and: [query, cursorFilter] } : query)
+          .sort(sort)
+          .limit(cursorFilter ? limitNum + 1 : limitNum)
+          .skip(cursorFilter ? 0 : (pageNum - 1) * limitNum)
+          .populate("user", "username email")
+          .lean(),
+        cursorFilter ? null : Order.countDocuments(query),
+      ]);
 
     let query = { user: userId };
     let orders = [];
@@ -180,17 +244,8 @@ class OrderService {
         total = 0;
       } else {
         query._id = { $in: orderIds };
-        const sort = { [sortBy]: sortOrder === "desc" ? -1 : 1 };
-
-        const [ordersResult, totalResult] = await Promise.all([
-          Order.find(query)
-            .sort(sort)
-            .limit(limitNum)
-            .skip((pageNum - 1) * limitNum)
-            .populate("user", "username email")
-            .lean(),
-          Order.countDocuments(query),
-        ]);
+
+        const [ordersResult, totalResult] = await findOrders(query);
 
         orders = ordersResult;
         total = totalResult;
@@ -214,22 +269,17 @@ class OrderService {
         query["itemStatuses.status"] = { $in: statusValues };
       }
 
-      const sort = { [sortBy]: sortOrder === "desc" ? -1 : 1 };
-
-      const [ordersResult, totalResult] = await Promise.all([
-        Order.find(query)
-          .sort(sort)
-          .limit(limitNum)
-          .skip((pageNum - 1) * limitNum)
-          .populate("user", "username email")
-          .lean(),
-        Order.countDocuments(query),
-      ]);
+      const [ordersResult, totalResult] = await findOrders(query);
 
       orders = ordersResult;
       total = totalResult;
     }
 
+    if (cursorFilter) {
+      cursorPage = buildCursorPage(orders, limitNum, sort);
+      orders = cursorPage.items;
+    }
+
     // Format response
     let formattedOrders = OrderResponseFormatter.formatOrderListResponse(orders, {
       filterSellerStatus: status ? status.split(",").map(s => s.trim()) : null,
@@ -253,13 +303,28 @@ class OrderService {
       message: "Orders retrieved successfully",
       data: {
         orders: formattedOrders,
-        pagination: {
-          currentPage: pageNum,
-          totalPages: Math.ceil(total / limitNum),
-          totalOrders: total,
-          hasNextPage: pageNum < Math.ceil(total / limitNum),
-          hasPrevPage: pageNum > 1,
-        },
+        pagination: cursorPage
+          ? {
+              currentPage: null,
+              totalPages: null,
+              totalOrders: null,
+              hasNextPage: cursorPage.hasNext,
+              hasPrevPage: true,
+              nextCursor: cursorPage.nextCursor,
+            }
+          : {
+              currentPage: pageNum,
+              totalPages: Math.ceil(total / limitNum),
+              totalOrders: total,
+              hasNextPage: pageNum < Math.ceil(total / limitNum),
+              hasPrevPage: pageNum > 1,
+              nextCursor:
+                pageNum < Math.ceil(total / limitNum) &&
+                orders.length > 0 &&
+                supportsCursor(sort, Order.CURSOR_SORT_FIELDS)
+                  ? encodeCursor(orders[orders.length - 1], sort)
+                  : null,
+            },
       },
     };
   }
@@ -385,7 +450,12 @@ static async getOrderById(orderId, userId) {
    * Check expired orders
    */
   static async checkExpiredOrders() {
-    return await OrderDeliveryService.checkExpiredOrders();
+    const results = await OrderDeliveryService.checkExpiredOrders();
+
+    // Reservasi yatim (mis. order gagal dibuat) tetap dilepas setelah TTL lewat
+    await StockReservationService.releaseExpiredReservations();
+
+    return results;
   }
 
   static startExpirationChecker() {
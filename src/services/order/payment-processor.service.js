@@ -352,6 +352,9 @@ class PaymentProcessorService {
   static async cancelFailedOrder(order, error) {
     const cancellationReason = `Payment failed: ${error.message}`;
     await order.cancel(cancellationReason);
+
+    const StockReservationService = require("./stock-reservation.service");
+    await StockReservationService.releaseForOrder(order._id, "payment_failed");
   }
 
   /**
@@ -0,0 +1,317 @@
+// stock-reservation.service.js - Reservasi stok atomik untuk order yang belum dibayar
+const mongoose = require("mongoose");
+const Product = require("../../models/products.model");
+const StockReservation = require("../../models/stock-reservation.model");
+const StockAlertService = require("../stock-alert.service");
+const ProductBundleService = require("../product-bundle.service");
+const InventoryMovementService = require("../inventory-movement.service");
+const logger = require("../../utils/logger");
+
+class StockReservationService {
+  static RESERVATION_TTL = 30 * 60 * 1000; // 30 minutes, sama dengan batas waktu bayar order
+  static PAYMENT_GRACE = 5 * 60 * 1000; // reservasi tidak di-release selama pembayaran diproses
+
+  /**
+   * Pindahkan stok ke reservedStock hanya jika stok cukup (atomik, mencegah oversell)
+   * @private
+   * @returns {Promise<boolean>} true jika berhasil di-reserve
+   */
+  static async _holdStock(productId, variantId, quantity) {
+    if (variantId) {
+      const result = await Product.updateOne(
+        { _id: productId, variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } } },
+        {
+          $inc: {
+            "variants.$.stock": -quantity,
+            "variants.$.reservedStock": quantity,
+            stock: -quantity,
+            reservedStock: quantity,
+          },
+        }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    const result = await Product.updateOne(
+      { _id: productId, stock: { $gte: quantity } },
+      { $inc: { stock: -quantity, reservedStock: quantity } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Kembalikan stok yang ditahan ke stok tersedia
+   * @private
+   */
+  static async _unholdStock(productId, variantId, quantity) {
+    if (variantId) {
+      return Product.updateOne(
+        { _id: productId, "variants._id": variantId },
+        {
+          $inc: {
+            "variants.$.stock": quantity,
+            "variants.$.reservedStock": -quantity,
+            stock: quantity,
+            reservedStock: -quantity,
+          },
+        }
+      );
+    }
+
+    return Product.updateOne({ _id: productId }, { $inc: { stock: quantity, reservedStock: -quantity } });
+  }
+
+  /**
+   * Stok yang ditahan menjadi terjual (stok tersedia sudah berkurang saat reserve)
+   * Stok on-hand baru berkurang di sini -> dicatat sebagai penjualan di ledger stok
+   * @private
+   */
+  static async _commitStock(reservation) {
+    const { product: productId, variant: variantId, quantity } = reservation;
+
+    const updated = variantId
+      ? await Product.findOneAndUpdate(
+          { _id: productId, "variants._id": variantId },
+          { $inc: { "variants.$.reservedStock": -quantity, reservedStock: -quantity } },
+          { new: true, skipSoftDeleteFilter: true }
+        )
+      : await Product.findOneAndUpdate(
+          { _id: productId },
+          { $inc: { reservedStock: -quantity } },
+          { new: true, skipSoftDeleteFilter: true }
+        );
+
+    await InventoryMovementService.recordChange(updated, variantId, {
+      type: "sale",
+      quantity: -quantity,
+      reason: reservation.bundle ? `Sold as part of bundle ${reservation.bundle}` : null,
+      actor: reservation.user,
+      order: reservation.order,
+    });
+  }
+
+  /**
+   * Reserve stock for all items of an order; semua atau tidak sama sekali
+   * Item bundle (punya `components`) di-reserve per komponen
+   * @param {ObjectId} orderId - Order ID (boleh belum tersimpan)
+   * @param {ObjectId} userId - Buyer ID
+   * @param {Array} items - [{ product, variant, quantity, title, components? }]
+   * @param {Date} expiresAt - Reservation expiry
+   * @returns {Promise<Array>} Created reservations
+   */
+  static async reserveItems(orderId, userId, items, expiresAt) {
+    const reservations = [];
+    const stockItems = ProductBundleService.expandItems(items);
+
+    for (const item of stockItems) {
+      const variantId = item.variant || null;
+      const reserved = await this._holdStock(item.product, variantId, item.quantity);
+
+      if (!reserved) {
+        await this._releaseReservations(reservations, "reservation_failed");
+
+        const error = new Error(`Insufficient stock for ${item.title || "product"}`);
+        error.statusCode = 400;
+        error.data = {
+          stockIssues: [
+            {
+              productId: item.bundle || item.product,
+              variantId,
+              componentId: item.bundle ? item.product : undefined,
+              title: item.title || null,
+              issue: "INSUFFICIENT_STOCK",
+              requestedQuantity: item.quantity,
+            },
+          ],
+        };
+        throw error;
+      }
+
+      const reservation = await StockReservation.create({
+        order: orderId,
+        user: userId,
+        product: item.product,
+        variant: variantId,
+        bundle: item.bundle || null,
+        quantity: item.quantity,
+        expiresAt,
+      });
+      reservations.push(reservation);
+    }
+
+    // Stok tersedia berkurang -> cek alert stok menipis seller & stok bundle yang memakai produk ini
+    const productIds = stockItems.map(item => item.product);
+    StockAlertService.checkLowStockInBackground(productIds);
+    ProductBundleService.syncBundleStockInBackground(productIds);
+
+    return reservations;
+  }
+
+  /**
+   * Release reservations; status di-flip atomik dulu agar stok tidak dikembalikan dua kali
+   * @private
+   * @returns {Promise<number>} Released count
+   */
+  static async _releaseReservations(reservations, reason) {
+    const releasedProducts = [];
+
+    for (const reservation of reservations) {
+      const claimed = await StockReservation.findOneAndUpdate(
+        { _id: reservation._id, status: "active" },
+        { status: "released", releaseReason: reason, releasedAt: new Date() }
+      );
+      if (!claimed) continue;
+
+      await this._unholdStock(claimed.product, claimed.variant, claimed.quantity);
+      releasedProducts.push(claimed.product);
+    }
+
+    // Stok kembali -> alert stok menipis di-reset jika sudah di atas threshold
+    if (releasedProducts.length > 0) {
+      StockAlertService.checkLowStockInBackground(releasedProducts);
+      ProductBundleService.syncBundleStockInBackground(releasedProducts);
+    }
+
+    return releasedProducts.length;
+  }
+
+  /**
+   * Release all active reservations of an order (cancel / expired / payment failed)
+   * @param {ObjectId} orderId - Order ID
+   * @param {string} reason - Release reason
+   * @returns {Promise<number>} Released count
+   */
+  static async releaseForOrder(orderId, reason) {
+    const reservations = await StockReservation.find({ order: orderId, status: "active" });
+    return this._releaseReservations(reservations, reason);
+  }
+
+  /**
+   * Pastikan setiap item order punya reservasi aktif
+   * Reservasi bisa sudah di-release (TTL lewat) atau order dibuat sebelum ada ledger -> reserve ulang
+   * @param {Object} order - Order document
+   * @returns {Promise<void>} Throws 400 jika stok tidak cukup lagi
+   */
+  static async ensureReservedForOrder(order) {
+    // Perpanjang reservasi aktif agar tidak di-release sweeper di tengah pembayaran
+    await StockReservation.updateMany(
+      { order: order._id, status: "active" },
+      { $max: { expiresAt: new Date(Date.now() + this.PAYMENT_GRACE) } }
+    );
+
+    const active = await StockReservation.find({ order: order._id, status: "active" }).lean();
+    const reservationKey = item => `${item.product}:${item.variant || ""}:${item.bundle || ""}`;
+    const activeKeys = new Set(active.map(reservationKey));
+
+    // Bundle dicek per komponen sesuai snapshot order (bukan isi bundle saat ini)
+    const missing = ProductBundleService.expandItems(
+      order.cartSnapshot.items.map(item => ({
+        product: item.product,
+        variant: item.variant || null,
+        quantity: item.quantity,
+        title: item.productSnapshot?.title,
+        components: item.bundleComponents,
+      }))
+    ).filter(item => !activeKeys.has(reservationKey(item)));
+
+    if (missing.length === 0) return;
+
+    const expiresAt = new Date(Math.max(order.expiresAt?.getTime() || 0, Date.now() + this.RESERVATION_TTL));
+    await this.reserveItems(order._id, order.user, missing, expiresAt);
+  }
+
+  /**
+   * Convert active reservations of a paid order into a sale
+   * @param {ObjectId} orderId - Order ID
+   * @returns {Promise<number>} Converted count
+   */
+  static async convertForOrder(orderId) {
+    const reservations = await StockReservation.find({ order: orderId, status: "active" });
+    let converted = 0;
+
+    for (const reservation of reservations) {
+      const claimed = await StockReservation.findOneAndUpdate(
+        { _id: reservation._id, status: "active" },
+        { status: "converted", convertedAt: new Date() }
+      );
+      if (!claimed) continue;
+
+      await this._commitStock(claimed);
+      converted++;
+    }
+
+    return converted;
+  }
+
+  /**
+   * Release reservations yang TTL-nya sudah lewat (dipanggil expiration checker)
+   * @returns {Promise<number>} Released count
+   */
+  static async releaseExpiredReservations() {
+    const expired = await StockReservation.find({
+      status: "active",
+      expiresAt: { $lt: new Date() },
+    }).limit(500);
+
+    const released = await this._releaseReservations(expired, "expired");
+    if (released > 0) {
+      logger.info(`⏳ Released ${released} expired stock reservation(s)`);
+    }
+
+    return released;
+  }
+
+  /**
+   * Available vs reserved stock of a seller's product
+   * @param {string} productId - Product ID
+   * @param {string} sellerId - Seller profile ID
+   * @returns {Promise<Object|null>} Stock summary or null if not found
+   */
+  static async getProductStockSummary(productId, sellerId) {
+    const product = await Product.findOne({ _id: productId, sellerId }).lean();
+    if (!product) return null;
+
+    const rows = await StockReservation.aggregate([
+      { $match: { product: new mongoose.Types.ObjectId(productId), status: "active" } },
+      {
+        $group: {
+          _id: "$variant",
+          quantity: { $sum: "$quantity" },
+          reservations: { $sum: 1 },
+          nextExpiryAt: { $min: "$expiresAt" },
+        },
+      },
+    ]);
+    const ledgerByVariant = new Map(rows.map(row => [String(row._id), row]));
+
+    const formatStock = (source, ledger) => ({
+      available: source.stock || 0,
+      reserved: source.reservedStock || 0,
+      onHand: (source.stock || 0) + (source.reservedStock || 0),
+      activeReservations: ledger?.reservations || 0,
+      nextExpiryAt: ledger?.nextExpiryAt || null,
+    });
+
+    const totalLedger = rows.reduce(
+      (total, row) => ({
+        reservations: total.reservations + row.reservations,
+        nextExpiryAt:
+          !total.nextExpiryAt || row.nextExpiryAt < total.nextExpiryAt ? row.nextExpiryAt : total.nextExpiryAt,
+      }),
+      { reservations: 0, nextExpiryAt: null }
+    );
+
+    return {
+      productId: product._id.toString(),
+      title: product.title,
+      ...formatStock(product, totalLedger),
+      variants: (product.variants || []).map(variant => ({
+        id: variant._id.toString(),
+        sku: variant.sku,
+        ...formatStock(variant, ledgerByVariant.get(variant._id.toString())),
+      })),
+    };
+  }
+}
+
+module.exports = StockReservationService;
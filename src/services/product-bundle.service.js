@@ -0,0 +1,145 @@
+// product-bundle.service.js - Bundle produk: validasi komponen, snapshot untuk order & pemecahan stok per komponen
+const Product = require("../models/products.model");
+const { HTTP_STATUS } = require("../constants/httpStatus");
+const logger = require("../utils/logger");
+
+class ProductBundleService {
+  /**
+   * Throw error dengan status code (ditangani asyncHandler)
+   * @private
+   */
+  static _fail(message, statusCode = HTTP_STATUS.BAD_REQUEST) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  /**
+   * Validate bundle components against the seller's catalog
+   * Komponen harus milik seller yang sama, bukan bundle, dan varian wajib dipilih untuk produk bervarian
+   * @param {string} sellerId - Seller profile ID
+   * @param {Array} bundleItems - [{ product, variant, quantity }] (sudah lolos ValidationHelper.validateBundleItems)
+   * @param {string} bundleId - ID bundle saat update (tidak boleh berisi dirinya sendiri)
+   * @returns {Promise<Array>} Normalized bundle items
+   */
+  static async normalizeBundleItems(sellerId, bundleItems, bundleId = null) {
+    const productIds = [...new Set(bundleItems.map(item => item.product.toString()))];
+
+    if (bundleId && productIds.includes(bundleId.toString())) {
+      this._fail("A bundle cannot contain itself");
+    }
+
+    const components = await Product.find({ _id: { $in: productIds }, sellerId })
+      .select("title productType variants")
+      .lean();
+    const componentsById = new Map(components.map(component => [component._id.toString(), component]));
+
+    return bundleItems.map(item => {
+      const component = componentsById.get(item.product.toString());
+      if (!component) {
+        this._fail(`Bundle component ${item.product} not found in your store`);
+      }
+      if (component.productType === "bundle") {
+        this._fail(`${component.title} is a bundle and cannot be used as a bundle component`);
+      }
+
+      const variants = component.variants || [];
+      if (variants.length > 0 && !item.variant) {
+        this._fail(`Select a variant of ${component.title} for the bundle`);
+      }
+      if (item.variant && !variants.some(variant => variant._id.toString() === item.variant.toString())) {
+        this._fail(`Variant ${item.variant} of ${component.title} not found`);
+      }
+
+      return {
+        product: component._id,
+        variant: item.variant || null,
+        quantity: item.quantity,
+      };
+    });
+  }
+
+  /**
+   * Snapshot komponen untuk cartSnapshot order agar seller bisa packing isi bundle
+   * @param {Array} products - Produk (cart item.product) yang mungkin bundle
+   * @returns {Promise<Map>} bundleId -> [{ product, variant, title, sku, options, image, quantity }]
+   */
+  static async getComponentSnapshots(products = []) {
+    const bundles = products.filter(product => product && product.productType === "bundle");
+    if (bundles.length === 0) return new Map();
+
+    const componentIds = bundles.flatMap(bundle => (bundle.bundleItems || []).map(item => item.product));
+    const components = await Product.find({ _id: { $in: componentIds } })
+      .select("title sku image variants")
+      .lean();
+    const componentsById = new Map(components.map(component => [component._id.toString(), component]));
+
+    return new Map(
+      bundles.map(bundle => [
+        bundle._id.toString(),
+        (bundle.bundleItems || []).map(item => {
+          const component = componentsById.get(item.product.toString());
+          const variant = item.variant
+            ? (component?.variants || []).find(entry => entry._id.toString() === item.variant.toString())
+            : null;
+          const options = variant?.options instanceof Map ? Object.fromEntries(variant.options) : variant?.options;
+
+          return {
+            product: item.product,
+            variant: item.variant || null,
+            title: component?.title || "Unknown Product",
+            sku: variant?.sku || component?.sku || null,
+            options: options || undefined,
+            image: variant?.image || component?.image || null,
+            quantity: item.quantity,
+          };
+        }),
+      ])
+    );
+  }
+
+  /**
+   * Pecah item bundle menjadi item stok per komponen (quantity komponen x quantity bundle)
+   * Item biasa dikembalikan apa adanya
+   * @param {Array} items - [{ product, variant, quantity, title, components?, bundle? }]
+   * @returns {Array} [{ product, variant, quantity, title, bundle }]
+   */
+  static expandItems(items = []) {
+    return items.flatMap(item => {
+      if (!item.components || item.components.length === 0) {
+        return [
+          {
+            product: item.product,
+            variant: item.variant || null,
+            quantity: item.quantity,
+            title: item.title,
+            bundle: item.bundle || null,
+          },
+        ];
+      }
+
+      return item.components.map(component => ({
+        product: component.product,
+        variant: component.variant || null,
+        quantity: component.quantity * item.quantity,
+        title: item.title ? `${item.title} - ${component.title}` : component.title,
+        bundle: item.product,
+      }));
+    });
+  }
+
+  /**
+   * Sinkronkan stok bundle setelah stok komponen berubah, tanpa menahan response
+   * @param {Array} productIds - Component product IDs
+   */
+  static syncBundleStockInBackground(productIds = []) {
+    const uniqueIds = [...new Set(productIds.filter(Boolean).map(id => id.toString()))];
+    if (uniqueIds.length === 0) return;
+
+    Product.syncBundleStock(uniqueIds).catch(error => {
+      logger.error("Bundle stock sync failed:", error);
+    });
+  }
+}
+
+module.exports = ProductBundleService;
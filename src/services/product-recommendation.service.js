@@ -0,0 +1,244 @@
+// product-recommendation.service.js - "Frequently bought together" dari riwayat order yang sudah dibayar
+const mongoose = require("mongoose");
+const Order = require("../models/order.model");
+const Cart = require("../models/cart.model");
+const Product = require("../models/products.model");
+const ProductAssociation = require("../models/product-association.model");
+const SellerProfile = require("../models/seller-profile.model");
+const { formatPricing } = require("../utils/product-pricing.util");
+const logger = require("../utils/logger");
+
+class ProductRecommendationService {
+  static LOOKBACK_DAYS = 180;
+  static MIN_CO_PURCHASES = 2;
+  static MAX_ASSOCIATIONS_PER_PRODUCT = 20;
+  // Order dengan terlalu banyak produk menghasilkan pasangan kuadratik dan sinyal lemah
+  static MAX_PRODUCTS_PER_ORDER = 20;
+  static WRITE_BATCH_SIZE = 500;
+  static DEFAULT_LIMIT = 4;
+  static MAX_LIMIT = 12;
+  static SCHEDULER_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+
+  /**
+   * Match order berbayar dalam periode lookback
+   * @private
+   */
+  static _paidOrderMatch() {
+    return {
+      paymentStatus: "paid",
+      status: { $nin: ["cancelled", "refunded"] },
+      createdAt: { $gte: new Date(Date.now() - this.LOOKBACK_DAYS * 24 * 60 * 60 * 1000) },
+    };
+  }
+
+  /**
+   * Recompute co-purchase associations from paid orders
+   * Asosiasi lama yang tidak muncul lagi di run ini dihapus
+   * @returns {Promise<Object>} { products, associations }
+   */
+  static async computeAssociations() {
+    const runStartedAt = new Date();
+    const distinctProducts = {
+      $project: { products: { $setUnion: ["$cartSnapshot.items.product", []] } },
+    };
+
+    const [orderCounts, pairs] = await Promise.all([
+      Order.aggregate([
+        { $match: this._paidOrderMatch() },
+        distinctProducts,
+        { $unwind: "$products" },
+        { $group: { _id: "$products", orders: { $sum: 1 } } },
+      ]).allowDiskUse(true),
+      Order.aggregate([
+        { $match: this._paidOrderMatch() },
+        distinctProducts,
+        {
+          $match: {
+            "products.1": { $exists: true },
+            [`products.${this.MAX_PRODUCTS_PER_ORDER}`]: { $exists: false },
+          },
+        },
+        { $project: { product: "$products", other: "$products" } },
+        { $unwind: "$product" },
+        { $unwind: "$other" },
+        { $match: { $expr: { $ne: ["$product", "$other"] } } },
+        { $group: { _id: { product: "$product", other: "$other" }, count: { $sum: 1 } } },
+        { $match: { count: { $gte: this.MIN_CO_PURCHASES } } },
+        { $sort: { "_id.product": 1, count: -1 } },
+        {
+          $group: {
+            _id: "$_id.product",
+            associations: { $push: { product: "$_id.other", count: "$count" } },
+          },
+        },
+        { $project: { associations: { $slice: ["$associations", this.MAX_ASSOCIATIONS_PER_PRODUCT] } } },
+      ]).allowDiskUse(true),
+    ]);
+
+    const ordersByProduct = new Map(orderCounts.map(row => [row._id.toString(), row.orders]));
+
+    let operations = [];
+    let written = 0;
+
+    for (const row of pairs) {
+      const totalOrders = ordersByProduct.get(row._id.toString()) || 0;
+      if (totalOrders === 0) continue;
+
+      for (const association of row.associations) {
+        operations.push({
+          updateOne: {
+            filter: { product: row._id, associatedProduct: association.product },
+            update: {
+              $set: {
+                coPurchaseCount: association.count,
+                confidence: Math.min(1, association.count / totalOrders),
+                computedAt: runStartedAt,
+              },
+            },
+            upsert: true,
+          },
+        });
+      }
+
+      if (operations.length >= this.WRITE_BATCH_SIZE) {
+        await ProductAssociation.bulkWrite(operations, { ordered: false });
+        written += operations.length;
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await ProductAssociation.bulkWrite(operations, { ordered: false });
+      written += operations.length;
+    }
+
+    const { deletedCount } = await ProductAssociation.deleteMany({ computedAt: { $lt: runStartedAt } });
+
+    logger.info(
+      `🛍️ Co-purchase associations computed: ${written} association(s) for ${pairs.length} product(s), ${deletedCount} stale removed`
+    );
+
+    return { products: pairs.length, associations: written };
+  }
+
+  /**
+   * Frequently bought together untuk satu atau beberapa produk (mis. isi cart)
+   * Produk habis, nonaktif, belum publish, dihapus, dan milik seller yang dikecualikan tidak ikut
+   * @param {Array<string>} productIds - Source product IDs
+   * @param {Object} options - { limit, excludeProductIds, excludeSellerIds }
+   * @returns {Promise<Array>} Recommended products (urut skor)
+   */
+  static async getFrequentlyBoughtTogether(productIds, options = {}) {
+    const { excludeProductIds = [], excludeSellerIds = [] } = options;
+    const limit = Math.min(Math.max(parseInt(options.limit) || this.DEFAULT_LIMIT, 1), this.MAX_LIMIT);
+
+    const sourceIds = productIds
+      .filter(id => mongoose.isValidObjectId(id))
+      .map(id => new mongoose.Types.ObjectId(id.toString()));
+    if (sourceIds.length === 0) return [];
+
+    const excludedIds = [...sourceIds, ...excludeProductIds.map(id => new mongoose.Types.ObjectId(id.toString()))];
+
+    // Ambil kandidat lebih banyak dari limit karena sebagian akan tersaring (habis / nonaktif)
+    const candidates = await ProductAssociation.aggregate([
+      { $match: { product: { $in: sourceIds }, associatedProduct: { $nin: excludedIds } } },
+      {
+        $group: {
+          _id: "$associatedProduct",
+          score: { $sum: "$confidence" },
+          coPurchaseCount: { $sum: "$coPurchaseCount" },
+        },
+      },
+      { $sort: { score: -1, coPurchaseCount: -1 } },
+      { $limit: limit * 5 },
+    ]);
+    if (candidates.length === 0) return [];
+
+    const products = await Product.find({
+      _id: { $in: candidates.map(candidate => candidate._id) },
+      isActive: true,
+      deletedAt: null,
+      publishStatus: { $nin: ["draft", "scheduled"] },
+      stock: { $gt: 0 },
+      ...(excludeSellerIds.length > 0 && { sellerId: { $nin: excludeSellerIds } }),
+    })
+      .select("title slug image price stock variants sales compareAtPrice rating reviews sellerId")
+      .populate("sellerId", "storeName storeSlug logo")
+      .lean();
+
+    const productById = new Map(products.map(product => [product._id.toString(), product]));
+
+    return candidates
+      .filter(candidate => productById.has(candidate._id.toString()))
+      .slice(0, limit)
+      .map(candidate => this._formatRecommendation(productById.get(candidate._id.toString()), candidate));
+  }
+
+  /**
+   * Format recommended product
+   * @private
+   */
+  static _formatRecommendation(product, candidate) {
+    return {
+      id: product._id.toString(),
+      title: product.title,
+      slug: product.slug,
+      price: formatPricing(product).price,
+      image: product.image || null,
+      seller: product.sellerId
+        ? {
+            id: product.sellerId._id.toString(),
+            name: product.sellerId.storeName,
+            slug: product.sellerId.storeSlug,
+            logo: product.sellerId.logo || null,
+          }
+        : null,
+      rating: product.rating || 0,
+      reviews: product.reviews || 0,
+      hasVariants: (product.variants || []).length > 0,
+      inStock: true,
+      coPurchaseCount: candidate.coPurchaseCount,
+      score: Math.round(candidate.score * 100) / 100,
+    };
+  }
+
+  /**
+   * Upsell untuk cart user: produk yang sering dibeli bersama isi cart
+   * Produk yang sudah di cart dan produk milik toko user sendiri dikecualikan
+   * @param {string} userId - User ID
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} { recommendations, basedOn }
+   */
+  static async getCartRecommendations(userId, options = {}) {
+    const [cart, sellerProfile] = await Promise.all([
+      Cart.findOne({ user: userId, isActive: true }).select("items.product").lean(),
+      SellerProfile.findOne({ userId }).select("_id").lean(),
+    ]);
+
+    const cartProductIds = [...new Set((cart?.items || []).map(item => item.product.toString()))];
+    if (cartProductIds.length === 0) {
+      return { recommendations: [], basedOn: 0 };
+    }
+
+    const recommendations = await this.getFrequentlyBoughtTogether(cartProductIds, {
+      limit: options.limit,
+      excludeSellerIds: sellerProfile ? [sellerProfile._id] : [],
+    });
+
+    return { recommendations, basedOn: cartProductIds.length };
+  }
+
+  static startAssociationScheduler() {
+    setInterval(async () => {
+      try {
+        await this.computeAssociations();
+      } catch (error) {
+        logger.error("Co-purchase association scheduler error:", error);
+      }
+    }, this.SCHEDULER_INTERVAL);
+
+    logger.info("Co-purchase association scheduler started - recomputing every 6 hours");
+  }
+}
+
+module.exports = ProductRecommendationService;
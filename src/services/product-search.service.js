@@ -0,0 +1,584 @@
+// product-search.service.js - Pencarian produk: text index berbobot, ranking relevansi & toleransi typo
+const mongoose = require("mongoose");
+const Product = require("../models/products.model");
+const Category = require("../models/category.model");
+const SellerProfile = require("../models/seller-profile.model");
+const Order = require("../models/order.model");
+const SearchDictionaryService = require("./search-dictionary.service");
+const { combineAttributeFilters } = require("../utils/product-attribute.util");
+const {
+  tokenize,
+  normalizeSearchText,
+  applySearchDictionary,
+  parseSearchTerm,
+  buildFuzzyCandidates,
+} = require("../utils/search.util");
+const logger = require("../utils/logger");
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+class ProductSearchService {
+  static SORT_OPTIONS = ["relevance", "price_asc", "price_desc", "rating", "newest", "best_selling"];
+  static RATING_WEIGHT = 0.6; // skor per bintang rating
+  static SALES_WEIGHT = 1.5; // skor per log10(1 + soldCount)
+  static FUZZY_WORD_SCORE = 5; // skor per kata query yang cocok lewat toleransi typo
+  static LEGACY_TEXT_INDEX = "search_index";
+  // Batas bawah bucket harga (Rupiah); bucket terakhir = di atas batas terakhir
+  static PRICE_BUCKETS = [0, 50000, 100000, 250000, 500000, 1000000, 5000000];
+  static RATING_BUCKETS = [4, 3, 2, 1];
+  static MAX_FACET_VALUES = 20;
+  static STORE_HITS_LIMIT = 5; // toko yang ditampilkan di section toko hasil pencarian
+
+  /**
+   * Filter produk yang boleh tampil di hasil pencarian
+   * @private
+   */
+  static _buildVisibilityMatch() {
+    return {
+      isActive: true,
+      deletedAt: null,
+      publishStatus: { $nin: ["draft", "scheduled"] },
+      moderationStatus: { $nin: Product.HIDDEN_MODERATION_STATUSES },
+    };
+  }
+
+  /**
+   * Filter sidebar per grup (aggregate tidak auto-cast ObjectId)
+   * Dipisah per grup agar facet tiap grup bisa dihitung tanpa filternya sendiri
+   * @private
+   * @returns {Promise<Object>} { category, store, price, rating, city } (grup tanpa filter tidak ada)
+   */
+  static async _buildFilterClauses({ category, sellerId, minPrice, maxPrice, minRating, city }) {
+    const clauses = {};
+
+    if (category) clauses.category = { category: new mongoose.Types.ObjectId(category) };
+    if (sellerId) clauses.store = { sellerId: new mongoose.Types.ObjectId(sellerId) };
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      clauses.price = {
+        price: {
+          ...(minPrice !== undefined && { $gte: minPrice }),
+          ...(maxPrice !== undefined && { $lte: maxPrice }),
+        },
+      };
+    }
+    if (minRating !== undefined) clauses.rating = { rating: { $gte: minRating } };
+
+    // Kota ada di SellerProfile -> diterjemahkan ke daftar toko di kota tersebut
+    if (city) {
+      const sellers = await SellerProfile.find({
+        "address.city": new RegExp(`^${escapeRegex(city.trim())}$`, "i"),
+        status: "active",
+        deletedAt: null,
+      })
+        .select("_id")
+        .lean();
+      clauses.city = { sellerId: { $in: sellers.map(seller => seller._id) } };
+    }
+
+    return clauses;
+  }
+
+  /**
+   * Gabungkan filter semua grup kecuali `exclude`
+   * @private
+   */
+  static _combineClauses(clauses, exclude = null) {
+    const selected = Object.entries(clauses)
+      .filter(([group]) => group !== exclude)
+      .map(([, clause]) => clause);
+
+    return selected.length > 0 ? { $and: selected } : {};
+  }
+
+  /**
+   * Relevance = skor kecocokan teks + rating + penjualan (log agar produk laris tidak selalu menang)
+   * @private
+   */
+  static _buildRelevanceScore(matchScore) {
+    return {
+      $add: [
+        matchScore,
+        { $multiply: [{ $ifNull: ["$rating", 0] }, this.RATING_WEIGHT] },
+        { $multiply: [{ $log10: { $add: [{ $ifNull: ["$soldCount", 0] }, 1] } }, this.SALES_WEIGHT] },
+      ],
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _buildSort(sortBy) {
+    switch (sortBy) {
+      case "price_asc":
+        return { price: 1, relevanceScore: -1, _id: 1 };
+      case "price_desc":
+        return { price: -1, relevanceScore: -1, _id: 1 };
+      case "rating":
+        return { rating: -1, reviews: -1, relevanceScore: -1, _id: 1 };
+      case "newest":
+        return { createdAt: -1, _id: 1 };
+      case "best_selling":
+        return { soldCount: -1, relevanceScore: -1, _id: 1 };
+      case "relevance":
+      default:
+        return { relevanceScore: -1, _id: 1 };
+    }
+  }
+
+  /**
+   * Stage pencarian: $text (text index berbobot) atau token hasil toleransi typo
+   * @private
+   * @returns {Object} { matchStage, scoreStage }
+   */
+  static _buildSearchStages(parsed, fuzzyCandidates = null) {
+    const visibilityMatch = this._buildVisibilityMatch();
+
+    if (!fuzzyCandidates) {
+      return {
+        matchStage: { $match: { $text: { $search: parsed.textSearch }, ...visibilityMatch } },
+        scoreStage: { $addFields: { relevanceScore: this._buildRelevanceScore({ $meta: "textScore" }) } },
+      };
+    }
+
+    // Skor = jumlah kata query yang punya token mirip (salah ketik 1 huruf) di produk
+    const matchedWords = {
+      $add: fuzzyCandidates.map(candidates => ({
+        $cond: [{ $gt: [{ $size: { $setIntersection: ["$searchTokens", candidates] } }, 0] }, 1, 0],
+      })),
+    };
+
+    return {
+      matchStage: { $match: { searchTokens: { $in: fuzzyCandidates.flat() }, ...visibilityMatch } },
+      scoreStage: {
+        $addFields: {
+          relevanceScore: this._buildRelevanceScore({ $multiply: [matchedWords, this.FUZZY_WORD_SCORE] }),
+        },
+      },
+    };
+  }
+
+  /**
+   * Facet pipelines (kategori, harga, rating, toko, kota)
+   * Setiap facet memakai semua filter kecuali filter grupnya sendiri, sehingga opsi lain tetap terlihat
+   * @private
+   */
+  static _buildFacetPipelines(clauses) {
+    const withFilters = (group, stages) => [{ $match: this._combineClauses(clauses, group) }, ...stages];
+    const bySeller = [
+      { $group: { _id: "$sellerId", count: { $sum: 1 } } },
+      {
+        $lookup: {
+          from: SellerProfile.collection.name,
+          localField: "_id",
+          foreignField: "_id",
+          pipeline: [{ $project: { storeName: 1, storeSlug: 1, "address.city": 1 } }],
+          as: "store",
+        },
+      },
+      { $unwind: "$store" },
+    ];
+
+    return {
+      categories: withFilters("category", [
+        { $group: { _id: "$category", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: this.MAX_FACET_VALUES },
+        {
+          $lookup: {
+            from: Category.collection.name,
+            localField: "_id",
+            foreignField: "_id",
+            pipeline: [{ $project: { name: 1 } }],
+            as: "category",
+          },
+        },
+        { $unwind: "$category" },
+      ]),
+      priceRanges: withFilters("price", [
+        {
+          $bucket: {
+            groupBy: "$price",
+            boundaries: [...this.PRICE_BUCKETS, Number.MAX_SAFE_INTEGER],
+            default: "other",
+            output: { count: { $sum: 1 } },
+          },
+        },
+      ]),
+      ratings: withFilters("rating", [
+        {
+          $group: {
+            _id: null,
+            ...Object.fromEntries(
+              this.RATING_BUCKETS.map(minRating => [
+                `rating${minRating}`,
+                { $sum: { $cond: [{ $gte: [{ $ifNull: ["$rating", 0] }, minRating] }, 1, 0] } },
+              ])
+            ),
+          },
+        },
+      ]),
+      stores: withFilters("store", [
+        ...bySeller,
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: this.MAX_FACET_VALUES },
+      ]),
+      cities: withFilters("city", [
+        ...bySeller,
+        { $match: { "store.address.city": { $nin: [null, ""] } } },
+        { $group: { _id: "$store.address.city", count: { $sum: "$count" } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: this.MAX_FACET_VALUES },
+      ]),
+    };
+  }
+
+  /**
+   * Format facet counts dari hasil $facet
+   * @private
+   */
+  static _formatFacetCounts(result) {
+    const ratingCounts = result.ratings[0] || {};
+
+    return {
+      categories: result.categories.map(row => ({
+        id: row._id.toString(),
+        name: row.category.name,
+        count: row.count,
+      })),
+      priceRanges: this.PRICE_BUCKETS.map((min, index) => {
+        const row = result.priceRanges.find(bucket => bucket._id === min);
+        return { min, max: this.PRICE_BUCKETS[index + 1] ?? null, count: row ? row.count : 0 };
+      }),
+      ratings: this.RATING_BUCKETS.map(minRating => ({
+        minRating,
+        count: ratingCounts[`rating${minRating}`] || 0,
+      })),
+      stores: result.stores.map(row => ({
+        id: row._id.toString(),
+        storeName: row.store.storeName,
+        storeSlug: row.store.storeSlug,
+        city: row.store.address?.city || null,
+        count: row.count,
+      })),
+      cities: result.cities.map(row => ({ city: row._id, count: row.count })),
+    };
+  }
+
+  /**
+   * Ranked page of product IDs, total & facet counts dalam satu aggregate
+   * @private
+   */
+  static async _runSearch(stages, attributeMatch, clauses, { sortBy, skip, limit }) {
+    const [result] = await Product.aggregate([
+      stages.matchStage,
+      ...(Object.keys(attributeMatch).length > 0 ? [{ $match: attributeMatch }] : []),
+      // Skor dihitung sebelum $facet (textScore hanya tersedia di pipeline utama)
+      stages.scoreStage,
+      {
+        $facet: {
+          items: [
+            { $match: this._combineClauses(clauses) },
+            { $sort: this._buildSort(sortBy) },
+            { $skip: skip },
+            { $limit: limit },
+            { $project: { _id: 1, relevanceScore: 1 } },
+          ],
+          total: [{ $match: this._combineClauses(clauses) }, { $count: "count" }],
+          ...this._buildFacetPipelines(clauses),
+        },
+      },
+    ]);
+
+    return {
+      items: result.items,
+      total: result.total[0]?.count || 0,
+      facetCounts: this._formatFacetCounts(result),
+    };
+  }
+
+  /**
+   * Load full product documents in ranking order
+   * @private
+   */
+  static async _hydrateProducts(items) {
+    if (items.length === 0) return [];
+
+    const products = await Product.find({ _id: { $in: items.map(item => item._id) } })
+      .populate("category")
+      .populate("sellerId", "storeName storeSlug logo");
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    return items
+      .map(item => {
+        const product = productsById.get(item._id.toString());
+        if (!product) return null;
+        return { ...product.toJSON(), relevanceScore: Math.round(item.relevanceScore * 100) / 100 };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Search products
+   * Text index berbobot (title > kategori > description) + stem bahasa Indonesia;
+   * jika tidak ada hasil, dicari ulang dengan toleransi typo (1 huruf salah per kata)
+   * @param {string} searchTerm - Raw search term
+   * @param {Object} options - { category, sellerId, minPrice, maxPrice, minRating, city, sortBy, skip, limit,
+   *   attributeFilters, attributeDefinitions }
+   * @returns {Promise<Object>} { products, total, matchType, facets, facetCounts }
+   */
+  static async searchProducts(searchTerm, options = {}) {
+    const { sortBy = "relevance", skip = 0, limit = 10, attributeFilters = {}, attributeDefinitions = [] } = options;
+
+    // Query diperluas dengan sinonim & stop words dari kamus admin
+    const parsed = parseSearchTerm(searchTerm, await SearchDictionaryService.getDictionary());
+    if (parsed.words.length === 0) {
+      return this._emptyResult();
+    }
+
+    const clauses = await this._buildFilterClauses(options);
+    const attributeMatch = combineAttributeFilters(attributeFilters);
+    const page = { sortBy, skip, limit };
+
+    let matchType = "text";
+    let stages = this._buildSearchStages(parsed);
+    let result = await this._runSearch(stages, attributeMatch, clauses, page);
+
+    if (result.total === 0) {
+      const fuzzyCandidates = buildFuzzyCandidates(parsed.words);
+      if (fuzzyCandidates.length === 0) {
+        return this._emptyResult();
+      }
+
+      matchType = "fuzzy";
+      stages = this._buildSearchStages(parsed, fuzzyCandidates);
+      result = await this._runSearch(stages, attributeMatch, clauses, page);
+    }
+
+    // Facet atribut memakai pencarian & filter yang sama tanpa filter atribut
+    const [products, facets] = await Promise.all([
+      this._hydrateProducts(result.items),
+      Product.getAttributeFacets(
+        [stages.matchStage, { $match: this._combineClauses(clauses) }],
+        attributeFilters,
+        attributeDefinitions
+      ),
+    ]);
+
+    return {
+      products,
+      total: result.total,
+      matchType: result.total > 0 ? matchType : "none",
+      facets,
+      facetCounts: result.facetCounts,
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _emptyResult() {
+    return {
+      products: [],
+      total: 0,
+      matchType: "none",
+      facets: [],
+      facetCounts: this._formatFacetCounts({ categories: [], priceRanges: [], ratings: [], stores: [], cities: [] }),
+    };
+  }
+
+  /**
+   * Store section of search results: toko aktif dengan produk tampil yang nama/deskripsinya cocok
+   * @param {string} searchTerm - Raw search term
+   * @param {Object} options - { city, limit }
+   * @returns {Promise<Object>} { items, total }
+   */
+  static async searchStores(searchTerm, options = {}) {
+    const { city, limit = this.STORE_HITS_LIMIT } = options;
+
+    const { stores, total } = await SellerProfile.searchActiveStores({
+      search: searchTerm,
+      city,
+      minProducts: 1,
+      sortBy: "relevance",
+      page: 1,
+      limit,
+    });
+
+    return {
+      items: stores.map(store => ({
+        id: store._id.toString(),
+        name: store.storeName,
+        slug: store.storeSlug,
+        logo: store.logo || null,
+        city: store.address?.city || null,
+        stats: {
+          products: store.stats.totalProducts,
+          reviews: store.stats.totalReviews,
+          rating: store.stats.averageRating,
+        },
+      })),
+      total,
+    };
+  }
+
+  /**
+   * Produk yang baru tampil & cocok dengan pencarian (alert saved search)
+   * Waktu tampil = publish atau lolos moderasi, mana yang terakhir; tanpa fallback toleransi typo
+   * agar alert tidak berisi produk yang hanya mirip
+   * @param {string} searchTerm - Raw search term
+   * @param {Object} options - { category, sellerId, minPrice, maxPrice, minRating, city, attributeFilters,
+   *   listedAfter, listedBefore, excludeIds, limit }
+   * @returns {Promise<Object>} { products (lean, terbaru dulu), total }
+   */
+  static async findNewMatches(searchTerm, options = {}) {
+    const { attributeFilters = {}, listedAfter, listedBefore = new Date(), excludeIds = [], limit = 10 } = options;
+
+    const parsed = parseSearchTerm(searchTerm, await SearchDictionaryService.getDictionary());
+    if (parsed.words.length === 0) {
+      return { products: [], total: 0 };
+    }
+
+    const clauses = await this._buildFilterClauses(options);
+    const { matchStage } = this._buildSearchStages(parsed);
+
+    const [result] = await Product.aggregate([
+      matchStage,
+      {
+        $match: {
+          $and: [
+            this._combineClauses(clauses),
+            combineAttributeFilters(attributeFilters),
+            { _id: { $nin: excludeIds.map(id => new mongoose.Types.ObjectId(id)) } },
+          ],
+        },
+      },
+      {
+        $addFields: {
+          listedAt: {
+            $max: [{ $ifNull: ["$publishedAt", "$createdAt"] }, { $ifNull: ["$moderatedAt", "$createdAt"] }],
+          },
+        },
+      },
+      { $match: { listedAt: { $gt: listedAfter, $lte: listedBefore } } },
+      {
+        $facet: {
+          items: [
+            { $sort: { listedAt: -1, _id: -1 } },
+            { $limit: limit },
+            { $project: { title: 1, slug: 1, image: 1, price: 1, sales: 1, listedAt: 1 } },
+          ],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+
+    return {
+      products: result.items,
+      total: result.total[0]?.count || 0,
+    };
+  }
+
+  /**
+   * Autocomplete: kata terakhir dicocokkan sebagai prefix, kata lain harus lengkap
+   * Kata lengkap boleh cocok lewat sinonimnya dan stop words diabaikan (kamus admin)
+   * @param {string} query - Raw query
+   * @param {number} limit - Max suggestions per group
+   * @returns {Promise<Object>} { products, categories, sellers }
+   */
+  static async getSuggestions(query, limit = 5) {
+    const words = tokenize(query);
+    const lastWord = words[words.length - 1];
+    if (!lastWord) {
+      return { products: [], categories: [], sellers: [] };
+    }
+
+    const dictionary = await SearchDictionaryService.getDictionary();
+    const { synonyms } = applySearchDictionary(words, dictionary);
+    const withSynonyms = word => [word, ...(synonyms.get(word) || [])];
+
+    const tokenClauses = words
+      .slice(0, -1)
+      .filter(word => !dictionary.stopWords.has(word))
+      .map(word => ({ searchTokens: { $in: withSynonyms(word) } }));
+
+    // Kata terakhir cocok sebagai prefix, atau persis lewat sinonimnya ("hp" -> "handphone")
+    const prefix = new RegExp(`^${escapeRegex(lastWord)}`);
+    tokenClauses.push(
+      synonyms.has(lastWord)
+        ? { $or: [{ searchTokens: prefix }, { searchTokens: { $in: synonyms.get(lastWord) } }] }
+        : { searchTokens: prefix }
+    );
+
+    // Nama kategori juga dicocokkan dengan sinonim seluruh query ("shoes" -> kategori "Sepatu")
+    const categoryNames = [query.trim(), ...(dictionary.synonyms.get(normalizeSearchText(query)) || [])];
+    const categoryRegex = new RegExp(categoryNames.map(escapeRegex).join("|"), "i");
+    const nameRegex = new RegExp(escapeRegex(query.trim()), "i");
+
+    const [products, categories, sellers] = await Promise.all([
+      Product.find({
+        ...this._buildVisibilityMatch(),
+        $and: tokenClauses,
+      })
+        .select("title slug")
+        .sort({ soldCount: -1, rating: -1 })
+        .limit(limit)
+        .lean(),
+      Category.find({ name: categoryRegex, isActive: true }).select("name").limit(limit).lean(),
+      SellerProfile.find({ storeName: nameRegex, status: "active", isArchived: false, deletedAt: null })
+        .select("storeName storeSlug logo")
+        .limit(limit)
+        .lean(),
+    ]);
+
+    return {
+      products: products.map(product => ({ title: product.title, slug: product.slug })),
+      categories: categories.map(category => ({ name: category.name })),
+      sellers: sellers.map(seller => ({ storeName: seller.storeName, storeSlug: seller.storeSlug, logo: seller.logo })),
+    };
+  }
+
+  /**
+   * Migrasi data pencarian saat start: ganti text index lama, isi searchTokens & soldCount produk lama
+   * @returns {Promise<void>}
+   */
+  static async prepareSearchIndex() {
+    const indexes = await Product.collection.indexes().catch(() => []);
+    if (indexes.some(index => index.name === this.LEGACY_TEXT_INDEX)) {
+      // Satu koleksi hanya boleh punya satu text index
+      await Product.collection.dropIndex(this.LEGACY_TEXT_INDEX);
+      await Product.createIndexes();
+      logger.info("🔎 Legacy product text index replaced with weighted search index");
+    }
+
+    const refreshed = await Product.refreshSearchFields({ searchTokens: { $exists: false } });
+    if (refreshed > 0) {
+      logger.info(`🔎 Search tokens generated for ${refreshed} product(s)`);
+    }
+
+    const needsSoldCount = await Product.exists({ soldCount: { $exists: false } }).setOptions({
+      skipSoftDeleteFilter: true,
+    });
+    if (!needsSoldCount) return;
+
+    const rows = await Order.aggregate([
+      { $match: { paymentStatus: "paid" } },
+      { $unwind: "$cartSnapshot.items" },
+      { $group: { _id: "$cartSnapshot.items.product", sold: { $sum: "$cartSnapshot.items.quantity" } } },
+    ]);
+    if (rows.length > 0) {
+      await Product.bulkWrite(
+        rows.map(row => ({
+          updateOne: {
+            filter: { _id: row._id, soldCount: { $exists: false } },
+            update: { $set: { soldCount: row.sold } },
+          },
+        }))
+      );
+    }
+    await Product.updateMany({ soldCount: { $exists: false } }, { $set: { soldCount: 0 } });
+
+    logger.info(`🔎 Sold count backfilled from ${rows.length} product sales`);
+  }
+}
+
+module.exports = ProductSearchService;
@@ -0,0 +1,199 @@
+// search-analytics.service.js - Log query pencarian, klik hasil pencarian & trending searches
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const SearchQuery = require("../models/search-query.model");
+const { normalizeSearchText } = require("../utils/search.util");
+const { HTTP_STATUS, MESSAGES } = require("../constants/httpStatus");
+const logger = require("../utils/logger");
+
+class SearchAnalyticsService {
+  // Trending dihitung dari query pencarian dalam jendela ini
+  static TRENDING_WINDOW_HOURS = 24;
+
+  // Query harus dicari oleh minimal sekian user/IP guest berbeda agar masuk trending
+  static TRENDING_MIN_SEARCHERS = 2;
+
+  static MAX_TRENDING = 20;
+
+  // Klik hanya diterima untuk pencarian yang belum lebih lama dari ini
+  static CLICK_WINDOW_HOURS = 24;
+
+  /**
+   * Throw error dengan status code (ditangani asyncHandler)
+   * @private
+   */
+  static _fail(message, statusCode = HTTP_STATUS.BAD_REQUEST) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  /**
+   * Number filter dari response (string query param) atau null
+   * @private
+   */
+  static _toNumber(value) {
+    if (value === undefined || value === null || value === "") return null;
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+
+  /**
+   * Build log entry of a /search response
+   * @param {Object} data - Response data (products, pagination, matchType, filters)
+   * @returns {Object} Partial entry { resultCount, matchType, filters, page }
+   */
+  static buildSearchEntry(data = {}) {
+    const filters = data.filters || {};
+
+    return {
+      resultCount: data.pagination?.totalItems || 0,
+      matchType: data.matchType || null,
+      page: data.pagination?.currentPage || 1,
+      filters: {
+        category: mongoose.isValidObjectId(filters.category) ? filters.category : null,
+        sellerId: mongoose.isValidObjectId(filters.sellerId) ? filters.sellerId : null,
+        minPrice: this._toNumber(filters.minPrice),
+        maxPrice: this._toNumber(filters.maxPrice),
+        rating: this._toNumber(filters.rating),
+        city: typeof filters.city === "string" && filters.city.trim() ? filters.city.trim().slice(0, 100) : null,
+        sortBy: filters.sortBy || null,
+        attributes: filters.attributes || null,
+      },
+    };
+  }
+
+  /**
+   * Build log entry of a /search/suggestions response
+   * @param {Object} data - Response data (products, categories, sellers)
+   * @returns {Object} Partial entry { resultCount }
+   */
+  static buildSuggestionEntry(data = {}) {
+    const count = list => (Array.isArray(list) ? list.length : 0);
+
+    return {
+      resultCount: count(data.products) + count(data.categories) + count(data.sellers),
+    };
+  }
+
+  /**
+   * Simpan log query; gagal mencatat hanya di-log (tidak boleh mengganggu pencarian)
+   * @param {Object} entry - { _id, type, query, viewer, ip, cached, ...buildSearchEntry() }
+   * @returns {Promise<Object|null>} Created log or null
+   */
+  static async logQuery(entry) {
+    const { viewer, ip, ...fields } = entry;
+    const query = typeof fields.query === "string" ? fields.query.trim().slice(0, 200) : "";
+    const normalizedQuery = normalizeSearchText(query);
+
+    if (!normalizedQuery) return null;
+
+    try {
+      return await SearchQuery.create({
+        ...fields,
+        query,
+        normalizedQuery,
+        user: viewer?.userId || null,
+        sessionId: viewer?.sessionId || null,
+        ipHash: ip ? crypto.createHash("sha256").update(ip).digest("hex").slice(0, 32) : null,
+      });
+    } catch (error) {
+      logger.error(`❌ Failed to log ${fields.type} query "${query}":`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Catat produk yang diklik dari hasil pencarian / saran
+   * @param {string} searchId - searchId dari response /search atau /search/suggestions
+   * @param {Object} click - { productId, position? }
+   * @returns {Promise<Object>} { searchId, productId, clickCount }
+   */
+  static async recordClick(searchId, click = {}) {
+    const { productId, position } = click;
+
+    if (!mongoose.isValidObjectId(searchId)) {
+      this._fail(MESSAGES.SEARCH.INVALID_SEARCH_ID);
+    }
+    if (!mongoose.isValidObjectId(productId)) {
+      this._fail(MESSAGES.SEARCH.PRODUCT_REQUIRED);
+    }
+
+    const parsedPosition = position === undefined || position === null ? null : parseInt(position);
+    if (parsedPosition !== null && (isNaN(parsedPosition) || parsedPosition < 1)) {
+      this._fail(MESSAGES.SEARCH.INVALID_POSITION);
+    }
+
+    const since = new Date(Date.now() - this.CLICK_WINDOW_HOURS * 60 * 60 * 1000);
+    const updated = await SearchQuery.findOneAndUpdate(
+      { _id: searchId, createdAt: { $gte: since } },
+      {
+        $push: {
+          clicks: {
+            $each: [{ product: productId, position: parsedPosition, clickedAt: new Date() }],
+            $slice: SearchQuery.MAX_CLICKS_PER_SEARCH,
+          },
+        },
+        $inc: { clickCount: 1 },
+      },
+      { new: true, projection: { clickCount: 1 } }
+    );
+
+    if (!updated) {
+      this._fail(MESSAGES.SEARCH.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return {
+      searchId: updated._id.toString(),
+      productId: productId.toString(),
+      clickCount: updated.clickCount,
+    };
+  }
+
+  /**
+   * Trending searches: query yang paling banyak dicari (user/session berbeda) dalam 24 jam terakhir
+   * Hanya pencarian dengan hasil; saran (autocomplete per ketikan) tidak dihitung
+   * @param {number} limit - Max queries
+   * @returns {Promise<Object>} { queries, windowHours }
+   */
+  static async getTrendingSearches(limit = 10) {
+    const since = new Date(Date.now() - this.TRENDING_WINDOW_HOURS * 60 * 60 * 1000);
+
+    const queries = await SearchQuery.aggregate([
+      {
+        $match: {
+          type: "search",
+          createdAt: { $gte: since },
+          resultCount: { $gt: 0 },
+          // Pencarian tanpa user & IP tidak bisa didedupe, jadi tidak ikut dihitung
+          $or: [{ user: { $ne: null } }, { ipHash: { $ne: null } }],
+        },
+      },
+      {
+        $group: {
+          _id: "$normalizedQuery",
+          searchCount: { $sum: 1 },
+          // Guest dihitung per IP (session ID dikarang client, bisa diganti tiap request)
+          searchers: { $addToSet: { $ifNull: ["$user", "$ipHash"] } },
+          lastSearchedAt: { $max: "$createdAt" },
+        },
+      },
+      { $addFields: { searcherCount: { $size: "$searchers" } } },
+      { $match: { searcherCount: { $gte: this.TRENDING_MIN_SEARCHERS } } },
+      { $sort: { searcherCount: -1, searchCount: -1, lastSearchedAt: -1 } },
+      { $limit: Math.min(Math.max(parseInt(limit) || 10, 1), this.MAX_TRENDING) },
+    ]);
+
+    return {
+      queries: queries.map((item, index) => ({
+        rank: index + 1,
+        query: item._id,
+        searchCount: item.searchCount,
+        searcherCount: item.searcherCount,
+      })),
+      windowHours: this.TRENDING_WINDOW_HOURS,
+    };
+  }
+}
+
+module.exports = SearchAnalyticsService;
@@ -0,0 +1,59 @@
+// search-dictionary.service.js - Kamus pencarian (sinonim & stop words) yang dipakai saat ekspansi query
+const SearchSynonym = require("../models/search-synonym.model");
+const SearchStopWord = require("../models/search-stop-word.model");
+const logger = require("../utils/logger");
+
+class SearchDictionaryService {
+  // Kamus di-cache di memory; perubahan dari admin langsung me-reset cache instance ini,
+  // instance lain mengikuti paling lambat setelah TTL
+  static CACHE_TTL_MS = 60 * 1000;
+
+  static _dictionary = null;
+  static _loadedAt = 0;
+
+  /**
+   * Get the active search dictionary (cached)
+   * Gagal memuat hanya di-log: pencarian tetap jalan dengan kamus terakhir / tanpa kamus
+   * @returns {Promise<Object>} { stopWords: Set, synonyms: Map term -> Array<string> term lain }
+   */
+  static async getDictionary() {
+    if (this._dictionary && Date.now() - this._loadedAt < this.CACHE_TTL_MS) {
+      return this._dictionary;
+    }
+
+    try {
+      const [groups, stopWords] = await Promise.all([
+        SearchSynonym.find({ isActive: true }).select("terms").lean(),
+        SearchStopWord.find().select("word").lean(),
+      ]);
+
+      const synonyms = new Map();
+      for (const { terms } of groups) {
+        for (const term of terms) {
+          const others = terms.filter(other => other !== term);
+          synonyms.set(term, [...new Set([...(synonyms.get(term) || []), ...others])]);
+        }
+      }
+
+      this._dictionary = { stopWords: new Set(stopWords.map(entry => entry.word)), synonyms };
+      this._loadedAt = Date.now();
+    } catch (error) {
+      logger.error("❌ Failed to load search dictionary:", error);
+      if (!this._dictionary) {
+        return { stopWords: new Set(), synonyms: new Map() };
+      }
+    }
+
+    return this._dictionary;
+  }
+
+  /**
+   * Reset cached dictionary (dipanggil setelah admin mengubah sinonim / stop words)
+   */
+  static invalidate() {
+    this._dictionary = null;
+    this._loadedAt = 0;
+  }
+}
+
+module.exports = SearchDictionaryService;
@@ -0,0 +1,233 @@
+// product-pricing.service.js - Harga coret, jadwal sale & scheduler sale
+const Product = require("../../models/products.model");
+const ProductPriceHistory = require("../../models/product-price-history.model");
+const { clearAllProductCache } = require("../../middlewares/cache-middleware");
+const {
+  REFERENCE_PRICE_DAYS,
+  REFERENCE_PRICE_MIN_DAYS,
+  formatPricing,
+  formatSaleWindows,
+} = require("../../utils/product-pricing.util");
+const logger = require("../../utils/logger");
+
+class ProductPricingService {
+  static SCHEDULER_INTERVAL = 60 * 1000; // 1 minute
+  static BATCH_SIZE = 200;
+
+  /**
+   * Get seller's product (404 jika bukan milik seller)
+   * @private
+   */
+  static async _findSellerProduct(productId, sellerId) {
+    const product = await Product.findOne({ _id: productId, sellerId });
+    if (!product) {
+      const error = new Error("Product not found");
+      error.statusCode = 404;
+      throw error;
+    }
+    return product;
+  }
+
+  /**
+   * Highest price a compare-at price may show
+   * Harga coret tampil di setiap varian yang lebih murah, jadi dicek terhadap riwayat masing-masing varian
+   * @private
+   */
+  static async _getMaxCompareAtPrice(product) {
+    const references = await ProductPriceHistory.getReferencePrices(
+      product._id,
+      REFERENCE_PRICE_DAYS,
+      REFERENCE_PRICE_MIN_DAYS
+    );
+    const targets =
+      product.variants && product.variants.length > 0
+        ? product.variants.map(variant => ({ key: String(variant._id), price: variant.price }))
+        : [{ key: String(null), price: product.price }];
+
+    // Di bawah/sama dengan harga varian, harga coret tidak tampil di varian itu
+    return Math.min(...targets.map(target => Math.max(target.price, references.get(target.key) || 0)));
+  }
+
+  /**
+   * Format pricing response for seller
+   * @private
+   */
+  static _formatPricingResponse(product, maxCompareAtPrice) {
+    return {
+      productId: product._id,
+      title: product.title,
+      price: product.price,
+      compareAtPrice: product.compareAtPrice || null,
+      maxCompareAtPrice,
+      pricing: formatPricing(product),
+      sales: formatSaleWindows(product.sales),
+    };
+  }
+
+  /**
+   * Get pricing, compare-at price and sale windows of a product
+   * @param {string} productId - Product ID
+   * @param {string} sellerId - Seller profile ID
+   * @returns {Promise<Object>} Pricing data
+   */
+  static async getPricing(productId, sellerId) {
+    const product = await this._findSellerProduct(productId, sellerId);
+    const maxCompareAtPrice = await this._getMaxCompareAtPrice(product);
+
+    return this._formatPricingResponse(product, maxCompareAtPrice);
+  }
+
+  /**
+   * Set or remove compare-at price
+   * Harus di atas harga sekarang dan tidak melebihi harga yang berlaku minimal 7 hari dalam 30 hari terakhir
+   * @param {string} productId - Product ID
+   * @param {string} sellerId - Seller profile ID
+   * @param {number|null} compareAtPrice - Validated compare-at price
+   * @returns {Promise<Object>} Pricing data
+   */
+  static async updateCompareAtPrice(productId, sellerId, compareAtPrice) {
+    const product = await this._findSellerProduct(productId, sellerId);
+    const maxCompareAtPrice = await this._getMaxCompareAtPrice(product);
+
+    if (compareAtPrice !== null) {
+      if (compareAtPrice <= product.price) {
+        const error = new Error(`compareAtPrice must be higher than the current price (${product.price})`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (compareAtPrice > maxCompareAtPrice) {
+        const error = new Error(
+          `compareAtPrice cannot exceed the highest price charged for at least ${REFERENCE_PRICE_MIN_DAYS} days ` +
+            `in the last ${REFERENCE_PRICE_DAYS} days for every variant (${maxCompareAtPrice})`
+        );
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    product.compareAtPrice = compareAtPrice;
+    await product.save();
+
+    return this._formatPricingResponse(product, maxCompareAtPrice);
+  }
+
+  /**
+   * Schedule a sale window
+   * @param {string} productId - Product ID
+   * @param {string} sellerId - Seller profile ID
+   * @param {Object} sale - Validated { percentOff, startAt, endAt }
+   * @returns {Promise<Object>} Pricing data
+   */
+  static async addSale(productId, sellerId, sale) {
+    const product = await this._findSellerProduct(productId, sellerId);
+
+    product.sales.push({
+      ...sale,
+      status: sale.startAt <= new Date() ? "active" : "scheduled",
+    });
+    if (sale.startAt <= new Date()) {
+      product.$locals.priceHistorySource = "sale_start";
+    }
+
+    await product.save();
+    const maxCompareAtPrice = await this._getMaxCompareAtPrice(product);
+
+    return this._formatPricingResponse(product, maxCompareAtPrice);
+  }
+
+  /**
+   * Cancel a sale window; sale yang sedang berjalan langsung diakhiri
+   * @param {string} productId - Product ID
+   * @param {string} sellerId - Seller profile ID
+   * @param {string} saleId - Sale window ID
+   * @returns {Promise<Object>} Pricing data
+   */
+  static async cancelSale(productId, sellerId, saleId) {
+    const product = await this._findSellerProduct(productId, sellerId);
+
+    const sale = product.sales.id(saleId);
+    if (!sale || sale.status === "ended") {
+      const error = new Error("Sale not found or already ended");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const now = new Date();
+    if (sale.startAt <= now) {
+      // Tetap disimpan sebagai riwayat
+      sale.endAt = now;
+      sale.status = "ended";
+      product.$locals.priceHistorySource = "sale_end";
+    } else {
+      product.sales.pull(sale._id);
+    }
+
+    await product.save();
+    const maxCompareAtPrice = await this._getMaxCompareAtPrice(product);
+
+    return this._formatPricingResponse(product, maxCompareAtPrice);
+  }
+
+  /**
+   * Start sale yang sudah waktunya dan akhiri sale yang sudah lewat
+   * @returns {Promise<Object>} { started, ended }
+   */
+  static async processSaleWindows() {
+    const now = new Date();
+    const products = await Product.find({
+      $or: [
+        { sales: { $elemMatch: { status: "scheduled", startAt: { $lte: now } } } },
+        { sales: { $elemMatch: { status: { $ne: "ended" }, endAt: { $lte: now } } } },
+      ],
+    }).limit(this.BATCH_SIZE);
+
+    let started = 0;
+    let ended = 0;
+
+    for (const product of products) {
+      let hasStarted = false;
+
+      product.sales.forEach(sale => {
+        if (sale.status !== "ended" && sale.endAt <= now) {
+          sale.status = "ended";
+          ended++;
+        } else if (sale.status === "scheduled" && sale.startAt <= now) {
+          sale.status = "active";
+          hasStarted = true;
+          started++;
+        }
+      });
+
+      product.$locals.priceHistorySource = hasStarted ? "sale_start" : "sale_end";
+
+      try {
+        await product.save();
+      } catch (error) {
+        logger.error(`Failed to update sale windows of product ${product._id}:`, error);
+      }
+    }
+
+    // Harga berubah -> listing, detail & search cache harus dibuang
+    if (started + ended > 0) {
+      clearAllProductCache();
+      logger.info(`🏷️ Sale windows: ${started} started, ${ended} ended`);
+    }
+
+    return { started, ended };
+  }
+
+  static startSaleScheduler() {
+    setInterval(async () => {
+      try {
+        await this.processSaleWindows();
+      } catch (error) {
+        logger.error("Sale scheduler error:", error);
+      }
+    }, this.SCHEDULER_INTERVAL);
+
+    logger.info("Sale scheduler started - checking every 1 minute");
+  }
+}
+
+module.exports = ProductPricingService;
@@ -0,0 +1,74 @@
+// product-publish.service.js - Scheduler publish/unpublish produk terjadwal
+const Product = require("../../models/products.model");
+const { clearAllProductCache } = require("../../middlewares/cache-middleware");
+const logger = require("../../utils/logger");
+
+class ProductPublishService {
+  static SCHEDULER_INTERVAL = 60 * 1000; // 1 minute
+
+  /**
+   * Publish produk yang publishAt-nya sudah lewat dan unpublish yang unpublishAt-nya sudah lewat
+   * @returns {Promise<Object>} { published, unpublished }
+   */
+  static async processScheduledPublications() {
+    const now = new Date();
+
+    const publishResult = await Product.updateMany(
+      {
+        publishStatus: "scheduled",
+        publishAt: { $lte: now },
+        deletedAt: { $in: [null, undefined] },
+      },
+      [
+        {
+          $set: {
+            publishStatus: "published",
+            // Tetap nonaktif jika masih menunggu / ditolak moderasi
+            isActive: { $not: [{ $in: ["$moderationStatus", Product.HIDDEN_MODERATION_STATUSES] }] },
+            publishedAt: "$publishAt",
+            publishAt: null,
+          },
+        },
+      ]
+    );
+
+    const unpublishResult = await Product.updateMany(
+      {
+        publishStatus: "published",
+        unpublishAt: { $lte: now },
+      },
+      {
+        $set: {
+          publishStatus: "unpublished",
+          isActive: false,
+          unpublishAt: null,
+        },
+      }
+    );
+
+    const published = publishResult.modifiedCount || 0;
+    const unpublished = unpublishResult.modifiedCount || 0;
+
+    // Visibilitas berubah -> listing, detail & search cache harus dibuang
+    if (published + unpublished > 0) {
+      clearAllProductCache();
+      logger.info(`🗓️ Scheduled publishing: ${published} published, ${unpublished} unpublished`);
+    }
+
+    return { published, unpublished };
+  }
+
+  static startPublishScheduler() {
+    setInterval(async () => {
+      try {
+        await this.processScheduledPublications();
+      } catch (error) {
+        logger.error("Publish scheduler error:", error);
+      }
+    }, this.SCHEDULER_INTERVAL);
+
+    logger.info("Product publish scheduler started - checking every 1 minute");
+  }
+}
+
+module.exports = ProductPublishService;
@@ -541,6 +541,7 @@ class SellerOrderService {
           pricePerUnit: item.priceAtPurchase,
           subtotal: item.priceAtPurchase * item.quantity,
           status: itemStatus?.status || sellerStatus,
+          bundleComponents: this.formatBundleComponents(item),
         };
       }),
 
@@ -668,6 +669,26 @@ class SellerOrderService {
     return { paymentStatus, pendingTransaction, confirmedTransaction };
   }
 
+  /**
+   * Isi bundle untuk packing: quantity = jumlah komponen yang harus dikemas untuk seluruh item
+   * @param {Object} item - cartSnapshot item
+   * @returns {Array|null} Components, null untuk produk biasa
+   */
+  static formatBundleComponents(item) {
+    if (!item.bundleComponents || item.bundleComponents.length === 0) return null;
+
+    return item.bundleComponents.map(component => ({
+      productId: component.product.toString(),
+      variantId: component.variant ? component.variant.toString() : null,
+      productName: component.title,
+      sku: component.sku || null,
+      options: component.options instanceof Map ? Object.fromEntries(component.options) : component.options || null,
+      productImage: component.image || null,
+      quantityPerBundle: component.quantity,
+      quantity: component.quantity * item.quantity,
+    }));
+  }
+
   /**
    * Format order response for seller - FIXED for aggregate results
    */
@@ -703,6 +724,7 @@ class SellerOrderService {
         quantity: item.quantity,
         price: item.productSnapshot?.price,
         subtotal: item.priceAtPurchase * item.quantity,
+        bundleComponents: this.formatBundleComponents(item),
         ...(orderObj.cartSnapshot.appliedCoupon && {
           discountApplied: {
             couponCode: orderObj.cartSnapshot.appliedCoupon.code,
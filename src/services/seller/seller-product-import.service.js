@@ -0,0 +1,554 @@
+// seller-product-import.service.js - Bulk import (background job) & export katalog seller
+const mongoose = require("mongoose");
+const xss = require("xss");
+const Product = require("../../models/products.model");
+const Category = require("../../models/category.model");
+const ProductImportJob = require("../../models/product-import-job.model");
+const SellerProductService = require("./seller-product.service");
+const ValidationHelper = require("../../utils/validation.helper");
+const { parseCsv, toCsv } = require("../../utils/csv.util");
+const { clearAllProductCache } = require("../../middlewares/cache-middleware");
+const logger = require("../../utils/logger");
+
+class SellerProductImportService {
+  // Kolom import & export sama, sehingga file export bisa langsung di-import ulang
+  static COLUMNS = [
+    "sku",
+    "slug",
+    "title",
+    "description",
+    "price",
+    "stock",
+    "category",
+    "image",
+    "isActive",
+    "attributes",
+    "variants",
+  ];
+
+  static MAX_IMPORT_ROWS = 1000;
+  static PROGRESS_BATCH_SIZE = 50;
+  static EXPORT_PAGE_SIZE = 100;
+  static WORKER_INTERVAL = 10 * 1000; // 10 seconds
+  static STALE_JOB_AFTER = 30 * 60 * 1000; // Job "processing" > 30 menit dianggap crash
+
+  static _isProcessing = false;
+
+  /**
+   * Parse uploaded import file into raw rows
+   * @param {Object} file - Multer file (memory storage)
+   * @returns {Object} { format, rows }
+   * @throws {Error} 400 jika file kosong / format tidak didukung / terlalu banyak baris
+   */
+  static parseImportFile(file) {
+    if (!file || !file.buffer) {
+      const error = new Error("Import file is required (field name: file)");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const format = /\.csv$/i.test(file.originalname) ? "csv" : "jsonl";
+    const text = file.buffer.toString("utf8");
+
+    const rows =
+      format === "csv"
+        ? parseCsv(text)
+        : text
+            .split(/\r?\n/)
+            .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+            .filter(({ line }) => line)
+            .map(({ line, number }) => {
+              try {
+                const parsed = JSON.parse(line);
+                if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+                  return { __line: number, __parseError: "Line must be a JSON object" };
+                }
+                return { ...parsed, __line: number };
+              } catch (error) {
+                return { __line: number, __parseError: `Invalid JSON: ${error.message}` };
+              }
+            });
+
+    if (rows.length === 0) {
+      const error = new Error("Import file has no data rows");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (rows.length > this.MAX_IMPORT_ROWS) {
+      const error = new Error(`Import file exceeds the maximum of ${this.MAX_IMPORT_ROWS} rows`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return { format, rows };
+  }
+
+  /**
+   * Create import job and trigger background processing
+   * @param {string} sellerId - Seller profile ID
+   * @param {Object} file - Multer file
+   * @param {string} [userId] - User ID of the uploader
+   * @returns {Promise<Object>} Job summary
+   */
+  static async createImportJob(sellerId, file, userId = null) {
+    const { format, rows } = this.parseImportFile(file);
+
+    const job = await ProductImportJob.create({
+      sellerId,
+      createdBy: userId,
+      fileName: file.originalname,
+      format,
+      payload: rows,
+      totalRows: rows.length,
+    });
+
+    logger.info(`📥 Product import job ${job._id} queued (${rows.length} rows, ${format})`);
+
+    // Proses di background, tidak menahan response
+    setImmediate(() => {
+      this.processPendingJobs().catch(error => logger.error("Product import worker error:", error));
+    });
+
+    return this.formatJob(job, { includeResults: false });
+  }
+
+  /**
+   * Get import job status & per-row report
+   * @param {string} jobId - Job ID
+   * @param {string} sellerId - Seller profile ID
+   * @param {Object} options - { failedOnly }
+   * @returns {Promise<Object|null>} Job or null
+   */
+  static async getImportJob(jobId, sellerId, options = {}) {
+    if (!mongoose.isValidObjectId(jobId)) return null;
+
+    const job = await ProductImportJob.findOne({ _id: jobId, sellerId }).lean();
+    if (!job) return null;
+
+    return this.formatJob(job, { includeResults: true, failedOnly: options.failedOnly });
+  }
+
+  /**
+   * Format job for API responses
+   */
+  static formatJob(job, { includeResults = true, failedOnly = false } = {}) {
+    const results = job.results || [];
+
+    return {
+      id: job._id.toString(),
+      fileName: job.fileName,
+      format: job.format,
+      status: job.status,
+      totalRows: job.totalRows,
+      processedRows: job.processedRows,
+      createdCount: job.createdCount,
+      updatedCount: job.updatedCount,
+      failedCount: job.failedCount,
+      errorMessage: job.errorMessage,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      ...(includeResults && {
+        results: (failedOnly ? results.filter(result => result.status === "failed") : results).map(result => ({
+          row: result.row,
+          identifier: result.identifier,
+          status: result.status,
+          productId: result.productId ? result.productId.toString() : null,
+          errors: result.messages || [],
+        })),
+      }),
+    };
+  }
+
+  /**
+   * Process all pending jobs (satu per satu)
+   */
+  static async processPendingJobs() {
+    if (this._isProcessing) return;
+    this._isProcessing = true;
+
+    try {
+      let job;
+      while ((job = await this._claimNextJob())) {
+        await this.processJob(job);
+      }
+    } finally {
+      this._isProcessing = false;
+    }
+  }
+
+  /**
+   * Atomically claim next pending (or stale processing) job
+   * @private
+   */
+  static async _claimNextJob() {
+    const staleBefore = new Date(Date.now() - this.STALE_JOB_AFTER);
+
+    return ProductImportJob.findOneAndUpdate(
+      {
+        $or: [{ status: "pending" }, { status: "processing", startedAt: { $lt: staleBefore } }],
+      },
+      { $set: { status: "processing", startedAt: new Date() } },
+      { sort: { createdAt: 1 }, new: true }
+    ).select("+payload");
+  }
+
+  /**
+   * Import all rows of a job, progress disimpan per batch sehingga job bisa dilanjutkan
+   * @param {Object} job - Claimed job document (dengan payload)
+   */
+  static async processJob(job) {
+    const rows = job.payload || [];
+    const categoryCache = new Map();
+    let batch = [];
+    let processedRows = job.processedRows || 0;
+    let hasChanges = false;
+    // Perubahan stok dari import dicatat di ledger stok dengan referensi job
+    const stockMovement = { type: "import", actor: job.createdBy || null, reason: `Import job ${job._id}` };
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+
+      await ProductImportJob.updateOne(
+        { _id: job._id },
+        {
+          $push: { results: { $each: batch } },
+          $set: { processedRows },
+          $inc: {
+            createdCount: batch.filter(result => result.status === "created").length,
+            updatedCount: batch.filter(result => result.status === "updated").length,
+            failedCount: batch.filter(result => result.status === "failed").length,
+          },
+        }
+      );
+      batch = [];
+    };
+
+    try {
+      for (const row of rows.slice(processedRows)) {
+        const result = await this._importRow(job.sellerId, row, categoryCache, stockMovement);
+        if (result.status !== "failed") hasChanges = true;
+
+        batch.push(result);
+        processedRows++;
+
+        if (batch.length >= this.PROGRESS_BATCH_SIZE) {
+          await flush();
+        }
+      }
+      await flush();
+
+      await ProductImportJob.updateOne(
+        { _id: job._id },
+        { $set: { status: "completed", completedAt: new Date() }, $unset: { payload: 1 } }
+      );
+
+      logger.info(`✅ Product import job ${job._id} completed (${processedRows}/${rows.length} rows)`);
+    } catch (error) {
+      logger.error(`❌ Product import job ${job._id} failed:`, error);
+      await flush().catch(() => {});
+      await ProductImportJob.updateOne(
+        { _id: job._id },
+        { $set: { status: "failed", errorMessage: error.message, completedAt: new Date() } }
+      );
+    } finally {
+      if (hasChanges) clearAllProductCache();
+    }
+  }
+
+  /**
+   * Import a single row: update by SKU (produk / varian) atau slug, selain itu create
+   * @private
+   * @returns {Promise<Object>} Row result { row, identifier, status, productId, messages }
+   */
+  static async _importRow(sellerId, rawRow, categoryCache, stockMovement) {
+    const rowNumber = rawRow.__line;
+
+    if (rawRow.__parseError) {
+      return { row: rowNumber, identifier: null, status: "failed", messages: [rawRow.__parseError] };
+    }
+
+    const { data, errors } = this._normalizeRow(rawRow);
+    const identifier = data.sku || data.slug || data.title || null;
+    const fail = messages => ({ row: rowNumber, identifier, status: "failed", productId: null, messages });
+
+    if (errors.length > 0) return fail(errors);
+
+    try {
+      // Resolve category (ID atau nama) lalu cek aktif via validateCategory
+      if (data.category !== undefined) {
+        const categoryId = await this._resolveCategoryId(data.category, categoryCache);
+        if (!categoryId) return fail([`Category "${data.category}" not found or inactive`]);
+        data.category = categoryId;
+      }
+
+      let product = null;
+      if (data.sku) {
+        product = await Product.findOne({ sellerId, sku: data.sku });
+
+        if (!product) {
+          const variantProduct = await Product.findOne({ sellerId, "variants.sku": data.sku });
+          if (variantProduct) {
+            return await this._updateVariantRow(variantProduct, data, rowNumber, identifier, stockMovement);
+          }
+        }
+      }
+      if (!product && data.slug) {
+        // Slug lama (sebelum produk di-rename) tetap dikenali
+        product = await Product.findOne({ sellerId, $or: [{ slug: data.slug }, { previousSlugs: data.slug }] });
+      }
+
+      if (product) {
+        return await this._updateProductRow(product, sellerId, data, rowNumber, identifier, stockMovement);
+      }
+
+      return await this._createProductRow(sellerId, data, rowNumber, identifier, stockMovement);
+    } catch (error) {
+      return fail([error.code === 11000 ? "SKU or slug is already used by another product" : error.message]);
+    }
+  }
+
+  /**
+   * @private
+   */
+  static async _createProductRow(sellerId, data, rowNumber, identifier, stockMovement) {
+    const validation = ValidationHelper.validateProductData(data);
+    if (!validation.isValid) {
+      return { row: rowNumber, identifier, status: "failed", productId: null, messages: validation.errors };
+    }
+
+    // Slug selalu digenerate dari title untuk produk baru
+    const product = await SellerProductService.createProduct(sellerId, validation.data, stockMovement);
+
+    if (data.isActive === false) {
+      await SellerProductService.updateProductStatus(product.id, sellerId, false);
+    }
+
+    return { row: rowNumber, identifier, status: "created", productId: product.id, messages: [] };
+  }
+
+  /**
+   * @private
+   */
+  static async _updateProductRow(product, sellerId, data, rowNumber, identifier, stockMovement) {
+    const { slug, isActive, ...fields } = data;
+
+    // Validasi gabungan data lama + kolom yang diisi, hanya kolom yang diisi yang disimpan
+    const validation = ValidationHelper.validateProductData({
+      title: product.title,
+      description: product.description,
+      price: product.price,
+      stock: product.stock,
+      category: product.category.toString(),
+      image: product.image,
+      ...fields,
+    });
+    if (!validation.isValid) {
+      return { row: rowNumber, identifier, status: "failed", productId: product._id, messages: validation.errors };
+    }
+
+    const updates = Object.fromEntries(Object.keys(fields).map(key => [key, validation.data[key]]));
+    if (isActive !== undefined) updates.isActive = isActive;
+
+    // Pertahankan _id varian lama (by SKU) agar item cart/order tetap valid
+    if (updates.variants) {
+      const existingBySku = new Map(product.variants.map(variant => [variant.sku, variant._id]));
+      updates.variants = updates.variants.map(variant =>
+        variant._id || !existingBySku.has(variant.sku) ? variant : { ...variant, _id: existingBySku.get(variant.sku) }
+      );
+    }
+
+    await SellerProductService.updateProduct(product._id, sellerId, updates, stockMovement);
+
+    return { row: rowNumber, identifier, status: "updated", productId: product._id, messages: [] };
+  }
+
+  /**
+   * Row yang SKU-nya milik varian hanya mengubah price/stock varian tersebut
+   * @private
+   */
+  static async _updateVariantRow(product, data, rowNumber, identifier, stockMovement) {
+    const variant = product.variants.find(item => item.sku === data.sku);
+    const messages = [];
+
+    if (data.price !== undefined) {
+      const price = parseFloat(data.price);
+      if (isNaN(price) || price < 0) messages.push("Price must be a positive number");
+      else variant.price = price;
+    }
+    if (data.stock !== undefined) {
+      const stock = parseInt(data.stock);
+      if (isNaN(stock) || stock < 0) messages.push("Stock must be a non-negative integer");
+      else variant.stock = stock;
+    }
+    if (data.isActive !== undefined) variant.isActive = data.isActive;
+
+    if (messages.length > 0) {
+      return { row: rowNumber, identifier, status: "failed", productId: product._id, messages };
+    }
+
+    product.$locals.stockMovement = stockMovement;
+    await product.save();
+    return { row: rowNumber, identifier, status: "updated", productId: product._id, messages: [] };
+  }
+
+  /**
+   * Normalize CSV/JSONL row: kolom kosong dianggap tidak diisi, JSON di kolom CSV di-parse
+   * @private
+   */
+  static _normalizeRow(rawRow) {
+    const data = {};
+    const errors = [];
+
+    this.COLUMNS.forEach(column => {
+      let value = rawRow[column];
+      if (value === undefined || value === null || value === "") return;
+
+      // Sama dengan xssProtection global yang dilewati request create/update produk
+      if (typeof value === "string") value = xss(value.trim());
+
+      if (["attributes", "variants"].includes(column) && typeof value === "string") {
+        try {
+          value = JSON.parse(value);
+        } catch (error) {
+          errors.push(`Column "${column}" must contain valid JSON`);
+          return;
+        }
+      }
+
+      if (column === "isActive") {
+        const normalized = String(value).toLowerCase();
+        if (!["true", "false"].includes(normalized)) {
+          errors.push('Column "isActive" must be true or false');
+          return;
+        }
+        value = normalized === "true";
+      }
+
+      if (column === "sku" && typeof value === "string") value = value.toUpperCase();
+
+      data[column] = value;
+    });
+
+    // Kolom category selalu string (ID atau nama)
+    if (data.category !== undefined) data.category = String(data.category);
+
+    return { data, errors };
+  }
+
+  /**
+   * Resolve category ID or name to an active category ID
+   * @private
+   */
+  static async _resolveCategoryId(value, categoryCache) {
+    const key = value.toLowerCase();
+    if (categoryCache.has(key)) return categoryCache.get(key);
+
+    let categoryId = null;
+    if (mongoose.isValidObjectId(value)) {
+      categoryId = value;
+    } else {
+      const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const category = await Category.findOne({ name: new RegExp(`^${escaped}$`, "i") }, { _id: 1 }).lean();
+      categoryId = category ? category._id.toString() : null;
+    }
+
+    const activeCategory = categoryId ? await SellerProductService.validateCategory(categoryId) : null;
+    const resolved = activeCategory ? activeCategory._id.toString() : null;
+
+    categoryCache.set(key, resolved);
+    return resolved;
+  }
+
+  /**
+   * Export seller catalog (semua halaman getSellerProducts dengan filter yang sama)
+   * @param {string} sellerId - Seller profile ID
+   * @param {Object} filters - getSellerProducts filters (status, category, search, ...)
+   * @param {string} format - "csv" | "jsonl"
+   * @returns {Promise<Object>} { content, contentType, fileName, totalItems }
+   */
+  static async exportProducts(sellerId, filters = {}, format = "csv") {
+    const rows = [];
+    let page = 1;
+    let hasNext = true;
+
+    while (hasNext) {
+      const { products, pagination } = await SellerProductService.getSellerProducts(sellerId, {
+        ...filters,
+        page,
+        limit: this.EXPORT_PAGE_SIZE,
+      });
+
+      rows.push(...products.map(product => this._toExportRow(product)));
+      hasNext = pagination.hasNext;
+      page++;
+    }
+
+    const timestamp = new Date().toISOString().slice(0, 10);
+
+    if (format === "jsonl") {
+      return {
+        content: rows.map(row => JSON.stringify(row)).join("\n") + (rows.length ? "\n" : ""),
+        contentType: "application/x-ndjson; charset=utf-8",
+        fileName: `products-${timestamp}.jsonl`,
+        totalItems: rows.length,
+      };
+    }
+
+    return {
+      content: toCsv(rows, this.COLUMNS),
+      contentType: "text/csv; charset=utf-8",
+      fileName: `products-${timestamp}.csv`,
+      totalItems: rows.length,
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _toExportRow(product) {
+    const hasAttributes = product.attributes && Object.keys(product.attributes).length > 0;
+
+    return {
+      sku: product.sku,
+      slug: product.slug,
+      title: product.title,
+      description: product.description,
+      price: product.price,
+      stock: product.stock,
+      category: product.category,
+      image: product.image,
+      isActive: product.isActive,
+      attributes: hasAttributes ? product.attributes : null,
+      variants:
+        product.variants.length > 0
+          ? product.variants.map(({ sku, options, price, stock, image, isActive }) => ({
+              sku,
+              options,
+              price,
+              stock,
+              image,
+              isActive,
+            }))
+          : null,
+    };
+  }
+
+  /**
+   * Start background worker (juga melanjutkan job yang tertunda setelah restart)
+   */
+  static startImportWorker() {
+    setInterval(async () => {
+      try {
+        await this.processPendingJobs();
+      } catch (error) {
+        logger.error("Product import worker error:", error);
+      }
+    }, this.WORKER_INTERVAL);
+
+    logger.info("Product import worker started - checking every 10 seconds");
+  }
+}
+
+module.exports = SellerProductImportService;
@@ -4,9 +4,57 @@ const Category = require("../../models/category.model");
 const mongoose = require("mongoose");
 const SellerProfileService = require("./seller-profile.service");
 const imageUploader = require("../../utils/cloudinary-uploader.util");
+const { MAX_GALLERY_IMAGES, formatGallery } = require("../../utils/product-gallery.util");
+const { toPlainAttributes } = require("../../utils/product-attribute.util");
+const { formatPricing, formatSaleWindows } = require("../../utils/product-pricing.util");
+const ValidationHelper = require("../../utils/validation.helper");
+const {
+  buildSortObject,
+  calculatePagination,
+  withCursorTieBreaker,
+  encodeCursor,
+  buildCursorFilter,
+  supportsCursor,
+  buildCursorPage,
+} = require("../../utils/query.util");
+const StockAlertService = require("../stock-alert.service");
+const ProductBundleService = require("../product-bundle.service");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
 const logger = require("../../utils/logger");
 
 class SellerProductService {
+  // Field yang tidak boleh diubah lewat partial update biasa
+  static PROTECTED_UPDATE_FIELDS = [
+    "_id",
+    "sellerId",
+    "publishStatus",
+    "publishAt",
+    "unpublishAt",
+    "publishedAt",
+    "compareAtPrice",
+    "sales",
+    "reservedStock",
+    "lowStockAlertedAt",
+    "productType",
+    // Moderasi hanya lewat admin (AdminProductService)
+    "moderationStatus",
+    "moderationReason",
+    "moderatedBy",
+    "moderatedAt",
+    "submittedForReviewAt",
+    "openReportCount",
+    // Sinyal ranking search, hanya ditulis hook model & alur order paid
+    "soldCount",
+    "searchTokens",
+    "categoryName",
+    // Slug dibuat dari title; riwayat slug hanya ditambah hook pre save
+    "slug",
+    "previousSlugs",
+    // Gallery hanya lewat endpoint images (validasi jumlah, urutan, primary & cleanup Cloudinary)
+    "images",
+    "image",
+  ];
+
   /**
   /**
    * Generate image with alt text
@@ -32,26 +80,85 @@ class SellerProductService {
     return category && category.isActive ? category : null;
   }
 
+  /**
+   * Validate product attributes against the category attribute schema
+   * @param {string} categoryId - Category ID
+   * @param {Object} attributes - Raw attributes from request
+   * @returns {Promise<Object>} Normalized attributes
+   * @throws {Error} 400 jika atribut tidak sesuai schema
+   */
+  static async validateAttributes(categoryId, attributes) {
+    if (attributes !== null && (typeof attributes !== "object" || Array.isArray(attributes))) {
+      const error = new Error("Attributes must be an object");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const schema = await Category.getAttributeSchema(categoryId);
+    const validation = ValidationHelper.validateProductAttributes(attributes || {}, schema);
+
+    if (!validation.isValid) {
+      const error = new Error(`Invalid product attributes: ${validation.errors.join("; ")}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return validation.value;
+  }
+
   /**
    * Create product for seller
    * @param {string} sellerId - Seller profile ID
    * @param {Object} productData - Product data
+   * @param {Object} [stockMovement] - { type, actor, reason } untuk ledger stok (default: initial)
    * @returns {Promise<Object>} Clean product object
    */
-  static async createProduct(sellerId, productData) {
-    const { title, description, price, category, stock, image } = productData;
+  static async createProduct(sellerId, productData, stockMovement = {}) {
+    const {
+      title,
+      description,
+      price,
+      category,
+      stock,
+      image,
+      sku,
+      variants = [],
+      attributes = {},
+      publishStatus = "published",
+      publishAt = null,
+      unpublishAt = null,
+      lowStockThreshold,
+      productType = "standard",
+      bundleItems,
+    } = productData;
+
+    const validatedAttributes = await SellerProductService.validateAttributes(category, attributes);
+    const isBundle = productType === "bundle";
 
     // Create product with seller reference
+    // Untuk produk dengan varian, price & stock dihitung ulang dari varian saat save
+    // Bundle: stock diturunkan dari stok komponen saat save
     const product = new Product({
       title,
       description,
       price,
       category,
       image: image || null,
-      stock,
+      stock: isBundle ? 0 : stock,
+      sku: sku || undefined,
+      variants: isBundle ? [] : variants,
+      productType,
+      bundleItems: isBundle ? await ProductBundleService.normalizeBundleItems(sellerId, bundleItems) : undefined,
+      attributes: validatedAttributes,
+      // Draft & produk terjadwal disimpan dengan isActive=false (lihat pre validate)
+      publishStatus,
+      publishAt,
+      unpublishAt,
+      lowStockThreshold,
       sellerId, // Keep as sellerId in database
     });
 
+    product.$locals.stockMovement = stockMovement;
     await product.save();
     await product.populate([
       { path: "category", select: "name description" },
@@ -91,7 +198,9 @@ class SellerProductService {
     const match = { sellerId: sellerId };
 
     // Apply filters
-    if (status !== "all") {
+    if (["draft", "scheduled"].includes(status)) {
+      match.publishStatus = status;
+    } else if (status !== "all") {
       match.isActive = status === "active";
     }
 
@@ -213,15 +322,52 @@ class SellerProductService {
     return {
       id: productObj._id.toString(),
       title: productObj.title,
+      slug: productObj.slug,
+      sku: productObj.sku || null,
       description: productObj.description,
       price: productObj.price,
       priceFormatted: `Rp ${productObj.price.toLocaleString("id-ID")}`,
+      compareAtPrice: productObj.compareAtPrice || null,
+      pricing: formatPricing(productObj),
+      sales: formatSaleWindows(productObj.sales),
       image: productObj.image || null,
+      gallery: formatGallery(productObj),
       category: productObj.category?.name || null,
       stock: productObj.stock,
+      reservedStock: productObj.reservedStock || 0,
+      lowStockThreshold: productObj.lowStockThreshold ?? 5,
+      isLowStock: productObj.stock <= (productObj.lowStockThreshold ?? 5),
+      productType: productObj.productType || "standard",
+      bundleItems: (productObj.bundleItems || []).map(item => ({
+        productId: item.product.toString(),
+        variantId: item.variant ? item.variant.toString() : null,
+        quantity: item.quantity,
+      })),
+      variantOptions: productObj.variantOptions || [],
+      variants: (productObj.variants || []).map(variant => ({
+        id: variant._id.toString(),
+        sku: variant.sku,
+        options: variant.options instanceof Map ? Object.fromEntries(variant.options) : variant.options,
+        price: variant.price,
+        stock: variant.stock,
+        reservedStock: variant.reservedStock || 0,
+        image: variant.image || null,
+        isActive: variant.isActive,
+      })),
+      attributes: toPlainAttributes(productObj.attributes),
       rating: productObj.rating || 0,
       reviews: productObj.reviews || 0,
       isActive: productObj.isActive,
+      publishStatus: productObj.publishStatus || "published",
+      publishAt: productObj.publishAt || null,
+      unpublishAt: productObj.unpublishAt || null,
+      publishedAt: productObj.publishedAt || null,
+      moderation: {
+        status: productObj.moderationStatus || "approved",
+        reason: productObj.moderationReason || null,
+        moderatedAt: productObj.moderatedAt || null,
+        submittedAt: productObj.submittedForReviewAt || null,
+      },
       createdAt: productObj.createdAt,
     };
   }
@@ -231,9 +377,10 @@ class SellerProductService {
    * @param {string} productId - Product ID
    * @param {string} sellerId - Seller profile ID
    * @param {Object} updates - Updates to apply
+   * @param {Object} [stockMovement] - { type, actor, reason } untuk ledger stok (default: adjustment)
    * @returns {Promise<Object|null>} Updated product or null
    */
-  static async updateProduct(productId, sellerId, updates) {
+  static async updateProduct(productId, sellerId, updates, stockMovement = {}) {
     const product = await Product.findOne({
       _id: productId,
       sellerId,
@@ -243,14 +390,62 @@ class SellerProductService {
       return null;
     }
 
-    // Apply updates
+    // Snapshot stok lama untuk deteksi restock (notifikasi back-in-stock)
+    const previousStock = StockAlertService.captureStock(product);
+
+    // Atribut divalidasi ulang jika atribut atau kategori berubah (attributes me-replace seluruh atribut)
+    if (updates.attributes !== undefined || updates.category) {
+      updates = {
+        ...updates,
+        attributes: await SellerProductService.validateAttributes(
+          updates.category || product.category,
+          updates.attributes !== undefined ? updates.attributes : toPlainAttributes(product.attributes)
+        ),
+      };
+    }
+
+    // Bundle: stok diturunkan dari komponen (bundleItems produk biasa dibuang di pre validate)
+    if (product.productType === "bundle") {
+      if (updates.stock !== undefined || (updates.variants !== undefined && updates.variants.length > 0)) {
+        const error = new Error(MESSAGES.PRODUCT.BUNDLE_STOCK_DERIVED);
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+      if (updates.bundleItems !== undefined) {
+        updates = {
+          ...updates,
+          bundleItems: await ProductBundleService.normalizeBundleItems(sellerId, updates.bundleItems, product._id),
+        };
+      }
+    }
+
+    // Stok yang sedang di-reserve order tetap ikut varian lama (by _id)
+    if (updates.variants !== undefined) {
+      const reservedById = new Map(product.variants.map(variant => [variant._id.toString(), variant.reservedStock || 0]));
+      updates = {
+        ...updates,
+        variants: updates.variants.map(variant =>
+          variant._id ? { ...variant, reservedStock: reservedById.get(variant._id.toString()) || 0 } : variant
+        ),
+      };
+    }
+
+    // Apply updates (publish lewat updatePublication, harga coret & sale lewat ProductPricingService)
     Object.keys(updates).forEach(key => {
-      if (key !== "sellerId" && key !== "_id") {
+      if (!SellerProductService.PROTECTED_UPDATE_FIELDS.includes(key)) {
         product[key] = updates[key];
       }
     });
 
+    // Perubahan stok lewat edit produk tercatat di ledger stok (lihat products.model pre save)
+    product.$locals.stockMovement = stockMovement;
     await product.save();
+
+    // Notifikasi dikirim di background agar response seller tidak menunggu email
+    StockAlertService.handleStockChange(product, previousStock).catch(error => {
+      logger.error(`Stock alert failed for product ${product._id}:`, error);
+    });
+
     await product.populate([
       { path: "category", select: "name description" },
       { path: "sellerId", select: "storeName storeSlug" }, // FIXED: Removed logo and contact
@@ -268,12 +463,21 @@ class SellerProductService {
    * @returns {Promise<Object|null>} Updated product or null
    */
   static async updateProductStatus(productId, sellerId, isActive) {
+    if (isActive) {
+      const current = await Product.findOne({ _id: productId, sellerId }).select("moderationStatus").lean();
+      if (current && Product.HIDDEN_MODERATION_STATUSES.includes(current.moderationStatus)) {
+        const error = new Error(MESSAGES.PRODUCT.UNDER_MODERATION);
+        error.statusCode = HTTP_STATUS.FORBIDDEN;
+        throw error;
+      }
+    }
+
     const product = await Product.findOneAndUpdate(
       {
         _id: productId,
         sellerId,
       },
-      { isActive: Boolean(isActive) },
+      SellerProductService.buildStatusUpdate(isActive),
       { new: true }
     ).populate([
       { path: "category", select: "name description" },
@@ -282,6 +486,9 @@ class SellerProductService {
 
     if (!product) return null;
 
+    // Komponen nonaktif -> bundle yang memakainya tidak bisa dibeli
+    ProductBundleService.syncBundleStockInBackground([product._id]);
+
     // FIXED: Transform to clean response format using existing transformProduct method
     return SellerProductService.transformProduct(product);
   }
@@ -298,14 +505,10 @@ class SellerProductService {
       sellerId,
     });
 
-    // Delete image from Cloudinary if exists
-    if (product && product.image) {
-      const deleteResult = await imageUploader.deleteImage(product.image);
-      if (deleteResult.success) {
-        logger.info(`✅ Product image deleted from Cloudinary: ${product.title}`);
-      } else {
-        logger.warn(`⚠️ Failed to delete image from Cloudinary: ${deleteResult.message}`);
-      }
+    // Delete gallery images from Cloudinary if exists
+    if (product) {
+      await SellerProductService.deleteProductImages(product);
+      ProductBundleService.syncBundleStockInBackground([product._id]);
     }
 
     return product;
@@ -319,13 +522,83 @@ class SellerProductService {
    * @returns {Promise<Object>} Update result
    */
   static async bulkUpdateProductStatus(productIds, sellerId, isActive) {
-    return await Product.updateMany(
+    const result = await Product.updateMany(
       {
         _id: { $in: productIds },
         sellerId,
       },
-      { isActive: Boolean(isActive) }
+      SellerProductService.buildStatusUpdate(isActive)
     );
+
+    ProductBundleService.syncBundleStockInBackground(productIds);
+
+    return result;
+  }
+
+  /**
+   * Build status update; mengaktifkan draft/scheduled berarti publish sekarang
+   * @param {boolean} isActive - Active status
+   * @returns {Array|Object} Update (pipeline saat aktivasi)
+   */
+  static buildStatusUpdate(isActive) {
+    if (!isActive) {
+      return { isActive: false };
+    }
+
+    return [
+      {
+        $set: {
+          // Produk yang menunggu / ditolak moderasi tetap nonaktif
+          isActive: { $not: [{ $in: ["$moderationStatus", Product.HIDDEN_MODERATION_STATUSES] }] },
+          publishStatus: "published",
+          publishAt: null,
+          publishedAt: { $ifNull: ["$publishedAt", "$$NOW"] },
+        },
+      },
+    ];
+  }
+
+  /**
+   * Update draft / publish schedule of a product
+   * @param {string} productId - Product ID
+   * @param {string} sellerId - Seller profile ID
+   * @param {Object} publication - Validated { publishStatus, publishAt, unpublishAt }
+   * @returns {Promise<Object|null>} Updated product or null
+   */
+  static async updatePublication(productId, sellerId, publication) {
+    const product = await Product.findOne({ _id: productId, sellerId });
+    if (!product) return null;
+
+    const { publishStatus, publishAt, unpublishAt } = publication;
+
+    if (publishStatus === "draft") {
+      product.publishStatus = "draft";
+      product.publishAt = null;
+    } else if (publishAt) {
+      // Jadwal publish baru (juga dari draft)
+      product.publishStatus = "scheduled";
+      product.publishAt = publishAt;
+    } else if (publishStatus === "published") {
+      product.publishStatus = "published";
+      product.publishAt = null;
+      product.isActive = true;
+    } else if (publishAt === null && product.publishStatus === "scheduled") {
+      // Jadwal dibatalkan -> kembali ke draft
+      product.publishStatus = "draft";
+      product.publishAt = null;
+    }
+
+    if (unpublishAt !== undefined) {
+      product.unpublishAt = unpublishAt;
+    }
+
+    await product.save();
+    await product.populate([
+      { path: "category", select: "name description" },
+      { path: "sellerId", select: "storeName storeSlug" },
+    ]);
+
+    return SellerProductService.transformProduct(product);
   }
 
   /**
@@ -349,27 +622,16 @@ class SellerProductService {
 
     // Delete associated images from Cloudinary
     const imageDeletePromises = productsToDelete
-      .filter(product => product.image)
-      .map(async product => {
-        try {
-          const deleteResult = await imageUploader.deleteImage(product.image);
-          if (deleteResult.success) {
-            logger.info(`✅ Deleted Cloudinary image for product: ${product.title}`);
-          } else {
-            logger.warn(`⚠️ Failed to delete Cloudinary image for product: ${product.title}`);
-          }
-          return deleteResult;
-        } catch (error) {
-          logger.error(`❌ Error deleting image for product ${product.title}:`, error);
-          return { success: false, error: error.message };
-        }
-      });
+      .filter(product => product.image || product.images.length > 0)
+      .map(product => SellerProductService.deleteProductImages(product));
 
     // Wait for all image deletions to complete
     if (imageDeletePromises.length > 0) {
       await Promise.allSettled(imageDeletePromises);
     }
 
+    ProductBundleService.syncBundleStockInBackground(productsToDelete.map(product => product._id));
+
     return result;
   }
 
@@ -410,32 +672,26 @@ class SellerProductService {
       session = await mongoose.startSession();
       session.startTransaction();
 
-      // Store old image for cleanup
-      const oldImage = product.image;
-      const oldCloudinaryPublicId = product.cloudinaryPublicId;
-
-      // FIXED: Use findByIdAndUpdate with session for better concurrency
-      const updatedProduct = await Product.findByIdAndUpdate(
-        productId,
-        {
-          $set: {
-            image: uploadResult.imageUrl,
-            cloudinaryPublicId: uploadResult.publicId,
-            updatedAt: new Date(),
-          },
-        },
-        {
-          new: true,
-          session,
-          // FIXED: Add retry logic for write conflicts
-          retryWrites: true,
-        }
-      );
+      // Store old primary image for cleanup
+      const oldPrimary = product.images.find(image => image.isPrimary);
+      const oldImage = oldPrimary ? oldPrimary.url : product.image;
+      const oldCloudinaryPublicId = oldPrimary ? oldPrimary.publicId : null;
 
-      if (!updatedProduct) {
-        throw new Error("Failed to update product");
+      // Replace primary gallery image (product.image ikut tersinkron saat save)
+      if (oldPrimary) {
+        oldPrimary.url = uploadResult.imageUrl;
+        oldPrimary.publicId = uploadResult.publicId;
+      } else {
+        product.images.unshift({
+          url: uploadResult.imageUrl,
+          publicId: uploadResult.publicId,
+          alt: product.title,
+          isPrimary: true,
+        });
       }
 
+      await product.save({ session });
+
       await session.commitTransaction();
 
       // Background cleanup old image
@@ -485,6 +741,248 @@ class SellerProductService {
     }
   }
 
+  /**
+   * Add images to product gallery
+   * @param {string} productId - Product ID
+   * @param {string} sellerId - Seller profile ID
+   * @param {Array} files - Multer files
+   * @param {Array<string>} altTexts - Alt text per file (same order as files)
+   * @returns {Promise<Object>} Result with updated gallery
+   */
+  static async addGalleryImages(productId, sellerId, files = [], altTexts = []) {
+    const product = await Product.findOne({ _id: productId, sellerId });
+
+    if (!product) {
+      return { success: false, message: "Product not found" };
+    }
+
+    if (!files.length) {
+      return { success: false, message: "No images provided" };
+    }
+
+    // Produk lama: jadikan image yang sudah ada sebagai item pertama gallery
+    SellerProductService._seedGalleryFromLegacyImage(product);
+
+    if (product.images.length + files.length > MAX_GALLERY_IMAGES) {
+      return {
+        success: false,
+        message: `A product can have at most ${MAX_GALLERY_IMAGES} images (currently ${product.images.length})`,
+      };
+    }
+
+    const uploaded = [];
+
+    try {
+      for (const [index, file] of files.entries()) {
+        const uploadResult = await imageUploader.uploadImage(file, {
+          folder: `ecommerce/products/${sellerId}/${productId}`,
+          maxSize: 3 * 1024 * 1024, // 3MB
+          dimensions: { width: 800, height: 600 },
+          format: "webp",
+        });
+
+        if (!uploadResult.success) {
+          await SellerProductService._cleanupUploadedImages(uploaded);
+          return { success: false, message: `Image #${index + 1}: ${uploadResult.message}` };
+        }
+
+        uploaded.push(uploadResult);
+        product.images.push({
+          url: uploadResult.imageUrl,
+          publicId: uploadResult.publicId,
+          alt: SellerProductService._sanitizeAltText(altTexts[index]),
+        });
+      }
+
+      await product.save();
+    } catch (error) {
+      logger.error(`Error in addGalleryImages: ${error.message}`);
+      await SellerProductService._cleanupUploadedImages(uploaded);
+      throw error;
+    }
+
+    logger.info(`🖼️ ${uploaded.length} gallery image(s) added: ${product.title}`);
+
+    return {
+      success: true,
+      productTitle: product.title,
+      gallery: formatGallery(product),
+    };
+  }
+
+  /**
+   * Update gallery image alt text and/or set it as primary
+   * @param {string} productId - Product ID
+   * @param {string} sellerId - Seller profile ID
+   * @param {string} imageId - Gallery image ID
+   * @param {Object} updates - { alt, isPrimary }
+   * @returns {Promise<Object>} Result with updated gallery
+   */
+  static async updateGalleryImage(productId, sellerId, imageId, updates = {}) {
+    const product = await Product.findOne({ _id: productId, sellerId });
+
+    if (!product) {
+      return { success: false, message: "Product not found" };
+    }
+
+    const image = mongoose.isValidObjectId(imageId) ? product.images.id(imageId) : null;
+    if (!image) {
+      return { success: false, message: "Image not found in product gallery" };
+    }
+
+    if (updates.alt !== undefined) {
+      image.alt = SellerProductService._sanitizeAltText(updates.alt);
+    }
+
+    if (updates.isPrimary === true || updates.isPrimary === "true") {
+      product.images.forEach(galleryImage => {
+        galleryImage.isPrimary = galleryImage._id.equals(image._id);
+      });
+    }
+
+    await product.save();
+
+    return {
+      success: true,
+      productTitle: product.title,
+      gallery: formatGallery(product),
+    };
+  }
+
+  /**
+   * Reorder gallery images
+   * @param {string} productId - Product ID
+   * @param {string} sellerId - Seller profile ID
+   * @param {Array<string>} imageIds - All gallery image IDs in the new order
+   * @returns {Promise<Object>} Result with updated gallery
+   */
+  static async reorderGalleryImages(productId, sellerId, imageIds) {
+    const product = await Product.findOne({ _id: productId, sellerId });
+
+    if (!product) {
+      return { success: false, message: "Product not found" };
+    }
+
+    const currentIds = product.images.map(image => image._id.toString());
+    const requestedIds = Array.isArray(imageIds) ? imageIds.map(String) : [];
+    const isSamePermutation =
+      requestedIds.length === currentIds.length &&
+      new Set(requestedIds).size === requestedIds.length &&
+      requestedIds.every(id => currentIds.includes(id));
+
+    if (!isSamePermutation) {
+      return {
+        success: false,
+        message: "imageIds must contain every gallery image ID exactly once",
+      };
+    }
+
+    product.images = requestedIds.map(id => product.images.id(id).toObject());
+    await product.save();
+
+    return {
+      success: true,
+      productTitle: product.title,
+      gallery: formatGallery(product),
+    };
+  }
+
+  /**
+   * Remove image from gallery and delete it from Cloudinary
+   * Jika gambar primary dihapus, gambar berikutnya otomatis menjadi primary
+   * @param {string} productId - Product ID
+   * @param {string} sellerId - Seller profile ID
+   * @param {string} imageId - Gallery image ID
+   * @returns {Promise<Object>} Result with updated gallery
+   */
+  static async removeGalleryImage(productId, sellerId, imageId) {
+    const product = await Product.findOne({ _id: productId, sellerId });
+
+    if (!product) {
+      return { success: false, message: "Product not found" };
+    }
+
+    const image = mongoose.isValidObjectId(imageId) ? product.images.id(imageId) : null;
+    if (!image) {
+      return { success: false, message: "Image not found in product gallery" };
+    }
+
+    const removedImage = { url: image.url, publicId: image.publicId };
+    product.images.pull(image._id);
+    await product.save();
+
+    // Background cleanup removed image
+    setImmediate(async () => {
+      try {
+        await imageUploader.deleteImage(removedImage.publicId || removedImage.url);
+      } catch (error) {
+        logger.warn(`Background cleanup error: ${error.message}`);
+      }
+    });
+
+    logger.info(`🗑️ Gallery image removed: ${product.title}`);
+
+    return {
+      success: true,
+      productTitle: product.title,
+      gallery: formatGallery(product),
+    };
+  }
+
+  /**
+   * Delete all product images (gallery + legacy image) from Cloudinary
+   * @param {Object} product - Product document
+   * @returns {Promise<Array>} Delete results
+   */
+  static async deleteProductImages(product) {
+    const targets = product.images.map(image => image.publicId || image.url);
+    if (product.image && !product.images.some(image => image.url === product.image)) {
+      targets.push(product.image);
+    }
+
+    const results = await Promise.allSettled(targets.map(target => imageUploader.deleteImage(target)));
+    const failed = results.filter(result => result.status === "rejected" || !result.value.success).length;
+
+    if (failed > 0) {
+      logger.warn(`⚠️ Failed to delete ${failed} Cloudinary image(s) for product: ${product.title}`);
+    } else if (targets.length > 0) {
+      logger.info(`✅ Product images deleted from Cloudinary: ${product.title}`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Seed gallery with existing single image (products created before gallery support)
+   * @private
+   */
+  static _seedGalleryFromLegacyImage(product) {
+    if (product.images.length === 0 && product.image) {
+      product.images.push({
+        url: product.image,
+        publicId: null,
+        alt: product.title,
+        isPrimary: true,
+      });
+    }
+  }
+
+  /**
+   * Sanitize alt text input
+   * @private
+   */
+  static _sanitizeAltText(alt) {
+    return typeof alt === "string" ? alt.trim().slice(0, 150) : "";
+  }
+
+  /**
+   * Delete freshly uploaded images after a failed gallery update
+   * @private
+   */
+  static async _cleanupUploadedImages(uploadResults) {
+    await Promise.allSettled(uploadResults.map(result => imageUploader.deleteImage(result.publicId)));
+  }
+
   /**
    * Get dashboard stats for seller - OPTIMIZED WITH ORDER DATA
    * @param {string} sellerId - Seller profile ID
@@ -591,6 +1089,8 @@ class SellerProductService {
       },
     ]);
 
+    const stockAlerts = await SellerProductService.getStockAlertProducts(sellerId);
+
     const current = stats.summary[0] || { totalRevenue: 0, totalOrders: 0 };
     const previous = stats.previousPeriod[0] || { totalRevenue: 0, totalOrders: 0 };
     const products = productStats || { total: 0, active: 0 };
@@ -649,11 +1149,76 @@ class SellerProductService {
         views: 0, // Data views butuh tracking terpisah
       })),
 
+      // Stock alerts
+      lowStockCount: stockAlerts.lowStockCount,
+      outOfStockCount: stockAlerts.outOfStockCount,
+      lowStockProducts: stockAlerts.lowStockProducts,
+      outOfStockProducts: stockAlerts.outOfStockProducts,
+
       period,
       generatedAt: now.toISOString(),
     };
   }
 
+  /**
+   * Produk dengan stok menipis (<= lowStockThreshold) dan stok habis untuk dashboard seller
+   * @param {string} sellerId - Seller profile ID
+   * @param {number} limit - Max items per list
+   * @returns {Promise<Object>} { lowStockCount, outOfStockCount, lowStockProducts, outOfStockProducts }
+   */
+  static async getStockAlertProducts(sellerId, limit = 10) {
+    const threshold = { $ifNull: ["$lowStockThreshold", 5] };
+
+    const [result] = await Product.aggregate([
+      { $match: { sellerId, deletedAt: null, publishStatus: { $ne: "draft" } } },
+      {
+        $facet: {
+          lowStock: [
+            { $match: { stock: { $gt: 0 }, $expr: { $lte: ["$stock", threshold] } } },
+            { $sort: { stock: 1, title: 1 } },
+            { $limit: limit },
+          ],
+          outOfStock: [{ $match: { stock: { $lte: 0 } } }, { $sort: { updatedAt: -1 } }, { $limit: limit }],
+          counts: [
+            {
+              $group: {
+                _id: null,
+                low: {
+                  $sum: { $cond: [{ $and: [{ $gt: ["$stock", 0] }, { $lte: ["$stock", threshold] }] }, 1, 0] },
+                },
+                out: { $sum: { $cond: [{ $lte: ["$stock", 0] }, 1, 0] } },
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    const formatItem = product => ({
+      id: product._id.toString(),
+      title: product.title,
+      slug: product.slug,
+      image: product.image || null,
+      isActive: product.isActive,
+      stock: product.stock,
+      reservedStock: product.reservedStock || 0,
+      lowStockThreshold: product.lowStockThreshold ?? 5,
+      // Varian yang habis walaupun total stok produk masih ada
+      outOfStockVariants: (product.variants || [])
+        .filter(variant => variant.isActive && variant.stock <= 0)
+        .map(variant => ({ id: variant._id.toString(), sku: variant.sku })),
+    });
+
+    const counts = result.counts[0] || { low: 0, out: 0 };
+
+    return {
+      lowStockCount: counts.low,
+      outOfStockCount: counts.out,
+      lowStockProducts: result.lowStock.map(formatItem),
+      outOfStockProducts: result.outOfStock.map(formatItem),
+    };
+  }
+
   /**
    * Get comprehensive product statistics for a seller
    * Optimized with single aggregation pipeline using $facet
@@ -839,12 +1404,14 @@ class SellerProductService {
       maxPrice,
       search,
       inStock,
+      cursor,
     } = options;
 
     // Build match criteria
     const match = {
       sellerId: sellerId,
       isActive: true,
+      moderationStatus: { $nin: Product.HIDDEN_MODERATION_STATUSES },
     };
 
     // Apply filters
@@ -857,23 +1424,34 @@ class SellerProductService {
       match.$or = [{ title: new RegExp(search, "i") }, { description: new RegExp(search, "i") }];
     }
 
-    // Sort direction
-    const sortDirection = sortOrder === "desc" ? -1 : 1;
+    const { page: parsedPage, limit: parsedLimit, skip } = calculatePagination(page, limit);
+    const sort = withCursorTieBreaker(buildSortObject(sortBy, sortOrder));
+
+    // Cursor mode: lanjut setelah item terakhir halaman sebelumnya (tanpa skip & tanpa total count)
+    const cursorFilter = cursor ? buildCursorFilter(cursor, sort, Product.CURSOR_SORT_FIELDS) : null;
+    const query = cursorFilter ? { $and: [match, cursorFilter] } : match;
 
     // Get products with pagination
-    const products = await Product.find(match)
-      .sort({ [sortBy]: sortDirection })
-      .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit))
+    let products = await Product.find(query)
+      .sort(sort)
+      .skip(cursorFilter ? 0 : skip)
+      .limit(cursorFilter ? parsedLimit + 1 : parsedLimit)
       .populate("category", "name"); // Only get name, not description
 
+    let cursorPage;
+    if (cursorFilter) {
+      cursorPage = buildCursorPage(products, parsedLimit, sort);
+      products = cursorPage.items;
+    }
+
     // Transform products to consistent format
     const transformedProducts = products.map(product => ({
       id: product._id.toString(),
       title: product.title,
       description: product.description,
-      price: product.price,
-      priceFormatted: `Rp ${product.price.toLocaleString("id-ID")}`,
+      price: product.pricing.price,
+      priceFormatted: `Rp ${product.pricing.price.toLocaleString("id-ID")}`,
+      pricing: product.pricing,
       image: product.image || null,
       category: product.category?.name || null,
       stock: product.stock,
@@ -883,12 +1461,25 @@ class SellerProductService {
       createdAt: product.createdAt,
     }));
 
+    if (cursorFilter) {
+      return {
+        products: transformedProducts,
+        pagination: {
+          currentPage: null,
+          totalPages: null,
+          totalItems: null,
+          itemsPerPage: parsedLimit,
+          hasNext: cursorPage.hasNext,
+          hasPrev: true,
+          nextCursor: cursorPage.nextCursor,
+        },
+      };
+    }
+
     // Get total count for pagination
     const totalProducts = await Product.countDocuments(match);
-
-    const parsedPage = parseInt(page);
-    const parsedLimit = parseInt(limit);
     const totalPages = Math.ceil(totalProducts / parsedLimit);
+    const hasNext = parsedPage < totalPages;
 
     return {
       products: transformedProducts,
@@ -897,8 +1488,12 @@ class SellerProductService {
         totalPages: totalPages,
         totalItems: totalProducts,
         itemsPerPage: parsedLimit,
-        hasNext: parsedPage < totalPages,
+        hasNext,
         hasPrev: parsedPage > 1,
+        nextCursor:
+          hasNext && products.length > 0 && supportsCursor(sort, Product.CURSOR_SORT_FIELDS)
+            ? encodeCursor(products[products.length - 1], sort)
+            : null,
       },
     };
   }
@@ -5,6 +5,8 @@ const User = require("../../models/user.model");
 const slugify = require("../../utils/slugify");
 const imageUploader = require("../../utils/cloudinary-uploader.util");
 const logger = require("../../utils/logger");
+const { calculatePagination } = require("../../utils/query.util");
+const { HTTP_STATUS } = require("../../constants/httpStatus");
 
 /**
  * Seller Profile Service
@@ -540,37 +542,59 @@ class SellerProfileService {
   }
 
   /**
-   * Get all active stores with pagination
-   * @param {Object} options - Query options
+   * Validate & parse store directory filters (query string)
+   * @private
+   */
+  static _parseStoreFilters({ search, city, province, minRating, minProducts, sortBy, sortOrder }) {
+    const fail = message => {
+      const error = new Error(message);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    };
+    const text = value => (typeof value === "string" && value.trim() ? value.trim() : undefined);
+    const filters = { search: text(search), city: text(city), province: text(province) };
+
+    if (minRating !== undefined && minRating !== "") {
+      filters.minRating = parseFloat(minRating);
+      if (isNaN(filters.minRating) || filters.minRating < 0 || filters.minRating > 5) {
+        fail("minRating must be a number between 0 and 5");
+      }
+    }
+    if (minProducts !== undefined && minProducts !== "") {
+      filters.minProducts = Number(minProducts);
+      if (!Number.isInteger(filters.minProducts) || filters.minProducts < 0) {
+        fail("minProducts must be a non-negative integer");
+      }
+    }
+
+    // Default: relevansi saat mencari, selain itu toko terbaru; createdAt + sortOrder tetap didukung
+    filters.sortBy = sortBy || (filters.search ? "relevance" : "newest");
+    if (![...SellerProfile.STORE_SORT_OPTIONS, "createdAt"].includes(filters.sortBy)) {
+      fail(`Invalid sortBy. Allowed: ${SellerProfile.STORE_SORT_OPTIONS.join(", ")}`);
+    }
+    filters.sortOrder = parseInt(sortOrder) === 1 ? 1 : -1;
+
+    return filters;
+  }
+
+  /**
+   * Get all active stores: search (nama & deskripsi), filter lokasi/rating/jumlah produk, sort & pagination
+   * @param {Object} options - { page, limit, search, city, province, minRating, minProducts, sortBy, sortOrder }
    * @returns {Promise<Object>} Stores with pagination
    */
 
   static async getAllActiveStores(options = {}) {
-    const { page = 1, limit = 12, search, city, sortBy = "createdAt", sortOrder = -1 } = options;
-
-    // Get stores with pagination
-    const stores = await SellerProfile.findActiveStores({
-      page: parseInt(page),
-      limit: parseInt(limit),
-      search,
-      city,
-      sortBy,
-      sortOrder: parseInt(sortOrder),
-    });
+    const filters = this._parseStoreFilters(options);
+    const { page, limit } = calculatePagination(options.page || 1, options.limit || 12);
 
-    // Get total count for pagination
-    const totalStores = await SellerProfile.countDocuments({
-      status: "active",
-      isArchived: false,
-      deletedAt: null,
-    });
+    const { stores, total: totalStores } = await SellerProfile.searchActiveStores({ ...filters, page, limit });
 
     // Transform stores to match desired response structure
     const transformedStores = stores.map(store => {
       const safeAddress = store.address || {};
       const safeContact = store.contact || {};
       const safeStats = store.stats || {};
-      const safeOwner = store.userId || {}; // Assuming owner info is in userId
+      const safeOwner = store.owner || {};
 
       // Transform social links from array to object
       const socialLinks = safeContact.socialLinks || [];
@@ -593,7 +617,7 @@ class SellerProfileService {
           banner: store.banner,
         },
         owner: {
-          id: safeOwner._id ? safeOwner._id.toString() : null,
+          id: safeOwner.id ? safeOwner.id.toString() : null,
           username: safeOwner.username,
         },
         location: {
@@ -626,21 +650,22 @@ class SellerProfileService {
       };
     });
 
-    const parsedPage = parseInt(page);
-    const parsedLimit = parseInt(limit);
-
     return {
       stores: transformedStores,
       meta: {
         pagination: {
-          page: parsedPage,
-          pages: Math.ceil(totalStores / parsedLimit),
+          page,
+          pages: Math.ceil(totalStores / limit),
           total: totalStores,
-          limit: parsedLimit,
+          limit,
         },
         filters: {
-          city: city || null,
-          search: search || null,
+          search: filters.search || null,
+          city: filters.city || null,
+          province: filters.province || null,
+          minRating: filters.minRating ?? null,
+          minProducts: filters.minProducts ?? null,
+          sortBy: filters.sortBy,
         },
       },
     };
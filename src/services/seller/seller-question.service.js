@@ -0,0 +1,174 @@
+// seller-question.service.js - Inbox pertanyaan produk milik seller & menjawab pertanyaan
+const mongoose = require("mongoose");
+const ProductQuestion = require("../../models/product-question.model");
+const ProductQuestionService = require("../user/product-question.service");
+const NotificationService = require("../user/notification.service");
+const { calculatePagination, buildPaginationResponse } = require("../../utils/query.util");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+
+class SellerQuestionService {
+  static ANSWER_MIN_LENGTH = 2;
+  static ANSWER_MAX_LENGTH = 1000;
+  static INBOX_STATUSES = ["unanswered", "answered", "all"];
+
+  /**
+   * Validate answer text
+   * @private
+   */
+  static _validateAnswerBody(body) {
+    const text = typeof body === "string" ? body.trim() : "";
+    if (text.length < this.ANSWER_MIN_LENGTH || text.length > this.ANSWER_MAX_LENGTH) {
+      const error = new Error(MESSAGES.QUESTION.INVALID_ANSWER);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+    return text;
+  }
+
+  /**
+   * Question milik produk seller (404 jika bukan / disembunyikan admin)
+   * @private
+   */
+  static async _findSellerQuestion(sellerId, questionId) {
+    const question = mongoose.isValidObjectId(questionId)
+      ? await ProductQuestion.findOne({ _id: questionId, seller: sellerId, status: "published" })
+          .populate("product", "title slug image")
+          .populate("askedBy", "username")
+      : null;
+
+    if (!question) {
+      const error = new Error(MESSAGES.QUESTION.NOT_FOUND);
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return question;
+  }
+
+  /**
+   * Format question untuk inbox seller (+ info produk)
+   * @private
+   */
+  static _formatInboxItem(question) {
+    const product = question.product;
+
+    return {
+      ...ProductQuestionService.formatQuestion(question),
+      product:
+        product && product.title
+          ? { id: product._id.toString(), title: product.title, slug: product.slug, image: product.image || null }
+          : null,
+    };
+  }
+
+  /**
+   * Seller inbox
+   * @param {string} sellerId - Seller profile ID
+   * @param {Object} options - { status (unanswered|answered|all), productId, page, limit }
+   * @returns {Promise<Object>} { questions, summary, pagination }
+   */
+  static async getInbox(sellerId, options = {}) {
+    const { status = "unanswered", productId, page, limit } = options;
+
+    if (!this.INBOX_STATUSES.includes(status)) {
+      const error = new Error(`Invalid status. Allowed: ${this.INBOX_STATUSES.join(", ")}`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const { page: parsedPage, limit: parsedLimit, skip } = calculatePagination(page, limit);
+
+    const baseQuery = { seller: sellerId, status: "published" };
+    if (productId) {
+      if (!mongoose.isValidObjectId(productId)) {
+        const error = new Error(MESSAGES.PRODUCT.NOT_FOUND);
+        error.statusCode = HTTP_STATUS.NOT_FOUND;
+        throw error;
+      }
+      baseQuery.product = productId;
+    }
+
+    const query = { ...baseQuery };
+    if (status === "unanswered") query.answerCount = 0;
+    if (status === "answered") query.answerCount = { $gt: 0 };
+
+    const [questions, total, unanswered, answered] = await Promise.all([
+      ProductQuestion.find(query)
+        .populate("product", "title slug image")
+        .populate("askedBy", "username")
+        // Pertanyaan belum dijawab: yang paling lama menunggu duluan
+        .sort({ createdAt: status === "unanswered" ? 1 : -1 })
+        .skip(skip)
+        .limit(parsedLimit)
+        .lean(),
+      ProductQuestion.countDocuments(query),
+      ProductQuestion.countDocuments({ ...baseQuery, answerCount: 0 }),
+      ProductQuestion.countDocuments({ ...baseQuery, answerCount: { $gt: 0 } }),
+    ]);
+
+    return {
+      questions: questions.map(question => this._formatInboxItem(question)),
+      summary: { unanswered, answered },
+      pagination: buildPaginationResponse(total, parsedPage, parsedLimit),
+    };
+  }
+
+  /**
+   * Answer a question on seller's product; penanya mendapat notifikasi in-app
+   * @param {string} sellerId - Seller profile ID
+   * @param {string} userId - Seller user ID
+   * @param {string} questionId - Question ID
+   * @param {string} body - Answer text
+   * @returns {Promise<Object>} Updated question
+   */
+  static async answerQuestion(sellerId, userId, questionId, body) {
+    const text = this._validateAnswerBody(body);
+    const question = await this._findSellerQuestion(sellerId, questionId);
+
+    question.answers.push({ answeredBy: userId, seller: sellerId, body: text });
+    question.syncAnswerStats();
+    await question.save();
+
+    // askedBy null jika akun penanya sudah dihapus
+    if (question.askedBy) {
+      await NotificationService.notify(question.askedBy._id, "question_answered", {
+        title: "Your question was answered",
+        message: `The seller answered your question about ${question.product.title}.`,
+        data: {
+          productId: question.product._id.toString(),
+          slug: question.product.slug,
+          questionId: question._id.toString(),
+        },
+      });
+    }
+
+    return this._formatInboxItem(question);
+  }
+
+  /**
+   * Edit seller's own answer
+   * @param {string} sellerId - Seller profile ID
+   * @param {string} questionId - Question ID
+   * @param {string} answerId - Answer ID
+   * @param {string} body - New answer text
+   * @returns {Promise<Object>} Updated question
+   */
+  static async updateAnswer(sellerId, questionId, answerId, body) {
+    const text = this._validateAnswerBody(body);
+    const question = await this._findSellerQuestion(sellerId, questionId);
+
+    const answer = mongoose.isValidObjectId(answerId) ? question.answers.id(answerId) : null;
+    if (!answer || answer.seller.toString() !== sellerId.toString()) {
+      const error = new Error(MESSAGES.QUESTION.ANSWER_NOT_FOUND);
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    answer.body = text;
+    await question.save();
+
+    return this._formatInboxItem(question);
+  }
+}
+
+module.exports = SellerQuestionService;
@@ -0,0 +1,341 @@
+// stock-alert.service.js - Notifikasi "back in stock" untuk buyer & alert stok menipis untuk seller
+const Product = require("../models/products.model");
+const StockSubscription = require("../models/stock-subscription.model");
+const Notification = require("../models/notification.model");
+const SellerProfile = require("../models/seller-profile.model");
+const EmailService = require("./email.service");
+const { calculatePagination, buildPaginationResponse } = require("../utils/query.util");
+const logger = require("../utils/logger");
+
+class StockAlertService {
+  static NOTIFY_BATCH_SIZE = 500;
+
+  /**
+   * Label varian untuk notifikasi, mis. "M / Red"
+   * @private
+   */
+  static _variantLabel(variant) {
+    if (!variant) return null;
+    const options = variant.options instanceof Map ? Object.fromEntries(variant.options) : variant.options || {};
+    return Object.values(options).join(" / ") || variant.sku;
+  }
+
+  /**
+   * Snapshot stok sebelum update, dipakai handleStockChange untuk mendeteksi restock
+   * @param {Object} product - Product document
+   * @returns {Object} { stock, variants: Map<variantId, stock> }
+   */
+  static captureStock(product) {
+    return {
+      stock: product.stock || 0,
+      variants: new Map((product.variants || []).map(variant => [variant._id.toString(), variant.stock || 0])),
+    };
+  }
+
+  /**
+   * Subscribe to a back-in-stock notification
+   * @param {string} userId - Buyer ID
+   * @param {string} productId - Product ID
+   * @param {Object} options - { variantId, channels: { email, inApp } }
+   * @returns {Promise<Object>} Subscription
+   */
+  static async subscribe(userId, productId, options = {}) {
+    const { variantId = null, channels = {} } = options;
+
+    const product = await Product.findOne({ _id: productId, isActive: true, deletedAt: null });
+    if (!product || !product.isPublished) {
+      const error = new Error("Product not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    let variant = null;
+    if (variantId) {
+      variant = product.findVariant(variantId);
+      if (!variant) {
+        const error = new Error("Variant not found");
+        error.statusCode = 404;
+        throw error;
+      }
+    }
+
+    // Hanya produk/varian yang sedang habis
+    if ((variant || product).stock > 0) {
+      const error = new Error("Product is in stock");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const subscription = await StockSubscription.findOneAndUpdate(
+      { user: userId, product: product._id, variant: variant ? variant._id : null },
+      {
+        status: "active",
+        notifiedAt: null,
+        channels: {
+          email: channels.email !== undefined ? Boolean(channels.email) : true,
+          inApp: channels.inApp !== undefined ? Boolean(channels.inApp) : true,
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    return this.formatSubscription(subscription, product);
+  }
+
+  /**
+   * Cancel a subscription
+   * @param {string} userId - Buyer ID
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<boolean>} true jika dibatalkan
+   */
+  static async unsubscribe(userId, subscriptionId) {
+    const subscription = await StockSubscription.findOneAndUpdate(
+      { _id: subscriptionId, user: userId, status: "active" },
+      { status: "cancelled" }
+    );
+
+    return !!subscription;
+  }
+
+  /**
+   * Get buyer's subscriptions
+   * @param {string} userId - Buyer ID
+   * @param {Object} options - { status, page, limit }
+   * @returns {Promise<Object>} { subscriptions, pagination }
+   */
+  static async getUserSubscriptions(userId, options = {}) {
+    const { status = "active", page, limit } = options;
+    const { page: parsedPage, limit: parsedLimit, skip } = calculatePagination(page, limit);
+
+    const query = { user: userId };
+    if (status !== "all") {
+      query.status = status;
+    }
+
+    const [subscriptions, total] = await Promise.all([
+      StockSubscription.find(query)
+        .populate("product", "title slug image stock variants isActive")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parsedLimit)
+        .lean(),
+      StockSubscription.countDocuments(query),
+    ]);
+
+    return {
+      subscriptions: subscriptions.map(subscription => this.formatSubscription(subscription, subscription.product)),
+      pagination: buildPaginationResponse(total, parsedPage, parsedLimit),
+    };
+  }
+
+  /**
+   * Format subscription response
+   * @param {Object} subscription - Subscription document / lean object
+   * @param {Object|null} product - Product (populated)
+   * @returns {Object} Formatted subscription
+   */
+  static formatSubscription(subscription, product) {
+    const variant =
+      product && subscription.variant
+        ? (product.variants || []).find(item => item._id.toString() === subscription.variant.toString())
+        : null;
+
+    return {
+      id: subscription._id.toString(),
+      status: subscription.status,
+      channels: {
+        email: subscription.channels?.email !== false,
+        inApp: subscription.channels?.inApp !== false,
+      },
+      product: product
+        ? {
+            id: product._id.toString(),
+            title: product.title,
+            slug: product.slug,
+            image: product.image || null,
+            inStock: (variant || product).stock > 0,
+          }
+        : null,
+      variant: variant
+        ? {
+            id: variant._id.toString(),
+            sku: variant.sku,
+            label: this._variantLabel(variant),
+          }
+        : null,
+      notifiedAt: subscription.notifiedAt || null,
+      createdAt: subscription.createdAt,
+    };
+  }
+
+  /**
+   * Dipanggil setelah seller update produk: kirim back-in-stock & cek stok menipis
+   * @param {Object} product - Saved product document
+   * @param {Object} previous - Hasil captureStock() sebelum update
+   * @returns {Promise<void>}
+   */
+  static async handleStockChange(product, previous) {
+    if (product.isActive && product.isPublished) {
+      const restockedVariants = (product.variants || [])
+        .filter(variant => variant.stock > 0 && previous.variants.get(variant._id.toString()) === 0)
+        .map(variant => variant._id);
+
+      // Produk tanpa varian (atau subscribe tanpa pilih varian) -> stok total
+      if (previous.stock === 0 && product.stock > 0) {
+        await this._notifySubscribers(product, null);
+      }
+      for (const variantId of restockedVariants) {
+        await this._notifySubscribers(product, variantId);
+      }
+    }
+
+    await this.checkLowStock(product._id);
+  }
+
+  /**
+   * Kirim notifikasi ke subscriber aktif; status di-flip atomik agar tidak terkirim dua kali
+   * @private
+   */
+  static async _notifySubscribers(product, variantId) {
+    const variant = variantId ? product.findVariant(variantId) : null;
+    const variantLabel = this._variantLabel(variant);
+    const title = variantLabel ? `${product.title} (${variantLabel})` : product.title;
+
+    let notified = 0;
+    let lastId = null;
+
+    // Batch berdasarkan _id sampai semua subscriber aktif terproses
+    for (;;) {
+      const query = { product: product._id, variant: variantId, status: "active" };
+      if (lastId) query._id = { $gt: lastId };
+
+      const subscriptions = await StockSubscription.find(query)
+        .populate("user", "username email isActive")
+        .sort({ _id: 1 })
+        .limit(this.NOTIFY_BATCH_SIZE);
+      if (subscriptions.length === 0) break;
+      lastId = subscriptions[subscriptions.length - 1]._id;
+
+      for (const subscription of subscriptions) {
+        // Akun nonaktif dilewati; langganannya tetap aktif
+        if (subscription.user && subscription.user.isActive === false) continue;
+
+        const claimed = await StockSubscription.findOneAndUpdate(
+          { _id: subscription._id, status: "active" },
+          { status: "notified", notifiedAt: new Date() }
+        );
+        if (!claimed || !subscription.user) continue;
+
+        if (subscription.channels?.inApp !== false) {
+          await Notification.create({
+            user: subscription.user._id,
+            type: "back_in_stock",
+            title: "Back in stock",
+            message: `${title} is available again.`,
+            data: {
+              productId: product._id.toString(),
+              slug: product.slug,
+              variantId: variantId ? variantId.toString() : null,
+            },
+          });
+        }
+
+        if (subscription.channels?.email !== false) {
+          // EmailService tidak pernah throw; gagal kirim cukup di-log
+          await EmailService.sendBackInStockNotification(subscription.user, {
+            title: product.title,
+            slug: product.slug,
+            image: (variant && variant.image) || product.image,
+            variantLabel,
+          });
+        }
+
+        notified++;
+      }
+    }
+
+    if (notified > 0) {
+      logger.info(`📦 Back in stock: notified ${notified} subscriber(s) of ${title}`);
+    }
+
+    return notified;
+  }
+
+  /**
+   * Cek stok menipis; alert dikirim sekali per penurunan dan di-reset saat stok kembali di atas threshold
+   * @param {string} productId - Product ID
+   * @returns {Promise<boolean>} true jika alert dikirim
+   */
+  static async checkLowStock(productId) {
+    const product = await Product.findOne({ _id: productId, deletedAt: null })
+      .select("title slug stock lowStockThreshold lowStockAlertedAt sellerId")
+      .lean();
+    if (!product) return false;
+
+    const threshold = product.lowStockThreshold ?? 5;
+
+    if (product.stock > threshold) {
+      if (product.lowStockAlertedAt) {
+        await Product.updateOne({ _id: product._id }, { lowStockAlertedAt: null });
+      }
+      return false;
+    }
+
+    // Claim atomik: request paralel (mis. beberapa order sekaligus) tidak mengirim alert ganda
+    const claimed = await Product.updateOne(
+      { _id: product._id, lowStockAlertedAt: null },
+      { lowStockAlertedAt: new Date() }
+    );
+    if (claimed.modifiedCount !== 1) return false;
+
+    await this._alertSeller(product);
+    return true;
+  }
+
+  /**
+   * Jalankan checkLowStock untuk beberapa produk tanpa menggagalkan request pemanggil
+   * @param {Array} productIds - Product IDs
+   */
+  static checkLowStockInBackground(productIds) {
+    const uniqueIds = [...new Set(productIds.map(id => id.toString()))];
+
+    Promise.all(uniqueIds.map(id => this.checkLowStock(id))).catch(error => {
+      logger.error("Low stock check failed:", error);
+    });
+  }
+
+  /**
+   * Kirim alert in-app + email ke seller
+   * @private
+   */
+  static async _alertSeller(product) {
+    const sellerProfile = await SellerProfile.findById(product.sellerId).populate("userId", "username email");
+    if (!sellerProfile || !sellerProfile.userId) return;
+
+    const isOutOfStock = product.stock === 0;
+    const threshold = product.lowStockThreshold ?? 5;
+
+    await Notification.create({
+      user: sellerProfile.userId._id,
+      type: isOutOfStock ? "out_of_stock" : "low_stock",
+      title: isOutOfStock ? "Out of stock" : "Low stock",
+      message: isOutOfStock
+        ? `${product.title} is out of stock.`
+        : `${product.title} has only ${product.stock} item(s) left (threshold ${threshold}).`,
+      data: {
+        productId: product._id.toString(),
+        slug: product.slug,
+        stock: product.stock,
+        lowStockThreshold: threshold,
+      },
+    });
+
+    await EmailService.sendLowStockAlert(sellerProfile.userId, [
+      { title: product.title, stock: product.stock, lowStockThreshold: threshold },
+    ]);
+
+    logger.info(`⚠️ Low stock alert sent for ${product.title} (stock ${product.stock})`);
+  }
+}
+
+module.exports = StockAlertService;
@@ -0,0 +1,326 @@
+// feed.service.js - Riwayat produk yang dilihat & home feed personal
+const mongoose = require("mongoose");
+const Product = require("../../models/products.model");
+const ProductView = require("../../models/product-view.model");
+const Wishlist = require("../../models/wishlist.model");
+const SellerProfile = require("../../models/seller-profile.model");
+const StoreFollowService = require("./store-follow.service");
+const { formatPricing } = require("../../utils/product-pricing.util");
+const { calculatePagination, buildPaginationResponse } = require("../../utils/query.util");
+
+class FeedService {
+  static PRODUCT_SELECT = [
+    "title slug image price stock variants sales compareAtPrice rating reviews",
+    "category sellerId isActive publishStatus deletedAt",
+  ].join(" ");
+  static MAX_FEED_SIZE = 200;
+  static SOURCE_LIMIT = 60;
+  static RECENT_VIEWS_WINDOW = 20;
+  static MAX_CATEGORIES_PER_SOURCE = 5;
+  static TRENDING_DAYS = 7;
+  // Urutan round-robin saat menggabungkan sumber feed
+  static SOURCES = ["recently_viewed_category", "wishlist_category", "followed_store", "trending"];
+
+  /**
+   * Filter viewer: user login atau guest session
+   * @private
+   */
+  static _viewerFilter(viewer = {}) {
+    if (viewer.userId) return { user: viewer.userId };
+    if (viewer.sessionId) return { sessionId: viewer.sessionId };
+    return null;
+  }
+
+  /**
+   * Produk yang terlihat publik & masih bisa dibeli
+   * @private
+   */
+  static _availableQuery() {
+    return {
+      isActive: true,
+      deletedAt: null,
+      publishStatus: { $nin: ["draft", "scheduled"] },
+      stock: { $gt: 0 },
+    };
+  }
+
+  /**
+   * Product card untuk feed & recently viewed
+   * @param {Object} product - Product (lean, category & sellerId boleh di-populate)
+   * @returns {Object} Product card
+   */
+  static formatProductCard(product) {
+    const pricing = formatPricing(product);
+
+    return {
+      id: product._id.toString(),
+      title: product.title,
+      slug: product.slug,
+      image: product.image || null,
+      price: pricing.price,
+      originalPrice: pricing.originalPrice,
+      discountPercent: pricing.discountPercent,
+      category: product.category?.name ? { id: product.category._id.toString(), name: product.category.name } : null,
+      seller: product.sellerId?.storeName
+        ? {
+            id: product.sellerId._id.toString(),
+            name: product.sellerId.storeName,
+            slug: product.sellerId.storeSlug,
+            logo: product.sellerId.logo || null,
+          }
+        : null,
+      rating: product.rating || 0,
+      reviews: product.reviews || 0,
+      inStock: (product.stock || 0) > 0,
+    };
+  }
+
+  /**
+   * Find products with category & seller populated
+   * @private
+   */
+  static _findProducts(query, sort, limit) {
+    return Product.find(query)
+      .select(this.PRODUCT_SELECT)
+      .populate("category", "name")
+      .populate("sellerId", "storeName storeSlug logo")
+      .sort(sort)
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Record a product view (dipanggil setelah response detail produk terkirim)
+   * @param {Object} viewer - { userId, sessionId }
+   * @param {string} identifier - Product slug atau ObjectId
+   * @returns {Promise<boolean>} true jika tercatat
+   */
+  static async recordView(viewer, identifier) {
+    const viewerFilter = this._viewerFilter(viewer);
+    if (!viewerFilter || !identifier) return false;
+
+    const product = await Product.findOne(
+      mongoose.isValidObjectId(identifier) && /^[0-9a-fA-F]{24}$/.test(identifier)
+        ? { _id: identifier }
+        : { slug: identifier }
+    )
+      .select("_id category sellerId")
+      .lean();
+    if (!product) return false;
+
+    const filter = { ...viewerFilter, product: product._id };
+    const update = {
+      $set: { category: product.category || null, seller: product.sellerId || null, lastViewedAt: new Date() },
+      $inc: { viewCount: 1 },
+    };
+
+    try {
+      await ProductView.updateOne(filter, update, { upsert: true });
+    } catch (error) {
+      // Dua view paralel pertama kali: upsert kedua bentrok unique index -> ulangi sebagai update
+      if (error.code !== 11000) throw error;
+      await ProductView.updateOne(filter, update);
+    }
+
+    return true;
+  }
+
+  /**
+   * Recently viewed products of a user
+   * @param {string} userId - User ID
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { items, pagination }
+   */
+  static async getRecentlyViewed(userId, options = {}) {
+    const { page: parsedPage, limit: parsedLimit, skip } = calculatePagination(options.page, options.limit);
+
+    const [views, total] = await Promise.all([
+      ProductView.find({ user: userId })
+        .sort({ lastViewedAt: -1 })
+        .skip(skip)
+        .limit(parsedLimit)
+        .populate({
+          path: "product",
+          select: this.PRODUCT_SELECT,
+          populate: [
+            { path: "category", select: "name" },
+            { path: "sellerId", select: "storeName storeSlug logo" },
+          ],
+        })
+        .lean(),
+      ProductView.countDocuments({ user: userId }),
+    ]);
+
+    return {
+      items: views.map(view => {
+        const product = view.product;
+        const isAvailable =
+          !!product &&
+          product.isActive &&
+          !product.deletedAt &&
+          !["draft", "scheduled"].includes(product.publishStatus);
+
+        return {
+          product: isAvailable ? this.formatProductCard(product) : null,
+          isAvailable,
+          viewCount: view.viewCount,
+          lastViewedAt: view.lastViewedAt,
+        };
+      }),
+      pagination: buildPaginationResponse(total, parsedPage, parsedLimit),
+    };
+  }
+
+  /**
+   * Clear view history of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of removed entries
+   */
+  static async clearRecentlyViewed(userId) {
+    const result = await ProductView.deleteMany({ user: userId });
+    return result.deletedCount;
+  }
+
+  /**
+   * Trending: produk dengan viewer unik terbanyak dalam TRENDING_DAYS terakhir
+   * Fallback ke produk rating tertinggi jika belum ada data view
+   * @private
+   */
+  static async _getTrendingProducts(baseQuery) {
+    const since = new Date(Date.now() - this.TRENDING_DAYS * 24 * 60 * 60 * 1000);
+    const excluded = baseQuery._id?.$nin || [];
+
+    const trending = await ProductView.aggregate([
+      { $match: { lastViewedAt: { $gte: since }, product: { $nin: excluded } } },
+      { $group: { _id: "$product", viewers: { $sum: 1 } } },
+      { $sort: { viewers: -1, _id: -1 } },
+      { $limit: this.SOURCE_LIMIT * 2 },
+    ]);
+
+    if (trending.length === 0) {
+      return this._findProducts(baseQuery, { rating: -1, reviews: -1, _id: -1 }, this.SOURCE_LIMIT);
+    }
+
+    const rank = new Map(trending.map((row, index) => [row._id.toString(), index]));
+    const products = await this._findProducts(
+      { ...baseQuery, _id: { $in: trending.map(row => row._id) } },
+      { _id: -1 },
+      this.SOURCE_LIMIT * 2
+    );
+
+    return products
+      .sort((a, b) => rank.get(a._id.toString()) - rank.get(b._id.toString()))
+      .slice(0, this.SOURCE_LIMIT);
+  }
+
+  /**
+   * Personalized home feed
+   * Gabungan (round-robin, tanpa duplikat) dari: kategori yang baru dilihat, kategori wishlist,
+   * toko yang di-follow, dan produk trending. Guest hanya mendapat kategori yang baru dilihat + trending.
+   * @param {Object} viewer - { userId, sessionId }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { items, sources, pagination }
+   */
+  static async getFeed(viewer = {}, options = {}) {
+    const { page: parsedPage, limit: parsedLimit, skip } = calculatePagination(options.page, options.limit);
+    const viewerFilter = this._viewerFilter(viewer);
+    const userId = viewer.userId || null;
+
+    const [recentViews, wishlists, followedSellerIds, ownStore] = await Promise.all([
+      viewerFilter
+        ? ProductView.find(viewerFilter)
+            .sort({ lastViewedAt: -1 })
+            .limit(this.RECENT_VIEWS_WINDOW)
+            .select("product category")
+            .lean()
+        : [],
+      userId ? Wishlist.find({ user: userId }).select("items.product").lean() : [],
+      userId ? StoreFollowService.getFollowedSellerIds(userId) : [],
+      userId ? SellerProfile.findOne({ userId }).select("_id").lean() : null,
+    ]);
+
+    const uniqueIds = ids => [...new Map(ids.filter(Boolean).map(id => [id.toString(), id])).values()];
+
+    const wishlistProductIds = uniqueIds(wishlists.flatMap(list => list.items.map(item => item.product)));
+    const wishlistProducts = wishlistProductIds.length
+      ? await Product.find({ _id: { $in: wishlistProductIds } }).select("category").lean()
+      : [];
+
+    const recentCategoryIds = uniqueIds(recentViews.map(view => view.category)).slice(
+      0,
+      this.MAX_CATEGORIES_PER_SOURCE
+    );
+    const wishlistCategoryIds = uniqueIds(wishlistProducts.map(product => product.category)).slice(
+      0,
+      this.MAX_CATEGORIES_PER_SOURCE
+    );
+
+    // Produk yang baru dilihat / sudah di wishlist dan produk toko sendiri tidak ditampilkan lagi
+    const baseQuery = {
+      ...this._availableQuery(),
+      _id: { $nin: uniqueIds([...recentViews.map(view => view.product), ...wishlistProductIds]) },
+    };
+    const notOwnStore = ownStore ? { sellerId: { $ne: ownStore._id } } : {};
+    const followedIds = followedSellerIds.filter(id => !ownStore || id.toString() !== ownStore._id.toString());
+    const bestRated = { rating: -1, reviews: -1, _id: -1 };
+
+    const [recentCategoryProducts, wishlistCategoryProducts, followedStoreProducts, trendingProducts] =
+      await Promise.all([
+        recentCategoryIds.length
+          ? this._findProducts(
+              { ...baseQuery, ...notOwnStore, category: { $in: recentCategoryIds } },
+              bestRated,
+              this.SOURCE_LIMIT
+            )
+          : [],
+        wishlistCategoryIds.length
+          ? this._findProducts(
+              { ...baseQuery, ...notOwnStore, category: { $in: wishlistCategoryIds } },
+              bestRated,
+              this.SOURCE_LIMIT
+            )
+          : [],
+        followedIds.length
+          ? this._findProducts(
+              { ...baseQuery, sellerId: { $in: followedIds } },
+              { createdAt: -1, _id: -1 },
+              this.SOURCE_LIMIT
+            )
+          : [],
+        this._getTrendingProducts({ ...baseQuery, ...notOwnStore }),
+      ]);
+
+    const sourceLists = {
+      recently_viewed_category: recentCategoryProducts,
+      wishlist_category: wishlistCategoryProducts,
+      followed_store: followedStoreProducts,
+      trending: trendingProducts,
+    };
+
+    // Round-robin agar sumber tercampur; produk yang muncul di beberapa sumber hanya diambil sekali
+    const seen = new Set();
+    const feed = [];
+    const longest = Math.max(...Object.values(sourceLists).map(list => list.length));
+
+    for (let index = 0; index < longest && feed.length < this.MAX_FEED_SIZE; index++) {
+      for (const source of this.SOURCES) {
+        const product = sourceLists[source][index];
+        if (!product || seen.has(product._id.toString())) continue;
+
+        seen.add(product._id.toString());
+        feed.push({ reason: source, product: this.formatProductCard(product) });
+        if (feed.length >= this.MAX_FEED_SIZE) break;
+      }
+    }
+
+    return {
+      items: feed.slice(skip, skip + parsedLimit),
+      sources: Object.fromEntries(
+        this.SOURCES.map(source => [source, feed.filter(item => item.reason === source).length])
+      ),
+      pagination: buildPaginationResponse(feed.length, parsedPage, parsedLimit),
+    };
+  }
+}
+
+module.exports = FeedService;
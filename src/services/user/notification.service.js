@@ -0,0 +1,99 @@
+// notification.service.js - Notifikasi in-app milik user (buyer & seller)
+const Notification = require("../../models/notification.model");
+const { calculatePagination, buildPaginationResponse } = require("../../utils/query.util");
+const logger = require("../../utils/logger");
+
+class NotificationService {
+  /**
+   * Format notification response
+   * @param {Object} notification - Notification document / lean object
+   * @returns {Object} Formatted notification
+   */
+  static formatNotification(notification) {
+    return {
+      id: notification._id.toString(),
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data || {},
+      isRead: !!notification.readAt,
+      readAt: notification.readAt || null,
+      createdAt: notification.createdAt,
+    };
+  }
+
+  /**
+   * Create an in-app notification; gagal simpan hanya di-log agar tidak menggagalkan aksi utama
+   * @param {string} userId - Recipient user ID
+   * @param {string} type - Notification type
+   * @param {Object} content - { title, message, data }
+   * @returns {Promise<Object|null>} Created notification or null
+   */
+  static async notify(userId, type, { title, message, data = {} }) {
+    try {
+      return await Notification.create({ user: userId, type, title, message, data });
+    } catch (error) {
+      logger.error(`Failed to create ${type} notification for user ${userId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get user's notifications (terbaru dulu)
+   * @param {string} userId - User ID
+   * @param {Object} options - { unreadOnly, type, page, limit }
+   * @returns {Promise<Object>} { notifications, unreadCount, pagination }
+   */
+  static async getNotifications(userId, options = {}) {
+    const { unreadOnly, type, page, limit } = options;
+    const { page: parsedPage, limit: parsedLimit, skip } = calculatePagination(page, limit);
+
+    const query = { user: userId };
+    if (unreadOnly === true || unreadOnly === "true") {
+      query.readAt = null;
+    }
+    if (type) {
+      query.type = type;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).skip(skip).limit(parsedLimit).lean(),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user: userId, readAt: null }),
+    ]);
+
+    return {
+      notifications: notifications.map(notification => this.formatNotification(notification)),
+      unreadCount,
+      pagination: buildPaginationResponse(total, parsedPage, parsedLimit),
+    };
+  }
+
+  /**
+   * Mark a notification as read
+   * @param {string} userId - User ID
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<Object|null>} Updated notification or null if not found
+   */
+  static async markAsRead(userId, notificationId) {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, user: userId },
+      [{ $set: { readAt: { $ifNull: ["$readAt", "$$NOW"] } } }],
+      { new: true }
+    ).lean();
+
+    return notification ? this.formatNotification(notification) : null;
+  }
+
+  /**
+   * Mark all unread notifications as read
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Updated count
+   */
+  static async markAllAsRead(userId) {
+    const result = await Notification.updateMany({ user: userId, readAt: null }, { readAt: new Date() });
+    return result.modifiedCount;
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,250 @@
+// product-question.service.js - Tanya jawab produk: listing publik, bertanya & upvote jawaban
+const mongoose = require("mongoose");
+const Product = require("../../models/products.model");
+const ProductQuestion = require("../../models/product-question.model");
+const SellerProfile = require("../../models/seller-profile.model");
+const NotificationService = require("./notification.service");
+const { calculatePagination, buildPaginationResponse } = require("../../utils/query.util");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+
+class ProductQuestionService {
+  static QUESTION_MIN_LENGTH = 10;
+  static QUESTION_MAX_LENGTH = 500;
+  static SORT_OPTIONS = {
+    newest: { createdAt: -1 },
+    helpful: { helpfulCount: -1, createdAt: -1 },
+    answered: { lastAnsweredAt: -1, createdAt: -1 },
+  };
+
+  /**
+   * Throw error dengan status code (ditangani asyncHandler)
+   * @private
+   */
+  static _fail(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  /**
+   * Produk yang terlihat publik (aktif, published, tidak dihapus)
+   * @private
+   */
+  static async _findVisibleProduct(productId) {
+    if (!mongoose.isValidObjectId(productId)) {
+      this._fail(MESSAGES.PRODUCT.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const product = await Product.findOne({ _id: productId, isActive: true, deletedAt: null });
+    if (!product || !product.isPublished) {
+      this._fail(MESSAGES.PRODUCT.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return product;
+  }
+
+  /**
+   * Format question for API responses
+   * @param {Object} question - Question document / lean object (askedBy boleh di-populate)
+   * @param {Object} options - { viewerId, includeHidden }
+   * @returns {Object} Formatted question
+   */
+  static formatQuestion(question, options = {}) {
+    const { viewerId = null, includeHidden = false } = options;
+    const viewer = viewerId ? viewerId.toString() : null;
+
+    const formatModeration = item =>
+      includeHidden
+        ? {
+            status: item.status,
+            moderatedBy: item.moderatedBy || null,
+            moderatedAt: item.moderatedAt || null,
+            moderationReason: item.moderationReason || null,
+          }
+        : {};
+
+    const answers = (question.answers || [])
+      .filter(answer => includeHidden || answer.status === "published")
+      .sort((a, b) => (b.upvoteCount || 0) - (a.upvoteCount || 0) || new Date(a.createdAt) - new Date(b.createdAt))
+      .map(answer => ({
+        id: answer._id.toString(),
+        body: answer.body,
+        isSellerAnswer: true,
+        upvoteCount: answer.upvoteCount || 0,
+        hasUpvoted: viewer ? (answer.upvotedBy || []).some(userId => userId.toString() === viewer) : false,
+        ...formatModeration(answer),
+        createdAt: answer.createdAt,
+        updatedAt: answer.updatedAt,
+      }));
+
+    const askedBy = question.askedBy;
+
+    return {
+      id: question._id.toString(),
+      productId: (question.product?._id || question.product).toString(),
+      body: question.body,
+      askedBy:
+        askedBy && askedBy.username
+          ? { id: askedBy._id.toString(), username: askedBy.username }
+          : { id: askedBy ? askedBy.toString() : null, username: null },
+      isAnswered: (question.answerCount || 0) > 0,
+      answerCount: question.answerCount || 0,
+      helpfulCount: question.helpfulCount || 0,
+      answers,
+      ...formatModeration(question),
+      lastAnsweredAt: question.lastAnsweredAt || null,
+      createdAt: question.createdAt,
+    };
+  }
+
+  /**
+   * Public question listing of a product
+   * @param {string} productId - Product ID
+   * @param {Object} options - { page, limit, sortBy (newest|helpful|answered), answeredOnly }
+   * @returns {Promise<Object>} { questions, pagination }
+   */
+  static async getProductQuestions(productId, options = {}) {
+    const { page, limit, sortBy = "newest", answeredOnly } = options;
+
+    if (!this.SORT_OPTIONS[sortBy]) {
+      this._fail(
+        `Invalid sortBy. Allowed: ${Object.keys(this.SORT_OPTIONS).join(", ")}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const product = await this._findVisibleProduct(productId);
+    const { page: parsedPage, limit: parsedLimit, skip } = calculatePagination(page, limit);
+
+    const query = { product: product._id, status: "published" };
+    if (answeredOnly === true || answeredOnly === "true") {
+      query.answerCount = { $gt: 0 };
+    }
+
+    const [questions, total] = await Promise.all([
+      ProductQuestion.find(query)
+        .populate("askedBy", "username")
+        .sort(this.SORT_OPTIONS[sortBy])
+        .skip(skip)
+        .limit(parsedLimit)
+        .lean(),
+      ProductQuestion.countDocuments(query),
+    ]);
+
+    return {
+      questions: questions.map(question => this.formatQuestion(question)),
+      pagination: buildPaginationResponse(total, parsedPage, parsedLimit),
+    };
+  }
+
+  /**
+   * Ask a question on a product; seller pemilik produk mendapat notifikasi in-app
+   * @param {Object} user - Logged in user
+   * @param {string} productId - Product ID
+   * @param {string} body - Question text
+   * @returns {Promise<Object>} Created question
+   */
+  static async askQuestion(user, productId, body) {
+    const text = typeof body === "string" ? body.trim() : "";
+    if (text.length < this.QUESTION_MIN_LENGTH || text.length > this.QUESTION_MAX_LENGTH) {
+      this._fail(MESSAGES.QUESTION.INVALID_BODY, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const product = await this._findVisibleProduct(productId);
+
+    // Cegah pertanyaan ganda (double submit)
+    const duplicate = await ProductQuestion.exists({ product: product._id, askedBy: user._id, body: text });
+    if (duplicate) {
+      this._fail(MESSAGES.QUESTION.DUPLICATE, HTTP_STATUS.CONFLICT);
+    }
+
+    const question = await ProductQuestion.create({
+      product: product._id,
+      seller: product.sellerId,
+      askedBy: user._id,
+      body: text,
+    });
+
+    const sellerProfile = await SellerProfile.findById(product.sellerId).select("userId").lean();
+    if (sellerProfile) {
+      await NotificationService.notify(sellerProfile.userId, "new_question", {
+        title: "New product question",
+        message: `${user.username} asked about ${product.title}: "${text}"`,
+        data: { productId: product._id.toString(), slug: product.slug, questionId: question._id.toString() },
+      });
+    }
+
+    question.askedBy = user;
+    return this.formatQuestion(question, { viewerId: user._id });
+  }
+
+  /**
+   * Delete own question
+   * @param {string} userId - Logged in user ID
+   * @param {string} productId - Product ID
+   * @param {string} questionId - Question ID
+   * @returns {Promise<boolean>} true jika dihapus
+   */
+  static async deleteOwnQuestion(userId, productId, questionId) {
+    if (!mongoose.isValidObjectId(questionId)) return false;
+
+    const result = await ProductQuestion.deleteOne({ _id: questionId, product: productId, askedBy: userId });
+    return result.deletedCount === 1;
+  }
+
+  /**
+   * Upvote / remove upvote of an answer (satu vote per user, atomik)
+   * @param {string} userId - Logged in user ID
+   * @param {string} productId - Product ID
+   * @param {string} questionId - Question ID
+   * @param {string} answerId - Answer ID
+   * @param {boolean} upvote - true = upvote, false = hapus upvote
+   * @returns {Promise<Object>} { answerId, upvoteCount, hasUpvoted }
+   */
+  static async setAnswerUpvote(userId, productId, questionId, answerId, upvote = true) {
+    if (![productId, questionId, answerId].every(id => mongoose.isValidObjectId(id))) {
+      this._fail(MESSAGES.QUESTION.ANSWER_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const question = await ProductQuestion.findOne({
+      _id: questionId,
+      product: productId,
+      status: "published",
+    }).select("answers._id answers.answeredBy answers.status");
+
+    const answer = question ? question.answers.id(answerId) : null;
+    if (!answer || answer.status !== "published") {
+      this._fail(MESSAGES.QUESTION.ANSWER_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (answer.answeredBy.toString() === userId.toString()) {
+      this._fail(MESSAGES.QUESTION.CANNOT_UPVOTE_OWN, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    // Guard `$ne`/`$eq` membuat request berulang idempotent
+    const voterMatch = upvote ? { $ne: userId } : userId;
+    const delta = upvote ? 1 : -1;
+
+    await ProductQuestion.updateOne(
+      {
+        _id: question._id,
+        answers: { $elemMatch: { _id: answer._id, upvotedBy: voterMatch } },
+      },
+      {
+        [upvote ? "$addToSet" : "$pull"]: { "answers.$.upvotedBy": userId },
+        $inc: { "answers.$.upvoteCount": delta, helpfulCount: delta },
+      }
+    );
+
+    const updated = await ProductQuestion.findById(question._id).select("answers").lean();
+    const updatedAnswer = updated.answers.find(item => item._id.toString() === answer._id.toString());
+
+    return {
+      answerId: answer._id.toString(),
+      upvoteCount: updatedAnswer.upvoteCount || 0,
+      hasUpvoted: (updatedAnswer.upvotedBy || []).some(id => id.toString() === userId.toString()),
+    };
+  }
+}
+
+module.exports = ProductQuestionService;
@@ -0,0 +1,97 @@
+// product-report.service.js - Buyer melaporkan listing yang palsu / terlarang
+const mongoose = require("mongoose");
+const Product = require("../../models/products.model");
+const ProductReport = require("../../models/product-report.model");
+const SellerProfile = require("../../models/seller-profile.model");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+const logger = require("../../utils/logger");
+
+class ProductReportService {
+  /**
+   * Throw error dengan status code (ditangani asyncHandler)
+   * @private
+   */
+  static _fail(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  /**
+   * Format report for API responses
+   * @param {Object} report - Report document / lean object (reporter boleh di-populate)
+   * @returns {Object} Formatted report
+   */
+  static formatReport(report) {
+    const reporter = report.reporter;
+
+    return {
+      id: report._id.toString(),
+      productId: (report.product?._id || report.product).toString(),
+      reason: report.reason,
+      details: report.details || null,
+      status: report.status,
+      reporter:
+        reporter && reporter.username
+          ? { id: reporter._id.toString(), username: reporter.username, email: reporter.email }
+          : { id: reporter ? reporter.toString() : null },
+      resolvedBy: report.resolvedBy || null,
+      resolvedAt: report.resolvedAt || null,
+      createdAt: report.createdAt,
+    };
+  }
+
+  /**
+   * Report a listing
+   * @param {string} userId - Reporter user ID
+   * @param {string} productId - Product ID
+   * @param {Object} payload - { reason, details }
+   * @returns {Promise<Object>} Created report
+   */
+  static async reportProduct(userId, productId, { reason, details } = {}) {
+    if (!ProductReport.REASONS.includes(reason)) {
+      this._fail(`Invalid reason. Allowed: ${ProductReport.REASONS.join(", ")}`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const text = typeof details === "string" ? details.trim() : "";
+    if (reason === "other" && !text) {
+      this._fail(MESSAGES.PRODUCT_REPORT.DETAILS_REQUIRED, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const product = mongoose.isValidObjectId(productId)
+      ? await Product.findOne({ _id: productId, deletedAt: null }).select("_id sellerId title").lean()
+      : null;
+    if (!product) {
+      this._fail(MESSAGES.PRODUCT.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const ownStore = await SellerProfile.exists({ _id: product.sellerId, userId });
+    if (ownStore) {
+      this._fail(MESSAGES.PRODUCT_REPORT.CANNOT_REPORT_OWN, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    let report;
+    try {
+      report = await ProductReport.create({
+        product: product._id,
+        seller: product.sellerId,
+        reporter: userId,
+        reason,
+        details: text || null,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        this._fail(MESSAGES.PRODUCT_REPORT.ALREADY_REPORTED, HTTP_STATUS.CONFLICT);
+      }
+      throw error;
+    }
+
+    await Product.updateOne({ _id: product._id }, { $inc: { openReportCount: 1 } });
+
+    logger.info(`🚩 Product ${product._id} reported by user ${userId} (${reason})`);
+
+    return this.formatReport(report);
+  }
+}
+
+module.exports = ProductReportService;
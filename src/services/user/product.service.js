@@ -1,5 +1,8 @@
 // services/productService.js - REFACTORED VERSION
 const Product = require("../../models/products.model");
+const Category = require("../../models/category.model");
+const ProductPriceHistory = require("../../models/product-price-history.model");
+const ProductRecommendationService = require("../product-recommendation.service");
 const mongoose = require("mongoose");
 const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
 const {
@@ -9,7 +12,24 @@ const {
   buildCategoryFilter,
   buildPriceFilter,
   validateQueryParams,
+  withCursorTieBreaker,
+  encodeCursor,
+  buildCursorFilter,
+  supportsCursor,
+  buildCursorPage,
 } = require("../../utils/query.util");
+const { formatGallery } = require("../../utils/product-gallery.util");
+const {
+  REFERENCE_PRICE_DAYS,
+  getActiveSale,
+  applySale,
+  formatPricing,
+} = require("../../utils/product-pricing.util");
+const {
+  buildAttributeFilters,
+  combineAttributeFilters,
+  toPlainAttributes,
+} = require("../../utils/product-attribute.util");
 const logger = require("../../utils/logger");
 
 class ProductService {
@@ -26,6 +46,8 @@ class ProductService {
     "isActive",
     "rating",
     "inStock",
+    "attr",
+    "cursor",
   ];
 
   static DEFAULT_PARAMS = {
@@ -40,6 +62,10 @@ class ProductService {
   static MAX_LIMIT = 50; // Maksimum 50 items per request
   static MIN_LIMIT = 1; // Minimum 1 item
 
+  // Batas jumlah produk di halaman perbandingan
+  static MIN_COMPARE_PRODUCTS = 2;
+  static MAX_COMPARE_PRODUCTS = 4;
+
   /**
    * OPTIMIZED: Get all products with single aggregation pipeline for category queries
    * @param {Object} params - Query parameters
@@ -70,10 +96,22 @@ class ProductService {
 
       const { page, limit, sortBy, sortOrder } = paginationParams; // Use sanitized params
       const { page: parsedPage, limit: parsedLimit, skip } = calculatePagination(page, limit);
-      const sort = buildSortObject(sortBy, sortOrder);
+      const sort = withCursorTieBreaker(buildSortObject(sortBy, sortOrder));
+
+      // Cursor mode: lanjut setelah item terakhir halaman sebelumnya (tanpa skip & tanpa total count)
+      const { cursor } = sanitizedParams;
+      const cursorFilter = cursor ? buildCursorFilter(cursor, sort, Product.CURSOR_SORT_FIELDS) : null;
 
       let products, total;
 
+      // Facet counts per attribute dihitung paralel dengan query produk
+      const loadFacets = () =>
+        Product.getAttributeFacets(
+          queryResult.facetStages,
+          queryResult.attributeFilters,
+          queryResult.attributeDefinitions
+        );
+
       // OPTIMIZATION: Use aggregation pipeline for category queries
       if (queryResult.useAggregation && queryResult.pipeline) {
         // Single aggregation pipeline for category-based queries
@@ -138,37 +176,70 @@ class ProductService {
             },
           },
 
+          // Cursor dicocokkan setelah rating & reviews dihitung ulang (bisa jadi sort key)
+          ...(cursorFilter ? [{ $match: cursorFilter }] : []),
+
           // Sort results
           { $sort: sort },
 
           // Use facet for pagination + count in single query
           {
-            $facet: {
-              products: [{ $skip: skip }, { $limit: parsedLimit }],
-              totalCount: [{ $count: "count" }],
-            },
+            $facet: cursorFilter
+              ? { products: [{ $limit: parsedLimit + 1 }] }
+              : {
+                  products: [{ $skip: skip }, { $limit: parsedLimit }],
+                  totalCount: [{ $count: "count" }],
+                },
           },
         ];
 
-        const [result] = await Product.aggregate(fullPipeline);
+        const [[result], facets] = await Promise.all([Product.aggregate(fullPipeline), loadFacets()]);
+        queryResult.facets = facets;
         products = result.products || [];
-        total = result.totalCount[0]?.count || 0;
+        total = cursorFilter ? null : result.totalCount[0]?.count || 0;
       } else if (queryResult.query) {
         // Standard query for non-category requests
-        [products, total] = await Promise.all([
-          this._findProducts(queryResult.query, sort, skip, parsedLimit),
-          Product.countDocuments(queryResult.query),
+        [products, total, queryResult.facets] = await Promise.all([
+          cursorFilter
+            ? this._findProducts(queryResult.query, sort, 0, parsedLimit + 1, cursorFilter)
+            : this._findProducts(queryResult.query, sort, skip, parsedLimit),
+          cursorFilter ? null : Product.countDocuments(queryResult.query),
+          loadFacets(),
         ]);
       } else {
         // Handle category not found
         return this._buildEmptyResponse(sanitizedParams);
       }
 
-      const transformedProducts = this._transformProducts(products);
+      // Cursor di-encode dari dokumen mentah (sebelum _id diubah jadi id)
+      let cursorPage;
+      if (cursorFilter) {
+        cursorPage = buildCursorPage(products, parsedLimit, sort);
+        products = cursorPage.items;
+      } else {
+        const hasNext = parsedPage < Math.ceil(total / parsedLimit);
+        cursorPage = {
+          hasNext,
+          nextCursor:
+            hasNext && products.length > 0 && supportsCursor(sort, Product.CURSOR_SORT_FIELDS)
+              ? encodeCursor(products[products.length - 1], sort)
+              : null,
+        };
+      }
 
-      const response = this._buildSuccessResponse(transformedProducts, total, parsedPage, parsedLimit, sanitizedParams);
+      const transformedProducts = this._transformProducts(products);
 
-      logger.info(`Products API: Found ${products.length}/${total} products`);
+      const response = this._buildSuccessResponse(
+        transformedProducts,
+        total,
+        parsedPage,
+        parsedLimit,
+        sanitizedParams,
+        queryResult.facets,
+        cursorPage
+      );
+
+      logger.info(`Products API: Found ${products.length}/${total ?? "?"} products`);
       return response;
     } catch (error) {
       logger.error(`Error in getAllProducts: ${error.message}`);
@@ -197,11 +268,25 @@ class ProductService {
         throw error;
       }
 
-      // Get similar products if needed
-      const similarProducts = await this._findSimilarProducts(product, compact);
+      // Get similar products, category breadcrumb, attribute schema, 30-day lowest price & co-purchases
+      const [similarProducts, breadcrumb, attributeSchema, lowestPrice30d, boughtTogether] = await Promise.all([
+        this._findSimilarProducts(product, compact),
+        Category.getBreadcrumb(product.category?._id),
+        Category.getAttributeSchema(product.category?._id),
+        ProductPriceHistory.getLowestPrice(product._id, null, REFERENCE_PRICE_DAYS),
+        this._findFrequentlyBoughtTogether(product),
+      ]);
 
       // Build and return response
-      return this._buildProductDetailResponse(product, similarProducts, compact);
+      return this._buildProductDetailResponse(
+        product,
+        similarProducts,
+        compact,
+        breadcrumb,
+        attributeSchema,
+        lowestPrice30d,
+        boughtTogether
+      );
     } catch (error) {
       logger.error(`❌ Error in getProductById: ${error.message}`);
       throw error;
@@ -230,17 +315,155 @@ class ProductService {
         throw error;
       }
 
-      // Get similar products if needed
-      const similarProducts = await this._findSimilarProducts(product, compact);
+      // Get similar products, category breadcrumb, attribute schema, 30-day lowest price & co-purchases
+      const [similarProducts, breadcrumb, attributeSchema, lowestPrice30d, boughtTogether] = await Promise.all([
+        this._findSimilarProducts(product, compact),
+        Category.getBreadcrumb(product.category?._id),
+        Category.getAttributeSchema(product.category?._id),
+        ProductPriceHistory.getLowestPrice(product._id, null, REFERENCE_PRICE_DAYS),
+        this._findFrequentlyBoughtTogether(product),
+      ]);
 
       // Build and return response (same as getProductById)
-      return this._buildProductDetailResponse(product, similarProducts, compact);
+      return this._buildProductDetailResponse(
+        product,
+        similarProducts,
+        compact,
+        breadcrumb,
+        attributeSchema,
+        lowestPrice30d,
+        boughtTogether
+      );
     } catch (error) {
       logger.error(`❌ Error in getProductBySlug: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Compare up to MAX_COMPARE_PRODUCTS products side by side
+   * Produk dihapus / nonaktif / belum publish dianggap tidak ditemukan
+   * @param {Array<string>} ids - Product IDs (urutan dipertahankan)
+   * @returns {Object} - { products, rows, differingFields }
+   */
+  static async compareProducts(ids = []) {
+    const productIds = [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+
+    if (productIds.length < this.MIN_COMPARE_PRODUCTS || productIds.length > this.MAX_COMPARE_PRODUCTS) {
+      const error = new Error(
+        `Provide between ${this.MIN_COMPARE_PRODUCTS} and ${this.MAX_COMPARE_PRODUCTS} distinct product IDs`
+      );
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+    productIds.forEach(id => this._validateObjectId(id));
+
+    const products = await Product.find({
+      _id: { $in: productIds },
+      isActive: true,
+      deletedAt: { $in: [null, undefined] },
+      publishStatus: { $nin: ["draft", "scheduled"] },
+      moderationStatus: { $nin: Product.HIDDEN_MODERATION_STATUSES },
+    })
+      .setOptions({ includeDeleted: false })
+      .populate("category", "name description")
+      .populate("sellerId", "storeName storeSlug logo contact userId");
+
+    const productById = new Map(products.map(product => [product._id.toString(), product]));
+    const missing = productIds.filter(id => !productById.has(id));
+    if (missing.length > 0) {
+      const error = new Error(`${MESSAGES.PRODUCT.NOT_FOUND}: ${missing.join(", ")}`);
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    // Detail tiap produk memakai format yang sama dengan halaman detail
+    const details = await Promise.all(
+      productIds.map(async id => {
+        const product = productById.get(id);
+        const [ratingStats, attributeSchema] = await Promise.all([
+          product.getRatingStats(),
+          Category.getAttributeSchema(product.category?._id),
+        ]);
+        const { product: detail } = this._buildProductDetailResponse(product, [], false, [], attributeSchema);
+
+        return { detail, ratingStats, attributeSchema };
+      })
+    );
+
+    const rows = this._buildComparisonRows(details);
+
+    return {
+      products: details.map(({ detail, ratingStats }) => ({
+        id: detail.id,
+        title: detail.title,
+        slug: detail.slug,
+        image: detail.image,
+        pricing: detail.pricing,
+        variantOptions: detail.variantOptions,
+        ratingStats: {
+          averageRating: ratingStats.averageRating || 0,
+          totalReviews: ratingStats.totalReviews || 0,
+          ratingBreakdown: ratingStats.ratingBreakdown,
+        },
+      })),
+      rows,
+      differingFields: rows.filter(row => row.differs).map(row => row.key),
+    };
+  }
+
+  /**
+   * Build comparison matrix rows; `differs` true jika nilai antar produk tidak sama
+   * @private
+   */
+  static _buildComparisonRows(details) {
+    const row = (key, label, group, values) => ({
+      key,
+      label,
+      group,
+      values,
+      differs: new Set(values.map(value => JSON.stringify(value ?? null))).size > 1,
+    });
+
+    const rows = [
+      row("price", "Price", "general", details.map(({ detail }) => detail.price)),
+      row("originalPrice", "Original Price", "general", details.map(({ detail }) => detail.pricing.originalPrice)),
+      row("rating", "Rating", "general", details.map(({ ratingStats }) => ratingStats?.averageRating || 0)),
+      row("reviews", "Reviews", "general", details.map(({ ratingStats }) => ratingStats?.totalReviews || 0)),
+      row("stock", "Stock", "general", details.map(({ detail }) => detail.stock)),
+      row("inStock", "In Stock", "general", details.map(({ detail }) => detail.stock > 0)),
+      row("variants", "Variants", "general", details.map(({ detail }) => detail.variants.length)),
+      row(
+        "seller",
+        "Seller",
+        "general",
+        details.map(({ detail }) => (detail.seller ? { name: detail.seller.name, slug: detail.seller.slug } : null))
+      ),
+      row("category", "Category", "general", details.map(({ detail }) => detail.category || null)),
+    ];
+
+    // Gabungan semua atribut; produk yang tidak punya atribut tsb bernilai null
+    const definitions = new Map();
+    details.forEach(({ attributeSchema }) =>
+      attributeSchema.forEach(definition => {
+        if (!definitions.has(definition.key)) definitions.set(definition.key, definition);
+      })
+    );
+
+    definitions.forEach(definition => {
+      const values = details.map(({ detail }) => {
+        const attribute = detail.attributes.find(item => item.key === definition.key);
+        return attribute ? { value: attribute.value, unit: attribute.unit } : null;
+      });
+
+      if (values.some(value => value !== null)) {
+        rows.push(row(`attributes.${definition.key}`, definition.label, "attributes", values));
+      }
+    });
+
+    return rows;
+  }
+
   // ===== PRIVATE HELPER METHODS =====
 
   /**
@@ -298,17 +521,35 @@ class ProductService {
    * @private
    */
   static async _buildProductQuery(params) {
-    const { category, search, minPrice, maxPrice, isActive, rating, inStock } = { ...this.DEFAULT_PARAMS, ...params };
+    const { category, search, minPrice, maxPrice, isActive, rating, inStock, attr } = {
+      ...this.DEFAULT_PARAMS,
+      ...params,
+    };
 
-    // OPTIMIZATION: Use aggregation pipeline instead of separate queries
+    // Category browsing includes every descendant category (materialized path)
     if (category) {
-      return this._buildCategoryAggregationPipeline(params);
+      const categoryIds = await Category.getSubtreeIdsByName(category);
+      if (categoryIds.length === 0) {
+        return { categoryNotFound: true };
+      }
+
+      // Attribute schema diambil dari kategori yang diminta (termasuk warisan leluhur)
+      const attributeDefinitions = await Category.getAttributeSchema(categoryIds[0]);
+      const attributeFilters = this._buildAttributeFilters(attr, attributeDefinitions);
+
+      return {
+        ...this._buildCategoryAggregationPipeline(params, categoryIds, attributeFilters),
+        attributeFilters,
+        attributeDefinitions,
+      };
     }
 
     // Base query for non-category requests
     let query = {
       isActive: isActive === true || isActive === "true",
       deletedAt: null,
+      // Produk yang belum direview / ditolak admin tidak pernah tampil publik
+      moderationStatus: { $nin: Product.HIDDEN_MODERATION_STATUSES },
     };
 
     // Price filter
@@ -336,14 +577,43 @@ class ProductService {
       query.$or = [{ title: new RegExp(search.trim(), "i") }, { description: new RegExp(search.trim(), "i") }];
     }
 
-    return { query, useAggregation: false };
+    // Tanpa kategori tidak ada attribute schema, tipe filter ditebak dari nilainya
+    const attributeFilters = this._buildAttributeFilters(attr, []);
+    const facetStages = [{ $match: { ...query } }];
+    Object.assign(query, combineAttributeFilters(attributeFilters));
+
+    return { query, useAggregation: false, attributeFilters, attributeDefinitions: [], facetStages };
+  }
+
+  /**
+   * Build attribute filters from sanitized `attr` param
+   * @private
+   * @param {Object} attr - { key: [values] }
+   * @param {Array} definitions - Category attribute schema
+   * @returns {Object} Attribute filters keyed by attribute key
+   */
+  static _buildAttributeFilters(attr, definitions) {
+    if (!attr) return {};
+
+    const result = buildAttributeFilters(attr, definitions);
+    if (!result.isValid) {
+      const error = new Error(`Invalid attribute filters: ${result.errors.join("; ")}`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      error.details = result.errors;
+      throw error;
+    }
+
+    return result.filters;
   }
 
   /**
    * CRITICAL FIX: Single aggregation pipeline for category-based queries
+   * @param {Object} params - Sanitized query params
+   * @param {Array} categoryIds - Category _id plus all descendant ids
+   * @param {Object} attributeFilters - Attribute filters keyed by attribute key
    * @private
    */
-  static _buildCategoryAggregationPipeline(params) {
+  static _buildCategoryAggregationPipeline(params, categoryIds, attributeFilters = {}) {
     const {
       category,
       search,
@@ -358,37 +628,23 @@ class ProductService {
     } = params;
 
     const pipeline = [
-      // Stage 1: Lookup category by name (single query)
+      // Stage 1: Match products in the category subtree + base filters
       {
-        $lookup: {
-          from: "categories",
-          let: { categoryName: category.toLowerCase() },
-          pipeline: [
-            {
-              $match: {
-                $expr: {
-                  $and: [{ $eq: [{ $toLower: "$name" }, "$$categoryName"] }, { $eq: ["$isActive", true] }],
-                },
-              },
-            },
-          ],
-          as: "categoryMatch",
+        $match: {
+          category: { $in: categoryIds },
+          isActive: true,
+          deletedAt: { $in: [null, undefined] },
+          moderationStatus: { $nin: Product.HIDDEN_MODERATION_STATUSES },
         },
       },
 
-      // Stage 2: Match products with found category + base filters
+      // Stage 2: Lookup the product's own (sub)category
       {
-        $match: {
-          $expr: {
-            $and: [
-              { $gt: [{ $size: "$categoryMatch" }, 0] },
-              {
-                $eq: ["$category", { $arrayElemAt: ["$categoryMatch._id", 0] }],
-              },
-            ],
-          },
-          isActive: true,
-          deletedAt: { $in: [null, undefined] },
+        $lookup: {
+          from: "categories",
+          localField: "category",
+          foreignField: "_id",
+          as: "categoryMatch",
         },
       },
 
@@ -441,11 +697,19 @@ class ProductService {
       { $unset: "categoryMatch" },
     ];
 
-    return { pipeline, useAggregation: true, category };
+    // Facet dihitung sebelum filter atribut diterapkan (lihat Product.getAttributeFacets)
+    const facetStages = [...pipeline];
+
+    // Stage 9: Add attribute filters if provided
+    if (Object.keys(attributeFilters).length > 0) {
+      pipeline.push({ $match: combineAttributeFilters(attributeFilters) });
+    }
+
+    return { pipeline, facetStages, useAggregation: true, category };
   }
 
   // 1. PERBAIKAN DI _findProducts - Pastikan tidak ada field override
-  static async _findProducts(query, sort, skip, limit) {
+  static async _findProducts(query, sort, skip, limit, cursorFilter = null) {
     return await Product.aggregate([
       { $match: query },
       {
@@ -513,6 +777,7 @@ class ProductService {
           sellerId: { $arrayElemAt: ["$sellerData", 0] },
         },
       },
+      ...(cursorFilter ? [{ $match: cursorFilter }] : []),
       { $sort: sort },
       { $skip: skip },
       { $limit: limit },
@@ -532,31 +797,39 @@ class ProductService {
    * @private
    */
   static _transformProducts(products) {
-    return products.map(product => ({
-      id: product._id.toString(),
-      title: product.title,
-      slug: product.slug,
-      description: product.description,
-      price: product.price,
-      image: {
-        url: product.image,
-        alt: product.title,
-      },
-      category: product.category.name,
-      seller: product.sellerId
-        ? {
-            id: product.sellerId._id.toString(),
-            name: product.sellerId.storeName,
-            logo: product.sellerId.logo || null,
-          }
-        : null,
-      stock: product.stock,
-      rating: product.rating || 0, // Data sudah ter-update melalui pre-save middleware
-      reviews: product.reviews || 0, // Data sudah ter-update melalui pre-save middleware
-      isAvailable: product.isActive,
-      createdAt: product.createdAt,
-      updatedAt: product.updatedAt,
-    }));
+    return products.map(product => {
+      // Harga yang dibayar buyer sekarang (harga sale jika ada sale berjalan)
+      const pricing = formatPricing(product);
+
+      return {
+        id: product._id.toString(),
+        title: product.title,
+        slug: product.slug,
+        description: product.description,
+        price: pricing.price,
+        pricing,
+        image: {
+          url: product.image,
+          alt: product.title,
+        },
+        gallery: formatGallery(product),
+        category: product.category.name,
+        seller: product.sellerId
+          ? {
+              id: product.sellerId._id.toString(),
+              name: product.sellerId.storeName,
+              logo: product.sellerId.logo || null,
+            }
+          : null,
+        stock: product.stock,
+        hasVariants: (product.variants || []).length > 0,
+        rating: product.rating || 0, // Data sudah ter-update melalui pre-save middleware
+        reviews: product.reviews || 0, // Data sudah ter-update melalui pre-save middleware
+        isAvailable: product.isActive,
+        createdAt: product.createdAt,
+        updatedAt: product.updatedAt,
+      };
+    });
   }
 
   /**
@@ -575,7 +848,9 @@ class ProductService {
         itemsPerPage: parseInt(limit),
         hasNext: false,
         hasPrev: false,
+        nextCursor: null,
       },
+      facets: [],
       filters: {
         category,
         search: search || null,
@@ -590,18 +865,24 @@ class ProductService {
    * @private
    */
   // GANTI method _buildSuccessResponse dengan ini:
-  static _buildSuccessResponse(products, total, page, limit, params) {
-    const { category, search, minPrice, maxPrice, rating, inStock } = params;
+  static _buildSuccessResponse(products, total, page, limit, params, facets = [], cursorPage = {}) {
+    const { category, search, minPrice, maxPrice, rating, inStock, attr } = params;
+
+    // Cursor mode tidak menghitung total & nomor halaman
+    const pageInfo = params.cursor
+      ? { currentPage: null, totalPages: null, totalItems: null, hasPrev: true }
+      : { currentPage: page, totalPages: Math.ceil(total / limit), totalItems: total, hasPrev: page > 1 };
 
     return {
       products,
       pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(total / limit),
-        totalItems: total,
+        currentPage: pageInfo.currentPage,
+        totalPages: pageInfo.totalPages,
+        totalItems: pageInfo.totalItems,
         itemsPerPage: limit,
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1,
+        hasNext: cursorPage.hasNext || false,
+        hasPrev: pageInfo.hasPrev,
+        nextCursor: cursorPage.nextCursor || null,
         // ADDED: Show limit sanitization info
         requestedLimit: parseInt(params.limit) || this.DEFAULT_PARAMS.limit,
         appliedLimit: limit,
@@ -616,7 +897,9 @@ class ProductService {
         },
         rating: rating ? parseFloat(rating) : null,
         inStock: inStock || null,
+        attributes: attr || null,
       },
+      facets,
     };
   }
 
@@ -655,11 +938,15 @@ static async _findProductById(id, includeDeleted) {
 
   if (!includeDeleted) {
     query.deletedAt = { $in: [null, undefined] };
+    // Draft & produk terjadwal belum boleh terlihat publik
+    query.publishStatus = { $nin: ["draft", "scheduled"] };
+    query.moderationStatus = { $nin: Product.HIDDEN_MODERATION_STATUSES };
   }
 
   const product = await Product.findOne(query)
     .setOptions({ includeDeleted })
     .populate("category", "name description")
+    .populate("bundleItems.product", "title slug image price variants")
     .populate({
       path: "sellerId",
       select: "storeName storeSlug logo contact userId",
@@ -702,6 +989,19 @@ static async _findProductById(id, includeDeleted) {
     }
   }
 
+  /**
+   * Find products frequently bought together with this product
+   * @private
+   */
+  static async _findFrequentlyBoughtTogether(product) {
+    try {
+      return await ProductRecommendationService.getFrequentlyBoughtTogether([product._id]);
+    } catch (err) {
+      logger.warn(`⚠️ Error fetching frequently bought together: ${err.message}`);
+      return [];
+    }
+  }
+
   /**
    * Transform similar products data
    * @private
@@ -711,7 +1011,7 @@ static async _findProductById(id, includeDeleted) {
       id: item._id.toString(),
       title: item.title,
       slug: item.slug,
-      price: item.price,
+      price: formatPricing(item).price,
       image: item.image || {
         url: "",
         alt: item.title,
@@ -727,22 +1027,110 @@ static async _findProductById(id, includeDeleted) {
     }));
   }
 
+  /**
+   * Transform variants into the variant matrix (one entry per option combination)
+   * Supports both Mongoose documents (options as Map) and lean objects
+   * @param {Array} variants - Product variants
+   * @param {Object|null} [sale] - Sale yang sedang berjalan (berlaku untuk semua varian)
+   * @private
+   */
+  static _transformVariants(variants = [], sale = null) {
+    return (variants || [])
+      .filter(variant => variant.isActive)
+      .map(variant => ({
+        id: variant._id.toString(),
+        sku: variant.sku,
+        options: variant.options instanceof Map ? Object.fromEntries(variant.options) : variant.options || {},
+        price: applySale(variant.price, sale),
+        regularPrice: variant.price,
+        stock: variant.stock,
+        image: variant.image || null,
+        inStock: variant.stock > 0,
+      }));
+  }
+
+  /**
+   * Transform bundle components (bundleItems.product di-populate)
+   * @param {Array} bundleItems - [{ product, variant, quantity }]
+   * @private
+   */
+  static _transformBundleItems(bundleItems = []) {
+    return (bundleItems || [])
+      .filter(item => item.product && typeof item.product.title === "string")
+      .map(item => {
+        const component = item.product;
+        const variant = item.variant
+          ? (component.variants || []).find(entry => entry._id.toString() === item.variant.toString())
+          : null;
+
+        return {
+          id: component._id.toString(),
+          title: component.title,
+          slug: component.slug,
+          image: variant?.image || component.image || null,
+          regularPrice: variant ? variant.price : component.price,
+          variant: variant
+            ? {
+                id: variant._id.toString(),
+                sku: variant.sku,
+                options: variant.options instanceof Map ? Object.fromEntries(variant.options) : variant.options || {},
+              }
+            : null,
+          quantity: item.quantity,
+        };
+      });
+  }
+
   /**
    * Build product detail response
    * @private
    */
-  static _buildProductDetailResponse(product, similarProducts, compact) {
+  /**
+   * Transform product attributes with label/unit from category attribute schema
+   * @private
+   */
+  static _transformAttributes(attributes, attributeSchema = []) {
+    const values = toPlainAttributes(attributes);
+
+    return attributeSchema
+      .filter(definition => values[definition.key] !== undefined)
+      .map(definition => ({
+        key: definition.key,
+        label: definition.label,
+        type: definition.type,
+        value: values[definition.key],
+        unit: definition.unit || null,
+      }));
+  }
+
+  static _buildProductDetailResponse(
+    product,
+    similarProducts,
+    compact,
+    breadcrumb = [],
+    attributeSchema = [],
+    lowestPrice30d = null,
+    boughtTogether = []
+  ) {
+    const pricing = formatPricing(product);
     const transformedProduct = {
       id: product._id.toString(),
       title: product.title,
       slug: product.slug,
       description: product.description,
-      price: product.price,
+      price: pricing.price,
+      pricing: {
+        ...pricing,
+        // Harga terendah 30 hari terakhir, dasar perbandingan harga coret
+        lowestPrice30d,
+      },
       image: {
         url: product.image,
         alt: product.title,
       },
+      gallery: formatGallery(product),
       category: product.category.name,
+      breadcrumb,
       seller: product.sellerId
         ? {
             id: product.sellerId._id.toString(),
@@ -753,6 +1141,14 @@ static async _findProductById(id, includeDeleted) {
           }
         : null,
       stock: product.stock || 0,
+      productType: product.productType || "standard",
+      bundleItems: this._transformBundleItems(product.bundleItems),
+      variantOptions: (product.variantOptions || []).map(option => ({
+        name: option.name,
+        values: option.values,
+      })),
+      variants: this._transformVariants(product.variants, getActiveSale(product)),
+      attributes: this._transformAttributes(product.attributes, attributeSchema),
       rating: product.rating || 0,
       reviews: product.reviews || 0,
       createdAt: product.createdAt,
@@ -772,6 +1168,8 @@ static async _findProductById(id, includeDeleted) {
           rating: transformedProduct.rating,
           reviews: transformedProduct.reviews,
           inStock: transformedProduct.stock > 0,
+          hasVariants: transformedProduct.variants.length > 0,
+          isBundle: transformedProduct.productType === "bundle",
         },
         similar: similarProducts.map(item => ({
           id: item.id,
@@ -780,12 +1178,20 @@ static async _findProductById(id, includeDeleted) {
           image: item.image?.url || item.image || "",
           rating: item.rating,
         })),
+        frequentlyBoughtTogether: boughtTogether.map(item => ({
+          id: item.id,
+          title: item.title,
+          price: item.price,
+          image: item.image || "",
+          rating: item.rating,
+        })),
       };
     }
 
     // Full response format
     const meta = {
       similarCount: similarProducts.length,
+      frequentlyBoughtTogetherCount: boughtTogether.length,
       hasMore: similarProducts.length >= 4,
       category: product.category?.name || "Beauty",
       seller: product.sellerId?.storeName || "",
@@ -794,6 +1200,7 @@ static async _findProductById(id, includeDeleted) {
     return {
       product: transformedProduct,
       similar: similarProducts,
+      frequentlyBoughtTogether: boughtTogether,
       meta,
     };
   }
@@ -852,6 +1259,67 @@ static async _findProductById(id, includeDeleted) {
     }
   }
 
+  /**
+   * Get price history of a product (untuk buyer & admin)
+   * @param {string} productId - Product ID
+   * @param {Object} params - { days (1-365, default 90), variantId }
+   * @returns {Object} - Current pricing, 30-day lowest price and history entries
+   */
+  static async getPriceHistory(productId, params = {}) {
+    this._validateObjectId(productId);
+
+    const days = Math.min(Math.max(parseInt(params.days) || 90, 1), 365);
+    const { variantId } = params;
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      const error = new Error("Invalid variant ID format");
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const product = await this._findProductById(productId, false);
+    if (!product) {
+      const error = new Error(MESSAGES.PRODUCT.NOT_FOUND);
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    const variant = variantId
+      ? (product.variants || []).find(item => item._id.toString() === variantId) || null
+      : null;
+    if (variantId && !variant) {
+      const error = new Error(MESSAGES.CART.VARIANT_NOT_FOUND);
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    const [entries, lowestPrice30d] = await Promise.all([
+      ProductPriceHistory.getHistory(productId, { variantId, days }),
+      ProductPriceHistory.getLowestPrice(productId, variantId || null, REFERENCE_PRICE_DAYS),
+    ]);
+
+    return {
+      product: {
+        id: product._id.toString(),
+        title: product.title,
+        slug: product.slug,
+      },
+      pricing: {
+        ...formatPricing(product, variant),
+        lowestPrice30d,
+      },
+      days,
+      history: entries.map(entry => ({
+        variantId: entry.variant ? entry.variant.toString() : null,
+        variantSku: entry.variantSku,
+        price: entry.price,
+        salePrice: entry.salePrice,
+        compareAtPrice: entry.compareAtPrice,
+        source: entry.source,
+        recordedAt: entry.recordedAt,
+      })),
+    };
+  }
+
   /**
    * Find product reviews with population
    * @private
@@ -0,0 +1,498 @@
+// saved-search.service.js - Pencarian tersimpan user & job alert produk baru yang cocok
+const mongoose = require("mongoose");
+const SavedSearch = require("../../models/saved-search.model");
+const Category = require("../../models/category.model");
+const User = require("../../models/user.model");
+const ProductSearchService = require("../product-search.service");
+const NotificationService = require("./notification.service");
+const EmailService = require("../email.service");
+const { normalizeSearchText } = require("../../utils/search.util");
+const { buildAttributeFilters } = require("../../utils/product-attribute.util");
+const { getEffectivePrice } = require("../../utils/product-pricing.util");
+const { validateQueryParams, calculatePagination, buildPaginationResponse } = require("../../utils/query.util");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+const logger = require("../../utils/logger");
+
+class SavedSearchService {
+  static ALERT_INTERVAL = 60 * 60 * 1000; // 1 hour
+  static ALERT_BATCH_SIZE = 100;
+  static MAX_ALERT_PRODUCTS = 5; // produk per saved search di notifikasi & email
+  static MAX_NAME_LENGTH = 50;
+  static MAX_CITY_LENGTH = 100;
+
+  /**
+   * Throw error dengan status code (ditangani asyncHandler)
+   * @private
+   */
+  static _fail(message, statusCode = HTTP_STATUS.BAD_REQUEST) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  /**
+   * Optional number filter (null jika kosong)
+   * @private
+   */
+  static _parseNumber(value, name, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+    if (value === undefined || value === null || value === "") return null;
+
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+      this._fail(`${name} must be a number between ${min} and ${max}`);
+    }
+    return parsed;
+  }
+
+  /**
+   * Validate query & filters dengan aturan yang sama seperti GET /api/search
+   * @private
+   * @param {Object} data - { q, category?, sellerId?, minPrice?, maxPrice?, rating?, city?, sortBy?, attr? }
+   * @returns {Promise<Object>} { query, normalizedQuery, filters }
+   */
+  static async _normalizeCriteria(data) {
+    const query = typeof data.q === "string" ? data.q.trim() : "";
+    const normalizedQuery = normalizeSearchText(query);
+    if (query.length < 2 || query.length > 200 || !normalizedQuery) {
+      this._fail(MESSAGES.SAVED_SEARCH.QUERY_REQUIRED);
+    }
+
+    const { category = null, sellerId = null, sortBy = "relevance", attr } = data;
+    for (const [name, value] of Object.entries({ category, sellerId })) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        this._fail(`Invalid ${name}`);
+      }
+    }
+
+    if (!ProductSearchService.SORT_OPTIONS.includes(sortBy)) {
+      this._fail(`Invalid sortBy. Allowed: ${ProductSearchService.SORT_OPTIONS.join(", ")}`);
+    }
+
+    const city = typeof data.city === "string" && data.city.trim() ? data.city.trim() : null;
+    if (city && city.length > this.MAX_CITY_LENGTH) {
+      this._fail(`city must be at most ${this.MAX_CITY_LENGTH} characters`);
+    }
+
+    let attributes = null;
+    if (attr !== undefined && attr !== null) {
+      const attrValidation = validateQueryParams({ attr }, ["attr"]);
+      const attributeDefinitions = category ? await Category.getAttributeSchema(category) : [];
+      const attrResult = attrValidation.isValid
+        ? buildAttributeFilters(attrValidation.sanitizedParams.attr, attributeDefinitions)
+        : attrValidation;
+
+      if (!attrResult.isValid) {
+        this._fail(`Invalid attribute filters: ${attrResult.errors.join("; ")}`);
+      }
+      attributes = attrValidation.sanitizedParams.attr;
+    }
+
+    return {
+      query,
+      normalizedQuery,
+      filters: {
+        category: category || null,
+        sellerId: sellerId || null,
+        minPrice: this._parseNumber(data.minPrice, "minPrice"),
+        maxPrice: this._parseNumber(data.maxPrice, "maxPrice"),
+        rating: this._parseNumber(data.rating, "rating", { max: 5 }),
+        city,
+        sortBy,
+        attributes,
+      },
+    };
+  }
+
+  /**
+   * Identitas pencarian: query ternormalisasi + filter (sortBy tidak mengubah hasil, jadi tidak ikut)
+   * @private
+   */
+  static _buildSignature(normalizedQuery, filters) {
+    const attributes = filters.attributes
+      ? Object.keys(filters.attributes)
+          .sort()
+          .map(key => [key, [...filters.attributes[key]].sort()])
+      : null;
+
+    return JSON.stringify([
+      normalizedQuery,
+      filters.category ? filters.category.toString() : null,
+      filters.sellerId ? filters.sellerId.toString() : null,
+      filters.minPrice,
+      filters.maxPrice,
+      filters.rating,
+      filters.city ? filters.city.toLowerCase() : null,
+      attributes,
+    ]);
+  }
+
+  /**
+   * Validate alert settings: { enabled?, channels?: { email?, inApp? } }
+   * @private
+   */
+  static _parseAlerts(alerts, current = { enabled: false, channels: { email: true, inApp: true } }) {
+    if (alerts === undefined) return current;
+
+    const isBoolOrUndefined = value => value === undefined || typeof value === "boolean";
+    const channels = alerts?.channels;
+    if (
+      !alerts ||
+      typeof alerts !== "object" ||
+      !isBoolOrUndefined(alerts.enabled) ||
+      (channels !== undefined && (!channels || typeof channels !== "object")) ||
+      !isBoolOrUndefined(channels?.email) ||
+      !isBoolOrUndefined(channels?.inApp)
+    ) {
+      this._fail(MESSAGES.SAVED_SEARCH.INVALID_ALERTS);
+    }
+
+    return {
+      enabled: alerts.enabled ?? current.enabled,
+      channels: {
+        email: channels?.email ?? current.channels.email,
+        inApp: channels?.inApp ?? current.channels.inApp,
+      },
+    };
+  }
+
+  /**
+   * Validate saved search name (default = query)
+   * @private
+   */
+  static _parseName(name, fallback) {
+    if (name === undefined || name === null || name === "") return fallback.slice(0, this.MAX_NAME_LENGTH);
+
+    const text = typeof name === "string" ? name.trim() : "";
+    if (text.length < 1 || text.length > this.MAX_NAME_LENGTH) {
+      this._fail(MESSAGES.SAVED_SEARCH.INVALID_NAME);
+    }
+    return text;
+  }
+
+  /**
+   * Find user's saved search or throw 404
+   * @private
+   */
+  static async _findOwned(userId, savedSearchId) {
+    const savedSearch = mongoose.isValidObjectId(savedSearchId)
+      ? await SavedSearch.findOne({ _id: savedSearchId, user: userId })
+      : null;
+    if (!savedSearch) {
+      this._fail(MESSAGES.SAVED_SEARCH.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return savedSearch;
+  }
+
+  /**
+   * Get user's saved searches (terbaru dulu)
+   * @param {string} userId - User ID
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { savedSearches, pagination }
+   */
+  static async getSavedSearches(userId, options = {}) {
+    const { page, limit, skip } = calculatePagination(options.page, options.limit);
+
+    const [savedSearches, total] = await Promise.all([
+      SavedSearch.find({ user: userId }).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      SavedSearch.countDocuments({ user: userId }),
+    ]);
+
+    return {
+      savedSearches: savedSearches.map(savedSearch => this.formatSavedSearch(savedSearch)),
+      pagination: buildPaginationResponse(total, page, limit),
+    };
+  }
+
+  /**
+   * Save a search
+   * @param {string} userId - User ID
+   * @param {Object} data - Query & filter GET /api/search + { name?, alerts? }
+   * @returns {Promise<Object>} Formatted saved search
+   */
+  static async createSavedSearch(userId, data = {}) {
+    const { query, normalizedQuery, filters } = await this._normalizeCriteria(data);
+    const name = this._parseName(data.name, query);
+    const alerts = this._parseAlerts(data.alerts);
+    const signature = this._buildSignature(normalizedQuery, filters);
+
+    const [count, duplicate] = await Promise.all([
+      SavedSearch.countDocuments({ user: userId }),
+      SavedSearch.exists({ user: userId, signature }),
+    ]);
+    if (duplicate) {
+      this._fail(MESSAGES.SAVED_SEARCH.ALREADY_EXISTS, HTTP_STATUS.CONFLICT);
+    }
+    if (count >= SavedSearch.MAX_SAVED_SEARCHES) {
+      this._fail(MESSAGES.SAVED_SEARCH.LIMIT_REACHED);
+    }
+
+    try {
+      const savedSearch = await SavedSearch.create({ user: userId, name, query, filters, signature, alerts });
+      return this.formatSavedSearch(savedSearch.toObject());
+    } catch (error) {
+      // Request paralel menyimpan pencarian yang sama
+      if (error.code === 11000) {
+        this._fail(MESSAGES.SAVED_SEARCH.ALREADY_EXISTS, HTTP_STATUS.CONFLICT);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Rename / ubah pengaturan alert (query & filter tidak bisa diubah, simpan pencarian baru)
+   * @param {string} userId - User ID
+   * @param {string} savedSearchId - Saved search ID
+   * @param {Object} data - { name?, alerts? }
+   * @returns {Promise<Object>} Formatted saved search
+   */
+  static async updateSavedSearch(userId, savedSearchId, data = {}) {
+    const savedSearch = await this._findOwned(userId, savedSearchId);
+    const wasEnabled = savedSearch.alerts.enabled;
+
+    if (data.name !== undefined) {
+      savedSearch.name = this._parseName(data.name, savedSearch.query);
+    }
+    savedSearch.alerts = this._parseAlerts(data.alerts, savedSearch.toObject().alerts);
+
+    // Baru diaktifkan: hanya produk yang tampil setelah ini yang dikirim
+    if (!wasEnabled && savedSearch.alerts.enabled) {
+      savedSearch.lastAlertedAt = new Date();
+    }
+
+    await savedSearch.save();
+    return this.formatSavedSearch(savedSearch.toObject());
+  }
+
+  /**
+   * Delete a saved search
+   * @param {string} userId - User ID
+   * @param {string} savedSearchId - Saved search ID
+   * @returns {Promise<boolean>} true jika dihapus
+   */
+  static async deleteSavedSearch(userId, savedSearchId) {
+    if (!mongoose.isValidObjectId(savedSearchId)) return false;
+
+    const result = await SavedSearch.deleteOne({ _id: savedSearchId, user: userId });
+    return result.deletedCount === 1;
+  }
+
+  /**
+   * Query params GET /api/search untuk menjalankan ulang pencarian (attr[key]=v1,v2)
+   * @param {Object} savedSearch - Lean saved search
+   * @returns {Object} Flat query params (filter kosong tidak disertakan)
+   */
+  static toSearchParams(savedSearch) {
+    const { filters = {} } = savedSearch;
+    const params = {
+      q: savedSearch.query,
+      category: filters.category ? filters.category.toString() : null,
+      sellerId: filters.sellerId ? filters.sellerId.toString() : null,
+      minPrice: filters.minPrice,
+      maxPrice: filters.maxPrice,
+      rating: filters.rating,
+      city: filters.city,
+      sortBy: filters.sortBy || "relevance",
+    };
+    for (const [key, values] of Object.entries(filters.attributes || {})) {
+      params[`attr[${key}]`] = values.join(",");
+    }
+
+    return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== null && value !== undefined));
+  }
+
+  /**
+   * @param {Object} savedSearch - Lean saved search
+   * @returns {Object} Formatted saved search
+   */
+  static formatSavedSearch(savedSearch) {
+    const { filters = {} } = savedSearch;
+
+    return {
+      id: savedSearch._id.toString(),
+      name: savedSearch.name,
+      query: savedSearch.query,
+      filters: {
+        category: filters.category ? filters.category.toString() : null,
+        sellerId: filters.sellerId ? filters.sellerId.toString() : null,
+        minPrice: filters.minPrice ?? null,
+        maxPrice: filters.maxPrice ?? null,
+        rating: filters.rating ?? null,
+        city: filters.city || null,
+        sortBy: filters.sortBy || "relevance",
+        attributes: filters.attributes || null,
+      },
+      searchParams: this.toSearchParams(savedSearch),
+      alerts: {
+        enabled: savedSearch.alerts?.enabled || false,
+        channels: {
+          email: savedSearch.alerts?.channels?.email !== false,
+          inApp: savedSearch.alerts?.channels?.inApp !== false,
+        },
+      },
+      lastAlertedAt: savedSearch.alerts?.enabled ? savedSearch.lastAlertedAt : null,
+      createdAt: savedSearch.createdAt,
+      updatedAt: savedSearch.updatedAt,
+    };
+  }
+
+  /**
+   * Produk baru untuk satu saved search dalam rentang (lastAlertedAt, runAt]
+   * @private
+   */
+  static async _findNewMatches(savedSearch, runAt) {
+    const { filters = {} } = savedSearch;
+
+    let attributeFilters = {};
+    if (filters.attributes) {
+      const attributeDefinitions = filters.category ? await Category.getAttributeSchema(filters.category) : [];
+      const attrResult = buildAttributeFilters(filters.attributes, attributeDefinitions);
+      // Schema atribut kategori berubah sejak disimpan: lebih baik tidak mengirim alert yang salah
+      if (!attrResult.isValid) {
+        throw new Error(`Invalid attribute filters: ${attrResult.errors.join("; ")}`);
+      }
+      attributeFilters = attrResult.filters;
+    }
+
+    return ProductSearchService.findNewMatches(savedSearch.query, {
+      category: filters.category ? filters.category.toString() : undefined,
+      sellerId: filters.sellerId ? filters.sellerId.toString() : undefined,
+      minPrice: filters.minPrice ?? undefined,
+      maxPrice: filters.maxPrice ?? undefined,
+      minRating: filters.rating ?? undefined,
+      city: filters.city || undefined,
+      attributeFilters,
+      listedAfter: savedSearch.lastAlertedAt,
+      listedBefore: runAt,
+      excludeIds: savedSearch.notifiedProducts || [],
+      limit: this.MAX_ALERT_PRODUCTS,
+    });
+  }
+
+  /**
+   * Cek semua saved search dengan alert aktif: produk yang baru tampil sejak run terakhir
+   * (in-app per saved search + satu email digest per user)
+   * @returns {Promise<Object>} { checked, matched }
+   */
+  static async processSavedSearchAlerts() {
+    const runAt = new Date();
+    const alertsByUser = new Map();
+    let checked = 0;
+    let matched = 0;
+    let lastId = null;
+
+    // Batch berdasarkan _id agar memori tetap kecil
+    for (;;) {
+      const query = { "alerts.enabled": true };
+      if (lastId) query._id = { $gt: lastId };
+
+      const savedSearches = await SavedSearch.find(query).sort({ _id: 1 }).limit(this.ALERT_BATCH_SIZE).lean();
+      if (savedSearches.length === 0) break;
+      lastId = savedSearches[savedSearches.length - 1]._id;
+
+      const updates = [];
+
+      for (const savedSearch of savedSearches) {
+        let matches;
+        try {
+          matches = await this._findNewMatches(savedSearch, runAt);
+        } catch (error) {
+          logger.error(`❌ Saved search alert failed for ${savedSearch._id}:`, error);
+          continue;
+        }
+        checked++;
+
+        const update = { $set: { lastAlertedAt: runAt } };
+        if (matches.total > 0) {
+          matched++;
+          update.$push = {
+            notifiedProducts: {
+              $each: matches.products.map(product => product._id),
+              $slice: -SavedSearch.MAX_NOTIFIED_PRODUCTS,
+            },
+          };
+
+          const alerts = alertsByUser.get(savedSearch.user.toString()) || [];
+          alerts.push({
+            savedSearchId: savedSearch._id.toString(),
+            name: savedSearch.name,
+            query: savedSearch.query,
+            searchParams: this.toSearchParams(savedSearch),
+            channels: savedSearch.alerts.channels,
+            total: matches.total,
+            products: matches.products.map(product => ({
+              productId: product._id.toString(),
+              title: product.title,
+              slug: product.slug,
+              image: product.image || null,
+              price: getEffectivePrice(product),
+            })),
+          });
+          alertsByUser.set(savedSearch.user.toString(), alerts);
+        }
+
+        // Alert yang dimatikan di tengah run tidak ikut di-update
+        updates.push({ updateOne: { filter: { _id: savedSearch._id, "alerts.enabled": true }, update } });
+      }
+
+      if (updates.length > 0) {
+        await SavedSearch.bulkWrite(updates, { ordered: false });
+      }
+    }
+
+    for (const [userId, alerts] of alertsByUser) {
+      await this._sendAlerts(userId, alerts);
+    }
+
+    if (matched > 0) {
+      logger.info(`🔎 Saved search alerts: ${matched}/${checked} saved search(es) with new products`);
+    }
+
+    return { checked, matched };
+  }
+
+  /**
+   * Kirim notifikasi in-app per saved search + satu email digest
+   * @private
+   */
+  static async _sendAlerts(userId, alerts) {
+    for (const alert of alerts.filter(item => item.channels?.inApp !== false)) {
+      await NotificationService.notify(userId, "saved_search_match", {
+        title: `New results for "${alert.name}"`,
+        message:
+          alert.total === 1
+            ? `${alert.products[0].title} was just listed.`
+            : `${alert.total} new products match your saved search.`,
+        data: {
+          savedSearchId: alert.savedSearchId,
+          searchParams: alert.searchParams,
+          total: alert.total,
+          productIds: alert.products.map(product => product.productId),
+        },
+      });
+    }
+
+    const emailAlerts = alerts.filter(item => item.channels?.email !== false);
+    if (emailAlerts.length === 0) return;
+
+    const user = await User.findById(userId).select("username email isActive").lean();
+    if (user && user.isActive !== false) {
+      // EmailService tidak pernah throw; gagal kirim cukup di-log
+      await EmailService.sendSavedSearchAlert(user, emailAlerts);
+    }
+  }
+
+  static startSavedSearchAlertScheduler() {
+    setInterval(async () => {
+      try {
+        await this.processSavedSearchAlerts();
+      } catch (error) {
+        logger.error("Saved search alert scheduler error:", error);
+      }
+    }, this.ALERT_INTERVAL);
+
+    logger.info("Saved search alert scheduler started - checking every 1 hour");
+  }
+}
+
+module.exports = SavedSearchService;
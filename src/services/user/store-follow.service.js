@@ -0,0 +1,115 @@
+// store-follow.service.js - Follow / unfollow toko
+const StoreFollow = require("../../models/store-follow.model");
+const SellerProfile = require("../../models/seller-profile.model");
+const { calculatePagination, buildPaginationResponse } = require("../../utils/query.util");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+
+class StoreFollowService {
+  /**
+   * Toko aktif berdasarkan slug (404 jika tidak ada)
+   * @private
+   */
+  static async _findActiveStore(slug) {
+    const store = await SellerProfile.findOne({
+      storeSlug: String(slug || "").toLowerCase(),
+      status: "active",
+      isArchived: false,
+      deletedAt: null,
+    })
+      .select("_id userId storeName storeSlug logo")
+      .lean();
+
+    if (!store) {
+      const error = new Error(MESSAGES.STORE.NOT_FOUND);
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return store;
+  }
+
+  /**
+   * Follow a store (idempotent)
+   * @param {string} userId - User ID
+   * @param {string} slug - Store slug
+   * @returns {Promise<Object>} { store, followedAt }
+   */
+  static async followStore(userId, slug) {
+    const store = await this._findActiveStore(slug);
+
+    if (store.userId.toString() === userId.toString()) {
+      const error = new Error(MESSAGES.STORE.CANNOT_FOLLOW_OWN);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const follow = await StoreFollow.findOneAndUpdate(
+      { user: userId, seller: store._id },
+      { $setOnInsert: { user: userId, seller: store._id } },
+      { upsert: true, new: true }
+    ).lean();
+
+    return {
+      store: { id: store._id.toString(), name: store.storeName, slug: store.storeSlug, logo: store.logo || null },
+      followedAt: follow.createdAt,
+    };
+  }
+
+  /**
+   * Unfollow a store
+   * @param {string} userId - User ID
+   * @param {string} slug - Store slug
+   * @returns {Promise<boolean>} true jika sebelumnya di-follow
+   */
+  static async unfollowStore(userId, slug) {
+    const store = await this._findActiveStore(slug);
+    const result = await StoreFollow.deleteOne({ user: userId, seller: store._id });
+    return result.deletedCount === 1;
+  }
+
+  /**
+   * Stores followed by a user
+   * @param {string} userId - User ID
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { stores, pagination }
+   */
+  static async getFollowing(userId, options = {}) {
+    const { page: parsedPage, limit: parsedLimit, skip } = calculatePagination(options.page, options.limit);
+
+    const [follows, total] = await Promise.all([
+      StoreFollow.find({ user: userId })
+        .populate("seller", "storeName storeSlug logo status")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parsedLimit)
+        .lean(),
+      StoreFollow.countDocuments({ user: userId }),
+    ]);
+
+    return {
+      stores: follows
+        .filter(follow => follow.seller)
+        .map(follow => ({
+          id: follow.seller._id.toString(),
+          name: follow.seller.storeName,
+          slug: follow.seller.storeSlug,
+          logo: follow.seller.logo || null,
+          isActive: follow.seller.status === "active",
+          followedAt: follow.createdAt,
+        })),
+      pagination: buildPaginationResponse(total, parsedPage, parsedLimit),
+    };
+  }
+
+  /**
+   * Seller profile IDs followed by a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Seller profile IDs
+   */
+  static async getFollowedSellerIds(userId) {
+    const follows = await StoreFollow.find({ user: userId }).select("seller").lean();
+    return follows.map(follow => follow.seller);
+  }
+}
+
+module.exports = StoreFollowService;
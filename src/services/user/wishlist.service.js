@@ -0,0 +1,473 @@
+// wishlist.service.js - Wishlist user, status stok/harga item & job notifikasi harga turun / restock
+const mongoose = require("mongoose");
+const Wishlist = require("../../models/wishlist.model");
+const Product = require("../../models/products.model");
+const User = require("../../models/user.model");
+const NotificationService = require("./notification.service");
+const EmailService = require("../email.service");
+const { getEffectivePrice } = require("../../utils/product-pricing.util");
+const { HTTP_STATUS, MESSAGES } = require("../../constants/httpStatus");
+const logger = require("../../utils/logger");
+
+class WishlistService {
+  static DEFAULT_LIST_NAME = "Favorites";
+  static MAX_LISTS = 20;
+  static MAX_ITEMS_PER_LIST = 200;
+  static ALERT_INTERVAL = 60 * 60 * 1000; // 1 hour
+  static ALERT_BATCH_SIZE = 100;
+  static PRODUCT_SELECT = "title slug image price stock variants sales isActive publishStatus deletedAt";
+
+  /**
+   * Throw error dengan status code (ditangani asyncHandler)
+   * @private
+   */
+  static _fail(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  /**
+   * Get (atau buat) list default user
+   * @private
+   */
+  static async _getDefaultList(userId) {
+    const existing = await Wishlist.findOne({ user: userId, isDefault: true });
+    if (existing) return existing;
+
+    try {
+      return await Wishlist.create({ user: userId, name: this.DEFAULT_LIST_NAME, isDefault: true });
+    } catch (error) {
+      // Request paralel sudah membuat list default lebih dulu
+      if (error.code === 11000) {
+        return Wishlist.findOne({ user: userId, isDefault: true });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get list by ID (atau list default jika listId kosong)
+   * @private
+   */
+  static async _getList(userId, listId) {
+    if (!listId) return this._getDefaultList(userId);
+
+    const list = mongoose.isValidObjectId(listId) ? await Wishlist.findOne({ _id: listId, user: userId }) : null;
+    if (!list) {
+      this._fail(MESSAGES.WISHLIST.LIST_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return list;
+  }
+
+  /**
+   * Validate list name
+   * @private
+   */
+  static _validateName(name) {
+    const text = typeof name === "string" ? name.trim() : "";
+    if (text.length < 1 || text.length > 50) {
+      this._fail(MESSAGES.WISHLIST.INVALID_NAME, HTTP_STATUS.BAD_REQUEST);
+    }
+    return text;
+  }
+
+  /**
+   * Produk masih bisa dibeli (aktif, published, tidak dihapus)
+   * @private
+   */
+  static _isAvailable(product) {
+    return (
+      !!product &&
+      product.isActive &&
+      !product.deletedAt &&
+      !["draft", "scheduled"].includes(product.publishStatus || "published")
+    );
+  }
+
+  /**
+   * Current price & stock state of a wishlist item
+   * @param {Object} item - Wishlist item
+   * @param {Object|null} product - Product (lean)
+   * @returns {Object} { isAvailable, variant, currentPrice, inStock, stock }
+   */
+  static getItemState(item, product) {
+    if (!this._isAvailable(product)) {
+      return { isAvailable: false, variant: null, currentPrice: null, inStock: false, stock: 0 };
+    }
+
+    const variant = item.variant
+      ? (product.variants || []).find(entry => entry._id.toString() === item.variant.toString()) || null
+      : null;
+
+    // Varian yang dihapus seller dianggap tidak tersedia
+    if (item.variant && (!variant || variant.isActive === false)) {
+      return { isAvailable: false, variant: null, currentPrice: null, inStock: false, stock: 0 };
+    }
+
+    const stock = (variant || product).stock || 0;
+
+    return {
+      isAvailable: true,
+      variant,
+      currentPrice: getEffectivePrice(product, variant),
+      inStock: stock > 0,
+      stock,
+    };
+  }
+
+  /**
+   * Format wishlist item
+   * @private
+   */
+  static _formatItem(item, product) {
+    const state = this.getItemState(item, product);
+    const priceDropAmount =
+      state.currentPrice !== null && state.currentPrice < item.priceAtAdd ? item.priceAtAdd - state.currentPrice : 0;
+
+    return {
+      id: item._id.toString(),
+      product: product
+        ? {
+            id: product._id.toString(),
+            title: product.title,
+            slug: product.slug,
+            image: (state.variant && state.variant.image) || product.image || null,
+          }
+        : null,
+      variant: state.variant
+        ? {
+            id: state.variant._id.toString(),
+            sku: state.variant.sku,
+            options:
+              state.variant.options instanceof Map ? Object.fromEntries(state.variant.options) : state.variant.options,
+          }
+        : null,
+      isAvailable: state.isAvailable,
+      inStock: state.inStock,
+      stock: state.stock,
+      priceAtAdd: item.priceAtAdd,
+      currentPrice: state.currentPrice,
+      priceDropped: priceDropAmount > 0,
+      priceDropAmount,
+      priceDropPercent: priceDropAmount > 0 ? Math.round((priceDropAmount / item.priceAtAdd) * 100) : 0,
+      addedAt: item.addedAt,
+    };
+  }
+
+  /**
+   * Format list + items (produk di-load sekali untuk semua item)
+   * @private
+   */
+  static async _formatList(list) {
+    const productIds = [...new Set(list.items.map(item => item.product.toString()))];
+    const products = await Product.find({ _id: { $in: productIds } }).select(this.PRODUCT_SELECT).lean();
+    const productById = new Map(products.map(product => [product._id.toString(), product]));
+
+    const items = [...list.items]
+      .sort((a, b) => b.addedAt - a.addedAt)
+      .map(item => this._formatItem(item, productById.get(item.product.toString()) || null));
+
+    return {
+      id: list._id.toString(),
+      name: list.name,
+      isDefault: list.isDefault,
+      itemCount: items.length,
+      priceDropCount: items.filter(item => item.priceDropped).length,
+      items,
+      updatedAt: list.updatedAt,
+    };
+  }
+
+  /**
+   * Get wishlist items (default list jika listId kosong)
+   * @param {string} userId - User ID
+   * @param {string} [listId] - Wishlist ID
+   * @returns {Promise<Object>} List with items
+   */
+  static async getWishlist(userId, listId) {
+    const list = await this._getList(userId, listId);
+    return this._formatList(list);
+  }
+
+  /**
+   * Get all lists of a user (tanpa detail item)
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Lists
+   */
+  static async getLists(userId) {
+    await this._getDefaultList(userId);
+    const lists = await Wishlist.find({ user: userId }).sort({ isDefault: -1, createdAt: 1 }).lean();
+
+    return lists.map(list => ({
+      id: list._id.toString(),
+      name: list.name,
+      isDefault: list.isDefault,
+      itemCount: list.items.length,
+      createdAt: list.createdAt,
+      updatedAt: list.updatedAt,
+    }));
+  }
+
+  /**
+   * Create a named list
+   * @param {string} userId - User ID
+   * @param {string} name - List name
+   * @returns {Promise<Object>} Created list
+   */
+  static async createList(userId, name) {
+    const text = this._validateName(name);
+
+    const count = await Wishlist.countDocuments({ user: userId });
+    if (count >= this.MAX_LISTS) {
+      this._fail(`You can have at most ${this.MAX_LISTS} wishlists`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    try {
+      const list = await Wishlist.create({ user: userId, name: text, isDefault: count === 0 });
+      return this._formatList(list);
+    } catch (error) {
+      if (error.code === 11000) {
+        this._fail(MESSAGES.WISHLIST.NAME_EXISTS, HTTP_STATUS.CONFLICT);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a list
+   * @param {string} userId - User ID
+   * @param {string} listId - Wishlist ID
+   * @param {string} name - New name
+   * @returns {Promise<Object>} Updated list
+   */
+  static async renameList(userId, listId, name) {
+    const text = this._validateName(name);
+    const list = await this._getList(userId, listId);
+
+    list.name = text;
+    try {
+      await list.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        this._fail(MESSAGES.WISHLIST.NAME_EXISTS, HTTP_STATUS.CONFLICT);
+      }
+      throw error;
+    }
+
+    return this._formatList(list);
+  }
+
+  /**
+   * Delete a named list (list default tidak bisa dihapus)
+   * @param {string} userId - User ID
+   * @param {string} listId - Wishlist ID
+   * @returns {Promise<void>}
+   */
+  static async deleteList(userId, listId) {
+    const list = await this._getList(userId, listId);
+    if (list.isDefault) {
+      this._fail(MESSAGES.WISHLIST.CANNOT_DELETE_DEFAULT, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    await Wishlist.deleteOne({ _id: list._id });
+  }
+
+  /**
+   * Add a product to a list
+   * @param {string} userId - User ID
+   * @param {Object} payload - { productId, variantId, listId }
+   * @returns {Promise<Object>} Updated list
+   */
+  static async addItem(userId, { productId, variantId = null, listId = null } = {}) {
+    if (!productId || !mongoose.isValidObjectId(productId)) {
+      this._fail(MESSAGES.WISHLIST.PRODUCT_REQUIRED, HTTP_STATUS.BAD_REQUEST);
+    }
+    if (variantId && !mongoose.isValidObjectId(variantId)) {
+      this._fail(MESSAGES.CART.VARIANT_NOT_FOUND, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const product = await Product.findOne({ _id: productId }).select(this.PRODUCT_SELECT).lean();
+    if (!this._isAvailable(product)) {
+      this._fail(MESSAGES.PRODUCT.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const item = { product: product._id, variant: variantId || null };
+    const state = this.getItemState(item, product);
+    if (!state.isAvailable) {
+      this._fail(MESSAGES.CART.VARIANT_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const list = await this._getList(userId, listId);
+
+    const exists = list.items.some(
+      entry =>
+        entry.product.toString() === product._id.toString() &&
+        String(entry.variant || "") === String(item.variant || "")
+    );
+    if (exists) {
+      this._fail(MESSAGES.WISHLIST.ALREADY_EXISTS, HTTP_STATUS.CONFLICT);
+    }
+
+    if (list.items.length >= this.MAX_ITEMS_PER_LIST) {
+      this._fail(`A wishlist can hold at most ${this.MAX_ITEMS_PER_LIST} items`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    list.items.push({
+      ...item,
+      priceAtAdd: state.currentPrice,
+      notifiedPrice: state.currentPrice,
+      lastInStock: state.inStock,
+    });
+    await list.save();
+
+    return this._formatList(list);
+  }
+
+  /**
+   * Remove an item (dari list mana pun milik user)
+   * @param {string} userId - User ID
+   * @param {string} itemId - Wishlist item ID
+   * @returns {Promise<boolean>} true jika dihapus
+   */
+  static async removeItem(userId, itemId) {
+    if (!mongoose.isValidObjectId(itemId)) return false;
+
+    const result = await Wishlist.updateOne(
+      { user: userId, "items._id": itemId },
+      { $pull: { items: { _id: itemId } } }
+    );
+
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Cek semua item wishlist: notifikasi harga turun & kembali tersedia (in-app + satu email digest per user)
+   * @returns {Promise<Object>} { priceDrops, backInStock }
+   */
+  static async processWishlistAlerts() {
+    const alertsByUser = new Map();
+    let priceDrops = 0;
+    let backInStock = 0;
+    let lastId = null;
+
+    // Batch berdasarkan _id agar memori tetap kecil
+    for (;;) {
+      const query = { "items.0": { $exists: true } };
+      if (lastId) query._id = { $gt: lastId };
+
+      const lists = await Wishlist.find(query).sort({ _id: 1 }).limit(this.ALERT_BATCH_SIZE).lean();
+      if (lists.length === 0) break;
+      lastId = lists[lists.length - 1]._id;
+
+      const productIds = [...new Set(lists.flatMap(list => list.items.map(item => item.product.toString())))];
+      const products = await Product.find({ _id: { $in: productIds } }).select(this.PRODUCT_SELECT).lean();
+      const productById = new Map(products.map(product => [product._id.toString(), product]));
+
+      const updates = [];
+
+      for (const list of lists) {
+        for (const item of list.items) {
+          const product = productById.get(item.product.toString());
+          const state = this.getItemState(item, product);
+          if (!state.isAvailable) continue;
+
+          const referencePrice = item.notifiedPrice ?? item.priceAtAdd;
+          const isPriceDrop = state.currentPrice < referencePrice;
+          const isBackInStock = state.inStock && item.lastInStock === false;
+
+          if (isPriceDrop || isBackInStock) {
+            const alerts = alertsByUser.get(list.user.toString()) || [];
+            alerts.push({
+              type: isBackInStock ? "wishlist_back_in_stock" : "wishlist_price_drop",
+              productId: product._id.toString(),
+              title: product.title,
+              slug: product.slug,
+              oldPrice: isPriceDrop ? referencePrice : null,
+              newPrice: state.currentPrice,
+              inStock: state.inStock,
+            });
+            alertsByUser.set(list.user.toString(), alerts);
+
+            if (isPriceDrop) priceDrops++;
+            if (isBackInStock) backInStock++;
+          }
+
+          if (isPriceDrop || state.inStock !== item.lastInStock) {
+            updates.push({
+              updateOne: {
+                filter: { _id: list._id },
+                update: {
+                  $set: {
+                    "items.$[item].lastInStock": state.inStock,
+                    "items.$[item].notifiedPrice": isPriceDrop ? state.currentPrice : referencePrice,
+                  },
+                },
+                arrayFilters: [{ "item._id": item._id }],
+              },
+            });
+          }
+        }
+      }
+
+      if (updates.length > 0) {
+        await Wishlist.bulkWrite(updates, { ordered: false });
+      }
+    }
+
+    for (const [userId, alerts] of alertsByUser) {
+      await this._sendAlerts(userId, alerts);
+    }
+
+    if (priceDrops + backInStock > 0) {
+      logger.info(`💖 Wishlist alerts: ${priceDrops} price drop(s), ${backInStock} back in stock`);
+    }
+
+    return { priceDrops, backInStock };
+  }
+
+  /**
+   * Kirim notifikasi in-app per item + satu email digest
+   * @private
+   */
+  static async _sendAlerts(userId, alerts) {
+    // Satu produk bisa ada di beberapa list -> cukup satu notifikasi
+    const uniqueAlerts = [...new Map(alerts.map(alert => [`${alert.productId}:${alert.type}`, alert])).values()];
+
+    for (const alert of uniqueAlerts) {
+      const isPriceDrop = alert.type === "wishlist_price_drop";
+      const priceChange = isPriceDrop
+        ? `Rp ${alert.oldPrice.toLocaleString("id-ID")} to Rp ${alert.newPrice.toLocaleString("id-ID")}`
+        : null;
+
+      await NotificationService.notify(userId, alert.type, {
+        title: isPriceDrop ? "Price drop on your wishlist" : "Back in stock",
+        message: isPriceDrop
+          ? `${alert.title} dropped from ${priceChange}.`
+          : `${alert.title} from your wishlist is available again.`,
+        data: { productId: alert.productId, slug: alert.slug, oldPrice: alert.oldPrice, newPrice: alert.newPrice },
+      });
+    }
+
+    const user = await User.findById(userId).select("username email isActive").lean();
+    if (user && user.isActive !== false) {
+      // EmailService tidak pernah throw; gagal kirim cukup di-log
+      await EmailService.sendWishlistAlert(user, uniqueAlerts);
+    }
+  }
+
+  static startWishlistAlertScheduler() {
+    setInterval(async () => {
+      try {
+        await this.processWishlistAlerts();
+      } catch (error) {
+        logger.error("Wishlist alert scheduler error:", error);
+      }
+    }, this.ALERT_INTERVAL);
+
+    logger.info("Wishlist alert scheduler started - checking every 1 hour");
+  }
+}
+
+module.exports = WishlistService;
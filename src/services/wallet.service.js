@@ -3,6 +3,13 @@ const Wallet = require("../models/wallet.model");
 const WalletTransaction = require("../models/wallet-transaction.model");
 const bcrypt = require("bcryptjs");
 const mongoose = require("mongoose");
+const {
+  withCursorTieBreaker,
+  encodeCursor,
+  buildCursorFilter,
+  supportsCursor,
+  buildCursorPage,
+} = require("../utils/query.util");
 
 class WalletService {
   /**
@@ -43,20 +50,34 @@ class WalletService {
       dateTo,
       sortBy = "createdAt",
       sortOrder = "desc",
+      cursor,
     } = queryParams;
 
-    const transactions = await WalletTransaction.getUserTransactions(userId, {
+    const direction = sortOrder === "desc" ? -1 : 1;
+    const sort = withCursorTieBreaker({ [sortBy]: direction });
+
+    // Cursor mode: lanjut setelah transaksi terakhir halaman sebelumnya (tanpa skip & tanpa total count)
+    const cursorFilter = cursor ? buildCursorFilter(cursor, sort, WalletTransaction.CURSOR_SORT_FIELDS) : null;
+
+    let transactions = await WalletTransaction.getUserTransactions(userId, {
       page: parseInt(page),
-      limit: parseInt(limit),
+      limit: cursorFilter ? parseInt(limit) + 1 : parseInt(limit),
       type,
       status,
       dateFrom,
       dateTo,
       sortBy,
-      sortOrder: sortOrder === "desc" ? -1 : 1,
+      sortOrder: direction,
+      cursorFilter,
     });
 
-    const total = await WalletTransaction.countDocuments({
+    let cursorPage = null;
+    if (cursorFilter) {
+      cursorPage = buildCursorPage(transactions, parseInt(limit), sort);
+      transactions = cursorPage.items;
+    }
+
+    const total = cursorPage ? null : await WalletTransaction.countDocuments({
       userId,
       ...(type && { type }),
       ...(status && { status }),
@@ -91,14 +112,34 @@ class WalletService {
       },
     }));
 
+    if (cursorPage) {
+      return {
+        transactions: transformedTransactions,
+        pagination: {
+          currentPage: null,
+          totalPages: null,
+          totalTransactions: null,
+          hasNextPage: cursorPage.hasNext,
+          hasPrevPage: true,
+          nextCursor: cursorPage.nextCursor,
+        },
+      };
+    }
+
+    const hasNextPage = page < Math.ceil(total / limit);
+
     return {
       transactions: transformedTransactions,
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / limit),
         totalTransactions: total,
-        hasNextPage: page < Math.ceil(total / limit),
+        hasNextPage,
         hasPrevPage: page > 1,
+        nextCursor:
+          hasNextPage && transactions.length > 0 && supportsCursor(sort, WalletTransaction.CURSOR_SORT_FIELDS)
+            ? encodeCursor(transactions[transactions.length - 1], sort)
+            : null,
       },
     };
   }
@@ -1,5 +1,6 @@
 // utils/cartUtils.js
 const { HTTP_STATUS, MESSAGES } = require("../constants/httpStatus");
+const { getEffectivePrice, formatPricing } = require("./product-pricing.util");
 
 /**
  * Populate cart items with product and category details
@@ -7,7 +8,7 @@ const { HTTP_STATUS, MESSAGES } = require("../constants/httpStatus");
 const populateCart = async (cart) => {
   return await cart.populate({
     path: "items.product",
-    select: "title price image category description stock sellerId",
+    select: "title price image category description stock sellerId variants sales compareAtPrice",
     populate: [
       {
         path: "category",
@@ -83,6 +84,97 @@ const validateStock = (
   return { isValid: true };
 };
 
+/**
+ * Resolve selected variant for a product
+ * Produk tanpa varian selalu valid dengan variant = null
+ */
+const resolveVariant = (product, variantId) => {
+  const variants = product.variants || [];
+
+  if (variants.length === 0) {
+    return { isValid: true, variant: null };
+  }
+
+  if (!variantId) {
+    return {
+      isValid: false,
+      error: {
+        status: HTTP_STATUS.BAD_REQUEST,
+        message: MESSAGES.CART.VARIANT_REQUIRED,
+        data: {
+          variantOptions: product.variantOptions || [],
+        },
+      },
+    };
+  }
+
+  const variant = variants.find(v => v._id.toString() === variantId.toString());
+  if (!variant || !variant.isActive) {
+    return {
+      isValid: false,
+      error: {
+        status: HTTP_STATUS.BAD_REQUEST,
+        message: MESSAGES.CART.VARIANT_NOT_FOUND,
+      },
+    };
+  }
+
+  return { isValid: true, variant };
+};
+
+/**
+ * Find selected variant of a (populated) cart item
+ * @private
+ */
+const _findItemVariant = item => {
+  if (!item.variant || !Array.isArray(item.product?.variants)) return null;
+  return item.product.variants.find(v => v._id.toString() === item.variant.toString()) || null;
+};
+
+/**
+ * Get current unit price for a (populated) cart item, variant-aware
+ * Harga sale yang sedang berjalan ikut diperhitungkan
+ */
+const getCurrentUnitPrice = item => {
+  const product = item.product;
+  if (!product || product.price === undefined) return item.priceAtAddition;
+
+  return getEffectivePrice(product, _findItemVariant(item));
+};
+
+/**
+ * Get pricing block (harga reguler, harga coret, sale) for a (populated) cart item
+ */
+const getItemPricing = item => {
+  const product = item.product;
+  if (!product || product.price === undefined) return null;
+
+  return formatPricing(product, _findItemVariant(item));
+};
+
+/**
+ * Format selected variant of a (populated) cart item
+ */
+const formatItemVariant = item => {
+  if (!item.variant) return null;
+
+  const variants = item.product?.variants || [];
+  const variant = variants.find(v => v._id.toString() === item.variant.toString());
+
+  if (!variant) {
+    return { id: item.variant, sku: item.variantSku, options: {}, image: null, stock: 0, available: false };
+  }
+
+  return {
+    id: variant._id,
+    sku: variant.sku,
+    options: variant.options instanceof Map ? Object.fromEntries(variant.options) : variant.options,
+    image: variant.image || null,
+    stock: variant.stock,
+    available: variant.isActive,
+  };
+};
+
 /**
  * Validate stock for update operation
  */
@@ -109,8 +201,9 @@ const validateStockForUpdate = (product, quantity) => {
  * Calculate cart totals
  */
 const calculateCartTotals = (cart) => {
+  // getCurrentUnitPrice fallback ke priceAtAddition jika product belum di-populate
   const totalPrice = cart.items.reduce((sum, item) => {
-    return sum + item.priceAtAddition * item.quantity;
+    return sum + getCurrentUnitPrice(item) * item.quantity;
   }, 0);
 
   const totalItems = cart.items.reduce((sum, item) => sum + item.quantity, 0);
@@ -142,24 +235,29 @@ const formatCartResponse = (cart) => {
     userId: cart.user,
     status: cart.isActive ? "active" : "inactive",
     items: cart.items.map(item => {
-      const currentPrice = item.product?.price || item.priceAtAddition;
-      
+      const currentPrice = getCurrentUnitPrice(item);
+      const pricing = getItemPricing(item);
+      const variant = formatItemVariant(item);
+
       return {
         id: item._id,
         productId: item.product._id,
+        variant,
         quantity: item.quantity,
         unitPrice: currentPrice,
+        originalUnitPrice: pricing?.originalPrice || null,
+        isOnSale: pricing?.isOnSale || false,
         totalPrice: currentPrice * item.quantity,
         addedAt: item.addedAt || cart.updatedAt,
         product: {
           id: item.product._id,
           title: item.product.title,
           description: item.product.description,
-          currentPrice: item.product.price,
+          currentPrice: item.product.price !== undefined ? getEffectivePrice(item.product) : undefined,
           stock: item.product.stock,
           slug: item.product.slug,
           image: {
-            url: item.product.image || null,
+            url: variant?.image || item.product.image || null,
             alt: item.product.title || "Product Image"
           },
           category: item.product.category ? {
@@ -216,6 +314,10 @@ module.exports = {
   validateQuantity,
   validateStock,
   validateStockForUpdate,
+  resolveVariant,
+  getCurrentUnitPrice,
+  getItemPricing,
+  formatItemVariant,
   calculateCartTotals,
   formatCartResponse,
 };
@@ -0,0 +1,111 @@
+// utils/csv.util.js
+
+/**
+ * Kebalikan guard formula di _escapeCell
+ * @private
+ */
+const _unescapeCell = cell => (/^'[=+\-@]/.test(cell) ? cell.slice(1) : cell);
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF, newline dalam quote)
+ * Prefix ' dari guard formula toCsv dibuang lagi, sehingga file export bisa di-import ulang apa adanya
+ * @param {string} text - CSV content, baris pertama adalah header
+ * @returns {Array<Object>} Rows keyed by header, plus `__line` (nomor baris di file)
+ */
+const parseCsv = text => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const content = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      record.push(field);
+      records.push({ values: record, line: recordLine });
+      record = [];
+      field = "";
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push({ values: record, line: recordLine });
+  }
+
+  const nonEmpty = records.filter(({ values }) => values.some(value => value.trim() !== ""));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].values.map(header => header.trim());
+
+  return nonEmpty.slice(1).map(({ values, line: rowLine }) => {
+    const row = { __line: rowLine };
+    headers.forEach((header, index) => {
+      if (header) row[header] = values[index] !== undefined ? _unescapeCell(values[index].trim()) : "";
+    });
+    return row;
+  });
+};
+
+/**
+ * Escape a single CSV cell
+ * String diawali =, +, -, @ diberi prefix ' agar tidak dieksekusi sebagai formula di spreadsheet
+ * @private
+ */
+const _escapeCell = value => {
+  if (value === null || value === undefined) return "";
+
+  let cell = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(cell)) {
+    cell = `'${cell}`;
+  }
+
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Serialize rows to CSV text
+ * @param {Array<Object>} rows - Data rows
+ * @param {Array<string>} columns - Column order (juga dipakai sebagai header)
+ * @returns {string} CSV content
+ */
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(_escapeCell).join(",")];
+  rows.forEach(row => {
+    lines.push(columns.map(column => _escapeCell(row[column])).join(","));
+  });
+  return lines.join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  parseCsv,
+  toCsv,
+};
@@ -1361,8 +1361,240 @@ const createSellerUpgradeNotificationTemplate = (user, sellerProfile, senderInfo
 `;
 };
 
+// Escape teks dari user/seller (judul produk, nama saved search) sebelum disisipkan ke HTML
+const escapeHtml = value =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const createBackInStockTemplate = (user, product, senderInfo) => {
+  const companyName = process.env.COMPANY_NAME;
+  const companyWebsite = process.env.CLIENT_URL;
+  const supportContact = senderInfo.supportEmail;
+  const productUrl = `${companyWebsite}/products/${product.slug}`;
+  const title = escapeHtml(product.title);
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Back in Stock - ${title}</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f7f9fc; font-family: 'Inter', Arial, sans-serif; color: #333;">
+    <div style="max-width: 600px; margin: 30px auto; background-color: #ffffff; border-radius: 16px; overflow: hidden;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; color: white;">
+            <h1 style="margin: 0; font-size: 24px;">📦 Back in Stock!</h1>
+        </div>
+        <div style="padding: 30px;">
+            <p>Hi ${user.username},</p>
+            <p>Good news! <strong>${title}</strong>${product.variantLabel ? ` (${escapeHtml(product.variantLabel)})` : ""} is available again.</p>
+            ${product.image ? `<img src="${product.image}" alt="${title}" style="max-width: 100%; border-radius: 12px; margin: 15px 0;">` : ""}
+            <p>Stock is limited, so grab it before it runs out again.</p>
+            <p style="text-align: center; margin: 30px 0;">
+                <a href="${productUrl}" style="background: #667eea; color: white; padding: 12px 28px; border-radius: 8px; text-decoration: none; font-weight: 600;">🛒 Shop Now</a>
+            </p>
+            <p style="font-size: 13px; color: #888;">
+                You received this email because you asked to be notified when this product is restocked.
+                Need help? Contact us at <a href="mailto:${supportContact}" style="color: #667eea;">${supportContact}</a>.
+            </p>
+        </div>
+        <div style="padding: 20px; text-align: center; font-size: 12px; color: #999; background-color: #f7f9fc;">
+            © ${new Date().getFullYear()} ${companyName}. All rights reserved.
+        </div>
+    </div>
+</body>
+</html>
+`;
+};
+
+const createLowStockAlertTemplate = (user, products, senderInfo) => {
+  const companyName = process.env.COMPANY_NAME;
+  const companyWebsite = process.env.CLIENT_URL;
+  const supportContact = senderInfo.supportEmail;
+
+  const rows = products
+    .map(
+      product => `
+                <tr>
+                    <td style="padding: 10px; border-bottom: 1px solid #eee;">${escapeHtml(product.title)}</td>
+                    <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: center; color: ${product.stock === 0 ? "#e53e3e" : "#dd6b20"}; font-weight: 600;">${product.stock === 0 ? "Out of stock" : product.stock}</td>
+                    <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: center;">${product.lowStockThreshold}</td>
+                </tr>`
+    )
+    .join("");
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Low Stock Alert - ${companyName}</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f7f9fc; font-family: 'Inter', Arial, sans-serif; color: #333;">
+    <div style="max-width: 600px; margin: 30px auto; background-color: #ffffff; border-radius: 16px; overflow: hidden;">
+        <div style="background: linear-gradient(135deg, #f6ad55 0%, #e53e3e 100%); padding: 30px; text-align: center; color: white;">
+            <h1 style="margin: 0; font-size: 24px;">⚠️ Low Stock Alert</h1>
+        </div>
+        <div style="padding: 30px;">
+            <p>Hi ${user.username},</p>
+            <p>The following products are running low on stock:</p>
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+                <tr style="background-color: #f7f9fc;">
+                    <th style="padding: 10px; text-align: left;">Product</th>
+                    <th style="padding: 10px;">Available</th>
+                    <th style="padding: 10px;">Threshold</th>
+                </tr>${rows}
+            </table>
+            <p style="text-align: center; margin: 30px 0;">
+                <a href="${companyWebsite}/seller/products" style="background: #667eea; color: white; padding: 12px 28px; border-radius: 8px; text-decoration: none; font-weight: 600;">📦 Manage Products</a>
+            </p>
+            <p style="font-size: 13px; color: #888;">
+                You can change the low-stock threshold of each product from your seller dashboard.
+                Need help? Contact us at <a href="mailto:${supportContact}" style="color: #667eea;">${supportContact}</a>.
+            </p>
+        </div>
+        <div style="padding: 20px; text-align: center; font-size: 12px; color: #999; background-color: #f7f9fc;">
+            © ${new Date().getFullYear()} ${companyName} Sellers. All rights reserved.
+        </div>
+    </div>
+</body>
+</html>
+`;
+};
+
+const createWishlistAlertTemplate = (user, alerts, senderInfo) => {
+  const companyName = process.env.COMPANY_NAME;
+  const companyWebsite = process.env.CLIENT_URL;
+  const supportContact = senderInfo.supportEmail;
+
+  const rows = alerts
+    .map(
+      alert => `
+                <tr>
+                    <td style="padding: 10px; border-bottom: 1px solid #eee;">
+                        <a href="${companyWebsite}/products/${alert.slug}" style="color: #333; text-decoration: none; font-weight: 600;">${escapeHtml(alert.title)}</a>
+                    </td>
+                    <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: right;">
+                        ${alert.oldPrice ? `<span style="color: #999; text-decoration: line-through;">Rp ${alert.oldPrice.toLocaleString("id-ID")}</span><br>` : ""}
+                        <span style="color: #e53e3e; font-weight: 600;">Rp ${alert.newPrice.toLocaleString("id-ID")}</span>
+                    </td>
+                    <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: center;">
+                        ${alert.type === "wishlist_back_in_stock" ? "📦 Back in stock" : "🏷️ Price drop"}
+                    </td>
+                </tr>`
+    )
+    .join("");
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Wishlist Update - ${companyName}</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f7f9fc; font-family: 'Inter', Arial, sans-serif; color: #333;">
+    <div style="max-width: 600px; margin: 30px auto; background-color: #ffffff; border-radius: 16px; overflow: hidden;">
+        <div style="background: linear-gradient(135deg, #f687b3 0%, #667eea 100%); padding: 30px; text-align: center; color: white;">
+            <h1 style="margin: 0; font-size: 24px;">💖 Good news from your wishlist</h1>
+        </div>
+        <div style="padding: 30px;">
+            <p>Hi ${user.username},</p>
+            <p>Some products on your wishlist just got cheaper or are available again:</p>
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">${rows}
+            </table>
+            <p style="text-align: center; margin: 30px 0;">
+                <a href="${companyWebsite}/wishlist" style="background: #667eea; color: white; padding: 12px 28px; border-radius: 8px; text-decoration: none; font-weight: 600;">💖 View Wishlist</a>
+            </p>
+            <p style="font-size: 13px; color: #888;">
+                You received this email because these products are on your wishlist.
+                Need help? Contact us at <a href="mailto:${supportContact}" style="color: #667eea;">${supportContact}</a>.
+            </p>
+        </div>
+        <div style="padding: 20px; text-align: center; font-size: 12px; color: #999; background-color: #f7f9fc;">
+            © ${new Date().getFullYear()} ${companyName}. All rights reserved.
+        </div>
+    </div>
+</body>
+</html>
+`;
+};
+
+const createSavedSearchAlertTemplate = (user, alerts, senderInfo) => {
+  const companyName = process.env.COMPANY_NAME;
+  const companyWebsite = process.env.CLIENT_URL;
+  const supportContact = senderInfo.supportEmail;
+
+  const sections = alerts
+    .map(alert => {
+      const rows = alert.products
+        .map(
+          product => `
+                    <tr>
+                        <td style="padding: 10px; border-bottom: 1px solid #eee;">
+                            <a href="${companyWebsite}/products/${product.slug}" style="color: #333; text-decoration: none; font-weight: 600;">${escapeHtml(product.title)}</a>
+                        </td>
+                        <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: right; color: #e53e3e; font-weight: 600;">
+                            Rp ${product.price.toLocaleString("id-ID")}
+                        </td>
+                    </tr>`
+        )
+        .join("");
+      const more = alert.total - alert.products.length;
+
+      return `
+            <h3 style="margin: 25px 0 5px;">🔎 ${escapeHtml(alert.name || alert.query)}</h3>
+            <p style="margin: 0; color: #666;">${alert.total} new product${alert.total === 1 ? "" : "s"}</p>
+            <table style="width: 100%; border-collapse: collapse; margin: 10px 0;">${rows}
+            </table>
+            <p style="margin: 0;">
+                <a href="${companyWebsite}/search?${new URLSearchParams(alert.searchParams).toString()}" style="color: #667eea; font-weight: 600;">${more > 0 ? `See ${more} more` : "See search results"} →</a>
+            </p>`;
+    })
+    .join("");
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Saved Search Update - ${companyName}</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f7f9fc; font-family: 'Inter', Arial, sans-serif; color: #333;">
+    <div style="max-width: 600px; margin: 30px auto; background-color: #ffffff; border-radius: 16px; overflow: hidden;">
+        <div style="background: linear-gradient(135deg, #4fd1c5 0%, #667eea 100%); padding: 30px; text-align: center; color: white;">
+            <h1 style="margin: 0; font-size: 24px;">🔎 New products for your saved searches</h1>
+        </div>
+        <div style="padding: 30px;">
+            <p>Hi ${user.username},</p>
+            <p>New products matching your saved searches were just listed:</p>${sections}
+            <p style="font-size: 13px; color: #888; margin-top: 30px;">
+                You received this email because you turned on alerts for these saved searches.
+                Need help? Contact us at <a href="mailto:${supportContact}" style="color: #667eea;">${supportContact}</a>.
+            </p>
+        </div>
+        <div style="padding: 20px; text-align: center; font-size: 12px; color: #999; background-color: #f7f9fc;">
+            © ${new Date().getFullYear()} ${companyName}. All rights reserved.
+        </div>
+    </div>
+</body>
+</html>
+`;
+};
+
 module.exports = {
   createResetEmailTemplate,
   createPasswordChangedNotificationTemplate,
-  createSellerUpgradeNotificationTemplate
+  createSellerUpgradeNotificationTemplate,
+  createBackInStockTemplate,
+  createLowStockAlertTemplate,
+  createWishlistAlertTemplate,
+  createSavedSearchAlertTemplate
 };
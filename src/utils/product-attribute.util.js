@@ -0,0 +1,220 @@
+// utils/product-attribute.util.js
+
+/**
+ * Supported attribute types for category attribute schemas
+ */
+const ATTRIBUTE_TYPES = ["enum", "number", "boolean"];
+
+/**
+ * Attribute key format, dipakai juga sebagai nama field `attributes.<key>` di MongoDB
+ */
+const ATTRIBUTE_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+/**
+ * Maximum number of attribute filters in a single request
+ */
+const MAX_ATTRIBUTE_FILTERS = 20;
+
+const NUMBER_RANGE_PATTERN = /^(-?\d+(?:\.\d+)?)?-(-?\d+(?:\.\d+)?)?$/;
+
+/**
+ * Convert attributes Map/object to a plain object
+ * @param {Map|Object} attributes - Product attributes
+ * @returns {Object} Plain object
+ */
+const toPlainAttributes = attributes => {
+  if (!attributes) return {};
+  return attributes instanceof Map ? Object.fromEntries(attributes) : { ...attributes };
+};
+
+/**
+ * Parse a single filter value into a MongoDB condition
+ * Format: enum "Nike,Adidas" (OR), number "5-7" / "5-" / "-7" / "6", boolean "true"
+ * Tanpa definisi (mis. search tanpa kategori) tipe ditebak dari format nilainya
+ * @private
+ */
+const _parseFilterValue = (key, values, definition) => {
+  const type = definition?.type || _inferFilterType(values);
+
+  if (type === "boolean") {
+    if (values.length !== 1 || !["true", "false"].includes(values[0].toLowerCase())) {
+      return { error: `attr[${key}] must be true or false` };
+    }
+    return { condition: values[0].toLowerCase() === "true" };
+  }
+
+  if (type === "number") {
+    const ranges = [];
+    for (const value of values) {
+      const range = _parseNumberRange(value);
+      if (!range) {
+        return { error: `attr[${key}] must be a number or a range like 5-7` };
+      }
+      ranges.push(range);
+    }
+    return { condition: ranges.length === 1 ? ranges[0] : { $or: ranges }, isRangeList: ranges.length > 1 };
+  }
+
+  // enum: cocokkan ke opsi yang terdaftar (case-insensitive)
+  if (definition?.options?.length) {
+    const canonical = [];
+    for (const value of values) {
+      const option = definition.options.find(opt => opt.toLowerCase() === value.toLowerCase());
+      if (!option) {
+        return { error: `attr[${key}] must be one of: ${definition.options.join(", ")}` };
+      }
+      canonical.push(option);
+    }
+    return { condition: { $in: canonical } };
+  }
+
+  return { condition: { $in: values } };
+};
+
+/**
+ * @private
+ */
+const _inferFilterType = values => {
+  if (values.length === 1 && ["true", "false"].includes(values[0].toLowerCase())) return "boolean";
+  if (values.every(value => /^\d+(?:\.\d+)?$/.test(value) || NUMBER_RANGE_PATTERN.test(value))) return "number";
+  return "enum";
+};
+
+/**
+ * Tebak tipe facet dari nilai tersimpan (produk di kategori tanpa schema)
+ * @private
+ */
+const _inferValueType = values => {
+  if (values.length > 0 && values.every(value => typeof value === "boolean")) return "boolean";
+  if (values.length > 0 && values.every(value => typeof value === "number")) return "number";
+  return "enum";
+};
+
+/**
+ * @private
+ */
+const _parseNumberRange = value => {
+  // "-7" dibaca sebagai range (<= 7), bukan angka negatif
+  if (/^\d+(?:\.\d+)?$/.test(value)) {
+    return { $eq: Number(value) };
+  }
+
+  const match = value.match(NUMBER_RANGE_PATTERN);
+  if (!match || (match[1] === undefined && match[2] === undefined)) return null;
+
+  const range = {};
+  if (match[1] !== undefined) range.$gte = Number(match[1]);
+  if (match[2] !== undefined) range.$lte = Number(match[2]);
+  return range;
+};
+
+/**
+ * Build per-attribute MongoDB conditions from sanitized `attr` query param
+ * @param {Object} attr - { key: [values] } (lihat _sanitizeAttributeFilter di query.util)
+ * @param {Array} definitions - Attribute schema kategori (boleh kosong)
+ * @returns {Object} { isValid, errors, filters } dengan filters = { key: matchObject }
+ */
+const buildAttributeFilters = (attr = {}, definitions = []) => {
+  const errors = [];
+  const filters = {};
+  const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+
+  for (const [key, values] of Object.entries(attr)) {
+    const definition = byKey.get(key);
+
+    if (definitions.length > 0 && (!definition || definition.filterable === false)) {
+      errors.push(`attr[${key}] is not a filterable attribute for this category`);
+      continue;
+    }
+
+    const parsed = _parseFilterValue(key, values, definition);
+    if (parsed.error) {
+      errors.push(parsed.error);
+      continue;
+    }
+
+    const field = `attributes.${key}`;
+    filters[key] = parsed.isRangeList
+      ? { $or: parsed.condition.$or.map(range => ({ [field]: range })) }
+      : { [field]: parsed.condition };
+  }
+
+  return { isValid: errors.length === 0, errors, filters };
+};
+
+/**
+ * Combine attribute filters into a single $match object
+ * @param {Object} filters - Output of buildAttributeFilters
+ * @param {string} [excludeKey] - Key yang dikecualikan (untuk facet disjunctive)
+ * @returns {Object} MongoDB match object
+ */
+const combineAttributeFilters = (filters = {}, excludeKey = null) => {
+  const conditions = Object.entries(filters)
+    .filter(([key]) => key !== excludeKey)
+    .map(([, condition]) => condition);
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+/**
+ * Format raw facet rows ({ _id: { key, value }, count }) into API facets
+ * Enum menampilkan semua opsi (termasuk count 0), number menyertakan min/max
+ * @param {Array} rows - Aggregation rows
+ * @param {Array} definitions - Attribute schema kategori (boleh kosong)
+ * @returns {Array} Facets
+ */
+const formatAttributeFacets = (rows, definitions = []) => {
+  const countsByKey = new Map();
+  rows.forEach(({ _id, count }) => {
+    if (!countsByKey.has(_id.key)) countsByKey.set(_id.key, new Map());
+    const counts = countsByKey.get(_id.key);
+    counts.set(_id.value, (counts.get(_id.value) || 0) + count);
+  });
+
+  const facetDefinitions =
+    definitions.length > 0
+      ? definitions.filter(definition => definition.filterable !== false)
+      : [...countsByKey.keys()].sort().map(key => ({ key, label: key, type: null }));
+
+  return facetDefinitions.map(definition => {
+    const counts = countsByKey.get(definition.key) || new Map();
+    const type = definition.type || _inferValueType([...counts.keys()]);
+
+    let values;
+    if (type === "enum" && definition.options?.length) {
+      const extra = [...counts.keys()].filter(value => !definition.options.includes(value));
+      values = [...definition.options, ...extra].map(value => ({ value, count: counts.get(value) || 0 }));
+    } else if (type === "boolean") {
+      values = [true, false].map(value => ({ value, count: counts.get(value) || 0 }));
+    } else {
+      values = [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => (type === "number" ? a.value - b.value : String(a.value).localeCompare(String(b.value))));
+    }
+
+    const facet = {
+      key: definition.key,
+      label: definition.label || definition.key,
+      type,
+      unit: definition.unit || null,
+      values,
+    };
+
+    if (type === "number") {
+      const numbers = values.map(({ value }) => value).filter(value => typeof value === "number");
+      facet.range = numbers.length > 0 ? { min: Math.min(...numbers), max: Math.max(...numbers) } : null;
+    }
+
+    return facet;
+  });
+};
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  ATTRIBUTE_KEY_PATTERN,
+  MAX_ATTRIBUTE_FILTERS,
+  toPlainAttributes,
+  buildAttributeFilters,
+  combineAttributeFilters,
+  formatAttributeFacets,
+};
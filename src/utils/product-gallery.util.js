@@ -0,0 +1,37 @@
+// utils/product-gallery.util.js
+
+/**
+ * Maximum number of images in a product gallery
+ */
+const MAX_GALLERY_IMAGES = 8;
+
+/**
+ * Format product gallery for API responses
+ * Produk lama tanpa gallery tetap mengembalikan `image` sebagai satu-satunya gambar primary
+ * @param {Object} product - Product document or lean/aggregated object
+ * @returns {Array} Ordered gallery images
+ */
+const formatGallery = product => {
+  if (!product) return [];
+
+  const images = product.images || [];
+
+  if (images.length === 0) {
+    return product.image
+      ? [{ id: null, url: product.image, alt: product.title || "Product Image", isPrimary: true, position: 0 }]
+      : [];
+  }
+
+  return images.map((image, index) => ({
+    id: image._id ? image._id.toString() : null,
+    url: image.url,
+    alt: image.alt || product.title || "Product Image",
+    isPrimary: !!image.isPrimary,
+    position: index,
+  }));
+};
+
+module.exports = {
+  MAX_GALLERY_IMAGES,
+  formatGallery,
+};
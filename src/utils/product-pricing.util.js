@@ -0,0 +1,124 @@
+// utils/product-pricing.util.js
+
+/**
+ * Maximum discount of a single sale window (percent)
+ */
+const MAX_SALE_PERCENT = 90;
+
+/**
+ * Maximum number of pending/active sale windows per product
+ */
+const MAX_SALE_WINDOWS = 10;
+
+/**
+ * Compare-at ("was") price tidak boleh melebihi harga tertinggi dalam periode ini
+ */
+const REFERENCE_PRICE_DAYS = 30;
+
+/**
+ * Harga baru dihitung sebagai harga referensi jika berlaku minimal selama ini (hari)
+ */
+const REFERENCE_PRICE_MIN_DAYS = 7;
+
+/**
+ * Get the sale window that is running at `now`
+ * Dihitung dari jendela waktu (bukan status) agar harga tetap benar walau scheduler terlambat
+ * @param {Object} product - Product document / lean object (field `sales`)
+ * @param {Date} [now] - Reference time
+ * @returns {Object|null} Active sale window
+ */
+const getActiveSale = (product, now = new Date()) => {
+  const sales = product?.sales || [];
+
+  return (
+    sales.find(
+      sale =>
+        sale.status !== "ended" && new Date(sale.startAt) <= now && new Date(sale.endAt) > now
+    ) || null
+  );
+};
+
+/**
+ * Apply sale discount to a price (dibulatkan ke rupiah)
+ * @param {number} price - Regular price
+ * @param {Object|null} sale - Sale window
+ * @returns {number} Discounted price
+ */
+const applySale = (price, sale) => {
+  if (!sale) return price;
+  return Math.round((price * (100 - sale.percentOff)) / 100);
+};
+
+/**
+ * Get the price a buyer pays right now, variant-aware
+ * @param {Object} product - Product document / lean object
+ * @param {Object|null} [variant] - Selected variant
+ * @param {Date} [now] - Reference time
+ * @returns {number} Effective unit price
+ */
+const getEffectivePrice = (product, variant = null, now = new Date()) => {
+  const regularPrice = (variant || product).price;
+  return applySale(regularPrice, getActiveSale(product, now));
+};
+
+/**
+ * Format pricing block for API responses
+ * `originalPrice` (harga coret) = harga reguler saat sale, atau compareAtPrice jika lebih tinggi dari harga
+ * @param {Object} product - Product document / lean object
+ * @param {Object|null} [variant] - Selected variant
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { price, regularPrice, originalPrice, discountPercent, isOnSale, sale }
+ */
+const formatPricing = (product, variant = null, now = new Date()) => {
+  const regularPrice = (variant || product).price;
+  const sale = getActiveSale(product, now);
+  const price = applySale(regularPrice, sale);
+
+  let originalPrice = null;
+  if (sale && price < regularPrice) {
+    originalPrice = regularPrice;
+  } else if (product.compareAtPrice && product.compareAtPrice > price) {
+    originalPrice = product.compareAtPrice;
+  }
+
+  return {
+    price,
+    regularPrice,
+    originalPrice,
+    discountPercent: originalPrice ? Math.round(((originalPrice - price) / originalPrice) * 100) : 0,
+    isOnSale: Boolean(sale),
+    sale: sale
+      ? {
+          id: sale._id,
+          percentOff: sale.percentOff,
+          endsAt: sale.endAt,
+        }
+      : null,
+  };
+};
+
+/**
+ * Format sale windows for seller responses
+ * @param {Array} sales - Sale windows
+ * @returns {Array} Formatted windows
+ */
+const formatSaleWindows = (sales = []) =>
+  (sales || []).map(sale => ({
+    id: sale._id,
+    percentOff: sale.percentOff,
+    startAt: sale.startAt,
+    endAt: sale.endAt,
+    status: sale.status,
+  }));
+
+module.exports = {
+  MAX_SALE_PERCENT,
+  MAX_SALE_WINDOWS,
+  REFERENCE_PRICE_DAYS,
+  REFERENCE_PRICE_MIN_DAYS,
+  getActiveSale,
+  applySale,
+  getEffectivePrice,
+  formatPricing,
+  formatSaleWindows,
+};
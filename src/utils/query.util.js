@@ -1,4 +1,6 @@
 // utils/queryUtils.js - OPTIMIZED VERSION
+const mongoose = require('mongoose');
+const { ATTRIBUTE_KEY_PATTERN, MAX_ATTRIBUTE_FILTERS } = require('./product-attribute.util');
 
 /**
  * Build search query for text fields with fuzzy matching
@@ -387,8 +389,12 @@ const _sanitizeParam = (key, value) => {
     
     // String parameters (general)
     search: { type: 'string', maxLength: 200 },
+    cursor: { type: 'string', maxLength: 1000 },
     category: { type: 'string', maxLength: 100 },
-    sellerId: { type: 'objectId' }
+    sellerId: { type: 'objectId' },
+
+    // Attribute filters: attr[brand]=Nike,Adidas&attr[screen_size]=5-7
+    attr: { type: 'attributeFilter' }
   };
   
   const rule = PARAM_RULES[key];
@@ -410,6 +416,8 @@ const _sanitizeParam = (key, value) => {
       return _sanitizeString(value, rule);
     case 'objectId':
       return _sanitizeObjectId(value);
+    case 'attributeFilter':
+      return _sanitizeAttributeFilter(value);
     default:
       return { isValid: false, error: `Unknown parameter type: ${rule.type}` };
   }
@@ -544,6 +552,47 @@ const _sanitizeObjectId = (value) => {
   return { isValid: true, value: trimmed };
 };
 
+/**
+ * Sanitize attribute filter object into { key: [values] }
+ * Nilai dipisah koma (OR); tipe & opsi divalidasi terhadap attribute schema di service
+ * @private
+ */
+const _sanitizeAttributeFilter = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { isValid: false, error: 'attr must be used as attr[key]=value' };
+  }
+
+  const entries = Object.entries(value);
+  if (entries.length > MAX_ATTRIBUTE_FILTERS) {
+    return { isValid: false, error: `At most ${MAX_ATTRIBUTE_FILTERS} attribute filters are allowed` };
+  }
+
+  const sanitized = {};
+  for (const [key, rawValue] of entries) {
+    if (!ATTRIBUTE_KEY_PATTERN.test(key)) {
+      return { isValid: false, error: `Invalid attribute key: ${key}` };
+    }
+
+    const rawValues = Array.isArray(rawValue) ? rawValue : [rawValue];
+    if (!rawValues.every(item => typeof item === 'string')) {
+      return { isValid: false, error: `attr[${key}] must be a string` };
+    }
+
+    const values = rawValues
+      .flatMap(item => item.split(','))
+      .map(item => item.trim().substring(0, 100))
+      .filter(Boolean);
+
+    if (values.length === 0) {
+      return { isValid: false, error: `attr[${key}] must not be empty` };
+    }
+
+    sanitized[key] = [...new Set(values)];
+  }
+
+  return { isValid: true, value: sanitized };
+};
+
 /**
  * Build aggregation pipeline for complex queries (optimized)
  * @param {Object} filters - Filter object
@@ -622,6 +671,143 @@ const buildAggregationPipeline = (filters, options = {}) => {
   return pipeline;
 };
 
+/**
+ * Cursor pagination (keyset): cursor menyimpan nilai sort key item terakhir, bukan offset,
+ * sehingga tidak melambat di halaman jauh dan tidak duplikat saat ada data baru
+ * Sort key harus selalu terisi (tidak null) di setiap dokumen, lihat supportsCursor
+ */
+const MAX_CURSOR_LENGTH = 1000;
+
+/**
+ * Add _id as final sort key so every position in the order is unique
+ * @param {Object} sort - MongoDB sort object
+ * @returns {Object} - Sort object with _id tie-breaker
+ */
+const withCursorTieBreaker = (sort = {}) => {
+  if (sort._id) return sort;
+
+  const directions = Object.values(sort);
+  return { ...sort, _id: directions.length > 0 ? directions[directions.length - 1] : -1 };
+};
+
+/**
+ * Cek apakah semua sort key (selain _id) aman untuk cursor mode
+ * Field nullable membuat item hilang di batas halaman, jadi hanya field yang selalu terisi yang boleh
+ * @param {Object} sort - Sort object (withCursorTieBreaker)
+ * @param {Array<string>} allowedFields - Field yang selalu terisi di setiap dokumen
+ * @returns {boolean}
+ */
+const supportsCursor = (sort, allowedFields) =>
+  Object.keys(sort).every(key => key === '_id' || allowedFields.includes(key));
+
+/**
+ * Signature of a sort object (cursor hanya valid untuk sort yang sama)
+ * @private
+ */
+const _sortSignature = (sort) => Object.entries(sort).map(([key, direction]) => `${key}:${direction}`).join(',');
+
+/**
+ * Serialize a sort value (Date & ObjectId dipertahankan tipenya)
+ * @private
+ */
+const _encodeCursorValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value === undefined ? null : value;
+};
+
+/**
+ * @private
+ */
+const _decodeCursorValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string' && !isNaN(Date.parse(value.$date))) return new Date(value.$date);
+    if (typeof value.$oid === 'string' && mongoose.isValidObjectId(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw new Error('Invalid cursor value');
+  }
+  return value;
+};
+
+/**
+ * Encode an opaque cursor pointing after the given item
+ * @param {Object} item - Raw document (sebelum di-transform) dengan semua sort key
+ * @param {Object} sort - Sort object (withCursorTieBreaker)
+ * @returns {string} - Base64url cursor
+ */
+const encodeCursor = (item, sort) => {
+  const values = Object.keys(sort).map(key =>
+    _encodeCursorValue(key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), item))
+  );
+
+  return Buffer.from(JSON.stringify({ s: _sortSignature(sort), v: values })).toString('base64url');
+};
+
+/**
+ * Decode a cursor into a filter matching items after the cursor position
+ * @param {string} cursor - Cursor from a previous response
+ * @param {Object} sort - Sort object (withCursorTieBreaker), harus sama dengan saat cursor dibuat
+ * @param {Array<string>} allowedFields - Sort key yang boleh dipakai cursor mode (lihat supportsCursor)
+ * @returns {Object} - MongoDB filter (bisa dipakai di find maupun $match)
+ * @throws {Error} statusCode 400 jika sort tidak didukung, cursor rusak atau dibuat untuk sort lain
+ */
+const buildCursorFilter = (cursor, sort, allowedFields) => {
+  if (!supportsCursor(sort, allowedFields)) {
+    const error = new Error(`Cursor pagination only supports sortBy: ${allowedFields.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  let values;
+
+  try {
+    if (typeof cursor !== 'string' || cursor.length > MAX_CURSOR_LENGTH) throw new Error('Invalid cursor');
+
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const validValues = Array.isArray(decoded.v) && decoded.v.length === Object.keys(sort).length;
+    if (decoded.s !== _sortSignature(sort) || !validValues) {
+      throw new Error('Cursor does not match sort');
+    }
+    values = decoded.v.map(_decodeCursorValue);
+  } catch (error) {
+    const invalid = new Error('Invalid or expired cursor. Restart from the first page');
+    invalid.statusCode = 400;
+    throw invalid;
+  }
+
+  // (a > x) OR (a = x AND b > y) OR ... sesuai arah sort tiap key
+  const keys = Object.keys(sort);
+  return {
+    $or: keys.map((key, index) => {
+      const clause = {};
+      keys.slice(0, index).forEach((previousKey, i) => {
+        clause[previousKey] = values[i];
+      });
+      clause[key] = { [sort[key] === -1 ? '$lt' : '$gt']: values[index] };
+      return clause;
+    })
+  };
+};
+
+/**
+ * Build cursor page from a query that fetched limit + 1 items
+ * @param {Array} items - Raw documents (maks limit + 1)
+ * @param {number} limit - Items per page
+ * @param {Object} sort - Sort object (withCursorTieBreaker)
+ * @returns {Object} - { items, hasNext, nextCursor }
+ */
+const buildCursorPage = (items, limit, sort) => {
+  const hasNext = items.length > limit;
+  const pageItems = hasNext ? items.slice(0, limit) : items;
+
+  return {
+    items: pageItems,
+    hasNext,
+    nextCursor: hasNext ? encodeCursor(pageItems[pageItems.length - 1], sort) : null
+  };
+};
+
 module.exports = {
   buildSearchQuery,
   buildSortObject,
@@ -631,5 +817,10 @@ module.exports = {
   buildPriceFilter,
   buildDateFilter,
   validateQueryParams,
-  buildAggregationPipeline
+  buildAggregationPipeline,
+  withCursorTieBreaker,
+  encodeCursor,
+  buildCursorFilter,
+  supportsCursor,
+  buildCursorPage
 };
\ No newline at end of file
@@ -0,0 +1,215 @@
+// utils/search.util.js
+
+/**
+ * Maximum number of words of a search term yang dipakai (sisanya diabaikan)
+ */
+const MAX_SEARCH_WORDS = 8;
+
+/**
+ * Kata lebih pendek dari ini tidak dicari dengan toleransi typo (terlalu banyak false positive)
+ */
+const MIN_FUZZY_WORD_LENGTH = 4;
+
+/**
+ * Maximum number of words yang dicari dengan toleransi typo
+ */
+const MAX_FUZZY_WORDS = 3;
+
+/**
+ * Stem hasil stemming minimal sepanjang ini, selain itu kata asli yang dipakai
+ */
+const MIN_STEM_LENGTH = 4;
+
+const FUZZY_ALPHABET = "abcdefghijklmnopqrstuvwxyz0123456789";
+const VOWEL_PATTERN = /^[aiueo]/;
+
+/**
+ * Normalize text for search: lowercase, tanpa tanda baca / operator ($text & regex)
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+const normalizeSearchText = (text = "") =>
+  String(text)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+/**
+ * Split text into unique normalized words (min 2 karakter)
+ * @param {string} text - Raw text
+ * @returns {Array<string>} Words
+ */
+const tokenize = text => [...new Set(normalizeSearchText(text).split(" ").filter(word => word.length >= 2))];
+
+/**
+ * Strip a suffix when the remaining word is still long enough
+ * @private
+ */
+const stripSuffix = (word, pattern, minLength = MIN_STEM_LENGTH) => {
+  const stripped = word.replace(pattern, "");
+  return stripped !== word && stripped.length >= minLength ? stripped : word;
+};
+
+/**
+ * Strip Indonesian prefix (me-, pe-, ber-, ter-, di-, ke-an) dengan peluluhan huruf awal
+ * @private
+ */
+const stripPrefix = (word, hadSuffix) => {
+  const rules = [
+    // ber-/ter-/per- dicek sebelum pe- + r: permainan -> main
+    [/^(ber|ter|per)/, ""],
+    // meny-/peny- + vokal: menyapu -> sapu
+    [/^(meny|peny)(?=[aiueo])/, "s"],
+    // mem-/pem- + vokal: memakai -> pakai; + b/f/p/v: membeli -> beli
+    [/^(mem|pem)(?=[aiueo])/, "p"],
+    [/^(mem|pem)(?=[bfpv])/, ""],
+    // men-/pen- + vokal: menulis -> tulis; + c/d/j/z/t: mendaki -> daki
+    [/^(men|pen)(?=[aiueo])/, "t"],
+    [/^(men|pen)(?=[cdjzt])/, ""],
+    // meng-/peng-: mengambil -> ambil, menggoreng -> goreng
+    [/^(meng|peng)(?=[aiueoghkq])/, ""],
+    // me-/pe- + l/r/w/y/m/n: melihat -> lihat
+    [/^(me|pe)(?=[lrwymn])/, ""],
+    [/^di/, ""],
+  ];
+  // Konfiks ke-an (kecantikan -> cantik); ke- tanpa sufiks terlalu sering bagian kata dasar (kemeja)
+  if (hadSuffix) rules.push([/^ke/, ""]);
+
+  for (const [pattern, replacement] of rules) {
+    if (!pattern.test(word)) continue;
+
+    const stem = word.replace(pattern, replacement);
+    // Kata dasar diawali vokal atau konsonan+vokal, selain itu prefiks kemungkinan bagian kata (diskon)
+    if (stem.length >= MIN_STEM_LENGTH && (VOWEL_PATTERN.test(stem) || VOWEL_PATTERN.test(stem.slice(1)))) {
+      return stem;
+    }
+    return word;
+  }
+
+  return word;
+};
+
+/**
+ * Light Indonesian stemmer (tanpa kamus kata dasar)
+ * Urutan: kepemilikan (-ku, -mu, -nya) -> sufiks (-kan untuk kata kerja me-/di-, selain itu -an) -> prefiks
+ * Sufiks -i & partikel (-lah, -kah) tidak dibuang: tanpa kamus terlalu sering bagian kata dasar (roti, sekolah)
+ * @param {string} word - Normalized word
+ * @returns {string} Stem (kata asli jika tidak ada aturan yang cocok)
+ */
+const stemIndonesian = word => {
+  if (!word || word.length <= MIN_STEM_LENGTH || /\d/.test(word)) return word;
+
+  let stem = stripSuffix(word, /(ku|mu|nya)$/);
+  stem = stripSuffix(stem, /^(me|di)/.test(stem) ? /(kan|an)$/ : /an$/);
+
+  return stripPrefix(stem, stem !== word);
+};
+
+/**
+ * Search tokens of a document: kata asli + stem (dipakai text index & pencarian typo)
+ * @param {...string} texts - Title, category name, dll.
+ * @returns {Array<string>} Unique tokens
+ */
+const buildSearchTokens = (...texts) => {
+  const words = texts.filter(Boolean).flatMap(tokenize);
+  return [...new Set([...words, ...words.map(stemIndonesian)])];
+};
+
+/**
+ * Apply the admin search dictionary: buang stop words, lalu cari sinonim per kata
+ * Sinonim frasa ("kaos kaki") berlaku untuk setiap kata frasa; jika semua kata stop word, kata asli dipakai
+ * @param {Array<string>} words - tokenize() result
+ * @param {Object|null} dictionary - { stopWords: Set, synonyms: Map term -> Array<string> term lain }
+ * @returns {Object} { words, synonyms: Map word -> Array<string> search tokens sinonim }
+ */
+const applySearchDictionary = (words, dictionary = null) => {
+  const synonyms = new Map();
+  if (!dictionary) {
+    return { words: words.slice(0, MAX_SEARCH_WORDS), synonyms };
+  }
+
+  const kept = words.filter(word => !dictionary.stopWords.has(word));
+  const result = (kept.length > 0 ? kept : words).slice(0, MAX_SEARCH_WORDS);
+  const phrase = ` ${words.join(" ")} `;
+
+  for (const [term, otherTerms] of dictionary.synonyms) {
+    if (!phrase.includes(` ${term} `)) continue;
+
+    const tokens = buildSearchTokens(...otherTerms);
+    for (const word of term.split(" ").filter(word => result.includes(word))) {
+      synonyms.set(word, [...new Set([...(synonyms.get(word) || []), ...tokens])]);
+    }
+  }
+
+  return { words: result, synonyms };
+};
+
+/**
+ * Parse a user search term
+ * @param {string} searchTerm - Raw search term
+ * @param {Object|null} dictionary - Kamus pencarian (stop words & sinonim), lihat applySearchDictionary
+ * @returns {Object} { words, stems, synonyms, textSearch } - textSearch aman untuk $text (tanpa operator)
+ */
+const parseSearchTerm = (searchTerm, dictionary = null) => {
+  const { words, synonyms } = applySearchDictionary(tokenize(searchTerm), dictionary);
+  const stems = [...new Set(words.map(stemIndonesian))];
+  const synonymTokens = [...synonyms.values()].flat();
+
+  return {
+    words,
+    stems,
+    synonyms,
+    textSearch: [...new Set([...words, ...stems, ...synonymTokens])].join(" "),
+  };
+};
+
+/**
+ * All strings one edit away (hapus, tukar, ganti, sisip satu karakter)
+ * @param {string} word - Normalized word
+ * @returns {Array<string>} Variants including the word itself
+ */
+const getTypoVariants = word => {
+  const variants = new Set([word]);
+  if (word.length < MIN_FUZZY_WORD_LENGTH) return [...variants];
+
+  for (let i = 0; i <= word.length; i++) {
+    const head = word.slice(0, i);
+    const tail = word.slice(i);
+
+    if (tail) variants.add(head + tail.slice(1));
+    if (tail.length > 1) variants.add(head + tail[1] + tail[0] + tail.slice(2));
+
+    for (const char of FUZZY_ALPHABET) {
+      if (tail) variants.add(head + char + tail.slice(1));
+      variants.add(head + char + tail);
+    }
+  }
+
+  return [...variants].filter(variant => variant.length >= 2);
+};
+
+/**
+ * Typo candidates per word of a search term (hanya kata yang cukup panjang)
+ * @param {Array<string>} words - Parsed words
+ * @returns {Array<Array<string>>} Candidate tokens per word
+ */
+const buildFuzzyCandidates = words =>
+  words
+    .filter(word => word.length >= MIN_FUZZY_WORD_LENGTH && !/^\d+$/.test(word))
+    .slice(0, MAX_FUZZY_WORDS)
+    .map(word => [...new Set([...getTypoVariants(word), stemIndonesian(word)])]);
+
+module.exports = {
+  MAX_SEARCH_WORDS,
+  MIN_FUZZY_WORD_LENGTH,
+  normalizeSearchText,
+  tokenize,
+  stemIndonesian,
+  buildSearchTokens,
+  applySearchDictionary,
+  parseSearchTerm,
+  getTypoVariants,
+  buildFuzzyCandidates,
+};
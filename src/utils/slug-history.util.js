@@ -0,0 +1,85 @@
+/**
+ * Slug history - simpan slug lama agar link lama bisa di-redirect (301) ke slug sekarang
+ * Slug lama tetap "dipesan" oleh dokumen pemiliknya sehingga tidak bisa dipakai dokumen lain
+ */
+
+/**
+ * Mongoose plugin: tambahkan `previousSlugs` + static `findCurrentSlug`
+ * Daftarkan SETELAH pre("save") yang meng-generate slug agar perubahan slug ikut tercatat
+ * @param {mongoose.Schema} schema - Schema target
+ * @param {Object} options - { field: nama field slug, filter: filter tambahan untuk lookup redirect }
+ */
+const slugHistoryPlugin = (schema, options = {}) => {
+  const { field = "slug", filter = {} } = options;
+
+  schema.add({
+    previousSlugs: {
+      type: [String],
+      default: [],
+    },
+  });
+  schema.index({ previousSlugs: 1 });
+
+  // Ingat slug saat dokumen di-load (nilai lama sudah hilang saat pre save)
+  schema.post("init", function () {
+    this.$locals.loadedSlug = this[field];
+  });
+
+  schema.pre("save", function (next) {
+    const loadedSlug = this.$locals.loadedSlug;
+    const currentSlug = this[field];
+
+    if (!this.isNew && loadedSlug && currentSlug && loadedSlug !== currentSlug) {
+      if (!this.previousSlugs.includes(loadedSlug)) {
+        this.previousSlugs.push(loadedSlug);
+      }
+    }
+
+    // Kembali ke slug lama milik sendiri -> bukan riwayat lagi
+    if (currentSlug && this.previousSlugs.includes(currentSlug)) {
+      this.previousSlugs.pull(currentSlug);
+    }
+
+    next();
+  });
+
+  schema.post("save", function () {
+    this.$locals.loadedSlug = this[field];
+  });
+
+  /**
+   * Slug sekarang dari dokumen yang pernah memakai `slug`
+   * @param {string} slug - Slug lama
+   * @returns {Promise<string|null>} Slug sekarang atau null
+   */
+  schema.statics.findCurrentSlug = async function (slug) {
+    if (!slug) return null;
+
+    const doc = await this.findOne({ ...filter, previousSlugs: slug })
+      .select(field)
+      .lean();
+
+    return doc ? doc[field] : null;
+  };
+};
+
+/**
+ * Filter untuk mencari dokumen yang memakai slug (sekarang atau lama)
+ * Model tanpa slug history hanya dicek di field slug-nya
+ * @param {mongoose.Model} Model - Model target
+ * @param {string} fieldName - Field slug
+ * @param {string} slug - Slug yang dicek
+ * @returns {Object} Mongo filter
+ */
+const buildSlugTakenQuery = (Model, fieldName, slug) => {
+  if (!Model.schema.path("previousSlugs")) {
+    return { [fieldName]: slug };
+  }
+
+  return { $or: [{ [fieldName]: slug }, { previousSlugs: slug }] };
+};
+
+module.exports = {
+  slugHistoryPlugin,
+  buildSlugTakenQuery,
+};
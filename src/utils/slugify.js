@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const logger = require("./logger");
+const { buildSlugTakenQuery } = require("./slug-history.util");
 
 /**
  * Convert string to URL-friendly slug
@@ -42,7 +44,8 @@ const createUniqueSlug = async (text, modelName, field = null, excludeId = null)
     
     // Keep checking until we find a unique slug
     while (true) {
-      const query = { [fieldName]: uniqueSlug };
+      // Slug lama dokumen lain (slug history) juga dianggap terpakai
+      const query = buildSlugTakenQuery(Model, fieldName, uniqueSlug);
       
       // Exclude current document if updating
       if (excludeId) {
@@ -137,7 +140,7 @@ const isSlugAvailable = async (slug, modelName, excludeId = null) => {
     const Model = mongoose.model(modelName);
     const fieldName = modelName === 'SellerProfile' ? 'storeSlug' : 'slug';
     
-    const query = { [fieldName]: slug };
+    const query = buildSlugTakenQuery(Model, fieldName, slug);
     
     if (excludeId) {
       query._id = { $ne: excludeId };
@@ -168,8 +171,14 @@ const updateSlug = async (docId, newText, modelName) => {
     const fieldName = modelName === 'SellerProfile' ? 'storeSlug' : 'slug';
     const newSlug = await createUniqueSlug(newText, modelName, fieldName, docId);
     
+    // Lewat save() agar slug lama tercatat di slug history model
     const Model = mongoose.model(modelName);
-    await Model.findByIdAndUpdate(docId, { [fieldName]: newSlug });
+    const doc = await Model.findById(docId);
+    if (!doc) {
+      throw new Error(`${modelName} ${docId} not found`);
+    }
+    doc[fieldName] = newSlug;
+    await doc.save();
     
     return newSlug;
   } catch (error) {
@@ -1,3 +1,6 @@
+const mongoose = require("mongoose");
+const { ATTRIBUTE_TYPES, ATTRIBUTE_KEY_PATTERN } = require("./product-attribute.util");
+const { MAX_SALE_PERCENT } = require("./product-pricing.util");
 
 /**
  * Validation helper utilities
@@ -75,10 +78,56 @@ class ValidationHelper {
     return true;
   }
   static validateProductData(productData) {
-    const { title, description, price, category, stock, image } = productData;
+    const {
+      title,
+      description,
+      price,
+      category,
+      stock,
+      image,
+      variants,
+      attributes,
+      sku,
+      publishStatus,
+      publishAt,
+      unpublishAt,
+      lowStockThreshold,
+      productType,
+      bundleItems,
+    } = productData;
     const errors = [];
     const validatedData = {};
 
+    // Bundle: stok diturunkan dari komponen, tidak boleh punya varian
+    const isBundle = productType === "bundle";
+    if (productType !== undefined && !["standard", "bundle"].includes(productType)) {
+      errors.push("productType must be either standard or bundle");
+    } else if (productType !== undefined) {
+      validatedData.productType = productType;
+    }
+    if (isBundle) {
+      const bundleValidation = this.validateBundleItems(bundleItems);
+      if (!bundleValidation.isValid) {
+        errors.push(...bundleValidation.errors);
+      } else {
+        validatedData.bundleItems = bundleValidation.value;
+      }
+      if (Array.isArray(variants) && variants.length > 0) {
+        errors.push("A bundle cannot have variants");
+      }
+    }
+
+    // Validate variants (optional). Jika ada varian, price & stock diturunkan dari varian
+    const hasVariants = Array.isArray(variants) && variants.length > 0;
+    if (variants !== undefined) {
+      const variantValidation = this.validateVariants(variants);
+      if (!variantValidation.isValid) {
+        errors.push(...variantValidation.errors);
+      } else {
+        validatedData.variants = variantValidation.value;
+      }
+    }
+
     // Validate title
     if (!title || typeof title !== "string" || title.trim().length < 3) {
       errors.push("Title must be at least 3 characters long");
@@ -99,7 +148,9 @@ class ValidationHelper {
 
     // Validate price
     const parsedPrice = parseFloat(price);
-    if (isNaN(parsedPrice) || parsedPrice < 0) {
+    if (hasVariants && price === undefined) {
+      // Derived from variants on save
+    } else if (isNaN(parsedPrice) || parsedPrice < 0) {
       errors.push("Price must be a positive number");
     } else {
       validatedData.price = parsedPrice;
@@ -114,7 +165,9 @@ class ValidationHelper {
 
     // Validate stock
     const parsedStock = parseInt(stock);
-    if (isNaN(parsedStock) || parsedStock < 0) {
+    if ((hasVariants && stock === undefined) || isBundle) {
+      // Derived from variants / bundle components on save
+    } else if (isNaN(parsedStock) || parsedStock < 0) {
       errors.push("Stock must be a non-negative integer");
     } else {
       validatedData.stock = parsedStock;
@@ -138,6 +191,44 @@ class ValidationHelper {
       }
     }
 
+    // SKU (optional)
+    if (sku !== undefined && sku !== null && sku !== "") {
+      if (typeof sku !== "string" || !/^[A-Za-z0-9._-]{1,64}$/.test(sku.trim())) {
+        errors.push("SKU may only contain letters, numbers, dot, dash or underscore (max 64)");
+      } else {
+        validatedData.sku = sku.trim().toUpperCase();
+      }
+    }
+
+    // Low-stock alert threshold (optional, default di model)
+    if (lowStockThreshold !== undefined) {
+      const thresholdValidation = this.validateLowStockThreshold(lowStockThreshold);
+      if (!thresholdValidation.isValid) {
+        errors.push(...thresholdValidation.errors);
+      } else {
+        validatedData.lowStockThreshold = thresholdValidation.value;
+      }
+    }
+
+    // Draft / jadwal publish (optional)
+    if (publishStatus !== undefined || publishAt !== undefined || unpublishAt !== undefined) {
+      const publication = this.validatePublication({ publishStatus, publishAt, unpublishAt });
+      if (!publication.isValid) {
+        errors.push(...publication.errors);
+      } else {
+        Object.assign(validatedData, publication.value);
+      }
+    }
+
+    // Attributes (optional) - divalidasi terhadap attribute schema kategori di service
+    if (attributes !== undefined) {
+      if (!attributes || typeof attributes !== "object" || Array.isArray(attributes)) {
+        errors.push("Attributes must be an object, e.g. { brand: \"Nike\" }");
+      } else {
+        validatedData.attributes = attributes;
+      }
+    }
+
     return {
       isValid: errors.length === 0,
       errors,
@@ -145,5 +236,459 @@ class ValidationHelper {
       hasImage: !!validatedData.image,
     };
   }
+
+  /**
+   * Validate product variants
+   * @param {Array} variants - [{ sku, options: { size, color }, price, stock, image, isActive }]
+   * @returns {Object} Validation result with sanitized variants
+   */
+  static validateVariants(variants) {
+    const errors = [];
+
+    if (!Array.isArray(variants)) {
+      return { isValid: false, errors: ["Variants must be an array"], value: [] };
+    }
+
+    const skus = new Set();
+    const value = variants.map((variant, index) => {
+      const label = `Variant #${index + 1}`;
+      const { _id, id, sku, options, price, stock, image, isActive } = variant || {};
+
+      const normalizedSku = typeof sku === "string" ? sku.trim().toUpperCase() : "";
+      if (!normalizedSku) {
+        errors.push(`${label}: SKU is required`);
+      } else if (skus.has(normalizedSku)) {
+        errors.push(`${label}: duplicate SKU ${normalizedSku}`);
+      }
+      skus.add(normalizedSku);
+
+      const validOptions =
+        options &&
+        typeof options === "object" &&
+        !Array.isArray(options) &&
+        Object.keys(options).length > 0 &&
+        Object.values(options).every(optionValue => typeof optionValue === "string" && optionValue.trim());
+      if (!validOptions) {
+        errors.push(`${label}: options must be an object of non-empty strings, e.g. { size: "42" }`);
+      }
+
+      const parsedPrice = parseFloat(price);
+      if (isNaN(parsedPrice) || parsedPrice < 0) {
+        errors.push(`${label}: price must be a positive number`);
+      }
+
+      const parsedStock = parseInt(stock);
+      if (isNaN(parsedStock) || parsedStock < 0) {
+        errors.push(`${label}: stock must be a non-negative integer`);
+      }
+
+      let variantImage = null;
+      if (image) {
+        const imageValidation = this.validateImageUrl(image);
+        if (!imageValidation.isValid) {
+          errors.push(`${label}: ${imageValidation.message}`);
+        }
+        variantImage = imageValidation.value;
+      }
+
+      // Form-encoded / import mengirim "true"/"false" sebagai string
+      let parsedIsActive = true;
+      if (typeof isActive === "boolean") {
+        parsedIsActive = isActive;
+      } else if (isActive === "true" || isActive === "false") {
+        parsedIsActive = isActive === "true";
+      } else if (isActive !== undefined) {
+        errors.push(`${label}: isActive must be true or false`);
+      }
+
+      const sanitized = {
+        sku: normalizedSku,
+        options: validOptions
+          ? Object.fromEntries(Object.entries(options).map(([key, optionValue]) => [key.trim(), optionValue.trim()]))
+          : {},
+        price: parsedPrice,
+        stock: parsedStock,
+        image: variantImage,
+        isActive: parsedIsActive,
+      };
+
+      // Pertahankan _id agar varian yang sudah ada di cart/order tetap valid
+      if (_id || id) sanitized._id = _id || id;
+
+      return sanitized;
+    });
+
+    return { isValid: errors.length === 0, errors, value };
+  }
+
+  /**
+   * Validate bundle components
+   * @param {Array} bundleItems - [{ productId, variantId?, quantity }]
+   * @returns {Object} Validation result with sanitized items ({ product, variant, quantity })
+   */
+  static validateBundleItems(bundleItems) {
+    if (!Array.isArray(bundleItems) || bundleItems.length < 2 || bundleItems.length > 10) {
+      return { isValid: false, errors: ["bundleItems must be an array of 2-10 component products"], value: [] };
+    }
+
+    const errors = [];
+    const keys = new Set();
+    const value = bundleItems.map((item, index) => {
+      const label = `Bundle item #${index + 1}`;
+      const { productId, variantId, quantity = 1 } = item || {};
+
+      if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+        errors.push(`${label}: valid productId is required`);
+      }
+      if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+        errors.push(`${label}: invalid variantId`);
+      }
+
+      const parsedQuantity = parseInt(quantity);
+      if (isNaN(parsedQuantity) || parsedQuantity < 1 || parsedQuantity > 99) {
+        errors.push(`${label}: quantity must be an integer between 1 and 99`);
+      }
+
+      const key = `${productId}:${variantId || ""}`;
+      if (keys.has(key)) {
+        errors.push(`${label}: duplicate component`);
+      }
+      keys.add(key);
+
+      return { product: productId, variant: variantId || null, quantity: parsedQuantity };
+    });
+
+    return { isValid: errors.length === 0, errors, value };
+  }
+
+  /**
+   * Validate draft / scheduled publishing fields
+   * @param {Object} data - { publishStatus: "draft"/"published", publishAt, unpublishAt } (null = hapus jadwal)
+   * @returns {Object} Validation result with parsed dates
+   */
+  static validatePublication({ publishStatus, publishAt, unpublishAt }) {
+    const errors = [];
+    const value = {};
+    const now = new Date();
+
+    if (publishStatus !== undefined) {
+      if (!["draft", "published"].includes(publishStatus)) {
+        errors.push("publishStatus must be draft or published");
+      } else {
+        value.publishStatus = publishStatus;
+      }
+    }
+
+    const parseDate = (field, raw) => {
+      if (raw === undefined) return;
+      if (raw === null || raw === "") {
+        value[field] = null;
+        return;
+      }
+
+      const date = new Date(raw);
+      if (isNaN(date.getTime())) {
+        errors.push(`${field} must be a valid date`);
+      } else if (date <= now) {
+        errors.push(`${field} must be in the future`);
+      } else {
+        value[field] = date;
+      }
+    };
+
+    parseDate("publishAt", publishAt);
+    parseDate("unpublishAt", unpublishAt);
+
+    if (value.publishStatus === "draft" && value.publishAt) {
+      errors.push("A draft cannot have a publish time, omit publishStatus to schedule it");
+    }
+
+    if (value.publishAt && value.unpublishAt && value.unpublishAt <= value.publishAt) {
+      errors.push("unpublishAt must be after publishAt");
+    }
+
+    return { isValid: errors.length === 0, errors, value };
+  }
+
+  /**
+   * Validate admin category create/update data
+   * @param {Object} data - { name, description, parent, isActive }
+   * @param {Object} options - { partial: true untuk update (field kosong = tidak diubah) }
+   * @returns {Object} Validation result with normalized value
+   */
+  static validateCategoryData(data = {}, { partial = false } = {}) {
+    const errors = [];
+    const value = {};
+    const { name, description, parent, isActive } = data || {};
+
+    if (name !== undefined || !partial) {
+      const trimmed = typeof name === "string" ? name.trim() : "";
+      if (trimmed.length < 2 || trimmed.length > 100) {
+        errors.push("Name must be between 2 and 100 characters");
+      } else {
+        value.name = trimmed;
+      }
+    }
+
+    if (description !== undefined) {
+      if (description !== null && typeof description !== "string") {
+        errors.push("Description must be a string");
+      } else if (description && description.trim().length > 500) {
+        errors.push("Description cannot exceed 500 characters");
+      } else {
+        value.description = description ? description.trim() : "";
+      }
+    }
+
+    // null / "" = jadikan root
+    if (parent !== undefined) {
+      if (parent === null || parent === "") {
+        value.parent = null;
+      } else if (!mongoose.isValidObjectId(parent)) {
+        errors.push("Parent must be a valid category ID or null");
+      } else {
+        value.parent = parent;
+      }
+    }
+
+    if (isActive !== undefined) {
+      if (typeof isActive !== "boolean") {
+        errors.push("isActive must be a boolean");
+      } else {
+        value.isActive = isActive;
+      }
+    }
+
+    if (partial && errors.length === 0 && Object.keys(value).length === 0) {
+      errors.push("At least one of name, description, parent or isActive is required");
+    }
+
+    return { isValid: errors.length === 0, errors, value };
+  }
+
+  /**
+   * Validate compare-at ("was") price
+   * @param {number|string|null} compareAtPrice - Price, null/"" untuk menghapus
+   * @returns {Object} Validation result with parsed value
+   */
+  static validateCompareAtPrice(compareAtPrice) {
+    if (compareAtPrice === undefined) {
+      return { isValid: false, errors: ["compareAtPrice is required (use null to remove it)"] };
+    }
+    if (compareAtPrice === null || compareAtPrice === "") {
+      return { isValid: true, errors: [], value: null };
+    }
+
+    const parsed = parseFloat(compareAtPrice);
+    if (isNaN(parsed) || parsed <= 0) {
+      return { isValid: false, errors: ["compareAtPrice must be a positive number"] };
+    }
+
+    return { isValid: true, errors: [], value: parsed };
+  }
+
+  /**
+   * Validate low-stock alert threshold (0 = alert hanya saat stok habis)
+   * @param {number|string} threshold - Threshold value
+   * @returns {Object} Validation result with parsed threshold
+   */
+  static validateLowStockThreshold(threshold) {
+    const parsed = Number(threshold);
+    if (threshold === null || threshold === "" || !Number.isInteger(parsed) || parsed < 0) {
+      return { isValid: false, errors: ["lowStockThreshold must be a non-negative integer"] };
+    }
+
+    return { isValid: true, errors: [], value: parsed };
+  }
+
+  /**
+   * Validate manual stock adjustment (quantity positif = tambah stok, negatif = kurangi)
+   * @param {Object} adjustment - { variantId, quantity, reason }
+   * @returns {Object} Validation result with parsed adjustment
+   */
+  static validateStockAdjustment({ variantId, quantity, reason } = {}) {
+    const errors = [];
+
+    if (variantId !== undefined && variantId !== null && !mongoose.Types.ObjectId.isValid(variantId)) {
+      errors.push("variantId must be a valid ID");
+    }
+
+    const parsedQuantity = Number(quantity);
+    if (quantity === null || quantity === "" || !Number.isInteger(parsedQuantity) || parsedQuantity === 0) {
+      errors.push("quantity must be a non-zero integer");
+    }
+
+    const trimmedReason = typeof reason === "string" ? reason.trim() : "";
+    if (!trimmedReason) {
+      errors.push("reason is required for manual stock adjustments");
+    } else if (trimmedReason.length > 500) {
+      errors.push("reason cannot exceed 500 characters");
+    }
+
+    if (errors.length > 0) {
+      return { isValid: false, errors };
+    }
+
+    return {
+      isValid: true,
+      errors: [],
+      value: { variantId: variantId || null, quantity: parsedQuantity, reason: trimmedReason },
+    };
+  }
+
+  /**
+   * Validate a scheduled sale window
+   * @param {Object} sale - { percentOff, startAt, endAt }
+   * @returns {Object} Validation result with parsed window
+   */
+  static validateSaleWindow({ percentOff, startAt, endAt } = {}) {
+    const errors = [];
+    const now = new Date();
+
+    const parsedPercent = Number(percentOff);
+    if (!Number.isInteger(parsedPercent) || parsedPercent < 1 || parsedPercent > MAX_SALE_PERCENT) {
+      errors.push(`percentOff must be a whole number between 1 and ${MAX_SALE_PERCENT}`);
+    }
+
+    // startAt kosong = mulai sekarang
+    const start = startAt ? new Date(startAt) : now;
+    const end = endAt ? new Date(endAt) : null;
+
+    if (isNaN(start.getTime())) {
+      errors.push("startAt must be a valid date");
+    }
+    if (!end || isNaN(end.getTime())) {
+      errors.push("endAt must be a valid date");
+    } else if (end <= now) {
+      errors.push("endAt must be in the future");
+    } else if (!isNaN(start.getTime()) && end <= start) {
+      errors.push("endAt must be after startAt");
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      value: { percentOff: parsedPercent, startAt: start, endAt: end },
+    };
+  }
+
+  /**
+   * Validate category attribute schema (admin)
+   * @param {Array} attributes - [{ key, label, type, options, unit, required, filterable }]
+   * @returns {Object} Validation result with sanitized definitions
+   */
+  static validateAttributeDefinitions(attributes) {
+    const errors = [];
+
+    if (!Array.isArray(attributes)) {
+      return { isValid: false, errors: ["Attributes must be an array"], value: [] };
+    }
+
+    const keys = new Set();
+    const value = attributes.map((attribute, index) => {
+      const label = `Attribute #${index + 1}`;
+      const { key, label: attributeLabel, type, options, unit, required, filterable } = attribute || {};
+
+      const normalizedKey = typeof key === "string" ? key.trim().toLowerCase() : "";
+      if (!ATTRIBUTE_KEY_PATTERN.test(normalizedKey)) {
+        errors.push(`${label}: key must start with a letter and contain only a-z, 0-9 or _`);
+      } else if (keys.has(normalizedKey)) {
+        errors.push(`${label}: duplicate key ${normalizedKey}`);
+      }
+      keys.add(normalizedKey);
+
+      if (!ATTRIBUTE_TYPES.includes(type)) {
+        errors.push(`${label}: type must be one of ${ATTRIBUTE_TYPES.join(", ")}`);
+      }
+
+      let normalizedOptions = [];
+      if (type === "enum") {
+        normalizedOptions = Array.isArray(options)
+          ? [...new Set(options.filter(option => typeof option === "string" && option.trim()).map(option => option.trim()))]
+          : [];
+        if (normalizedOptions.length === 0) {
+          errors.push(`${label}: enum attributes need at least one option`);
+        }
+      }
+
+      return {
+        key: normalizedKey,
+        label: typeof attributeLabel === "string" && attributeLabel.trim() ? attributeLabel.trim() : normalizedKey,
+        type,
+        options: normalizedOptions,
+        unit: type === "number" && typeof unit === "string" && unit.trim() ? unit.trim() : null,
+        required: Boolean(required),
+        filterable: filterable === undefined ? true : Boolean(filterable),
+      };
+    });
+
+    return { isValid: errors.length === 0, errors, value };
+  }
+
+  /**
+   * Validate product attributes against category attribute schema
+   * @param {Object} attributes - { brand: "Nike", screen_size: 6.1, waterproof: true }
+   * @param {Array} schema - Effective attribute schema (Category.getAttributeSchema)
+   * @returns {Object} Validation result with normalized attributes
+   */
+  static validateProductAttributes(attributes = {}, schema = []) {
+    const errors = [];
+    const value = {};
+    const byKey = new Map(schema.map(definition => [definition.key, definition]));
+
+    Object.keys(attributes).forEach(key => {
+      if (!byKey.has(key)) {
+        errors.push(`Unknown attribute "${key}" for this category`);
+      }
+    });
+
+    schema.forEach(definition => {
+      const rawValue = attributes[definition.key];
+      const isEmpty = rawValue === undefined || rawValue === null || rawValue === "";
+
+      if (isEmpty) {
+        if (definition.required) {
+          errors.push(`Attribute "${definition.label}" is required`);
+        }
+        return;
+      }
+
+      switch (definition.type) {
+        case "enum": {
+          const option =
+            typeof rawValue === "string"
+              ? definition.options.find(opt => opt.toLowerCase() === rawValue.trim().toLowerCase())
+              : null;
+          if (!option) {
+            errors.push(`Attribute "${definition.label}" must be one of: ${definition.options.join(", ")}`);
+          } else {
+            value[definition.key] = option;
+          }
+          break;
+        }
+        case "number": {
+          const parsed = typeof rawValue === "string" ? Number(rawValue.trim()) : rawValue;
+          if (typeof parsed !== "number" || !isFinite(parsed)) {
+            errors.push(`Attribute "${definition.label}" must be a number${definition.unit ? ` (${definition.unit})` : ""}`);
+          } else {
+            value[definition.key] = parsed;
+          }
+          break;
+        }
+        case "boolean": {
+          if (typeof rawValue === "boolean") {
+            value[definition.key] = rawValue;
+          } else if (["true", "false"].includes(String(rawValue).toLowerCase())) {
+            value[definition.key] = String(rawValue).toLowerCase() === "true";
+          } else {
+            errors.push(`Attribute "${definition.label}" must be true or false`);
+          }
+          break;
+        }
+      }
+    });
+
+    return { isValid: errors.length === 0, errors, value };
+  }
 }
 module.exports = ValidationHelper;
@@ -0,0 +1,34 @@
+// utils/viewer.util.js - Identifikasi viewer (user login / guest session) untuk tracking
+const jwt = require("jsonwebtoken");
+
+const SESSION_ID_PATTERN = /^[\w-]{8,100}$/;
+
+/**
+ * Identify viewer tanpa query DB: JWT (Bearer) untuk user, `Authorization: Session <id>` untuk guest
+ * @param {Object} req - Express request
+ * @returns {Object|null} { userId, sessionId }
+ */
+const getViewer = req => {
+  const authHeader = req.headers.authorization || "";
+
+  if (authHeader.startsWith("Bearer ")) {
+    try {
+      const decoded = jwt.verify(authHeader.substring(7), process.env.JWT_SECRET);
+      return { userId: decoded.userId, sessionId: null };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (authHeader.startsWith("Session ")) {
+    const sessionId = authHeader.substring(8).trim();
+    return SESSION_ID_PATTERN.test(sessionId) ? { userId: null, sessionId } : null;
+  }
+
+  return null;
+};
+
+module.exports = {
+  SESSION_ID_PATTERN,
+  getViewer,
+};
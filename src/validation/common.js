@@ -20,7 +20,8 @@ const commonValidations = {
   // Pagination
   pagination: () => [
     query('page').optional().isInt({ min: 1 }),
-    query('limit').optional().isInt({ min: 1, max: 100 })
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('cursor').optional().isString().isLength({ max: 1000 })
   ]
 };
 // Fixed validation handler - move require to top